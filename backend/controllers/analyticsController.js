@@ -0,0 +1,148 @@
+const TradingSignal = require('../models/TradingSignal');
+const { cache } = require('../config/redis');
+const { getCacheKey } = require('../utils/signalCache');
+const { organizationFilter } = require('../utils/signalFilters');
+const { successResponse } = require('../utils/responseHandler');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Leaderboard time windows, in days (null = all time)
+ */
+const LEADERBOARD_PERIODS = {
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+  '1y': 365,
+  all: null,
+};
+
+/**
+ * Return of a resolved signal in percent, from its entry reference to the
+ * price it resolved at. SELL returns are inverted; HOLD signals and signals
+ * without an entry level have no return.
+ */
+const signalReturnExpression = {
+  $let: {
+    vars: {
+      entry: {
+        $ifNull: ['$entryPrice', { $avg: ['$entryRange.min', '$entryRange.max'] }],
+      },
+    },
+    in: {
+      $cond: [
+        {
+          $and: [
+            { $ne: ['$signalType', 'HOLD'] },
+            { $gt: ['$$entry', 0] },
+            { $ne: [{ $ifNull: ['$resultPrice', null] }, null] },
+          ],
+        },
+        {
+          $multiply: [
+            { $divide: [{ $subtract: ['$resultPrice', '$$entry'] }, '$$entry'] },
+            { $cond: [{ $eq: ['$signalType', 'SELL'] }, -100, 100] },
+          ],
+        },
+        null,
+      ],
+    },
+  },
+};
+
+/**
+ * @route   GET /api/v1/analytics/leaderboard
+ * @desc    Rank signal creators by hit rate, average return, average confidence
+ *          and number of signals over a time window
+ * @access  Private
+ */
+const getLeaderboard = asyncHandler(async (req, res) => {
+  const { period = '30d', sortBy = 'hitRate', minSignals = 1, limit = 20 } = req.query;
+
+  // Check cache
+  const cacheKey = getCacheKey.leaderboard(req.user.organization, { period, sortBy, minSignals, limit });
+  const cachedLeaderboard = await cache.get(cacheKey);
+
+  if (cachedLeaderboard) {
+    logger.debug('Cache hit for leaderboard');
+    return successResponse(res, 200, 'Leaderboard retrieved successfully (cached)', cachedLeaderboard);
+  }
+
+  const days = LEADERBOARD_PERIODS[period];
+  const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+  const match = { ...organizationFilter(req.user), publication: { $nin: ['draft', 'scheduled'] } };
+  if (since) match.createdAt = { $gte: since };
+
+  const leaderboard = await TradingSignal.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$createdBy',
+        signalCount: { $sum: 1 },
+        resolvedCount: {
+          $sum: { $cond: [{ $ne: ['$result', 'pending'] }, 1, 0] },
+        },
+        hits: {
+          $sum: { $cond: [{ $eq: ['$result', 'target_hit'] }, 1, 0] },
+        },
+        avgConfidence: { $avg: '$confidence' },
+        avgReturn: {
+          $avg: { $cond: [{ $ne: ['$result', 'pending'] }, signalReturnExpression, null] },
+        },
+      },
+    },
+    { $match: { signalCount: { $gte: parseInt(minSignals, 10) } } },
+    {
+      $addFields: {
+        // Hit rate only counts resolved signals; pending ones have no outcome yet
+        hitRate: {
+          $cond: [
+            { $gt: ['$resolvedCount', 0] },
+            { $multiply: [{ $divide: ['$hits', '$resolvedCount'] }, 100] },
+            null,
+          ],
+        },
+      },
+    },
+    { $sort: { [sortBy]: -1, signalCount: -1 } },
+    { $limit: parseInt(limit, 10) },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'analyst',
+      },
+    },
+    { $unwind: '$analyst' },
+    {
+      $project: {
+        _id: 0,
+        analyst: { _id: '$analyst._id', name: '$analyst.name' },
+        signalCount: 1,
+        resolvedCount: 1,
+        hits: 1,
+        hitRate: { $round: ['$hitRate', 1] },
+        avgReturn: { $round: ['$avgReturn', 2] },
+        avgConfidence: { $round: ['$avgConfidence', 0] },
+      },
+    },
+  ]);
+
+  const data = {
+    period,
+    since,
+    sortBy,
+    leaderboard: leaderboard.map((entry, index) => ({ rank: index + 1, ...entry })),
+  };
+
+  // Cache the result (5 minutes TTL)
+  const cacheTTL = parseInt(process.env.CACHE_TTL_LEADERBOARD, 10) || 300;
+  await cache.set(cacheKey, data, cacheTTL);
+
+  return successResponse(res, 200, 'Leaderboard retrieved successfully', data);
+});
+
+module.exports = {
+  getLeaderboard,
+};
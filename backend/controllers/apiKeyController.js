@@ -0,0 +1,76 @@
+const ApiKey = require('../models/ApiKey');
+const { NotFoundError, ValidationError } = require('../utils/AppError');
+const { successResponse } = require('../utils/responseHandler');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+
+const MAX_ACTIVE_KEYS = parseInt(process.env.API_KEYS_MAX_PER_USER, 10) || 20;
+
+/**
+ * @route   POST /api/v1/api-keys
+ * @desc    Create an API key (the key is only returned in this response)
+ * @access  Private (session only)
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  const activeKeys = await ApiKey.countDocuments({ user: req.user._id, revokedAt: null });
+  if (activeKeys >= MAX_ACTIVE_KEYS) {
+    throw new ValidationError(`You can have at most ${MAX_ACTIVE_KEYS} API keys; revoke one first`);
+  }
+
+  const apiKey = new ApiKey({
+    user: req.user._id,
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined,
+  });
+  const key = apiKey.generateKey();
+  await apiKey.save();
+
+  logger.info(`API key created by ${req.user.email}: ${apiKey.prefix} (${apiKey.scopes.join(', ')})`);
+
+  const data = apiKey.toJSON();
+  delete data.keyHash;
+
+  return successResponse(res, 201, 'API key created successfully', { apiKey: data, key });
+});
+
+/**
+ * @route   GET /api/v1/api-keys
+ * @desc    Get the current user's API keys (including revoked and expired ones)
+ * @access  Private (session only)
+ */
+const getApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+  return successResponse(res, 200, 'API keys retrieved successfully', { apiKeys });
+});
+
+/**
+ * @route   DELETE /api/v1/api-keys/:id
+ * @desc    Revoke an API key; it stops working immediately
+ * @access  Private (session only)
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!apiKey) {
+    throw new NotFoundError('API key not found');
+  }
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+  }
+
+  logger.info(`API key revoked by ${req.user.email}: ${apiKey.prefix}`);
+
+  return successResponse(res, 200, 'API key revoked successfully', { apiKey });
+});
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+};
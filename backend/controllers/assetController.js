@@ -0,0 +1,138 @@
+const Asset = require('../models/Asset');
+const TradingSignal = require('../models/TradingSignal');
+const { invalidateSignalCache } = require('../utils/signalCache');
+const { NotFoundError, ConflictError } = require('../utils/AppError');
+const { successResponse } = require('../utils/responseHandler');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Find an asset by ID or ticker
+ * @param {string} idOrTicker - Asset ID or ticker
+ * @returns {Promise<Object>} Asset document
+ * @throws {NotFoundError} If no asset matches
+ */
+const findAsset = async (idOrTicker) => {
+  const asset = /^[0-9a-fA-F]{24}$/.test(idOrTicker)
+    ? await Asset.findById(idOrTicker)
+    : await Asset.findOne({ ticker: idOrTicker.toUpperCase() });
+
+  if (!asset) {
+    throw new NotFoundError('Asset not found');
+  }
+
+  return asset;
+};
+
+/**
+ * @route   POST /api/v1/assets
+ * @desc    Create asset (Admin only)
+ * @access  Private/Admin
+ */
+const createAsset = asyncHandler(async (req, res) => {
+  const { ticker, name, aliases, quoteCurrency, isActive } = req.body;
+
+  const existingAsset = await Asset.findOne({ ticker: ticker.toUpperCase() });
+  if (existingAsset) {
+    throw new ConflictError('An asset with this ticker already exists');
+  }
+
+  const asset = await Asset.create({ ticker, name, aliases, quoteCurrency, isActive });
+
+  logger.info(`Asset created by ${req.user.email}: ${asset.ticker}`);
+
+  return successResponse(res, 201, 'Asset created successfully', { asset });
+});
+
+/**
+ * @route   GET /api/v1/assets
+ * @desc    Get assets (active only unless includeInactive=true)
+ * @access  Private
+ */
+const getAssets = asyncHandler(async (req, res) => {
+  const filters = req.query.includeInactive === 'true' ? {} : { isActive: true };
+
+  const assets = await Asset.find(filters).sort({ ticker: 1 });
+
+  return successResponse(res, 200, 'Assets retrieved successfully', { assets });
+});
+
+/**
+ * @route   GET /api/v1/assets/:id
+ * @desc    Get a single asset by ID or ticker
+ * @access  Private
+ */
+const getAssetById = asyncHandler(async (req, res) => {
+  const asset = await findAsset(req.params.id);
+
+  return successResponse(res, 200, 'Asset retrieved successfully', { asset });
+});
+
+/**
+ * @route   PUT /api/v1/assets/:id
+ * @desc    Update asset (Admin only)
+ *          Renaming an asset also updates the display name stored on its signals
+ * @access  Private/Admin
+ */
+const updateAsset = asyncHandler(async (req, res) => {
+  const { ticker, name, aliases, quoteCurrency, isActive } = req.body;
+
+  const asset = await findAsset(req.params.id);
+
+  if (ticker && ticker.toUpperCase() !== asset.ticker) {
+    const existingAsset = await Asset.findOne({ ticker: ticker.toUpperCase() });
+    if (existingAsset) {
+      throw new ConflictError('An asset with this ticker already exists');
+    }
+  }
+
+  const previousDisplayName = asset.displayName;
+
+  if (ticker) asset.ticker = ticker;
+  if (name) asset.name = name;
+  if (aliases) asset.aliases = aliases;
+  if (quoteCurrency) asset.quoteCurrency = quoteCurrency;
+  if (isActive !== undefined) asset.isActive = isActive;
+
+  await asset.save();
+
+  if (asset.displayName !== previousDisplayName) {
+    const signalIds = await TradingSignal.distinct('_id', { asset: asset._id });
+    await TradingSignal.updateMany({ asset: asset._id }, { cryptocurrency: asset.displayName });
+    await invalidateSignalCache(signalIds.map(String));
+  }
+
+  logger.info(`Asset updated by ${req.user.email}: ${asset.ticker}`);
+
+  return successResponse(res, 200, 'Asset updated successfully', { asset });
+});
+
+/**
+ * @route   DELETE /api/v1/assets/:id
+ * @desc    Delete asset (Admin only); assets referenced by signals must be deactivated instead
+ * @access  Private/Admin
+ */
+const deleteAsset = asyncHandler(async (req, res) => {
+  const asset = await findAsset(req.params.id);
+
+  const signalCount = await TradingSignal.countDocuments({ asset: asset._id });
+  if (signalCount > 0) {
+    throw new ConflictError(
+      `Asset is referenced by ${signalCount} signal(s); deactivate it instead`
+    );
+  }
+
+  await asset.deleteOne();
+
+  logger.info(`Asset deleted by ${req.user.email}: ${asset.ticker}`);
+
+  return successResponse(res, 200, 'Asset deleted successfully');
+});
+
+module.exports = {
+  createAsset,
+  getAssets,
+  getAssetById,
+  updateAsset,
+  deleteAsset,
+};
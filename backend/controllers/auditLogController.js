@@ -0,0 +1,45 @@
+const AuditLog = require('../models/AuditLog');
+const { paginatedResponse } = require('../utils/responseHandler');
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * @route   GET /api/v1/audit-logs
+ * @desc    Query the audit log by actor, action, target and date range (newest first)
+ * @access  Private (Admin only)
+ */
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, actor, action, targetType, targetId, from, to } = req.query;
+
+  const filter = {};
+  if (actor) filter.actor = actor;
+  if (action) filter.action = action;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const total = await AuditLog.countDocuments(filter);
+  const totalPages = Math.ceil(total / limit);
+
+  const entries = await AuditLog.find(filter)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit, 10))
+    .lean();
+
+  return paginatedResponse(res, 200, 'Audit log retrieved successfully', entries, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+    total,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+  });
+});
+
+module.exports = {
+  getAuditLogs,
+};
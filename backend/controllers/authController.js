@@ -1,6 +1,7 @@
 const User = require('../models/User');
+const AuthToken = require('../models/AuthToken');
 const {
-  generateTokenPair,
+  generateTwoFactorChallenge,
   verifyToken,
   blacklistToken,
   getTokenExpiry,
@@ -9,8 +10,31 @@ const {
   ValidationError,
   AuthenticationError,
   ConflictError,
+  RateLimitError,
 } = require('../utils/AppError');
 const { successResponse, errorResponse } = require('../utils/responseHandler');
+const { sendMail } = require('../services/mailService');
+const { verifySecondFactor } = require('../services/twoFactorService');
+const {
+  getLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require('../services/loginAttemptService');
+const { trackLogin } = require('../services/loginAnomalyService');
+const { recordSecurityEvent } = require('../services/securityEventService');
+const { recordAudit } = require('../services/auditLogService');
+const {
+  createSession,
+  findSessionForRefresh,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+} = require('../services/sessionService');
+const {
+  verificationEmail,
+  passwordResetEmail,
+  passwordChangedEmail,
+} = require('../utils/emailTemplates');
 const asyncHandler = require('../utils/asyncHandler');
 const logger = require('../utils/logger');
 
@@ -21,6 +45,141 @@ const extractRefreshToken = (req) => {
   return req.body.refreshToken || req.headers['x-refresh-token'];
 };
 
+const VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+/**
+ * Issue a verification token and email the link
+ * @param {Object} user - User to verify
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await AuthToken.issue(
+    user._id,
+    'email_verification',
+    VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+
+  await sendMail({ to: user.email, ...verificationEmail(user, token, VERIFICATION_TTL_HOURS) });
+};
+
+/**
+ * Send an email without failing the request
+ * The account change already happened; a mail outage should not undo it
+ */
+const sendMailSafely = async (send, description) => {
+  try {
+    await send();
+  } catch (error) {
+    logger.error(`Failed to send ${description}: ${error.message}`);
+  }
+};
+
+/**
+ * Error for a sign-in attempt on a locked account
+ */
+const accountLockedError = (lockedUntil) => {
+  const minutes = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 60000));
+  return new RateLimitError(
+    `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+  );
+};
+
+/**
+ * Refuse sign-in while the account is locked
+ * @param {string} email - Account email
+ */
+const assertNotLocked = async (email) => {
+  const lockedUntil = await getLockout(email);
+
+  if (lockedUntil) {
+    logger.warn(`Sign-in attempt on locked account: ${email}`);
+    throw accountLockedError(lockedUntil);
+  }
+};
+
+/**
+ * Audit a rejected sign-in
+ * @param {string} email - Email the sign-in was for
+ * @param {Object|null} user - Matching user, if any
+ * @param {Object} req - Express request
+ * @param {string} reason - e.g. 'invalid_password'
+ */
+const auditLoginFailure = (email, user, req, reason) =>
+  recordAudit({
+    req,
+    actor: null,
+    action: 'auth.login_failed',
+    targetType: 'user',
+    targetId: user ? user._id : email,
+    metadata: { email, reason },
+  });
+
+/**
+ * Count a failed sign-in; throws if this failure locked the account
+ * Unknown emails are counted too, so responses don't reveal which accounts exist.
+ * @param {string} email - Account email
+ * @param {Object|null} user - Matching user, if any
+ * @param {Object} req - Express request
+ * @param {string} reason - Audit reason, e.g. 'invalid_password'
+ */
+const handleLoginFailure = async (email, user, req, reason) => {
+  await auditLoginFailure(email, user, req, reason);
+
+  const { failures, lockedUntil } = await recordLoginFailure(email);
+
+  if (lockedUntil) {
+    if (user) {
+      await recordSecurityEvent({
+        user: user._id,
+        type: 'account_locked',
+        req,
+        details: { failures, lockedUntil },
+      });
+    }
+    throw accountLockedError(lockedUntil);
+  }
+};
+
+/**
+ * Start a session for a user who passed every login step
+ * @param {string} method - Last factor used: 'password', 'totp' or 'recovery'
+ */
+const completeLogin = async (req, res, user, method = 'password') => {
+  await clearLoginFailures(user.email);
+
+  // Flag sign-ins from a new IP or device
+  await trackLogin(user, req);
+
+  // Generate tokens for a new device session
+  const { session, accessToken, refreshToken } = await createSession(user, req);
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  await recordAudit({
+    req,
+    actor: user,
+    action: 'auth.login',
+    targetType: 'user',
+    targetId: user._id,
+    metadata: { method, sessionId: session._id, device: session.name },
+  });
+
+  logger.info(`User logged in: ${user.email}`);
+
+  await user.loadOrganizationRole();
+
+  // CHANGED: Return tokens in response body, not cookies
+  return successResponse(res, 200, 'Login successful', {
+    user: user.profile,
+    tokens: {
+      accessToken,
+      refreshToken,
+    },
+  });
+};
+
 /**
  * @route   POST /api/v1/auth/register
  * @desc    Register a new user
@@ -41,16 +200,16 @@ const register = asyncHandler(async (req, res) => {
     email,
     password, // Will be hashed by pre-save hook
     role: 'user', // Default role
+    emailVerified: false,
   });
 
-  // Generate tokens
-  const { accessToken, refreshToken } = generateTokenPair(user);
-
-  // Save refresh token to user document
-  await user.addRefreshToken(refreshToken);
+  // Generate tokens for a new device session
+  const { accessToken, refreshToken } = await createSession(user, req);
 
   logger.info(`New user registered: ${email}`);
 
+  await sendMailSafely(() => sendVerificationEmail(user), `verification email to ${email}`);
+
   // CHANGED: Return tokens in response body, not cookies
   return successResponse(res, 201, 'User registered successfully', {
     user: user.profile,
@@ -69,15 +228,19 @@ const register = asyncHandler(async (req, res) => {
 const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
+  await assertNotLocked(email);
+
   // Find user with password field
   const user = await User.findByCredentials(email);
 
   if (!user) {
+    await handleLoginFailure(email, null, req, 'unknown_email');
     throw new AuthenticationError('Invalid email or password');
   }
 
   // Check if account is active
   if (!user.isActive) {
+    await auditLoginFailure(email, user, req, 'account_deactivated');
     throw new AuthenticationError('Account is deactivated. Please contact support.');
   }
 
@@ -86,29 +249,64 @@ const login = asyncHandler(async (req, res) => {
 
   if (!isPasswordValid) {
     logger.warn(`Failed login attempt for email: ${email}`);
+    await handleLoginFailure(email, user, req, 'invalid_password');
     throw new AuthenticationError('Invalid email or password');
   }
 
-  // Generate tokens
-  const { accessToken, refreshToken } = generateTokenPair(user);
+  // Second step: tokens are only issued once a code is verified
+  if (user.twoFactorEnabled) {
+    logger.info(`Two-factor challenge issued: ${email}`);
 
-  // Save refresh token to user document
-  await user.addRefreshToken(refreshToken);
+    return successResponse(res, 200, 'Two-factor authentication required', {
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallenge(user),
+    });
+  }
 
-  // Update last login
-  user.lastLogin = new Date();
-  await user.save();
+  return completeLogin(req, res, user);
+});
 
-  logger.info(`User logged in: ${email}`);
+/**
+ * @route   POST /api/v1/auth/login/2fa
+ * @desc    Complete a two-factor login with an authenticator or recovery code
+ * @access  Public (needs the challenge token from login)
+ */
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  let decoded;
+  try {
+    decoded = await verifyToken(challengeToken, '2fa_challenge');
+  } catch (error) {
+    throw new AuthenticationError('Login challenge is invalid or has expired. Please sign in again.');
+  }
 
-  // CHANGED: Return tokens in response body, not cookies
-  return successResponse(res, 200, 'Login successful', {
-    user: user.profile,
-    tokens: {
-      accessToken,
-      refreshToken,
-    },
-  });
+  const user = await User.findById(decoded.userId).select(
+    '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep +loginHistory'
+  );
+
+  if (!user || !user.isActive || !user.twoFactorEnabled) {
+    throw new AuthenticationError('Login challenge is invalid or has expired. Please sign in again.');
+  }
+
+  await assertNotLocked(user.email);
+
+  const method = verifySecondFactor(user, code);
+
+  if (!method) {
+    logger.warn(`Failed two-factor attempt for user: ${user.email}`);
+    await handleLoginFailure(user.email, user, req, 'invalid_two_factor_code');
+    // 400 rather than 401 so the client stays on the code step
+    throw new ValidationError('Invalid authentication code');
+  }
+
+  if (method === 'recovery') {
+    logger.warn(
+      `Recovery code used by ${user.email}; ${user.twoFactorRecoveryCodes.length} remaining`
+    );
+  }
+
+  return completeLogin(req, res, user, method);
 });
 
 /**
@@ -127,24 +325,29 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
   // Verify refresh token
   const decoded = await verifyToken(refreshToken, 'refresh');
 
-  // Find user and check if refresh token exists in database
-  const user = await User.findById(decoded.userId).select('+refreshTokens');
+  // Find the session (token family); a reused token revokes it
+  const session = await findSessionForRefresh(refreshToken, decoded, req);
 
-  if (!user) {
+  if (!session) {
+    logger.warn(`Invalid refresh token used for user: ${decoded.email}`);
+    throw new AuthenticationError('Invalid refresh token');
+  }
+
+  const user = await User.findById(decoded.userId);
+
+  if (!user || !user.isActive) {
+    await revokeSession({ _id: session._id, user: session.user });
     throw new AuthenticationError('User not found');
   }
 
-  if (!user.refreshTokens.includes(refreshToken)) {
-    logger.warn(`Invalid refresh token used for user: ${user.email}`);
+  // Generate new token pair (refresh token rotation); null if a concurrent refresh won
+  const tokens = await rotateSession(session, user, req);
+
+  if (!tokens) {
     throw new AuthenticationError('Invalid refresh token');
   }
 
-  // Generate new token pair (refresh token rotation)
-  const { accessToken, refreshToken: newRefreshToken } = generateTokenPair(user);
-
-  // Remove old refresh token and add new one
-  await user.removeRefreshToken(refreshToken);
-  await user.addRefreshToken(newRefreshToken);
+  const { accessToken, refreshToken: newRefreshToken } = tokens;
 
   logger.info(`Access token refreshed for user: ${user.email}`);
 
@@ -173,11 +376,13 @@ const logout = asyncHandler(async (req, res) => {
     await blacklistToken(accessToken, expiry);
   }
 
-  // Remove refresh token from user document
-  if (refreshToken && req.user) {
-    const user = await User.findById(req.user._id).select('+refreshTokens');
-    if (user) {
-      await user.removeRefreshToken(refreshToken);
+  // End this device's session (and blacklist its other access tokens)
+  if (req.sessionId) {
+    await revokeSession({ _id: req.sessionId, user: req.user._id });
+  } else if (refreshToken) {
+    const decoded = await verifyToken(refreshToken, 'refresh').catch(() => null);
+    if (decoded?.sid) {
+      await revokeSession({ _id: decoded.sid, user: req.user._id });
     }
   }
 
@@ -192,14 +397,14 @@ const logout = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const logoutAll = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id).select('+refreshTokens');
+  const user = await User.findById(req.user._id);
 
   if (!user) {
     throw new AuthenticationError('User not found');
   }
 
-  // Remove all refresh tokens
-  await user.removeAllRefreshTokens();
+  // End every device session
+  await revokeUserSessions(user._id);
 
   // Blacklist current access token
   const accessToken = req.headers.authorization?.split(' ')[1];
@@ -225,6 +430,8 @@ const getMe = asyncHandler(async (req, res) => {
     throw new AuthenticationError('User not found');
   }
 
+  await user.loadOrganizationRole();
+
   return successResponse(res, 200, 'User profile retrieved successfully', {
     user: user.profile,
   });
@@ -257,12 +464,196 @@ const updateProfile = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @route   POST /api/v1/auth/verify-email
+ * @desc    Verify email address with the emailed token
+ * @access  Public
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const authToken = await AuthToken.consume(req.body.token, 'email_verification');
+
+  if (!authToken) {
+    throw new ValidationError('Verification link is invalid or has expired');
+  }
+
+  const user = await User.findById(authToken.user);
+
+  if (!user) {
+    throw new ValidationError('Verification link is invalid or has expired');
+  }
+
+  if (!user.isEmailVerified || !user.emailVerifiedAt) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+
+  logger.info(`Email verified: ${user.email}`);
+
+  await user.loadOrganizationRole();
+
+  return successResponse(res, 200, 'Email verified successfully', {
+    user: user.profile,
+  });
+});
+
+/**
+ * @route   POST /api/v1/auth/resend-verification
+ * @desc    Send a new verification email (previous links stop working)
+ * @access  Private
+ */
+const resendVerification = asyncHandler(async (req, res) => {
+  if (req.user.isEmailVerified) {
+    throw new ValidationError('Email is already verified');
+  }
+
+  await sendVerificationEmail(req.user);
+
+  logger.info(`Verification email resent: ${req.user.email}`);
+
+  return successResponse(res, 200, 'Verification email sent');
+});
+
+/**
+ * @route   POST /api/v1/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  // Same response either way so the endpoint cannot be used to discover accounts
+  if (user && user.isActive) {
+    const token = await AuthToken.issue(
+      user._id,
+      'password_reset',
+      PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+    );
+
+    // A mail failure must not answer differently from an unknown address
+    await sendMailSafely(
+      () => sendMail({ to: user.email, ...passwordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES) }),
+      `password reset email to ${user.email}`
+    );
+
+    logger.info(`Password reset requested: ${email}`);
+  } else {
+    logger.warn(`Password reset requested for unknown or inactive email: ${email}`);
+  }
+
+  return successResponse(
+    res,
+    200,
+    'If an account exists for this email, a password reset link has been sent'
+  );
+});
+
+/**
+ * @route   POST /api/v1/auth/reset-password
+ * @desc    Set a new password with the emailed token (signs out every session)
+ * @access  Public
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const authToken = await AuthToken.consume(token, 'password_reset');
+
+  if (!authToken) {
+    throw new ValidationError('Reset link is invalid or has expired');
+  }
+
+  const user = await User.findById(authToken.user);
+
+  if (!user || !user.isActive) {
+    throw new ValidationError('Reset link is invalid or has expired');
+  }
+
+  user.setPassword(password);
+
+  // The reset link proves the user controls the address
+  if (!user.isEmailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+
+  await user.save();
+  await revokeUserSessions(user._id);
+
+  logger.info(`Password reset: ${user.email}`);
+
+  await sendMailSafely(
+    () => sendMail({ to: user.email, ...passwordChangedEmail(user) }),
+    `password changed notice to ${user.email}`
+  );
+
+  return successResponse(res, 200, 'Password reset successfully. Please login with your new password.');
+});
+
+/**
+ * @route   POST /api/v1/auth/change-password
+ * @desc    Change password (signs out other sessions and returns new tokens)
+ * @access  Private
+ */
+const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await User.findById(req.user._id).select('+password');
+
+  if (!user) {
+    throw new AuthenticationError('User not found');
+  }
+
+  const isPasswordValid = await user.comparePassword(currentPassword);
+
+  if (!isPasswordValid) {
+    logger.warn(`Failed password change for user: ${user.email}`);
+    // 400 rather than 401 so clients do not treat it as an expired session
+    throw new ValidationError('Current password is incorrect');
+  }
+
+  user.setPassword(newPassword);
+  await user.save();
+  await revokeUserSessions(user._id);
+
+  // Keep this device signed in with a new session
+  const { accessToken, refreshToken } = await createSession(user, req);
+
+  // Blacklist current access token
+  const currentAccessToken = req.headers.authorization?.split(' ')[1];
+  if (currentAccessToken) {
+    const expiry = getTokenExpiry(currentAccessToken);
+    await blacklistToken(currentAccessToken, expiry);
+  }
+
+  logger.info(`Password changed for user: ${user.email}`);
+
+  await sendMailSafely(
+    () => sendMail({ to: user.email, ...passwordChangedEmail(user) }),
+    `password changed notice to ${user.email}`
+  );
+
+  return successResponse(res, 200, 'Password changed successfully', {
+    tokens: {
+      accessToken,
+      refreshToken,
+    },
+  });
+});
+
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
   refreshAccessToken,
   logout,
   logoutAll,
   getMe,
   updateProfile,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
 };
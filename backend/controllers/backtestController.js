@@ -0,0 +1,122 @@
+const Backtest = require('../models/Backtest');
+const TradingSignal = require('../models/TradingSignal');
+const { buildBacktestQuery } = require('../services/backtestService');
+const { runQueuedBacktests } = require('../workers/backtestRunner');
+const { NotFoundError } = require('../utils/AppError');
+const { successResponse } = require('../utils/responseHandler');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+
+const FILTER_FIELDS = [
+  'signalType',
+  'asset',
+  'cryptocurrency',
+  'minConfidence',
+  'status',
+  'result',
+  'watchlist',
+];
+
+/**
+ * Find a backtest owned by the current user
+ * @param {string} id - Backtest ID
+ * @param {Object} user - Current user
+ * @param {string} [select] - Fields to load (defaults to all)
+ * @returns {Promise<Object>} Backtest document
+ * @throws {NotFoundError} If the backtest does not exist or belongs to someone else
+ */
+const findOwnBacktest = async (id, user, select) => {
+  const backtest = await Backtest.findOne({ _id: id, user: user._id }).select(select);
+
+  if (!backtest) {
+    throw new NotFoundError('Backtest not found');
+  }
+
+  return backtest;
+};
+
+/**
+ * @route   POST /api/v1/backtests
+ * @desc    Queue a backtest of the signals matching the given filters
+ * @access  Private
+ */
+const createBacktest = asyncHandler(async (req, res) => {
+  const { name, filters = {}, from, to, initialEquity, positionSizePct } = req.body;
+
+  const signalFilters = Object.fromEntries(
+    FILTER_FIELDS.filter((field) => filters[field] !== undefined && filters[field] !== '').map(
+      (field) => [field, filters[field]]
+    )
+  );
+
+  const backtest = new Backtest({
+    name,
+    user: req.user._id,
+    organization: req.user.organization,
+    filters: signalFilters,
+    from,
+    to,
+    initialEquity,
+    positionSizePct,
+  });
+
+  // Resolve the filters now so an unknown asset or watchlist fails the request
+  const query = await buildBacktestQuery(backtest);
+  backtest.total = await TradingSignal.countDocuments(query);
+
+  await backtest.save();
+
+  // Start right away instead of waiting for the next poll
+  runQueuedBacktests();
+
+  logger.info(`Backtest queued by ${req.user.email}: ${backtest._id} (${backtest.total} signals)`);
+
+  return successResponse(res, 202, 'Backtest queued successfully', { backtest });
+});
+
+/**
+ * @route   GET /api/v1/backtests
+ * @desc    Get the current user's backtests (without trades and equity curve)
+ * @access  Private
+ */
+const getBacktests = asyncHandler(async (req, res) => {
+  const backtests = await Backtest.find({ user: req.user._id })
+    .select('-trades -equityCurve')
+    .sort({ createdAt: -1 })
+    .limit(100);
+
+  return successResponse(res, 200, 'Backtests retrieved successfully', { backtests });
+});
+
+/**
+ * @route   GET /api/v1/backtests/:id
+ * @desc    Get a backtest with its progress, results, equity curve and trades
+ * @access  Private (owner)
+ */
+const getBacktestById = asyncHandler(async (req, res) => {
+  const backtest = await findOwnBacktest(req.params.id, req.user);
+
+  return successResponse(res, 200, 'Backtest retrieved successfully', { backtest });
+});
+
+/**
+ * @route   DELETE /api/v1/backtests/:id
+ * @desc    Delete a backtest
+ * @access  Private (owner)
+ */
+const deleteBacktest = asyncHandler(async (req, res) => {
+  const backtest = await findOwnBacktest(req.params.id, req.user, '_id');
+
+  await backtest.deleteOne();
+
+  logger.info(`Backtest deleted by ${req.user.email}: ${backtest._id}`);
+
+  return successResponse(res, 200, 'Backtest deleted successfully');
+});
+
+module.exports = {
+  createBacktest,
+  getBacktests,
+  getBacktestById,
+  deleteBacktest,
+};
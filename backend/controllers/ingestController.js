@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const AlertSource = require('../models/AlertSource');
+const IngestedAlert = require('../models/IngestedAlert');
+const { createTradingSignal } = require('../services/signalService');
+const { recordAudit } = require('../services/auditLogService');
+const { signalValidation, validateData } = require('../middlewares/validator');
+const { renderAlertTemplate } = require('../utils/alertTemplate');
+const { organizationFilter } = require('../utils/signalFilters');
+const { NotFoundError, ConflictError } = require('../utils/AppError');
+const { successResponse, paginatedResponse, errorResponse } = require('../utils/responseHandler');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 200;
+
+/**
+ * Find an alert source of the caller's organization by ID
+ * @throws {NotFoundError} If the source does not exist or belongs to another organization
+ */
+const findAlertSource = async (id, user) => {
+  const source = await AlertSource.findOne({ _id: id, ...organizationFilter(user) }).populate(
+    'createdBy',
+    'name email'
+  );
+
+  if (!source) {
+    throw new NotFoundError('Alert source not found');
+  }
+
+  return source;
+};
+
+/**
+ * Idempotency key for an alert: the Idempotency-Key header, the templated key,
+ * or a hash of the payload so resent identical alerts are dropped
+ */
+const getIdempotencyKey = (req, templatedKey) => {
+  const key =
+    req.get('Idempotency-Key') ||
+    templatedKey ||
+    crypto.createHash('sha256').update(JSON.stringify(req.body)).digest('hex');
+
+  return String(key).slice(0, MAX_IDEMPOTENCY_KEY_LENGTH);
+};
+
+/**
+ * Mark an alert as rejected and release its idempotency key
+ */
+const rejectAlert = (alert, validationErrors) =>
+  IngestedAlert.updateOne(
+    { _id: alert._id },
+    { $set: { status: 'rejected', validationErrors }, $unset: { dedupeKey: 1 } }
+  );
+
+/**
+ * @route   POST /api/v1/ingest/alerts
+ * @desc    Create a signal from an external alert (source token required)
+ * @access  Alert source
+ */
+const ingestAlert = asyncHandler(async (req, res) => {
+  const source = req.alertSource;
+  const { idempotencyKey: templatedKey, ...fields } = renderAlertTemplate(source.template, req.body);
+  const idempotencyKey = getIdempotencyKey(req, templatedKey);
+
+  const record = { source: source._id, payload: req.body, idempotencyKey, ip: req.ip };
+
+  let alert;
+  try {
+    alert = await IngestedAlert.create({ ...record, dedupeKey: idempotencyKey });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Another alert already holds this key
+    const original = await IngestedAlert.findOne({ source: source._id, dedupeKey: idempotencyKey })
+      .select('signal');
+    await IngestedAlert.create({ ...record, status: 'duplicate', signal: original?.signal });
+
+    logger.info(`Duplicate alert from ${source.name} ignored: ${idempotencyKey}`);
+
+    return successResponse(res, 200, 'Duplicate alert ignored', {
+      duplicate: true,
+      signal: original?.signal || null,
+    });
+  }
+
+  await AlertSource.updateOne({ _id: source._id }, { $set: { lastUsedAt: new Date() } });
+
+  // Same checks as POST /api/v1/signals
+  const { errors, data } = await validateData(signalValidation, fields);
+
+  if (errors.length > 0) {
+    await rejectAlert(alert, errors);
+    logger.warn(`Alert from ${source.name} rejected: ${errors.map((e) => e.message).join('; ')}`);
+
+    return errorResponse(res, 400, 'Validation failed', { errors, alert: alert._id });
+  }
+
+  let signal;
+  try {
+    // Into the source's organization, wherever its owner works now
+    signal = await createTradingSignal(data, source.createdBy, { organization: source.organization });
+  } catch (error) {
+    await rejectAlert(alert, [{ message: error.message }]);
+    logger.warn(`Alert from ${source.name} rejected: ${error.message}`);
+    throw error;
+  }
+
+  await IngestedAlert.updateOne({ _id: alert._id }, { $set: { status: 'accepted', signal: signal._id } });
+
+  await recordAudit({
+    req,
+    actor: source.createdBy,
+    action: 'signal.create',
+    targetType: 'signal',
+    targetId: signal._id,
+    after: signal,
+    metadata: { via: 'ingest', source: source._id, alert: alert._id },
+  });
+
+  logger.info(`Signal ingested from ${source.name}: ${signal.title}`);
+
+  return successResponse(res, 201, 'Alert ingested successfully', { signal, alert: alert._id });
+});
+
+/**
+ * @route   POST /api/v1/ingest/sources
+ * @desc    Register an alert source in the caller's organization (the token is
+ *          only returned here and on rotation)
+ * @access  Private/Admin
+ */
+const createAlertSource = asyncHandler(async (req, res) => {
+  const { name, template, isActive } = req.body;
+
+  const existingSource = await AlertSource.findOne({ name, ...organizationFilter(req.user) });
+  if (existingSource) {
+    throw new ConflictError('An alert source with this name already exists');
+  }
+
+  const source = new AlertSource({
+    name,
+    template,
+    isActive,
+    createdBy: req.user._id,
+    organization: req.user.organization || null,
+  });
+  const token = source.issueToken();
+  await source.save();
+
+  logger.info(`Alert source created by ${req.user.email}: ${source.name}`);
+
+  const data = source.toJSON();
+  delete data.tokenHash;
+
+  return successResponse(res, 201, 'Alert source created successfully', { source: data, token });
+});
+
+/**
+ * @route   GET /api/v1/ingest/sources
+ * @desc    Get the alert sources of the caller's organization
+ * @access  Private/Admin
+ */
+const getAlertSources = asyncHandler(async (req, res) => {
+  const sources = await AlertSource.find(organizationFilter(req.user))
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  return successResponse(res, 200, 'Alert sources retrieved successfully', { sources });
+});
+
+/**
+ * @route   GET /api/v1/ingest/sources/:id
+ * @desc    Get an alert source
+ * @access  Private/Admin
+ */
+const getAlertSourceById = asyncHandler(async (req, res) => {
+  const source = await findAlertSource(req.params.id, req.user);
+
+  return successResponse(res, 200, 'Alert source retrieved successfully', { source });
+});
+
+/**
+ * @route   PUT /api/v1/ingest/sources/:id
+ * @desc    Update an alert source's name, template or status
+ * @access  Private/Admin
+ */
+const updateAlertSource = asyncHandler(async (req, res) => {
+  const source = await findAlertSource(req.params.id, req.user);
+  const { name, template, isActive } = req.body;
+
+  if (name !== source.name) {
+    const existingSource = await AlertSource.findOne({
+      name,
+      organization: source.organization,
+      _id: { $ne: source._id },
+    });
+    if (existingSource) {
+      throw new ConflictError('An alert source with this name already exists');
+    }
+  }
+
+  source.name = name;
+  // Omitting the template keeps the current mapping
+  if (template !== undefined) source.template = template;
+  if (isActive !== undefined) source.isActive = isActive;
+
+  await source.save();
+
+  logger.info(`Alert source updated by ${req.user.email}: ${source.name}`);
+
+  return successResponse(res, 200, 'Alert source updated successfully', { source });
+});
+
+/**
+ * @route   POST /api/v1/ingest/sources/:id/rotate-token
+ * @desc    Issue a new token; the old one stops working immediately
+ * @access  Private/Admin
+ */
+const rotateAlertSourceToken = asyncHandler(async (req, res) => {
+  const source = await findAlertSource(req.params.id, req.user);
+
+  const token = source.issueToken();
+  await source.save();
+
+  logger.info(`Alert source token rotated by ${req.user.email}: ${source.name}`);
+
+  const data = source.toJSON();
+  delete data.tokenHash;
+
+  return successResponse(res, 200, 'Alert source token rotated successfully', { source: data, token });
+});
+
+/**
+ * @route   DELETE /api/v1/ingest/sources/:id
+ * @desc    Delete an alert source (its audit records are kept until they expire)
+ * @access  Private/Admin
+ */
+const deleteAlertSource = asyncHandler(async (req, res) => {
+  const source = await findAlertSource(req.params.id, req.user);
+
+  await source.deleteOne();
+
+  logger.info(`Alert source deleted by ${req.user.email}: ${source.name}`);
+
+  return successResponse(res, 200, 'Alert source deleted successfully');
+});
+
+/**
+ * @route   GET /api/v1/ingest/alerts
+ * @desc    Get the audit log of alerts ingested by the caller's organization's
+ *          sources (newest first)
+ * @access  Private/Admin
+ */
+const getIngestedAlerts = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, source, status } = req.query;
+
+  const sourceIds = await AlertSource.find(organizationFilter(req.user)).distinct('_id');
+
+  const filter = { source: { $in: sourceIds } };
+  if (source) filter.source = { $in: sourceIds.filter((id) => id.toString() === source) };
+  if (status) filter.status = status;
+
+  const total = await IngestedAlert.countDocuments(filter);
+  const totalPages = Math.ceil(total / limit);
+
+  const alerts = await IngestedAlert.find(filter)
+    .populate('source', 'name')
+    .populate('signal', 'title signalType cryptocurrency')
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit, 10));
+
+  return paginatedResponse(res, 200, 'Ingested alerts retrieved successfully', alerts, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+    total,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+  });
+});
+
+module.exports = {
+  ingestAlert,
+  createAlertSource,
+  getAlertSources,
+  getAlertSourceById,
+  updateAlertSource,
+  rotateAlertSourceToken,
+  deleteAlertSource,
+  getIngestedAlerts,
+};
@@ -0,0 +1,438 @@
+const Organization = require('../models/Organization');
+const Membership = require('../models/Membership');
+const OrganizationInvite = require('../models/OrganizationInvite');
+const User = require('../models/User');
+const { recordAudit } = require('../services/auditLogService');
+const {
+  NotFoundError,
+  AuthorizationError,
+  ValidationError,
+  ConflictError,
+} = require('../utils/AppError');
+const { successResponse } = require('../utils/responseHandler');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Find the organization a request targets
+ * Members may view it; managing members takes an org admin membership.
+ * Platform admins may do both in any organization.
+ * @param {Object} req - Express request with the organization ID in params
+ * @param {Object} options - { manage: require org admin rights }
+ * @returns {Promise<Object>} { organization, membership, canManage } (membership is null for platform admins outside it)
+ * @throws {NotFoundError} If the organization does not exist or the caller is not a member
+ * @throws {AuthorizationError} If manage is set and the caller is not an org admin
+ */
+const findOrganization = async (req, { manage = false } = {}) => {
+  const organization = await Organization.findById(req.params.id);
+  const membership = organization
+    ? await Membership.findOne({ organization: organization._id, user: req.user._id })
+    : null;
+  const isPlatformAdmin = req.user.role === 'admin';
+
+  // Non-members cannot tell other organizations apart from missing ones
+  if (!organization || (!membership && !isPlatformAdmin)) {
+    throw new NotFoundError('Organization not found');
+  }
+
+  const canManage = membership?.role === 'admin' || isPlatformAdmin;
+  if (manage && !canManage) {
+    throw new AuthorizationError('Only organization admins can manage members');
+  }
+
+  return { organization, membership, canManage };
+};
+
+/**
+ * Find a membership of the organization by user ID
+ * @throws {NotFoundError} If the user is not a member
+ */
+const findMembership = async (organization, userId) => {
+  const membership = await Membership.findOne({ organization: organization._id, user: userId }).populate(
+    'user',
+    'name email organization'
+  );
+
+  if (!membership || !membership.user) {
+    throw new NotFoundError('Member not found');
+  }
+
+  return membership;
+};
+
+/**
+ * Reject changes that would leave the organization without an admin
+ * @param {Object} membership - Membership about to be demoted or removed
+ * @throws {ValidationError} If it is the last admin membership
+ */
+const assertNotLastAdmin = async (membership) => {
+  if (membership.role !== 'admin') return;
+
+  const admins = await Membership.countDocuments({ organization: membership.organization, role: 'admin' });
+  if (admins <= 1) {
+    throw new ValidationError('An organization needs at least one admin');
+  }
+};
+
+/**
+ * Member as returned by the API
+ * @param {Object} membership - Membership with user populated
+ * @returns {Object}
+ */
+const formatMember = (membership) => ({
+  user: {
+    id: membership.user._id,
+    name: membership.user.name,
+    email: membership.user.email,
+  },
+  role: membership.role,
+  isCurrent: String(membership.user.organization || '') === String(membership.organization),
+  joinedAt: membership.createdAt,
+});
+
+/**
+ * Invite as returned by the API
+ * @param {Object} invite - Invite, with organization populated for the invitee's list
+ * @returns {Object}
+ */
+const formatInvite = (invite) => ({
+  id: invite._id,
+  email: invite.email,
+  role: invite.role,
+  organization: invite.populated('organization')
+    ? { id: invite.organization._id, name: invite.organization.name, slug: invite.organization.slug }
+    : invite.organization,
+  expiresAt: invite.expiresAt,
+});
+
+/**
+ * @route   POST /api/v1/organizations
+ * @desc    Create an organization; the creator becomes its first admin
+ * @access  Private (Admin only)
+ */
+const createOrganization = asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+
+  const organization = await Organization.create({
+    name,
+    description,
+    slug: await Organization.generateSlug(name),
+    createdBy: req.user._id,
+  });
+
+  await Membership.create({
+    organization: organization._id,
+    user: req.user._id,
+    role: 'admin',
+    addedBy: req.user._id,
+  });
+
+  await recordAudit({
+    req,
+    action: 'organization.create',
+    targetType: 'organization',
+    targetId: organization._id,
+    after: organization,
+  });
+
+  logger.info(`Organization created by ${req.user.email}: ${organization.name}`);
+
+  return successResponse(res, 201, 'Organization created successfully', { organization });
+});
+
+/**
+ * @route   GET /api/v1/organizations
+ * @desc    Get the caller's organizations with their role in each
+ * @access  Private
+ */
+const getOrganizations = asyncHandler(async (req, res) => {
+  const memberships = await Membership.find({ user: req.user._id })
+    .populate('organization', 'name slug description')
+    .sort({ createdAt: 1 });
+
+  const organizations = memberships
+    .filter((membership) => membership.organization)
+    .map((membership) => ({
+      ...membership.organization.toObject(),
+      role: membership.role,
+      isCurrent: String(req.user.organization || '') === String(membership.organization._id),
+    }));
+
+  return successResponse(res, 200, 'Organizations retrieved successfully', {
+    organizations,
+    current: req.user.organization,
+  });
+});
+
+/**
+ * @route   GET /api/v1/organizations/:id/members
+ * @desc    Get the members of an organization, and its pending invites for org admins
+ * @access  Private (members)
+ */
+const getMembers = asyncHandler(async (req, res) => {
+  const { organization, canManage } = await findOrganization(req);
+
+  const memberships = await Membership.find({ organization: organization._id })
+    .populate('user', 'name email organization')
+    .sort({ role: 1, createdAt: 1 });
+
+  // Pending invites are only shown to the admins who can revoke them
+  const invites = canManage
+    ? await OrganizationInvite.find({ organization: organization._id, expiresAt: { $gt: new Date() } }).sort({
+        createdAt: 1,
+      })
+    : [];
+
+  return successResponse(res, 200, 'Members retrieved successfully', {
+    organization,
+    members: memberships.filter((membership) => membership.user).map(formatMember),
+    invites: invites.map(formatInvite),
+  });
+});
+
+/**
+ * @route   POST /api/v1/organizations/:id/invites
+ * @desc    Invite someone to an organization by email. The response is the
+ *          same whether or not the address has an account, and nothing about
+ *          the account changes until its owner accepts.
+ * @access  Private (organization admins)
+ */
+const inviteMember = asyncHandler(async (req, res) => {
+  const { organization } = await findOrganization(req, { manage: true });
+  const { email, role = 'member' } = req.body;
+
+  // Only reveals accounts that are already visible in the member list
+  const members = await Membership.find({ organization: organization._id }).populate('user', 'email');
+  if (members.some((membership) => membership.user?.email === email)) {
+    throw new ConflictError(`${email} is already a member of ${organization.name}`);
+  }
+
+  const invite = await OrganizationInvite.invite(organization, email, role, req.user);
+
+  await recordAudit({
+    req,
+    action: 'organization.member_invite',
+    targetType: 'organization',
+    targetId: organization._id,
+    after: { member: email, role },
+  });
+
+  logger.info(`${email} invited to ${organization.name} by ${req.user.email} as ${role}`);
+
+  return successResponse(res, 202, `Invitation sent to ${email}`, { invite: formatInvite(invite) });
+});
+
+/**
+ * @route   DELETE /api/v1/organizations/:id/invites/:inviteId
+ * @desc    Revoke a pending invite
+ * @access  Private (organization admins)
+ */
+const revokeInvite = asyncHandler(async (req, res) => {
+  const { organization } = await findOrganization(req, { manage: true });
+
+  const invite = await OrganizationInvite.findOneAndDelete({
+    _id: req.params.inviteId,
+    organization: organization._id,
+  });
+  if (!invite) {
+    throw new NotFoundError('Invite not found');
+  }
+
+  await recordAudit({
+    req,
+    action: 'organization.invite_revoke',
+    targetType: 'organization',
+    targetId: organization._id,
+    before: { member: invite.email, role: invite.role },
+  });
+
+  logger.info(`Invite for ${invite.email} to ${organization.name} revoked by ${req.user.email}`);
+
+  return successResponse(res, 200, 'Invite revoked successfully');
+});
+
+/**
+ * @route   GET /api/v1/organizations/invites
+ * @desc    Get the pending invites addressed to the caller
+ * @access  Private
+ */
+const getMyInvites = asyncHandler(async (req, res) => {
+  const invites = await OrganizationInvite.find({
+    email: req.user.email.toLowerCase(),
+    expiresAt: { $gt: new Date() },
+  })
+    .populate('organization', 'name slug')
+    .sort({ createdAt: 1 });
+
+  return successResponse(res, 200, 'Invites retrieved successfully', {
+    invites: invites.filter((invite) => invite.organization).map(formatInvite),
+  });
+});
+
+/**
+ * @route   POST /api/v1/organizations/invites/:inviteId/accept
+ * @desc    Join the organization an invite is for; callers outside any
+ *          organization start working in it straight away
+ * @access  Private (the invitee)
+ */
+const acceptInvite = asyncHandler(async (req, res) => {
+  const pending = await OrganizationInvite.findPendingFor(req.params.inviteId, req.user);
+  const organization = pending && (await Organization.findById(pending.organization));
+  if (!organization) {
+    throw new NotFoundError('Invite not found');
+  }
+
+  // Deleting first means an invite is only used once under concurrent accepts
+  const invite = await OrganizationInvite.findOneAndDelete({ _id: pending._id });
+  if (!invite) {
+    throw new NotFoundError('Invite not found');
+  }
+
+  if (await Membership.exists({ organization: organization._id, user: req.user._id })) {
+    throw new ConflictError(`You are already a member of ${organization.name}`);
+  }
+
+  await Membership.create({
+    organization: organization._id,
+    user: req.user._id,
+    role: invite.role,
+    addedBy: invite.invitedBy,
+  });
+
+  if (!req.user.organization) {
+    req.user.organization = organization._id;
+    await req.user.save();
+  }
+  await req.user.loadOrganizationRole();
+
+  await recordAudit({
+    req,
+    action: 'organization.member_add',
+    targetType: 'organization',
+    targetId: organization._id,
+    after: { member: req.user.email, role: invite.role },
+    metadata: { invitedBy: invite.invitedBy },
+  });
+
+  logger.info(`${req.user.email} joined ${organization.name} as ${invite.role}`);
+
+  return successResponse(res, 200, `You joined ${organization.name}`, { user: req.user.profile });
+});
+
+/**
+ * @route   DELETE /api/v1/organizations/invites/:inviteId
+ * @desc    Decline an invite
+ * @access  Private (the invitee)
+ */
+const declineInvite = asyncHandler(async (req, res) => {
+  const invite = await OrganizationInvite.findPendingFor(req.params.inviteId, req.user);
+  if (!invite) {
+    throw new NotFoundError('Invite not found');
+  }
+
+  await invite.deleteOne();
+
+  logger.info(`${req.user.email} declined an invite to organization ${invite.organization}`);
+
+  return successResponse(res, 200, 'Invite declined');
+});
+
+/**
+ * @route   PATCH /api/v1/organizations/:id/members/:userId
+ * @desc    Change a member's organization role
+ * @access  Private (organization admins)
+ */
+const updateMemberRole = asyncHandler(async (req, res) => {
+  const { organization } = await findOrganization(req, { manage: true });
+  const membership = await findMembership(organization, req.params.userId);
+  const { role } = req.body;
+  const previousRole = membership.role;
+
+  if (previousRole !== role) {
+    await assertNotLastAdmin(membership);
+
+    membership.role = role;
+    await membership.save();
+
+    await recordAudit({
+      req,
+      action: 'organization.member_update',
+      targetType: 'organization',
+      targetId: organization._id,
+      before: { member: membership.user.email, role: previousRole },
+      after: { member: membership.user.email, role },
+    });
+
+    logger.info(
+      `Organization role changed by ${req.user.email}: ${membership.user.email} in ${organization.name} ${previousRole} -> ${role}`
+    );
+  }
+
+  return successResponse(res, 200, 'Member role updated successfully', { member: formatMember(membership) });
+});
+
+/**
+ * @route   DELETE /api/v1/organizations/:id/members/:userId
+ * @desc    Remove a member, or leave an organization when the ID is the caller's.
+ *          A user removed from the organization they work in moves to their
+ *          next one, or to none.
+ * @access  Private (organization admins, or the member themselves)
+ */
+const removeMember = asyncHandler(async (req, res) => {
+  const isSelf = req.params.userId === req.user._id.toString();
+  const { organization } = await findOrganization(req, { manage: !isSelf });
+  const membership = await findMembership(organization, req.params.userId);
+
+  await assertNotLastAdmin(membership);
+  await membership.deleteOne();
+
+  const user = membership.user;
+  if (user.organization && user.organization.equals(organization._id)) {
+    const next = await Membership.findOne({ user: user._id }).sort({ createdAt: 1 });
+    await User.updateOne({ _id: user._id }, { organization: next ? next.organization : null });
+  }
+
+  await recordAudit({
+    req,
+    action: 'organization.member_remove',
+    targetType: 'organization',
+    targetId: organization._id,
+    before: { member: user.email, role: membership.role },
+  });
+
+  logger.info(`${user.email} removed from ${organization.name} by ${req.user.email}`);
+
+  return successResponse(res, 200, isSelf ? 'You left the organization' : 'Member removed successfully');
+});
+
+/**
+ * @route   POST /api/v1/organizations/:id/switch
+ * @desc    Work in another of the caller's organizations; signal lists,
+ *          analytics and streams follow the switch
+ * @access  Private (members)
+ */
+const switchOrganization = asyncHandler(async (req, res) => {
+  const { organization } = await findOrganization(req);
+
+  req.user.organization = organization._id;
+  await req.user.save();
+  await req.user.loadOrganizationRole();
+
+  logger.info(`${req.user.email} switched to organization ${organization.name}`);
+
+  return successResponse(res, 200, `Now working in ${organization.name}`, { user: req.user.profile });
+});
+
+module.exports = {
+  createOrganization,
+  getOrganizations,
+  getMembers,
+  inviteMember,
+  revokeInvite,
+  getMyInvites,
+  acceptInvite,
+  declineInvite,
+  updateMemberRole,
+  removeMember,
+  switchOrganization,
+};
@@ -0,0 +1,62 @@
+const { PLANS } = require('../utils/plans');
+const { getPaymentProvider, purchasePlan } = require('../services/billingService');
+const { recordAudit } = require('../services/auditLogService');
+const { successResponse } = require('../utils/responseHandler');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+
+/**
+ * @route   GET /api/v1/plans
+ * @desc    Get the plans, the caller's current plan and whether it can be
+ *          changed through checkout
+ * @access  Private
+ */
+const getPlans = asyncHandler(async (req, res) => {
+  return successResponse(res, 200, 'Plans retrieved successfully', {
+    plans: PLANS,
+    current: req.user.activePlan,
+    expiresAt: req.user.planExpiresAt,
+    checkoutAvailable: Boolean(getPaymentProvider()),
+  });
+});
+
+/**
+ * @route   POST /api/v1/plans/checkout
+ * @desc    Buy a plan through the payment provider; a paid checkout applies it
+ *          at once, a pending one returns the provider's payment page
+ * @access  Private
+ */
+const checkoutPlan = asyncHandler(async (req, res) => {
+  const { plan } = req.body;
+  const before = { plan: req.user.plan, planExpiresAt: req.user.planExpiresAt };
+
+  const checkout = await purchasePlan(req.user, plan);
+
+  if (checkout.status === 'paid') {
+    await recordAudit({
+      req,
+      action: 'user.plan_change',
+      targetType: 'user',
+      targetId: req.user._id,
+      before,
+      after: { plan: req.user.plan, planExpiresAt: req.user.planExpiresAt },
+      metadata: { via: 'checkout', reference: checkout.reference },
+    });
+
+    logger.info(`Plan bought by ${req.user.email}: ${plan} (${checkout.reference})`);
+  }
+
+  await req.user.loadOrganizationRole();
+
+  return successResponse(
+    res,
+    200,
+    checkout.status === 'paid' ? `You are now on the ${plan} plan` : 'Complete the payment to upgrade',
+    { checkout, user: req.user.profile }
+  );
+});
+
+module.exports = {
+  getPlans,
+  checkoutPlan,
+};
@@ -0,0 +1,253 @@
+const Portfolio = require('../models/Portfolio');
+const Position = require('../models/Position');
+const TradingSignal = require('../models/TradingSignal');
+const { getPriceFeed, resolveSymbol } = require('../services/priceFeedService');
+const { getTargetLevel } = require('../utils/signalLevels');
+const { organizationFilter } = require('../utils/signalFilters');
+const { canViewSignal } = require('../utils/plans');
+const { isPublishedFor } = require('../utils/signalPublication');
+const { closePosition, markPositions, buildPnlHistory } = require('../services/paperTradingService');
+const {
+  NotFoundError,
+  AuthorizationError,
+  ConflictError,
+  ValidationError,
+} = require('../utils/AppError');
+const { successResponse } = require('../utils/responseHandler');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Find a portfolio owned by the current user
+ * @param {string} id - Portfolio ID
+ * @param {Object} user - Current user
+ * @returns {Promise<Object>} Portfolio document
+ * @throws {NotFoundError} If the portfolio does not exist or belongs to someone else
+ */
+const findOwnPortfolio = async (id, user) => {
+  const portfolio = await Portfolio.findOwnedBy(id, user._id);
+
+  if (!portfolio) {
+    throw new NotFoundError('Portfolio not found');
+  }
+
+  return portfolio;
+};
+
+/**
+ * Get the current market price for a symbol
+ * @param {string} symbol - Ticker symbol
+ * @returns {Promise<number>} Price
+ * @throws {ValidationError} If the price feed has no price for the symbol
+ */
+const getMarketPrice = async (symbol) => {
+  const price = await getPriceFeed().getPrice(symbol);
+
+  if (price === null || price === undefined) {
+    throw new ValidationError(`No market price available for ${symbol}`);
+  }
+
+  return price;
+};
+
+/**
+ * @route   POST /api/v1/portfolios
+ * @desc    Create a paper-trading portfolio
+ * @access  Private
+ */
+const createPortfolio = asyncHandler(async (req, res) => {
+  const { name, startingBalance } = req.body;
+
+  const existingPortfolio = await Portfolio.findOne({ user: req.user._id, name });
+  if (existingPortfolio) {
+    throw new ConflictError('A portfolio with this name already exists');
+  }
+
+  const portfolio = await Portfolio.create({ name, startingBalance, user: req.user._id });
+
+  logger.info(`Portfolio created by ${req.user.email}: ${portfolio.name}`);
+
+  return successResponse(res, 201, 'Portfolio created successfully', { portfolio });
+});
+
+/**
+ * @route   GET /api/v1/portfolios
+ * @desc    Get the current user's portfolios
+ * @access  Private
+ */
+const getPortfolios = asyncHandler(async (req, res) => {
+  const portfolios = await Portfolio.find({ user: req.user._id }).sort({ createdAt: 1 });
+
+  return successResponse(res, 200, 'Portfolios retrieved successfully', { portfolios });
+});
+
+/**
+ * @route   GET /api/v1/portfolios/:id
+ * @desc    Get a portfolio with open positions marked to market, closed
+ *          positions and realized P&L history
+ * @access  Private (owner)
+ */
+const getPortfolioById = asyncHandler(async (req, res) => {
+  const portfolio = await findOwnPortfolio(req.params.id, req.user);
+
+  const [openPositions, closedPositions] = await Promise.all([
+    Position.find({ portfolio: portfolio._id, status: 'open' })
+      .populate('signal', 'title signalType status')
+      .sort({ createdAt: -1 }),
+    Position.find({ portfolio: portfolio._id, status: 'closed' })
+      .populate('signal', 'title signalType')
+      .sort({ closedAt: 1 }),
+  ]);
+
+  const prices = await getPriceFeed().getPrices(openPositions.map((p) => p.symbol));
+  const markedPositions = markPositions(openPositions, prices);
+
+  // Positions without a price are valued at cost
+  const openValue = markedPositions.reduce(
+    (sum, p) => sum + p.size + (p.unrealizedPnl ?? 0),
+    0
+  );
+  const unrealizedPnl = markedPositions.reduce((sum, p) => sum + (p.unrealizedPnl ?? 0), 0);
+  const equity = portfolio.cashBalance + openValue;
+  const wins = closedPositions.filter((p) => p.realizedPnl > 0).length;
+
+  const summary = {
+    equity: round(equity),
+    cashBalance: round(portfolio.cashBalance),
+    openValue: round(openValue),
+    realizedPnl: round(portfolio.realizedPnl),
+    unrealizedPnl: round(unrealizedPnl),
+    totalReturnPct: round(((equity - portfolio.startingBalance) / portfolio.startingBalance) * 100),
+    openCount: openPositions.length,
+    closedCount: closedPositions.length,
+    winRate: closedPositions.length ? round((wins / closedPositions.length) * 100) : null,
+  };
+
+  return successResponse(res, 200, 'Portfolio retrieved successfully', {
+    portfolio,
+    summary,
+    openPositions: markedPositions,
+    closedPositions: [...closedPositions].reverse(),
+    history: buildPnlHistory(portfolio, closedPositions),
+  });
+});
+
+/**
+ * @route   DELETE /api/v1/portfolios/:id
+ * @desc    Delete a portfolio and its positions
+ * @access  Private (owner)
+ */
+const deletePortfolio = asyncHandler(async (req, res) => {
+  const portfolio = await findOwnPortfolio(req.params.id, req.user);
+
+  await Position.deleteMany({ portfolio: portfolio._id });
+  await portfolio.deleteOne();
+
+  logger.info(`Portfolio deleted by ${req.user.email}: ${portfolio.name}`);
+
+  return successResponse(res, 200, 'Portfolio deleted successfully');
+});
+
+/**
+ * @route   POST /api/v1/portfolios/:id/positions
+ * @desc    Open a position that follows a signal, at the current market price
+ * @access  Private (owner)
+ */
+const openPosition = asyncHandler(async (req, res) => {
+  const { signal: signalId, size } = req.body;
+
+  const portfolio = await findOwnPortfolio(req.params.id, req.user);
+
+  const signal = await TradingSignal.findOne({ _id: signalId, ...organizationFilter(req.user) }).populate(
+    'asset',
+    'ticker'
+  );
+  if (!signal || !isPublishedFor(signal, req.user)) {
+    throw new NotFoundError('Signal not found');
+  }
+  if (signal.status !== 'active' || (signal.expiresAt && signal.expiresAt <= new Date())) {
+    throw new ValidationError('Only active signals can be followed');
+  }
+  if (signal.signalType === 'HOLD') {
+    throw new ValidationError('HOLD signals cannot be followed with a position');
+  }
+  // A position exposes the signal's levels
+  if (!canViewSignal(signal, req.user)) {
+    throw new AuthorizationError(`Following this signal needs the ${signal.minPlan} plan`);
+  }
+
+  const symbol = signal.asset?.ticker || resolveSymbol(signal.cryptocurrency);
+  const entryPrice = await getMarketPrice(symbol);
+
+  const reserved = await Portfolio.reserveCash(portfolio._id, size);
+  if (!reserved) {
+    throw new ValidationError('Insufficient cash in portfolio');
+  }
+
+  let position;
+  try {
+    position = await Position.create({
+      portfolio: portfolio._id,
+      user: req.user._id,
+      signal: signal._id,
+      symbol,
+      cryptocurrency: signal.cryptocurrency,
+      side: signal.signalType === 'BUY' ? 'long' : 'short',
+      size,
+      quantity: size / entryPrice,
+      entryPrice,
+      targetPrice: getTargetLevel(signal),
+      stopLoss: signal.stopLoss,
+      expiresAt: signal.expiresAt,
+    });
+  } catch (error) {
+    // Give the reserved cash back if the position could not be stored
+    await Portfolio.updateOne({ _id: portfolio._id }, { $inc: { cashBalance: size } });
+    throw error;
+  }
+
+  logger.info(`Position opened by ${req.user.email}: ${position.side} ${symbol} ${size}`);
+
+  return successResponse(res, 201, 'Position opened successfully', { position });
+});
+
+/**
+ * @route   POST /api/v1/portfolios/:id/positions/:positionId/close
+ * @desc    Close an open position at the current market price
+ * @access  Private (owner)
+ */
+const closeOpenPosition = asyncHandler(async (req, res) => {
+  const portfolio = await findOwnPortfolio(req.params.id, req.user);
+
+  const position = await Position.findOne({
+    _id: req.params.positionId,
+    portfolio: portfolio._id,
+  });
+  if (!position) {
+    throw new NotFoundError('Position not found');
+  }
+  if (position.status !== 'open') {
+    throw new ConflictError('Position is already closed');
+  }
+
+  const exitPrice = await getMarketPrice(position.symbol);
+  const closed = await closePosition(position, exitPrice, 'manual');
+  if (!closed) {
+    throw new ConflictError('Position is already closed');
+  }
+
+  logger.info(`Position closed by ${req.user.email}: ${closed.symbol} ${closed.realizedPnl}`);
+
+  return successResponse(res, 200, 'Position closed successfully', { position: closed });
+});
+
+module.exports = {
+  createPortfolio,
+  getPortfolios,
+  getPortfolioById,
+  deletePortfolio,
+  openPosition,
+  closeOpenPosition,
+};
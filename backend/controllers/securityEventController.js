@@ -0,0 +1,36 @@
+const SecurityEvent = require('../models/SecurityEvent');
+const { paginatedResponse } = require('../utils/responseHandler');
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * @route   GET /api/v1/auth/security-events
+ * @desc    Get the current user's security events (lockouts, unfamiliar sign-ins, token reuse), newest first
+ * @access  Private (session only)
+ */
+const getSecurityEvents = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const filter = { user: req.user._id };
+
+  const total = await SecurityEvent.countDocuments(filter);
+  const totalPages = Math.ceil(total / limit);
+
+  const events = await SecurityEvent.find(filter)
+    .select('-user')
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit, 10))
+    .lean();
+
+  return paginatedResponse(res, 200, 'Security events retrieved successfully', events, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+    total,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+  });
+});
+
+module.exports = {
+  getSecurityEvents,
+};
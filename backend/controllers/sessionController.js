@@ -0,0 +1,48 @@
+const Session = require('../models/Session');
+const { revokeSession: endSession } = require('../services/sessionService');
+const { NotFoundError } = require('../utils/AppError');
+const { successResponse } = require('../utils/responseHandler');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    Get the current user's signed-in devices (most recently used first)
+ * @access  Private (session only)
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({ user: req.user._id }).sort({ lastUsedAt: -1 }).lean();
+
+  return successResponse(res, 200, 'Sessions retrieved successfully', {
+    sessions: sessions.map((session) => ({
+      ...session,
+      current: session._id.toString() === req.sessionId,
+    })),
+  });
+});
+
+/**
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @desc    Sign out a device; its refresh and access tokens stop working immediately
+ * @access  Private (session only)
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  const session = await endSession({ _id: req.params.id, user: req.user._id });
+
+  if (!session) {
+    throw new NotFoundError('Session not found');
+  }
+
+  const current = session._id.toString() === req.sessionId;
+
+  logger.info(`Session ended by ${req.user.email}: ${session.name} (${session._id})`);
+
+  return successResponse(res, 200, 'Session revoked successfully', {
+    session: { _id: session._id, name: session.name, current },
+  });
+});
+
+module.exports = {
+  getSessions,
+  revokeSession,
+};
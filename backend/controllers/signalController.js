@@ -1,47 +1,43 @@
+const mongoose = require('mongoose');
 const TradingSignal = require('../models/TradingSignal');
+const SignalRevision = require('../models/SignalRevision');
+const Asset = require('../models/Asset');
 const { cache } = require('../config/redis');
-const { NotFoundError, AuthorizationError } = require('../utils/AppError');
+const { getCacheKey, invalidateSignalCache } = require('../utils/signalCache');
+const { publishSignalEvent, subscribe, getEventsSince } = require('../services/signalEventService');
+const { buildCalibrationReport } = require('../services/calibrationService');
+const { resolveAsset, createTradingSignal } = require('../services/signalService');
+const { recordAudit, snapshot } = require('../services/auditLogService');
+const { diffRevision, recordRevision, redactRevision } = require('../services/signalRevisionService');
+const {
+  findOwnWatchlist,
+  organizationFilter,
+  isInOrganization,
+  buildSignalFilters,
+} = require('../utils/signalFilters');
+const { redactSignal } = require('../utils/plans');
+const { publicationFilter, isPublishedFor } = require('../utils/signalPublication');
+const { NotFoundError, AuthorizationError, ValidationError } = require('../utils/AppError');
 const { successResponse, paginatedResponse } = require('../utils/responseHandler');
 const asyncHandler = require('../utils/asyncHandler');
 const logger = require('../utils/logger');
 
-/**
- * Cache key generators
- */
-const getCacheKey = {
-  signal: (id) => `signal:${id}`,
-  signalsList: (page, limit, filters) => {
-    const filterHash = JSON.stringify(filters);
-    return `signals:page:${page}:limit:${limit}:filters:${filterHash}`;
-  },
-  allSignals: () => 'signals:*',
-};
-
 /**
  * @route   POST /api/v1/signals
- * @desc    Create new trading signal (Admin only)
- * @access  Private/Admin
+ * @desc    Create new trading signal
+ * @access  Private (signals:create - admins and analysts)
  */
 const createSignal = asyncHandler(async (req, res) => {
-  const { title, description, signalType, cryptocurrency, targetPrice, confidence, expiresAt } = req.body;
-
-  const signal = await TradingSignal.create({
-    title,
-    description,
-    signalType,
-    cryptocurrency,
-    targetPrice,
-    confidence,
-    expiresAt,
-    createdBy: req.user._id,
+  const signal = await createTradingSignal(req.body, req.user);
+
+  await recordAudit({
+    req,
+    action: 'signal.create',
+    targetType: 'signal',
+    targetId: signal._id,
+    after: signal,
   });
 
-  // Populate creator info
-  await signal.populate('createdBy', 'name email');
-
-  // Invalidate cache
-  await cache.delPattern(getCacheKey.allSignals());
-
   logger.info(`Signal created by ${req.user.email}: ${signal.title}`);
 
   return successResponse(res, 201, 'Signal created successfully', { signal });
@@ -49,34 +45,37 @@ const createSignal = asyncHandler(async (req, res) => {
 
 /**
  * @route   GET /api/v1/signals
- * @desc    Get all signals with pagination and filters
+ * @desc    Get signals of the caller's organization with pagination and filters;
+ *          unpublished signals are left out except for their authors, and price
+ *          levels of signals above the caller's plan are masked
  * @access  Private
  */
 const getSignals = asyncHandler(async (req, res) => {
-  const {
-    page = 1,
-    limit = 20,
-    signalType,
-    cryptocurrency,
-    minConfidence,
-    status = 'active',
-    sortBy = 'createdAt',
-    order = 'desc',
-  } = req.query;
+  const { page = 1, limit = 20, sortBy = 'createdAt', order = 'desc' } = req.query;
 
   // Build filter object
-  const filters = { status };
+  const { filters, watchlist } = await buildSignalFilters(req.query, req.user);
+  Object.assign(filters, organizationFilter(req.user));
 
-  if (signalType) filters.signalType = signalType;
-  if (cryptocurrency) filters.cryptocurrency = new RegExp(cryptocurrency, 'i');
-  if (minConfidence) filters.confidence = { $gte: parseInt(minConfidence, 10) };
+  // $and, since a watchlist filter may already use $or
+  const publication = publicationFilter(req.user);
+  if (publication.$or) {
+    filters.$and = [...(filters.$and || []), publication];
+  }
+
+  // Watchlist contents are not visible in the serialized filters, so key on its version
+  const watchlistVersion = watchlist ? { id: watchlist._id, updatedAt: watchlist.updatedAt } : null;
 
   // Build sort object
   const sortOrder = order === 'asc' ? 1 : -1;
   const sort = { [sortBy]: sortOrder };
 
   // Check cache
-  const cacheKey = getCacheKey.signalsList(page, limit, { filters, sort });
+  const cacheKey = getCacheKey.signalsList(req.user.organization, page, limit, {
+    filters,
+    sort,
+    watchlist: watchlistVersion,
+  });
   const cachedData = await cache.get(cacheKey);
 
   if (cachedData) {
@@ -85,7 +84,7 @@ const getSignals = asyncHandler(async (req, res) => {
       res,
       200,
       'Signals retrieved successfully (cached)',
-      cachedData.signals,
+      cachedData.signals.map((signal) => redactSignal(signal, req.user)),
       cachedData.pagination
     );
   }
@@ -98,6 +97,7 @@ const getSignals = asyncHandler(async (req, res) => {
   // Fetch signals
   const signals = await TradingSignal.find(filters)
     .populate('createdBy', 'name email')
+    .populate('asset', 'ticker name quoteCurrency')
     .sort(sort)
     .skip(skip)
     .limit(parseInt(limit, 10));
@@ -112,16 +112,24 @@ const getSignals = asyncHandler(async (req, res) => {
     hasPrevPage: page > 1,
   };
 
-  // Cache the result (5 minutes TTL)
+  // Cache the result (5 minutes TTL); cached unmasked, since plans differ per caller
   const cacheTTL = parseInt(process.env.CACHE_TTL_SIGNALS, 10) || 300;
   await cache.set(cacheKey, { signals, pagination }, cacheTTL);
 
-  return paginatedResponse(res, 200, 'Signals retrieved successfully', signals, pagination);
+  return paginatedResponse(
+    res,
+    200,
+    'Signals retrieved successfully',
+    signals.map((signal) => redactSignal(signal, req.user)),
+    pagination
+  );
 });
 
 /**
  * @route   GET /api/v1/signals/:id
- * @desc    Get single signal by ID
+ * @desc    Get single signal by ID (signals of other organizations, and other
+ *          people's unpublished signals, are not found); price levels are masked
+ *          if the signal is above the caller's plan
  * @access  Private
  */
 const getSignalById = asyncHandler(async (req, res) => {
@@ -131,17 +139,23 @@ const getSignalById = asyncHandler(async (req, res) => {
   const cacheKey = getCacheKey.signal(id);
   const cachedSignal = await cache.get(cacheKey);
 
+  if (cachedSignal && (!isInOrganization(cachedSignal, req.user) || !isPublishedFor(cachedSignal, req.user))) {
+    throw new NotFoundError('Signal not found');
+  }
+
   if (cachedSignal) {
     logger.debug(`Cache hit for signal: ${id}`);
     return successResponse(res, 200, 'Signal retrieved successfully (cached)', {
-      signal: cachedSignal,
+      signal: redactSignal(cachedSignal, req.user),
     });
   }
 
   // Fetch from database
-  const signal = await TradingSignal.findById(id).populate('createdBy', 'name email');
+  const signal = await TradingSignal.findOne({ _id: id, ...organizationFilter(req.user) })
+    .populate('createdBy', 'name email')
+    .populate('asset', 'ticker name quoteCurrency');
 
-  if (!signal) {
+  if (!signal || !isPublishedFor(signal, req.user)) {
     throw new NotFoundError('Signal not found');
   }
 
@@ -149,79 +163,335 @@ const getSignalById = asyncHandler(async (req, res) => {
   const cacheTTL = parseInt(process.env.CACHE_TTL_SIGNAL_DETAIL, 10) || 600;
   await cache.set(cacheKey, signal, cacheTTL);
 
-  return successResponse(res, 200, 'Signal retrieved successfully', { signal });
+  return successResponse(res, 200, 'Signal retrieved successfully', {
+    signal: redactSignal(signal, req.user),
+  });
+});
+
+/**
+ * @route   GET /api/v1/signals/:id/history
+ * @desc    Get the edits made to a signal since it was published, newest
+ *          first; price levels are masked as on the signal itself
+ * @access  Private
+ */
+const getSignalHistory = asyncHandler(async (req, res) => {
+  const signal = await TradingSignal.findOne({ _id: req.params.id, ...organizationFilter(req.user) }).select(
+    'title createdBy minPlan publication revision revisedAt'
+  );
+
+  if (!signal || !isPublishedFor(signal, req.user)) {
+    throw new NotFoundError('Signal not found');
+  }
+
+  const revisions = await SignalRevision.find({ signal: signal._id }).sort({ version: -1 });
+
+  return successResponse(res, 200, 'Signal history retrieved successfully', {
+    signal: { _id: signal._id, title: signal.title, revision: signal.revision, revisedAt: signal.revisedAt },
+    revisions: revisions.map((revision) => redactRevision(revision, signal, req.user)),
+  });
 });
 
 /**
  * @route   PUT /api/v1/signals/:id
- * @desc    Update signal (Admin only)
- * @access  Private/Admin
+ * @desc    Update signal; edits to a published signal are kept as revisions
+ * @access  Private (signals:update - admins, or analysts for their own signals)
  */
 const updateSignal = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { title, description, signalType, cryptocurrency, targetPrice, confidence, status, expiresAt } = req.body;
+  const {
+    title,
+    description,
+    signalType,
+    asset: assetRef,
+    cryptocurrency,
+    targetPrice,
+    entryPrice,
+    entryRange,
+    stopLoss,
+    takeProfits,
+    confidence,
+    status,
+    minPlan,
+    expiresAt,
+    draft,
+    publishAt,
+    freeDelayMinutes,
+  } = req.body;
 
-  const signal = await TradingSignal.findById(id);
+  const signal = await TradingSignal.findOne({ _id: id, ...organizationFilter(req.user) });
 
   if (!signal) {
     throw new NotFoundError('Signal not found');
   }
 
+  const wasActive = signal.status === 'active';
+  const wasPublished = signal.isPublished;
+  const before = snapshot(signal);
+
   // Update fields
   if (title) signal.title = title;
   if (description !== undefined) signal.description = description;
   if (signalType) signal.signalType = signalType;
-  if (cryptocurrency) signal.cryptocurrency = cryptocurrency;
+  if (assetRef || cryptocurrency) {
+    const asset = await resolveAsset(assetRef || cryptocurrency);
+    signal.asset = asset._id;
+    signal.cryptocurrency = asset.displayName;
+  }
   if (targetPrice) signal.targetPrice = targetPrice;
+  // Price levels are optional, so null clears them
+  if (entryPrice !== undefined) signal.entryPrice = entryPrice ?? undefined;
+  if (entryRange !== undefined) signal.entryRange = entryRange ?? undefined;
+  if (stopLoss !== undefined) signal.stopLoss = stopLoss ?? undefined;
+  if (takeProfits !== undefined) signal.takeProfits = takeProfits ?? undefined;
   if (confidence) signal.confidence = confidence;
   if (status) signal.status = status;
+  if (minPlan) signal.minPlan = minPlan;
   if (expiresAt) signal.expiresAt = expiresAt;
+  if (draft !== undefined || publishAt !== undefined || freeDelayMinutes !== undefined) {
+    if (wasPublished) {
+      throw new ValidationError('Published signals cannot be rescheduled');
+    }
+    signal.setPublication({
+      draft: draft ?? signal.publication === 'draft',
+      publishAt: publishAt !== undefined ? publishAt : signal.publishAt,
+      freeDelayMinutes: freeDelayMinutes ?? signal.freeDelayMinutes,
+    });
+  }
+
+  // Edits to a published signal are kept as revisions readers can review
+  const changes = wasPublished ? diffRevision(before, snapshot(signal)) : null;
 
   await signal.save();
-  await signal.populate('createdBy', 'name email');
+
+  if (changes) {
+    await recordRevision(signal, changes, req.user);
+  }
+
+  await recordAudit({
+    req,
+    action: 'signal.update',
+    targetType: 'signal',
+    targetId: signal._id,
+    before,
+    after: signal,
+  });
+
+  await signal.populate([
+    { path: 'createdBy', select: 'name email' },
+    { path: 'asset', select: 'ticker name quoteCurrency' },
+  ]);
 
   // Invalidate cache
   await cache.del(getCacheKey.signal(id));
   await cache.delPattern(getCacheKey.allSignals());
 
+  // Publishing a draft is a new signal to everyone but its author
+  let eventType = 'signal.updated';
+  if (!wasPublished && signal.isPublished) eventType = 'signal.created';
+  else if (wasActive && signal.status === 'expired') eventType = 'signal.expired';
+
+  publishSignalEvent(eventType, signal);
+
   logger.info(`Signal updated by ${req.user.email}: ${signal.title}`);
 
   return successResponse(res, 200, 'Signal updated successfully', { signal });
 });
 
+/**
+ * @route   POST /api/v1/signals/:id/expire
+ * @desc    Expire an active signal early (other people's unpublished signals
+ *          are not found)
+ * @access  Private (signals:expire - admins and moderators)
+ */
+const expireSignal = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const signal = await TradingSignal.findOne({ _id: id, ...organizationFilter(req.user) });
+
+  // Other people's drafts and scheduled signals are not found, as on GET
+  if (!signal || !isPublishedFor(signal, req.user)) {
+    throw new NotFoundError('Signal not found');
+  }
+
+  if (signal.status !== 'active') {
+    throw new ValidationError('Only active signals can be expired');
+  }
+
+  const before = snapshot(signal);
+  await signal.markExpired();
+
+  await recordAudit({
+    req,
+    action: 'signal.expire',
+    targetType: 'signal',
+    targetId: signal._id,
+    before,
+    after: signal,
+  });
+
+  await signal.populate([
+    { path: 'createdBy', select: 'name email' },
+    { path: 'asset', select: 'ticker name quoteCurrency' },
+  ]);
+
+  await invalidateSignalCache([id]);
+
+  publishSignalEvent('signal.expired', signal);
+
+  logger.info(`Signal expired by ${req.user.email}: ${signal.title}`);
+
+  // Moderators can expire signals above their own plan
+  return successResponse(res, 200, 'Signal expired successfully', {
+    signal: redactSignal(signal, req.user),
+  });
+});
+
 /**
  * @route   DELETE /api/v1/signals/:id
- * @desc    Delete signal (Admin only)
- * @access  Private/Admin
+ * @desc    Delete signal
+ * @access  Private (signals:delete - admins)
  */
 const deleteSignal = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  const signal = await TradingSignal.findById(id);
+  const signal = await TradingSignal.findOne({ _id: id, ...organizationFilter(req.user) });
 
   if (!signal) {
     throw new NotFoundError('Signal not found');
   }
 
   await signal.deleteOne();
+  await SignalRevision.deleteMany({ signal: signal._id });
+
+  await recordAudit({
+    req,
+    action: 'signal.delete',
+    targetType: 'signal',
+    targetId: signal._id,
+    before: signal,
+  });
 
   // Invalidate cache
   await cache.del(getCacheKey.signal(id));
   await cache.delPattern(getCacheKey.allSignals());
 
+  publishSignalEvent('signal.deleted', signal);
+
   logger.info(`Signal deleted by ${req.user.email}: ${signal.title}`);
 
   return successResponse(res, 200, 'Signal deleted successfully');
 });
 
+/**
+ * Check whether a serialized signal matches stream filters
+ * Mirrors the filters getSignals applies to its query
+ * @param {Object} signal - Signal JSON
+ * @param {Object} filters - Query filters
+ * @param {Object|null} watchlist - Watchlist the stream is restricted to
+ * @returns {boolean} True if the signal matches
+ */
+const matchesStreamFilters = (signal, filters, watchlist = null) => {
+  const { signalType, asset, cryptocurrency, minConfidence, status = 'active', result } = filters;
+
+  if (watchlist && !watchlist.matchesSignal(signal)) return false;
+
+  if (signal.status !== status) return false;
+  if (signalType && signal.signalType !== signalType) return false;
+  if (minConfidence && signal.confidence < parseInt(minConfidence, 10)) return false;
+  if (result && signal.result !== result) return false;
+  if (asset) {
+    const ticker = (signal.asset?.ticker || '').toLowerCase();
+    const assetId = (signal.asset?._id || signal.asset)?.toString();
+    if (assetId !== asset && ticker !== asset.toLowerCase()) return false;
+  }
+  if (
+    cryptocurrency &&
+    !signal.cryptocurrency.toLowerCase().includes(cryptocurrency.toLowerCase())
+  ) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * @route   GET /api/v1/signals/stream
+ * @desc    Stream signal events over Server-Sent Events
+ *          Each event carries { id, signal }; signal is null when the signal was
+ *          deleted or no longer matches the stream filters, so clients drop it
+ * @access  Private
+ */
+const streamSignals = asyncHandler(async (req, res) => {
+  const filters = req.query;
+  const watchlist = filters.watchlist ? await findOwnWatchlist(filters.watchlist, req.user) : null;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx, Render)
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    // Other organizations' signals are never streamed, not even their IDs,
+    // and nor are signals not yet published for this user
+    if (!isInOrganization(event.signal, req.user) || !isPublishedFor(event.signal, req.user)) return;
+
+    const matches = matchesStreamFilters(event.signal, filters, watchlist);
+
+    // New signals are only interesting if they match; other changes always go out
+    if (event.type === 'signal.created' && !matches) return;
+
+    const signalId = event.signal._id || event.signal.id;
+    const payload = {
+      id: signalId,
+      signal: event.type !== 'signal.deleted' && matches ? redactSignal(event.signal, req.user) : null,
+      timestamp: event.timestamp,
+    };
+
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  res.write(`retry: ${parseInt(process.env.SIGNAL_STREAM_RETRY_MS, 10) || 5000}\n\n`);
+
+  // Resume after a reconnect
+  const lastEventId = req.get('Last-Event-ID');
+  if (lastEventId) {
+    const missed = getEventsSince(lastEventId);
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      // Too far behind to replay; the client should refetch its list
+      res.write('event: reset\ndata: {}\n\n');
+    }
+  }
+
+  const unsubscribe = subscribe(send);
+
+  // Keep the connection open through proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.debug(`Signal stream closed for ${req.user.email}`);
+  });
+
+  logger.info(`Signal stream opened for ${req.user.email}`);
+});
+
 /**
  * @route   GET /api/v1/signals/analytics/summary
- * @desc    Get analytics summary (Admin only)
+ * @desc    Get analytics summary of the caller's organization (Admin only)
  * @access  Private/Admin
  */
 const getAnalytics = asyncHandler(async (req, res) => {
+  const scope = organizationFilter(req.user);
+
   // Aggregation pipeline for analytics
   const analytics = await TradingSignal.aggregate([
+    { $match: scope },
     {
       $facet: {
         totalStats: [
@@ -250,14 +520,40 @@ const getAnalytics = asyncHandler(async (req, res) => {
         ],
         byCryptocurrency: [
           {
+            // Group on the registry asset so "BTC" and "Bitcoin (BTC)" count together;
+            // signals not yet migrated fall back to their free-text name
             $group: {
-              _id: '$cryptocurrency',
+              _id: { $ifNull: ['$asset', '$cryptocurrency'] },
+              name: { $first: '$cryptocurrency' },
               count: { $sum: 1 },
               avgConfidence: { $avg: '$confidence' },
             },
           },
           { $sort: { count: -1 } },
           { $limit: 10 },
+          {
+            $lookup: {
+              from: 'assets',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'asset',
+            },
+          },
+          { $unwind: { path: '$asset', preserveNullAndEmptyArrays: true } },
+          {
+            $project: {
+              _id: { $ifNull: ['$asset.ticker', '$_id'] },
+              name: {
+                $cond: [
+                  { $ifNull: ['$asset', false] },
+                  { $concat: ['$asset.name', ' (', '$asset.ticker', ')'] },
+                  '$name',
+                ],
+              },
+              count: 1,
+              avgConfidence: 1,
+            },
+          },
         ],
         highConfidence: [
           {
@@ -277,16 +573,45 @@ const getAnalytics = asyncHandler(async (req, res) => {
     byType: analytics[0].byType,
     topCryptocurrencies: analytics[0].byCryptocurrency,
     highConfidenceCount: analytics[0].highConfidence[0]?.count || 0,
+    calibration: await buildCalibrationReport(scope),
   };
 
   return successResponse(res, 200, 'Analytics retrieved successfully', { analytics: result });
 });
 
+/**
+ * @route   GET /api/v1/signals/analytics/calibration
+ * @desc    Confidence calibration of resolved signals, optionally narrowed to
+ *          one analyst and/or asset (Admin only)
+ * @access  Private/Admin
+ */
+const getCalibration = asyncHandler(async (req, res) => {
+  const { analyst, asset: assetRef } = req.query;
+
+  const match = organizationFilter(req.user);
+  if (analyst) match.createdBy = new mongoose.Types.ObjectId(analyst);
+  if (assetRef) {
+    const asset = await Asset.resolve(assetRef);
+    if (!asset) {
+      throw new ValidationError(`Unknown asset: ${assetRef}`);
+    }
+    match.asset = asset._id;
+  }
+
+  const calibration = await buildCalibrationReport(match);
+
+  return successResponse(res, 200, 'Calibration retrieved successfully', { calibration });
+});
+
 module.exports = {
   createSignal,
   getSignals,
   getSignalById,
+  getSignalHistory,
   updateSignal,
   deleteSignal,
+  expireSignal,
+  streamSignals,
   getAnalytics,
+  getCalibration,
 };
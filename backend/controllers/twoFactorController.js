@@ -0,0 +1,215 @@
+const User = require('../models/User');
+const { ValidationError } = require('../utils/AppError');
+const { successResponse } = require('../utils/responseHandler');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+const {
+  generateSecret,
+  getOtpAuthUrl,
+  generateQrCode,
+  verifyTotp,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  isTwoFactorRequired,
+} = require('../services/twoFactorService');
+const { getSetting, setSetting } = require('../services/settingsService');
+const { recordAudit } = require('../services/auditLogService');
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+/**
+ * @route   GET /api/v1/auth/2fa
+ * @desc    Get two-factor status for the current user
+ * @access  Private (session only)
+ */
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+twoFactorRecoveryCodes');
+
+  return successResponse(res, 200, 'Two-factor status retrieved successfully', {
+    enabled: user.twoFactorEnabled,
+    enabledAt: user.twoFactorEnabledAt || null,
+    recoveryCodesRemaining: user.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0,
+    required: await isTwoFactorRequired(user),
+  });
+});
+
+/**
+ * @route   POST /api/v1/auth/2fa/setup
+ * @desc    Start enrolment: returns a new secret as an otpauth URI and QR code
+ * @access  Private (session only)
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  const otpAuthUrl = getOtpAuthUrl(user, secret);
+
+  user.twoFactorPendingSecret = secret;
+  await user.save();
+
+  return successResponse(res, 200, 'Scan the QR code with your authenticator app', {
+    secret,
+    otpAuthUrl,
+    qrCode: await generateQrCode(otpAuthUrl),
+  });
+});
+
+/**
+ * @route   POST /api/v1/auth/2fa/enable
+ * @desc    Finish enrolment with a code from the app; returns recovery codes once
+ * @access  Private (session only)
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+  if (user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is already enabled');
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    throw new ValidationError('Start two-factor setup first');
+  }
+
+  const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+
+  if (step === null) {
+    throw new ValidationError('Invalid authentication code');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = hashes;
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  await user.save();
+
+  logger.info(`Two-factor authentication enabled: ${user.email}`);
+
+  return successResponse(res, 200, 'Two-factor authentication enabled', {
+    user: user.profile,
+    recoveryCodes: codes,
+  });
+});
+
+/**
+ * @route   POST /api/v1/auth/2fa/disable
+ * @desc    Turn off two-factor authentication (needs password and a code)
+ * @access  Private (session only)
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+  if (!user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is not enabled');
+  }
+
+  if (await isTwoFactorRequired(user)) {
+    throw new ValidationError('Two-factor authentication is required for your role');
+  }
+
+  // 400 rather than 401 so clients do not treat it as an expired session
+  if (!(await user.comparePassword(password)) || !verifySecondFactor(user, code)) {
+    logger.warn(`Failed attempt to disable two-factor authentication: ${user.email}`);
+    throw new ValidationError('Password or authentication code is incorrect');
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  user.twoFactorEnabledAt = undefined;
+  await user.save();
+
+  logger.info(`Two-factor authentication disabled: ${user.email}`);
+
+  return successResponse(res, 200, 'Two-factor authentication disabled', {
+    user: user.profile,
+  });
+});
+
+/**
+ * @route   POST /api/v1/auth/2fa/recovery-codes
+ * @desc    Replace all recovery codes (needs a current code)
+ * @access  Private (session only)
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is not enabled');
+  }
+
+  if (!verifySecondFactor(user, req.body.code)) {
+    throw new ValidationError('Invalid authentication code');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = hashes;
+  await user.save();
+
+  logger.info(`Recovery codes regenerated: ${user.email}`);
+
+  return successResponse(res, 200, 'Recovery codes regenerated', {
+    recoveryCodes: codes,
+  });
+});
+
+/**
+ * @route   GET /api/v1/auth/2fa/policy
+ * @desc    Get the two-factor policy
+ * @access  Private/Admin
+ */
+const getTwoFactorPolicy = asyncHandler(async (req, res) => {
+  return successResponse(res, 200, 'Two-factor policy retrieved successfully', {
+    requireForAdmins: Boolean(await getSetting('security.requireAdminTwoFactor')),
+  });
+});
+
+/**
+ * @route   PUT /api/v1/auth/2fa/policy
+ * @desc    Require (or stop requiring) two-factor authentication for admins
+ * @access  Private/Admin
+ */
+const updateTwoFactorPolicy = asyncHandler(async (req, res) => {
+  const { requireForAdmins } = req.body;
+
+  // Otherwise the admin would lock themselves out of the admin endpoints
+  if (requireForAdmins && !req.user.twoFactorEnabled) {
+    throw new ValidationError('Enable two-factor authentication on your own account first');
+  }
+
+  const previous = Boolean(await getSetting('security.requireAdminTwoFactor'));
+  await setSetting('security.requireAdminTwoFactor', requireForAdmins, req.user);
+
+  await recordAudit({
+    req,
+    action: 'setting.update',
+    targetType: 'setting',
+    targetId: 'security.requireAdminTwoFactor',
+    before: { value: previous },
+    after: { value: requireForAdmins },
+  });
+
+  return successResponse(res, 200, 'Two-factor policy updated successfully', {
+    requireForAdmins,
+  });
+});
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+};
@@ -0,0 +1,319 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const TradingSignal = require('../models/TradingSignal');
+const AuthToken = require('../models/AuthToken');
+const ApiKey = require('../models/ApiKey');
+const Watchlist = require('../models/Watchlist');
+const Portfolio = require('../models/Portfolio');
+const Position = require('../models/Position');
+const Backtest = require('../models/Backtest');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const AlertSource = require('../models/AlertSource');
+const SecurityEvent = require('../models/SecurityEvent');
+const Membership = require('../models/Membership');
+const { getLockout, unlockAccount } = require('../services/loginAttemptService');
+const { revokeUserSessions } = require('../services/sessionService');
+const { recordSecurityEvent } = require('../services/securityEventService');
+const { recordAudit } = require('../services/auditLogService');
+const { applyPlan } = require('../services/billingService');
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/AppError');
+const { successResponse, paginatedResponse } = require('../utils/responseHandler');
+const escapeRegExp = require('../utils/escapeRegExp');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Find the user an admin action targets
+ * Admins cannot change their own role or status, so there is always an active admin left.
+ * @param {Object} req - Express request with the user ID in params
+ * @param {string} action - Description for the self-targeting error, e.g. 'change your own role'
+ * @throws {NotFoundError} If the user does not exist
+ * @throws {ValidationError} If the admin targets themselves
+ */
+const findTargetUser = async (req, action) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (action && user._id.equals(req.user._id)) {
+    throw new ValidationError(`You cannot ${action}`);
+  }
+
+  return user;
+};
+
+/**
+ * @route   GET /api/v1/users
+ * @desc    Get users, newest first; search matches name or email, organization
+ *          narrows to users currently working in it
+ * @access  Private (Admin only)
+ */
+const getUsers = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, search, role, isActive, organization } = req.query;
+
+  const filter = {};
+  if (search) {
+    const pattern = new RegExp(escapeRegExp(search), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+  if (role) filter.role = role;
+  if (isActive !== undefined) filter.isActive = isActive;
+  if (organization) filter.organization = organization;
+
+  const total = await User.countDocuments(filter);
+  const totalPages = Math.ceil(total / limit);
+
+  const users = await User.find(filter)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit, 10));
+
+  const items = await Promise.all(
+    users.map(async (user) => ({
+      ...user.profile,
+      lockedUntil: await getLockout(user.email),
+    }))
+  );
+
+  return paginatedResponse(res, 200, 'Users retrieved successfully', items, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+    total,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+  });
+});
+
+/**
+ * @route   GET /api/v1/users/:id
+ * @desc    Get a user with their session, signal and API key counts
+ * @access  Private (Admin only)
+ */
+const getUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req);
+
+  const [sessionCount, signalCount, apiKeyCount, lockedUntil] = await Promise.all([
+    Session.countDocuments({ user: user._id }),
+    TradingSignal.countDocuments({ createdBy: user._id }),
+    ApiKey.countDocuments({ user: user._id, revokedAt: null }),
+    getLockout(user.email),
+  ]);
+
+  return successResponse(res, 200, 'User retrieved successfully', {
+    user: { ...user.profile, lockedUntil, sessionCount, signalCount, apiKeyCount },
+  });
+});
+
+/**
+ * @route   PATCH /api/v1/users/:id/role
+ * @desc    Change a user's role
+ * @access  Private (Admin only)
+ */
+const updateUserRole = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, 'change your own role');
+  const { role } = req.body;
+  const previousRole = user.role;
+
+  if (previousRole !== role) {
+    user.role = role;
+    await user.save();
+
+    await recordAudit({
+      req,
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: user._id,
+      before: { role: previousRole },
+      after: { role },
+    });
+
+    logger.info(`Role changed by ${req.user.email}: ${user.email} ${previousRole} -> ${role}`);
+  }
+
+  return successResponse(res, 200, 'User role updated successfully', { user: user.profile });
+});
+
+/**
+ * @route   PATCH /api/v1/users/:id/plan
+ * @desc    Put a user on a plan by hand, optionally until a date
+ * @access  Private (Admin only)
+ */
+const updateUserPlan = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req);
+  const { plan, expiresAt } = req.body;
+  const before = { plan: user.plan, planExpiresAt: user.planExpiresAt };
+
+  await applyPlan(user, plan, { expiresAt });
+
+  await recordAudit({
+    req,
+    action: 'user.plan_change',
+    targetType: 'user',
+    targetId: user._id,
+    before,
+    after: { plan: user.plan, planExpiresAt: user.planExpiresAt },
+    metadata: { via: 'admin' },
+  });
+
+  logger.info(`Plan changed by ${req.user.email}: ${user.email} ${before.plan} -> ${plan}`);
+
+  return successResponse(res, 200, 'User plan updated successfully', { user: user.profile });
+});
+
+/**
+ * @route   POST /api/v1/users/:id/deactivate
+ * @desc    Deactivate a user and sign out all their sessions; API keys stop working too
+ * @access  Private (Admin only)
+ */
+const deactivateUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, 'deactivate your own account');
+
+  const wasActive = user.isActive;
+
+  if (wasActive) {
+    user.isActive = false;
+    await user.save();
+  }
+
+  // Revoke even if already inactive, in case a session slipped through
+  const sessionsRevoked = await revokeUserSessions(user._id);
+
+  await recordAudit({
+    req,
+    action: 'user.deactivate',
+    targetType: 'user',
+    targetId: user._id,
+    before: { isActive: wasActive },
+    after: { isActive: false },
+    metadata: { sessionsRevoked },
+  });
+
+  logger.info(`User deactivated by ${req.user.email}: ${user.email} (${sessionsRevoked} sessions revoked)`);
+
+  return successResponse(res, 200, 'User deactivated successfully', {
+    user: user.profile,
+    sessionsRevoked,
+  });
+});
+
+/**
+ * @route   POST /api/v1/users/:id/reactivate
+ * @desc    Reactivate a deactivated user
+ * @access  Private (Admin only)
+ */
+const reactivateUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, 'reactivate your own account');
+
+  if (!user.isActive) {
+    user.isActive = true;
+    await user.save();
+
+    await recordAudit({
+      req,
+      action: 'user.reactivate',
+      targetType: 'user',
+      targetId: user._id,
+      before: { isActive: false },
+      after: { isActive: true },
+    });
+
+    logger.info(`User reactivated by ${req.user.email}: ${user.email}`);
+  }
+
+  return successResponse(res, 200, 'User reactivated successfully', { user: user.profile });
+});
+
+/**
+ * @route   DELETE /api/v1/users/:id
+ * @desc    Delete a user and everything they own; users who authored signals can only be deactivated
+ * @access  Private (Admin only)
+ */
+const deleteUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, 'delete your own account');
+
+  // Signals stay published with their author, so keep the author
+  const signalCount = await TradingSignal.countDocuments({ createdBy: user._id });
+  if (signalCount > 0) {
+    throw new ConflictError(
+      `${user.email} has authored ${signalCount} signal(s). Deactivate the account instead.`
+    );
+  }
+
+  await revokeUserSessions(user._id);
+  await Promise.all([
+    AuthToken.deleteMany({ user: user._id }),
+    ApiKey.deleteMany({ user: user._id }),
+    Watchlist.deleteMany({ user: user._id }),
+    Watchlist.updateMany({ creators: user._id }, { $pull: { creators: user._id } }),
+    Portfolio.deleteMany({ user: user._id }),
+    Position.deleteMany({ user: user._id }),
+    Backtest.deleteMany({ user: user._id }),
+    WebhookSubscription.deleteMany({ user: user._id }),
+    WebhookDelivery.deleteMany({ user: user._id }),
+    AlertSource.deleteMany({ createdBy: user._id }),
+    SecurityEvent.deleteMany({ user: user._id }),
+    Membership.deleteMany({ user: user._id }),
+    unlockAccount(user.email),
+  ]);
+  await user.deleteOne();
+
+  await recordAudit({
+    req,
+    action: 'user.delete',
+    targetType: 'user',
+    targetId: user._id,
+    before: { name: user.name, email: user.email, role: user.role, isActive: user.isActive },
+  });
+
+  logger.info(`User deleted by ${req.user.email}: ${user.email}`);
+
+  return successResponse(res, 200, 'User deleted successfully');
+});
+
+/**
+ * @route   POST /api/v1/users/:id/unlock
+ * @desc    Lift a sign-in lockout and reset the user's failure history
+ * @access  Private (Admin only)
+ */
+const unlockUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req);
+
+  const wasLocked = Boolean(await getLockout(user.email));
+  await unlockAccount(user.email);
+
+  await recordSecurityEvent({
+    user: user._id,
+    type: 'account_unlocked',
+    req,
+    details: { by: req.user.email, wasLocked },
+  });
+
+  await recordAudit({
+    req,
+    action: 'user.unlock',
+    targetType: 'user',
+    targetId: user._id,
+    metadata: { email: user.email, wasLocked },
+  });
+
+  logger.info(`Account unlocked by ${req.user.email}: ${user.email}`);
+
+  return successResponse(res, 200, 'Account unlocked successfully', {
+    user: { _id: user._id, email: user.email, wasLocked },
+  });
+});
+
+module.exports = {
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserPlan,
+  deactivateUser,
+  reactivateUser,
+  deleteUser,
+  unlockUser,
+};
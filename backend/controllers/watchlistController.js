@@ -0,0 +1,167 @@
+const Watchlist = require('../models/Watchlist');
+const TradingSignal = require('../models/TradingSignal');
+const { resolveAsset } = require('../services/signalService');
+const { findOwnWatchlist, organizationFilter } = require('../utils/signalFilters');
+const { publicationFilter } = require('../utils/signalPublication');
+const { ConflictError, ValidationError } = require('../utils/AppError');
+const { successResponse } = require('../utils/responseHandler');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Remove duplicate entries (case-insensitive for cryptocurrencies)
+ */
+const uniqueCryptocurrencies = (list = []) => {
+  const seen = new Set();
+  return list.filter((name) => {
+    const key = name.trim().toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const uniqueIds = (list = []) => [...new Set(list.map((id) => id.toString()))];
+
+/**
+ * Resolve followed cryptocurrencies to registry assets
+ * @param {Array<string>} list - Tickers, aliases or names
+ * @returns {Promise<Object>} { cryptocurrencies, assets }
+ * @throws {ValidationError} If a name does not match an active asset
+ */
+const resolveCryptocurrencies = async (list = []) => {
+  const cryptocurrencies = uniqueCryptocurrencies(list);
+  const assets = await Promise.all(cryptocurrencies.map((name) => resolveAsset(name)));
+
+  return { cryptocurrencies, assets: uniqueIds(assets.map((asset) => asset._id)) };
+};
+
+/**
+ * Check followed creators against the signal authors the user can see
+ * Creators already on the watchlist are kept, so a watchlist stays editable
+ * after its owner switches organization.
+ * @param {Array<string>} list - User IDs
+ * @param {Object} user - Current user
+ * @param {Array} [kept] - Creator IDs already on the watchlist
+ * @returns {Promise<Array<string>>} Unique creator IDs
+ * @throws {ValidationError} If a new ID is not an author of a visible signal
+ */
+const resolveCreators = async (list, user, kept = []) => {
+  const creators = uniqueIds(list);
+  const keptIds = new Set(kept.map((id) => id.toString()));
+  const added = creators.filter((id) => !keptIds.has(id));
+  if (added.length === 0) return creators;
+
+  const authors = await TradingSignal.distinct('createdBy', {
+    $and: [{ createdBy: { $in: added } }, organizationFilter(user), publicationFilter(user)],
+  });
+  if (authors.length < added.length) {
+    throw new ValidationError('Creators must be authors of signals in your organization');
+  }
+
+  return creators;
+};
+
+/**
+ * @route   POST /api/v1/watchlists
+ * @desc    Create a watchlist
+ * @access  Private
+ */
+const createWatchlist = asyncHandler(async (req, res) => {
+  const { name, cryptocurrencies, creators } = req.body;
+
+  const existingWatchlist = await Watchlist.findOne({ user: req.user._id, name });
+  if (existingWatchlist) {
+    throw new ConflictError('A watchlist with this name already exists');
+  }
+
+  const watchlist = await Watchlist.create({
+    name,
+    user: req.user._id,
+    ...(await resolveCryptocurrencies(cryptocurrencies)),
+    creators: await resolveCreators(creators, req.user),
+  });
+
+  await watchlist.populate('creators', 'name');
+
+  logger.info(`Watchlist created by ${req.user.email}: ${watchlist.name}`);
+
+  return successResponse(res, 201, 'Watchlist created successfully', { watchlist });
+});
+
+/**
+ * @route   GET /api/v1/watchlists
+ * @desc    Get the current user's watchlists
+ * @access  Private
+ */
+const getWatchlists = asyncHandler(async (req, res) => {
+  const watchlists = await Watchlist.find({ user: req.user._id })
+    .populate('creators', 'name')
+    .sort({ createdAt: -1 });
+
+  return successResponse(res, 200, 'Watchlists retrieved successfully', { watchlists });
+});
+
+/**
+ * @route   GET /api/v1/watchlists/:id
+ * @desc    Get a single watchlist
+ * @access  Private (owner)
+ */
+const getWatchlistById = asyncHandler(async (req, res) => {
+  const watchlist = await findOwnWatchlist(req.params.id, req.user);
+  await watchlist.populate('creators', 'name');
+
+  return successResponse(res, 200, 'Watchlist retrieved successfully', { watchlist });
+});
+
+/**
+ * @route   PUT /api/v1/watchlists/:id
+ * @desc    Update a watchlist (name, cryptocurrencies and/or creators)
+ * @access  Private (owner)
+ */
+const updateWatchlist = asyncHandler(async (req, res) => {
+  const { name, cryptocurrencies, creators } = req.body;
+
+  const watchlist = await findOwnWatchlist(req.params.id, req.user);
+
+  if (name && name !== watchlist.name) {
+    const existingWatchlist = await Watchlist.findOne({ user: req.user._id, name });
+    if (existingWatchlist) {
+      throw new ConflictError('A watchlist with this name already exists');
+    }
+  }
+
+  if (name) watchlist.name = name;
+  if (cryptocurrencies) watchlist.set(await resolveCryptocurrencies(cryptocurrencies));
+  if (creators) watchlist.creators = await resolveCreators(creators, req.user, watchlist.creators);
+
+  await watchlist.save();
+  await watchlist.populate('creators', 'name');
+
+  logger.info(`Watchlist updated by ${req.user.email}: ${watchlist.name}`);
+
+  return successResponse(res, 200, 'Watchlist updated successfully', { watchlist });
+});
+
+/**
+ * @route   DELETE /api/v1/watchlists/:id
+ * @desc    Delete a watchlist
+ * @access  Private (owner)
+ */
+const deleteWatchlist = asyncHandler(async (req, res) => {
+  const watchlist = await findOwnWatchlist(req.params.id, req.user);
+
+  await watchlist.deleteOne();
+
+  logger.info(`Watchlist deleted by ${req.user.email}: ${watchlist.name}`);
+
+  return successResponse(res, 200, 'Watchlist deleted successfully');
+});
+
+module.exports = {
+  createWatchlist,
+  getWatchlists,
+  getWatchlistById,
+  updateWatchlist,
+  deleteWatchlist,
+};
@@ -0,0 +1,226 @@
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { replayDelivery } = require('../services/webhookService');
+const { NotFoundError } = require('../utils/AppError');
+const { successResponse, paginatedResponse } = require('../utils/responseHandler');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Find a webhook subscription the current user may manage
+ * Admins can manage every subscription, users only their own
+ * @param {string} id - Subscription ID
+ * @param {Object} req - Request (user and role)
+ * @param {string} [select] - Extra fields to load (e.g. '+secret')
+ * @returns {Promise<Object>} Subscription document
+ * @throws {NotFoundError} If the subscription does not exist or belongs to someone else
+ */
+const findSubscription = async (id, req, select) => {
+  const filter = { _id: id };
+  if (req.userRole !== 'admin') {
+    filter.user = req.user._id;
+  }
+
+  const subscription = await WebhookSubscription.findOne(filter).select(select);
+
+  if (!subscription) {
+    throw new NotFoundError('Webhook not found');
+  }
+
+  return subscription;
+};
+
+/**
+ * Find a delivery belonging to a subscription
+ * @throws {NotFoundError} If the delivery does not exist
+ */
+const findDelivery = async (subscription, deliveryId) => {
+  // Response bodies stored before they were dropped are never returned
+  const delivery = await WebhookDelivery.findOne({ _id: deliveryId, subscription: subscription._id }).select(
+    '-responseBody'
+  );
+
+  if (!delivery) {
+    throw new NotFoundError('Delivery not found');
+  }
+
+  return delivery;
+};
+
+/**
+ * @route   POST /api/v1/webhooks
+ * @desc    Register a webhook (the signing secret is only returned here and on rotation)
+ * @access  Private
+ */
+const createWebhook = asyncHandler(async (req, res) => {
+  const { url, events, description, secret, isActive } = req.body;
+
+  const subscription = await WebhookSubscription.create({
+    user: req.user._id,
+    url,
+    events: [...new Set(events)],
+    description,
+    secret: secret || WebhookSubscription.generateSecret(),
+    isActive,
+  });
+
+  logger.info(`Webhook created by ${req.user.email}: ${subscription._id} -> ${subscription.url}`);
+
+  return successResponse(res, 201, 'Webhook created successfully', {
+    webhook: subscription,
+  });
+});
+
+/**
+ * @route   GET /api/v1/webhooks
+ * @desc    Get webhooks (admins see every user's webhooks)
+ * @access  Private
+ */
+const getWebhooks = asyncHandler(async (req, res) => {
+  const filter = req.userRole === 'admin' ? {} : { user: req.user._id };
+
+  const webhooks = await WebhookSubscription.find(filter)
+    .populate('user', 'name email')
+    .sort({ createdAt: -1 });
+
+  return successResponse(res, 200, 'Webhooks retrieved successfully', { webhooks });
+});
+
+/**
+ * @route   GET /api/v1/webhooks/:id
+ * @desc    Get a webhook
+ * @access  Private (owner or admin)
+ */
+const getWebhookById = asyncHandler(async (req, res) => {
+  const webhook = await findSubscription(req.params.id, req);
+
+  return successResponse(res, 200, 'Webhook retrieved successfully', { webhook });
+});
+
+/**
+ * @route   PUT /api/v1/webhooks/:id
+ * @desc    Update a webhook
+ * @access  Private (owner or admin)
+ */
+const updateWebhook = asyncHandler(async (req, res) => {
+  const webhook = await findSubscription(req.params.id, req);
+  const { url, events, description, secret, isActive } = req.body;
+
+  webhook.set({ url, events: [...new Set(events)], description });
+  if (isActive !== undefined) webhook.isActive = isActive;
+  if (secret) webhook.secret = secret;
+
+  await webhook.save();
+
+  logger.info(`Webhook updated by ${req.user.email}: ${webhook._id}`);
+
+  const data = webhook.toJSON();
+  delete data.secret;
+
+  return successResponse(res, 200, 'Webhook updated successfully', { webhook: data });
+});
+
+/**
+ * @route   POST /api/v1/webhooks/:id/rotate-secret
+ * @desc    Replace the signing secret with a new random one
+ * @access  Private (owner or admin)
+ */
+const rotateWebhookSecret = asyncHandler(async (req, res) => {
+  const webhook = await findSubscription(req.params.id, req);
+
+  webhook.secret = WebhookSubscription.generateSecret();
+  await webhook.save();
+
+  logger.info(`Webhook secret rotated by ${req.user.email}: ${webhook._id}`);
+
+  return successResponse(res, 200, 'Webhook secret rotated successfully', { webhook });
+});
+
+/**
+ * @route   DELETE /api/v1/webhooks/:id
+ * @desc    Delete a webhook and its delivery log
+ * @access  Private (owner or admin)
+ */
+const deleteWebhook = asyncHandler(async (req, res) => {
+  const webhook = await findSubscription(req.params.id, req, '_id');
+
+  await WebhookDelivery.deleteMany({ subscription: webhook._id });
+  await webhook.deleteOne();
+
+  logger.info(`Webhook deleted by ${req.user.email}: ${webhook._id}`);
+
+  return successResponse(res, 200, 'Webhook deleted successfully');
+});
+
+/**
+ * @route   GET /api/v1/webhooks/:id/deliveries
+ * @desc    Get a webhook's delivery log (newest first, without payloads)
+ * @access  Private (owner or admin)
+ */
+const getWebhookDeliveries = asyncHandler(async (req, res) => {
+  const webhook = await findSubscription(req.params.id, req, '_id');
+  const { page = 1, limit = 20, status, event } = req.query;
+
+  const filter = { subscription: webhook._id };
+  if (status) filter.status = status;
+  if (event) filter.event = event;
+
+  const total = await WebhookDelivery.countDocuments(filter);
+  const totalPages = Math.ceil(total / limit);
+
+  const deliveries = await WebhookDelivery.find(filter)
+    .select('-payload')
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit, 10));
+
+  return paginatedResponse(res, 200, 'Deliveries retrieved successfully', deliveries, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+    total,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+  });
+});
+
+/**
+ * @route   GET /api/v1/webhooks/:id/deliveries/:deliveryId
+ * @desc    Get a delivery with its payload, attempts and last response status
+ * @access  Private (owner or admin)
+ */
+const getWebhookDelivery = asyncHandler(async (req, res) => {
+  const webhook = await findSubscription(req.params.id, req, '_id');
+  const delivery = await findDelivery(webhook, req.params.deliveryId);
+
+  return successResponse(res, 200, 'Delivery retrieved successfully', { delivery });
+});
+
+/**
+ * @route   POST /api/v1/webhooks/:id/deliveries/:deliveryId/replay
+ * @desc    Queue a delivery's payload again as a new delivery
+ * @access  Private (owner or admin)
+ */
+const replayWebhookDelivery = asyncHandler(async (req, res) => {
+  const webhook = await findSubscription(req.params.id, req, '_id');
+  const original = await findDelivery(webhook, req.params.deliveryId);
+
+  // Queued like any other delivery; the dispatcher sends it on its next poll
+  const delivery = await replayDelivery(original);
+
+  logger.info(`Webhook delivery replayed by ${req.user.email}: ${original._id} -> ${delivery._id}`);
+
+  return successResponse(res, 202, 'Delivery queued for replay', { delivery });
+});
+
+module.exports = {
+  createWebhook,
+  getWebhooks,
+  getWebhookById,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery,
+};
@@ -0,0 +1,17 @@
+/**
+ * Default asset registry
+ * Used by the seed and asset migration scripts
+ */
+module.exports = [
+  { ticker: 'BTC', name: 'Bitcoin', aliases: ['xbt'] },
+  { ticker: 'ETH', name: 'Ethereum', aliases: ['ether'] },
+  { ticker: 'SOL', name: 'Solana', aliases: [] },
+  { ticker: 'ADA', name: 'Cardano', aliases: [] },
+  { ticker: 'BNB', name: 'Binance Coin', aliases: ['bnb coin', 'binance'] },
+  { ticker: 'XRP', name: 'Ripple', aliases: ['xrp ledger'] },
+  { ticker: 'MATIC', name: 'Polygon', aliases: ['pol'] },
+  { ticker: 'DOGE', name: 'Dogecoin', aliases: ['doge coin'] },
+  { ticker: 'LINK', name: 'Chainlink', aliases: [] },
+  { ticker: 'AVAX', name: 'Avalanche', aliases: [] },
+  { ticker: 'DOT', name: 'Polkadot', aliases: [] },
+];
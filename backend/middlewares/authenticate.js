@@ -1,27 +1,62 @@
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
 const { verifyToken, extractToken } = require('../services/authService');
 const { AuthenticationError } = require('../utils/AppError');
 const { errorResponse } = require('../utils/responseHandler');
 const logger = require('../utils/logger');
 
+/**
+ * Verify an API key and record its use
+ * @param {Object} req - Express request
+ * @param {string} key - Value of the X-API-Key header
+ * @returns {Promise<Object>} API key document
+ * @throws {AuthenticationError} If the key is unknown, revoked or expired
+ */
+const verifyApiKey = async (req, key) => {
+  const apiKey = await ApiKey.findActiveByKey(key);
+
+  if (!apiKey) {
+    throw new AuthenticationError('Invalid or revoked API key');
+  }
+
+  ApiKey.touch(apiKey._id, req.ip).catch((error) =>
+    logger.warn(`Failed to record API key usage: ${error.message}`)
+  );
+
+  return apiKey;
+};
+
 /**
  * Authentication Middleware
- * Verifies JWT token and attaches user to request object
+ * Verifies JWT token (or X-API-Key header) and attaches user to request object
+ *
+ * Requests made with an API key also get req.apiKey; authorize() then limits
+ * them to the key's scopes.
  */
 const authenticate = async (req, res, next) => {
   try {
-    // Extract token from Authorization header
-    const token = extractToken(req);
-
-    if (!token) {
-      throw new AuthenticationError('Access token is required');
+    const key = req.get('X-API-Key');
+    let userId;
+    let decoded;
+
+    if (key) {
+      req.apiKey = await verifyApiKey(req, key);
+      userId = req.apiKey.user;
+    } else {
+      // Extract token from Authorization header
+      const token = extractToken(req);
+
+      if (!token) {
+        throw new AuthenticationError('Access token is required');
+      }
+
+      // Verify token
+      decoded = await verifyToken(token, 'access');
+      userId = decoded.userId;
     }
 
-    // Verify token
-    const decoded = await verifyToken(token, 'access');
-
-    // Find user by ID from token payload
-    const user = await User.findById(decoded.userId).select('-password -refreshTokens');
+    // Find user by ID from token payload or API key
+    const user = await User.findById(userId).select('-password');
 
     if (!user) {
       throw new AuthenticationError('User not found');
@@ -31,11 +66,21 @@ const authenticate = async (req, res, next) => {
       throw new AuthenticationError('Account is deactivated');
     }
 
+    // Sessions from before a password change or reset are no longer valid
+    if (decoded && user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt / 1000)) {
+      throw new AuthenticationError('Token has been revoked');
+    }
+
     // Attach user to request object
     req.user = user;
     req.userId = user._id;
     req.userRole = user.role;
 
+    // Session the access token belongs to (not set for API keys)
+    if (decoded && decoded.sid) {
+      req.sessionId = decoded.sid;
+    }
+
     next();
   } catch (error) {
     logger.error(`Authentication failed: ${error.message}`);
@@ -81,7 +126,7 @@ const optionalAuthenticate = async (req, res, next) => {
     }
 
     const decoded = await verifyToken(token, 'access');
-    const user = await User.findById(decoded.userId).select('-password -refreshTokens');
+    const user = await User.findById(decoded.userId).select('-password');
 
     if (user && user.isActive) {
       req.user = user;
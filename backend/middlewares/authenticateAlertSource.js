@@ -0,0 +1,61 @@
+const AlertSource = require('../models/AlertSource');
+const Membership = require('../models/Membership');
+const { AuthenticationError, AuthorizationError } = require('../utils/AppError');
+const { getPermissionAccess } = require('../utils/permissions');
+const { errorResponse } = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Alert Source Authentication Middleware
+ * Verifies a per-source ingest token and attaches the source to the request.
+ * Sources whose owner is deactivated or lost signals:create, in the account
+ * or in the source's organization, are refused.
+ *
+ * The token is only read from the X-Alert-Token header; query strings end up
+ * in access logs.
+ */
+const authenticateAlertSource = async (req, res, next) => {
+  try {
+    const token = req.get('X-Alert-Token');
+
+    if (!token || typeof token !== 'string') {
+      throw new AuthenticationError('Alert source token is required');
+    }
+
+    const source = await AlertSource.findByToken(token).populate('createdBy', 'name email role isActive organization');
+
+    if (!source) {
+      throw new AuthenticationError('Invalid alert source token');
+    }
+
+    if (!source.createdBy || !source.createdBy.isActive) {
+      throw new AuthenticationError('Alert source owner is deactivated');
+    }
+
+    // Signals are created as the owner, so the owner must still be allowed to create them
+    const membership = source.organization
+      ? await Membership.findOne({ organization: source.organization, user: source.createdBy._id }).select('role')
+      : null;
+    const orgRole = source.organization ? membership?.role || null : undefined;
+    if (!getPermissionAccess(source.createdBy.role, 'signals:create', orgRole)) {
+      throw new AuthorizationError('Alert source owner can no longer create signals');
+    }
+
+    req.alertSource = source;
+
+    next();
+  } catch (error) {
+    logger.warn(`Alert source authentication failed from ${req.ip}: ${error.message}`);
+
+    return errorResponse(
+      res,
+      error.statusCode || 401,
+      error.message || 'Authentication failed',
+      { code: 'INVALID_SOURCE_TOKEN' }
+    );
+  }
+};
+
+module.exports = {
+  authenticateAlertSource,
+};
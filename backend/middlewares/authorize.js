@@ -1,19 +1,69 @@
 const { AuthorizationError } = require('../utils/AppError');
 const { errorResponse } = require('../utils/responseHandler');
+const { getScopeForMethod, isReadMethod } = require('../utils/apiKeyScopes');
+const { isTwoFactorRequired } = require('../services/twoFactorService');
+const { getPermissionAccess } = require('../utils/permissions');
 const logger = require('../utils/logger');
 
+/**
+ * Check an API key request against the scopes an endpoint requires
+ * Endpoints that declare no scopes only accept API keys whose scope was
+ * already checked earlier in the chain (e.g. by requireScope on the router).
+ * @param {Object} req - Express request (with req.apiKey)
+ * @param {Array<string>} requiredScopes - Scopes the key must have
+ * @throws {AuthorizationError} If the key lacks a scope
+ */
+const checkApiKeyScopes = (req, requiredScopes) => {
+  if (requiredScopes.length === 0) {
+    if (!req.apiKeyScopeChecked) {
+      throw new AuthorizationError('API keys cannot be used for this endpoint');
+    }
+    return;
+  }
+
+  const missing = requiredScopes.filter((scope) => !req.apiKey.scopes.includes(scope));
+
+  if (missing.length > 0) {
+    logger.warn(
+      `API key scope denied - User: ${req.user.email}, Key: ${req.apiKey.prefix}, Missing: ${missing.join(', ')}, Path: ${req.path}`
+    );
+
+    throw new AuthorizationError(`API key is missing required scope(s): ${missing.join(', ')}`);
+  }
+
+  req.apiKeyScopeChecked = true;
+};
+
+/**
+ * Role in the organization the user works in, loaded once per request
+ * @param {Object} user - Authenticated user document
+ * @returns {Promise<string|null|undefined>}
+ */
+const getOrganizationRole = async (user) =>
+  'organizationRole' in user.$locals ? user.$locals.organizationRole : user.loadOrganizationRole();
+
 /**
  * Role-Based Authorization Middleware Factory
- * Creates middleware that checks if user has required role(s)
+ * Creates middleware that checks if user has required role(s) and
+ * permissions and, for requests authenticated with an API key, that the key
+ * has the required scopes
  * 
  * Usage:
  * router.post('/admin-only', authenticate, authorize(['admin']), handler);
  * router.get('/user-or-admin', authenticate, authorize(['user', 'admin']), handler);
+ * router.get('/any-role', authenticate, authorize([], ['signals:read']), handler);
+ * router.post('/signals', authenticate, authorize([], [], ['signals:create']), handler);
+ * 
+ * A permission held only as <permission>:own passes here; req.permissions
+ * records 'own' so isOwnerOrAdmin can check the resource's owner. Signal
+ * permissions are capped by the user's role in their current organization.
  * 
- * @param {Array<string>} allowedRoles - Array of allowed roles
+ * @param {Array<string>} allowedRoles - Array of allowed roles (empty allows any role)
+ * @param {Array<string>|Function} requiredScopes - API key scopes, or (req) => scopes
+ * @param {Array<string>} requiredPermissions - Permissions from utils/permissions
  * @returns {Function} Express middleware function
  */
-const authorize = (allowedRoles = []) => {
+const authorize = (allowedRoles = [], requiredScopes = [], requiredPermissions = []) => {
   return async (req, res, next) => {
     try {
       // Ensure user is authenticated first
@@ -22,7 +72,7 @@ const authorize = (allowedRoles = []) => {
       }
 
       // Check if user's role is in allowed roles
-      if (!allowedRoles.includes(req.userRole)) {
+      if (allowedRoles.length > 0 && !allowedRoles.includes(req.userRole)) {
         // Log unauthorized access attempt
         logger.warn(
           `Unauthorized access attempt - User: ${req.user.email}, Role: ${req.userRole}, Required: ${allowedRoles.join(', ')}, Path: ${req.path}`
@@ -33,10 +83,48 @@ const authorize = (allowedRoles = []) => {
         );
       }
 
+      // Check the role's permissions
+      const orgRole = requiredPermissions.length > 0 ? await getOrganizationRole(req.user) : undefined;
+      for (const permission of requiredPermissions) {
+        const access = getPermissionAccess(req.userRole, permission, orgRole);
+
+        if (!access) {
+          logger.warn(
+            `Permission denied - User: ${req.user.email}, Role: ${req.userRole}, Organization role: ${orgRole}, Required: ${permission}, Path: ${req.path}`
+          );
+
+          throw new AuthorizationError(`Access denied. Required permission: ${permission}`);
+        }
+
+        req.permissions = { ...req.permissions, [permission]: access };
+      }
+
+      // Admin endpoints stay closed to admins without 2FA while the policy requires it
+      if (
+        req.userRole === 'admin' &&
+        (allowedRoles.includes('admin') || requiredPermissions.length > 0) &&
+        !req.user.twoFactorEnabled &&
+        (await isTwoFactorRequired(req.user))
+      ) {
+        logger.warn(`Admin without two-factor blocked - User: ${req.user.email}, Path: ${req.path}`);
+
+        return errorResponse(res, 403, 'Enable two-factor authentication to use admin features', {
+          code: 'TWO_FACTOR_REQUIRED',
+        });
+      }
+
+      // API keys are limited to their scopes
+      if (req.apiKey) {
+        checkApiKeyScopes(
+          req,
+          typeof requiredScopes === 'function' ? requiredScopes(req) : requiredScopes
+        );
+      }
+
       // Log admin actions for audit trail
       if (req.userRole === 'admin') {
         logger.info(
-          `Admin action - User: ${req.user.email}, Method: ${req.method}, Path: ${req.path}, IP: ${req.ip}`
+          `Admin action - User: ${req.user.email}, Method: ${req.method}, Path: ${req.path}, IP: ${req.ip}, Request: ${req.id}`
         );
       }
 
@@ -52,6 +140,84 @@ const authorize = (allowedRoles = []) => {
   };
 };
 
+/**
+ * Require the API key scope for a resource, by HTTP method
+ * GET/HEAD need <resource>:read, other methods <resource>:write.
+ * Session (JWT) requests are not affected.
+ * 
+ * Usage:
+ * router.use(authenticate);
+ * router.use(requireScope('signals'));
+ * 
+ * @param {string} resource - Resource name, e.g. signals
+ * @returns {Function} Express middleware function
+ */
+const requireScope = (resource) =>
+  authorize([], (req) => [getScopeForMethod(resource, req.method)]);
+
+/**
+ * Reject API key requests
+ * For endpoints that manage credentials or sessions
+ */
+const requireSession = authorize();
+
+/**
+ * Limit unverified users to reading
+ * Users whose emailVerified is false get 403 on non-GET requests until they
+ * verify. Disabled with REQUIRE_EMAIL_VERIFICATION=false.
+ * 
+ * Usage:
+ * router.use(authenticate);
+ * router.use(requireVerifiedEmail);
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (
+    process.env.REQUIRE_EMAIL_VERIFICATION === 'false' ||
+    isReadMethod(req.method) ||
+    !req.user ||
+    req.user.isEmailVerified
+  ) {
+    return next();
+  }
+
+  logger.warn(`Unverified user blocked - User: ${req.user.email}, Method: ${req.method}, Path: ${req.path}`);
+
+  return errorResponse(res, 403, 'Please verify your email address to do this', {
+    code: 'EMAIL_NOT_VERIFIED',
+  });
+};
+
+/**
+ * Require role permissions
+ * Shorthand for authorize([], [], permissions)
+ * 
+ * Usage:
+ * router.put('/:id', requirePermission('signals:update'), isOwnerOrAdmin('id', {...}), handler);
+ * 
+ * @param {...string} permissions - Permissions from utils/permissions
+ * @returns {Function} Express middleware function
+ */
+const requirePermission = (...permissions) => authorize([], [], permissions);
+
+const requireWorkspaceWrite = requirePermission('workspace:write');
+
+/**
+ * Limit read-only roles to reading
+ * Non-GET requests need the workspace:write permission, which every role
+ * except viewer has.
+ * 
+ * Usage:
+ * router.use(authenticate);
+ * router.use(requireWriteAccess);
+ */
+const requireWriteAccess = (req, res, next) => {
+  if (isReadMethod(req.method)) {
+    return next();
+  }
+
+  return requireWorkspaceWrite(req, res, next);
+};
+
 /**
  * Check if user is admin
  * Shorthand for authorize(['admin'])
@@ -62,29 +228,56 @@ const isAdmin = authorize(['admin']);
  * Check if user is the resource owner or admin
  * Useful for endpoints where users can only access their own resources
  * 
+ * Without a model the route parameter is the owner's user ID. With a model
+ * the document is loaded and its ownerField compared; a missing document is
+ * left to the handler's 404. With a permission, roles holding it on any
+ * resource (not just :own) pass as admins do.
+ * 
  * Usage:
  * router.get('/users/:id', authenticate, isOwnerOrAdmin('id'), handler);
+ * router.put('/signals/:id', authenticate, isOwnerOrAdmin('id', {
+ *   model: TradingSignal, ownerField: 'createdBy', permission: 'signals:update',
+ * }), handler);
  * 
- * @param {string} paramName - Name of the route parameter containing user ID
+ * @param {string} paramName - Name of the route parameter containing the user or resource ID
+ * @param {Object} options - { model, ownerField = 'user', permission }
  * @returns {Function} Express middleware function
  */
-const isOwnerOrAdmin = (paramName = 'id') => {
+const isOwnerOrAdmin = (paramName = 'id', { model, ownerField = 'user', permission } = {}) => {
   return async (req, res, next) => {
     try {
       if (!req.user) {
         throw new AuthorizationError('Authentication required');
       }
 
-      const resourceUserId = req.params[paramName];
+      const canAccessAny = permission
+        ? getPermissionAccess(req.userRole, permission, await getOrganizationRole(req.user)) === 'any'
+        : req.userRole === 'admin';
+
+      if (canAccessAny) {
+        return next();
+      }
+
+      let resourceUserId = req.params[paramName];
       const currentUserId = req.userId.toString();
 
-      // Allow if user is admin or owns the resource
-      if (req.userRole === 'admin' || currentUserId === resourceUserId) {
+      if (model) {
+        const resource = await model.findById(resourceUserId).select(ownerField).lean();
+
+        if (!resource) {
+          return next();
+        }
+
+        resourceUserId = resource[ownerField]?.toString();
+      }
+
+      // Allow if user owns the resource
+      if (currentUserId === resourceUserId) {
         return next();
       }
 
       logger.warn(
-        `Unauthorized resource access - User: ${req.user.email}, Attempted: ${resourceUserId}, Path: ${req.path}`
+        `Unauthorized resource access - User: ${req.user.email}, Attempted: ${req.params[paramName]}, Path: ${req.path}`
       );
 
       throw new AuthorizationError('You can only access your own resources');
@@ -101,6 +294,11 @@ const isOwnerOrAdmin = (paramName = 'id') => {
 
 module.exports = {
   authorize,
+  requireScope,
+  requireSession,
+  requireVerifiedEmail,
+  requirePermission,
+  requireWriteAccess,
   isAdmin,
   isOwnerOrAdmin,
 };
@@ -84,6 +84,18 @@ const notFoundHandler = (req, res, next) => {
     availableRoutes: {
       auth: '/api/v1/auth',
       signals: '/api/v1/signals',
+      watchlists: '/api/v1/watchlists',
+      assets: '/api/v1/assets',
+      analytics: '/api/v1/analytics',
+      portfolios: '/api/v1/portfolios',
+      backtests: '/api/v1/backtests',
+      webhooks: '/api/v1/webhooks',
+      ingest: '/api/v1/ingest',
+      apiKeys: '/api/v1/api-keys',
+      users: '/api/v1/users',
+      auditLogs: '/api/v1/audit-logs',
+      organizations: '/api/v1/organizations',
+      plans: '/api/v1/plans',
       docs: '/api-docs',
     },
   });
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// Accept a caller's ID only if it is short and plain, so it is safe to log and store
+const VALID_REQUEST_ID = /^[\w.:-]{1,100}$/;
+
+/**
+ * Request ID Middleware
+ * Tags each request with an ID (the incoming X-Request-Id, or a new UUID),
+ * exposes it as req.id and echoes it in the X-Request-Id response header, so
+ * log lines and audit records can be traced back to one request.
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  next();
+};
+
+module.exports = requestId;
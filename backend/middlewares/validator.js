@@ -1,6 +1,14 @@
 const { body, param, query, validationResult } = require('express-validator');
 const { ValidationError } = require('../utils/AppError');
 const { errorResponse } = require('../utils/responseHandler');
+const { validateLevels } = require('../utils/signalLevels');
+const { SIGNAL_EVENTS } = require('../services/signalEventService');
+const { ALERT_TEMPLATE_FIELDS } = require('../utils/alertTemplate');
+const { API_KEY_SCOPES } = require('../utils/apiKeyScopes');
+const { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } = require('../utils/auditActions');
+const { ROLES, ORG_ROLES } = require('../utils/permissions');
+const { PLANS } = require('../utils/plans');
+const { isPublicUrl } = require('../utils/networkGuard');
 
 /**
  * Validation result handler
@@ -10,20 +18,58 @@ const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
 
   if (!errors.isEmpty()) {
-    const formattedErrors = errors.array().map((err) => ({
-      field: err.path || err.param,
-      message: err.msg,
-      value: err.value,
-    }));
-
     return errorResponse(res, 400, 'Validation failed', {
-      errors: formattedErrors,
+      errors: formatValidationErrors(errors),
     });
   }
 
   next();
 };
 
+/**
+ * Format express-validator errors for responses
+ */
+const formatValidationErrors = (errors) =>
+  errors.array().map((err) => ({
+    field: err.path || err.param,
+    message: err.msg,
+    value: err.value,
+  }));
+
+/**
+ * Run body validation rules against data outside of a request
+ * Used where a request body is not the signal itself (e.g. ingested alerts)
+ * @param {Array} rules - Validation rules, e.g. signalValidation
+ * @param {Object} data - Data to validate as the request body
+ * @returns {Promise<Object>} { errors, data } with sanitizers (trim, toInt...) applied to data
+ */
+const validateData = async (rules, data) => {
+  const req = { body: { ...data } };
+
+  for (const rule of rules) {
+    if (typeof rule.run === 'function') {
+      await rule.run(req);
+    }
+  }
+
+  return { errors: formatValidationErrors(validationResult(req)), data: req.body };
+};
+
+/**
+ * Password strength rule, shared by registration and password changes
+ * @param {string} field - Body field holding the new password
+ */
+const passwordRule = (field) =>
+  body(field)
+    .notEmpty()
+    .withMessage('Password is required')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+    .withMessage(
+      'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character (@$!%*?&)'
+    );
+
 /**
  * User Registration Validation Rules
  */
@@ -45,15 +91,7 @@ const registerValidation = [
     .withMessage('Please provide a valid email address')
     .normalizeEmail(),
 
-  body('password')
-    .notEmpty()
-    .withMessage('Password is required')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage(
-      'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character (@$!%*?&)'
-    ),
+  passwordRule('password'),
 
   handleValidationErrors,
 ];
@@ -75,6 +113,131 @@ const loginValidation = [
   handleValidationErrors,
 ];
 
+/**
+ * Emailed token rule (verification and password reset links)
+ */
+const emailTokenRule = () =>
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Token is required')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid token');
+
+/**
+ * Email Verification Validation Rules
+ */
+const emailTokenValidation = [emailTokenRule(), handleValidationErrors];
+
+/**
+ * Forgot Password Validation Rules
+ */
+const forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Reset Password Validation Rules
+ */
+const resetPasswordValidation = [
+  emailTokenRule(),
+
+  passwordRule('password'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Change Password Validation Rules
+ */
+const changePasswordValidation = [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+
+  passwordRule('newPassword').custom((value, { req }) => {
+    if (value === req.body.currentPassword) {
+      throw new Error('New password must be different from the current password');
+    }
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Two-factor code rule: a 6-digit authenticator code or a recovery code
+ */
+const twoFactorCodeRule = () =>
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+    .isLength({ max: 20 })
+    .withMessage('Invalid authentication code');
+
+/**
+ * Two-Factor Login Validation Rules
+ */
+const twoFactorLoginValidation = [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+
+  twoFactorCodeRule(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Two-Factor Code Validation Rules (enable, regenerate recovery codes)
+ */
+const twoFactorCodeValidation = [twoFactorCodeRule(), handleValidationErrors];
+
+/**
+ * Two-Factor Disable Validation Rules
+ */
+const twoFactorDisableValidation = [
+  body('password').notEmpty().withMessage('Password is required'),
+
+  twoFactorCodeRule(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Two-Factor Policy Validation Rules
+ */
+const twoFactorPolicyValidation = [
+  body('requireForAdmins')
+    .exists()
+    .withMessage('requireForAdmins is required')
+    .isBoolean()
+    .withMessage('requireForAdmins must be a boolean')
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Price level direction check for a single field
+ * Applies the BUY/SELL rules from utils/signalLevels to the request body
+ * @param {string} field - entryRange, stopLoss or takeProfits
+ */
+const priceLevelCheck = (field) =>
+  body(field).custom((value, { req }) => {
+    const error = validateLevels(req.body).find((e) => e.field === field);
+    if (error) {
+      throw new Error(error.message);
+    }
+    return true;
+  });
+
 /**
  * Trading Signal Creation/Update Validation Rules
  */
@@ -98,10 +261,18 @@ const signalValidation = [
     .isIn(['BUY', 'SELL', 'HOLD'])
     .withMessage('Signal type must be BUY, SELL, or HOLD'),
 
+  body('asset')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Asset must be a ticker or asset ID'),
+
+  // Free-text name is still accepted and resolved to an asset by the controller
   body('cryptocurrency')
+    .if(body('asset').isEmpty())
     .trim()
     .notEmpty()
-    .withMessage('Cryptocurrency is required')
+    .withMessage('Asset or cryptocurrency is required')
     .isLength({ min: 2, max: 50 })
     .withMessage('Cryptocurrency name must be between 2 and 50 characters'),
 
@@ -122,6 +293,569 @@ const signalValidation = [
     .isIn(['active', 'expired'])
     .withMessage('Status must be either active or expired'),
 
+  body('minPlan')
+    .optional()
+    .isIn(PLANS)
+    .withMessage(`Minimum plan must be one of: ${PLANS.join(', ')}`),
+
+  body('draft')
+    .optional()
+    .isBoolean()
+    .withMessage('Draft must be a boolean')
+    .toBoolean(),
+
+  body('publishAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Publish time must be a valid date')
+    .toDate(),
+
+  body('freeDelayMinutes')
+    .optional()
+    .isInt({ min: 0, max: 1440 })
+    .withMessage('Free-plan delay must be between 0 and 1440 minutes')
+    .toInt(),
+
+  body('entryPrice')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Entry price must be a positive number'),
+
+  body('entryRange.min')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Entry range min must be a positive number'),
+
+  body('entryRange.max')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Entry range max must be a positive number'),
+
+  body('stopLoss')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Stop loss must be a positive number'),
+
+  body('takeProfits')
+    .optional({ values: 'null' })
+    .isArray({ max: 5 })
+    .withMessage('Take-profit levels must be an array of at most 5 prices'),
+
+  body('takeProfits.*')
+    .isFloat({ min: 0 })
+    .withMessage('Take-profit levels must be positive numbers'),
+
+  priceLevelCheck('entryRange'),
+  priceLevelCheck('stopLoss'),
+  priceLevelCheck('takeProfits'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Watchlist Creation/Update Validation Rules
+ */
+const watchlistValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Watchlist name is required')
+    .isLength({ max: 50 })
+    .withMessage('Watchlist name cannot exceed 50 characters'),
+
+  body('cryptocurrencies')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Cryptocurrencies must be an array of at most 50 names'),
+
+  body('cryptocurrencies.*')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Cryptocurrency name must be between 2 and 50 characters'),
+
+  body('creators')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Creators must be an array of at most 50 user IDs'),
+
+  body('creators.*')
+    .isMongoId()
+    .withMessage('Creators must be valid user IDs'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Asset Creation/Update Validation Rules
+ */
+const assetValidation = [
+  body('ticker')
+    .trim()
+    .notEmpty()
+    .withMessage('Ticker is required')
+    .matches(/^[A-Za-z0-9]{2,10}$/)
+    .withMessage('Ticker must be 2-10 letters or digits'),
+
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Asset name is required')
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Asset name must be between 2 and 50 characters'),
+
+  body('aliases')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Aliases must be an array of at most 20 names'),
+
+  body('aliases.*')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Alias must be between 1 and 50 characters'),
+
+  body('quoteCurrency')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9]{2,10}$/)
+    .withMessage('Quote currency must be 2-10 letters or digits'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Portfolio Creation Validation Rules
+ */
+const portfolioValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Portfolio name is required')
+    .isLength({ max: 50 })
+    .withMessage('Portfolio name cannot exceed 50 characters'),
+
+  body('startingBalance')
+    .optional()
+    .isFloat({ min: 100, max: 10000000 })
+    .withMessage('Starting balance must be between 100 and 10,000,000')
+    .toFloat(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Position Opening Validation Rules
+ */
+const positionValidation = [
+  body('signal')
+    .notEmpty()
+    .withMessage('Signal is required')
+    .isMongoId()
+    .withMessage('Invalid signal format'),
+
+  body('size')
+    .notEmpty()
+    .withMessage('Position size is required')
+    .isFloat({ min: 1 })
+    .withMessage('Position size must be at least 1')
+    .toFloat(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Backtest Creation Validation Rules
+ * Filters mirror the signal list query filters
+ */
+const backtestValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Backtest name cannot exceed 100 characters'),
+
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object'),
+
+  body('filters.signalType')
+    .optional({ values: 'falsy' })
+    .isIn(['BUY', 'SELL', 'HOLD'])
+    .withMessage('Signal type must be BUY, SELL, or HOLD'),
+
+  body('filters.asset')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Asset must be a ticker or asset ID'),
+
+  body('filters.cryptocurrency')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Cryptocurrency name must be between 2 and 50 characters'),
+
+  body('filters.minConfidence')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Minimum confidence must be between 1 and 100')
+    .toInt(),
+
+  body('filters.status')
+    .optional({ values: 'falsy' })
+    .isIn(['active', 'expired'])
+    .withMessage('Status must be either active or expired'),
+
+  body('filters.result')
+    .optional({ values: 'falsy' })
+    .isIn(['pending', 'target_hit', 'stopped_out', 'expired_neutral'])
+    .withMessage('Result must be pending, target_hit, stopped_out or expired_neutral'),
+
+  body('filters.watchlist')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid watchlist format'),
+
+  body('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date')
+    .toDate(),
+
+  body('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+    .toDate(),
+
+  body('initialEquity')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Initial equity must be a positive number')
+    .toFloat(),
+
+  body('positionSizePct')
+    .optional()
+    .isFloat({ min: 0.1, max: 100 })
+    .withMessage('Position size must be between 0.1 and 100 percent')
+    .toFloat(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Webhook Subscription Creation/Update Validation Rules
+ */
+const webhookValidation = [
+  body('url')
+    .trim()
+    .notEmpty()
+    .withMessage('Webhook URL is required')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Webhook URL must be a valid http(s) URL')
+    .isLength({ max: 2048 })
+    .withMessage('Webhook URL cannot exceed 2048 characters')
+    .bail()
+    .custom(async (url) => {
+      if (!(await isPublicUrl(url))) {
+        throw new Error('Webhook URL must resolve to a public address');
+      }
+      return true;
+    }),
+
+  body('events')
+    .isArray({ min: 1 })
+    .withMessage('Events must be a non-empty array'),
+
+  body('events.*')
+    .isIn(SIGNAL_EVENTS)
+    .withMessage(`Event must be one of: ${SIGNAL_EVENTS.join(', ')}`),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  body('secret')
+    .optional()
+    .isString()
+    .isLength({ min: 16, max: 128 })
+    .withMessage('Secret must be between 16 and 128 characters'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Webhook Delivery Log Query Validation
+ */
+const webhookDeliveryFilterValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'delivering', 'succeeded', 'failed'])
+    .withMessage('Status must be pending, delivering, succeeded or failed'),
+
+  query('event')
+    .optional()
+    .isIn(SIGNAL_EVENTS)
+    .withMessage(`Event must be one of: ${SIGNAL_EVENTS.join(', ')}`),
+
+  handleValidationErrors,
+];
+
+/**
+ * Alert Source Creation/Update Validation Rules
+ */
+const alertSourceValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Source name is required')
+    .isLength({ max: 50 })
+    .withMessage('Source name cannot exceed 50 characters'),
+
+  body('template')
+    .optional()
+    .isObject()
+    .withMessage('Template must be an object')
+    .custom((template) => {
+      const unknown = Object.keys(template).filter((key) => !ALERT_TEMPLATE_FIELDS.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown template field(s): ${unknown.join(', ')}`);
+      }
+      return true;
+    }),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Ingested Alert Audit Query Validation
+ */
+const ingestedAlertFilterValidation = [
+  query('source')
+    .optional()
+    .isMongoId()
+    .withMessage('Source must be a valid source ID'),
+
+  query('status')
+    .optional()
+    .isIn(['processing', 'accepted', 'duplicate', 'rejected'])
+    .withMessage('Status must be processing, accepted, duplicate or rejected'),
+
+  handleValidationErrors,
+];
+
+/**
+ * API Key Creation Validation Rules
+ */
+const apiKeyValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Key name is required')
+    .isLength({ max: 50 })
+    .withMessage('Key name cannot exceed 50 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Scopes must be a non-empty array'),
+
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scope must be one of: ${API_KEY_SCOPES.join(', ')}`),
+
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+    .toInt(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Admin User List Query Validation
+ */
+const userFilterValidation = [
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+
+  query('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean(),
+
+  query('organization')
+    .optional()
+    .isMongoId()
+    .withMessage('Organization must be a valid organization ID'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Admin Role Change Validation
+ */
+const userRoleValidation = [
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+
+  handleValidationErrors,
+];
+
+/**
+ * Admin Plan Assignment Validation
+ */
+const userPlanValidation = [
+  body('plan')
+    .isIn(PLANS)
+    .withMessage(`Plan must be one of: ${PLANS.join(', ')}`),
+
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .toDate()
+    .custom((value) => value > new Date())
+    .withMessage('Expiry must be in the future'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Plan Checkout Validation
+ */
+const planCheckoutValidation = [
+  body('plan')
+    .isIn(PLANS.filter((plan) => plan !== 'free'))
+    .withMessage(`Plan must be one of: ${PLANS.filter((plan) => plan !== 'free').join(', ')}`),
+
+  handleValidationErrors,
+];
+
+/**
+ * Organization Creation Validation
+ */
+const organizationValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Organization name is required')
+    .isLength({ min: 2, max: 80 })
+    .withMessage('Organization name must be between 2 and 80 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Description cannot exceed 300 characters'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Organization Invite Validation
+ */
+const organizationInviteValidation = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+
+  body('role')
+    .optional()
+    .isIn(ORG_ROLES)
+    .withMessage(`Organization role must be one of: ${ORG_ROLES.join(', ')}`),
+
+  handleValidationErrors,
+];
+
+/**
+ * Organization Member Role Change Validation
+ */
+const organizationRoleValidation = [
+  body('role')
+    .isIn(ORG_ROLES)
+    .withMessage(`Organization role must be one of: ${ORG_ROLES.join(', ')}`),
+
+  handleValidationErrors,
+];
+
+/**
+ * Audit Log Query Validation
+ */
+const auditLogFilterValidation = [
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Actor must be a valid user ID'),
+
+  query('action')
+    .optional()
+    .isIn(AUDIT_ACTIONS)
+    .withMessage(`Action must be one of: ${AUDIT_ACTIONS.join(', ')}`),
+
+  query('targetType')
+    .optional()
+    .isIn(AUDIT_TARGET_TYPES)
+    .withMessage(`Target type must be one of: ${AUDIT_TARGET_TYPES.join(', ')}`),
+
+  query('targetId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Target ID must be between 1 and 200 characters'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date')
+    .toDate(),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+    .toDate()
+    .custom((to, { req }) => {
+      if (req.query.from && to < req.query.from) {
+        throw new Error('To must be after from');
+      }
+      return true;
+    }),
+
   handleValidationErrors,
 ];
 
@@ -159,6 +893,12 @@ const signalFilterValidation = [
     .isLength({ min: 2, max: 50 })
     .withMessage('Cryptocurrency name must be between 2 and 50 characters'),
 
+  query('asset')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Asset must be a ticker or asset ID'),
+
   query('minConfidence')
     .optional()
     .isInt({ min: 1, max: 100 })
@@ -170,6 +910,16 @@ const signalFilterValidation = [
     .isIn(['active', 'expired'])
     .withMessage('Status must be either active or expired'),
 
+  query('result')
+    .optional()
+    .isIn(['pending', 'target_hit', 'stopped_out', 'expired_neutral'])
+    .withMessage('Result must be pending, target_hit, stopped_out or expired_neutral'),
+
+  query('watchlist')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid watchlist format'),
+
   query('sortBy')
     .optional()
     .isIn(['createdAt', 'confidence', 'targetPrice'])
@@ -183,6 +933,53 @@ const signalFilterValidation = [
   handleValidationErrors,
 ];
 
+/**
+ * Leaderboard Query Validation
+ */
+const leaderboardValidation = [
+  query('period')
+    .optional()
+    .isIn(['7d', '30d', '90d', '1y', 'all'])
+    .withMessage('Period must be 7d, 30d, 90d, 1y or all'),
+
+  query('sortBy')
+    .optional()
+    .isIn(['hitRate', 'avgReturn', 'avgConfidence', 'signalCount'])
+    .withMessage('Sort by must be hitRate, avgReturn, avgConfidence or signalCount'),
+
+  query('minSignals')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Minimum signals must be between 1 and 1000')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Calibration Query Validation
+ */
+const calibrationValidation = [
+  query('analyst')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid analyst format'),
+
+  query('asset')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Asset must be a ticker or asset ID'),
+
+  handleValidationErrors,
+];
+
 /**
  * MongoDB ObjectId Validation
  */
@@ -199,9 +996,38 @@ const objectIdValidation = (paramName = 'id') => [
 module.exports = {
   registerValidation,
   loginValidation,
+  emailTokenValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  changePasswordValidation,
+  twoFactorLoginValidation,
+  twoFactorCodeValidation,
+  twoFactorDisableValidation,
+  twoFactorPolicyValidation,
   signalValidation,
+  watchlistValidation,
+  assetValidation,
+  portfolioValidation,
+  positionValidation,
+  backtestValidation,
+  webhookValidation,
+  webhookDeliveryFilterValidation,
+  alertSourceValidation,
+  ingestedAlertFilterValidation,
+  apiKeyValidation,
+  userFilterValidation,
+  userRoleValidation,
+  userPlanValidation,
+  planCheckoutValidation,
+  organizationValidation,
+  organizationInviteValidation,
+  organizationRoleValidation,
+  auditLogFilterValidation,
   paginationValidation,
   signalFilterValidation,
+  leaderboardValidation,
+  calibrationValidation,
   objectIdValidation,
   handleValidationErrors,
+  validateData,
 };
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Alert Source Schema
+ * An external tool allowed to create signals through POST /api/v1/ingest/alerts
+ */
+const alertSourceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Source name is required'],
+      trim: true,
+      maxlength: [50, 'Source name cannot exceed 50 characters'],
+    },
+    // SHA-256 of the token; the token itself is only shown when issued
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // First characters of the token, to tell tokens apart
+    tokenPrefix: String,
+    // Maps alert payload fields to signal fields (see utils/alertTemplate)
+    template: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Signals ingested from this source are created by this user
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Organization the source publishes into, fixed when the source is created
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    lastUsedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Names are unique per organization, so one desk's names neither leak to nor
+// block another's (existing databases need the old global name_1 index dropped)
+alertSourceSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+/**
+ * Static method: Hash a source token for storage and lookup
+ * @param {string} token - Plain token
+ * @returns {string} Hex SHA-256 digest
+ */
+alertSourceSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Instance method: Issue a new token, replacing any previous one
+ * @returns {string} Plain token (not stored)
+ */
+alertSourceSchema.methods.issueToken = function () {
+  const token = `ais_${crypto.randomBytes(24).toString('hex')}`;
+  this.tokenHash = this.constructor.hashToken(token);
+  this.tokenPrefix = token.slice(0, 10);
+  return token;
+};
+
+/**
+ * Static method: Find the active source for a token
+ * @param {string} token - Plain token
+ * @returns {Promise<Object|null>} Source or null
+ */
+alertSourceSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: this.hashToken(token), isActive: true });
+};
+
+const AlertSource = mongoose.model('AlertSource', alertSourceSchema);
+
+module.exports = AlertSource;
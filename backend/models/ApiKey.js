@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../utils/apiKeyScopes');
+
+/**
+ * API Key Schema
+ * Long-lived personal credential for scripts, sent in the X-API-Key header
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Key name is required'],
+      trim: true,
+      maxlength: [50, 'Key name cannot exceed 50 characters'],
+    },
+    // SHA-256 of the key; the key itself is only shown when created
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // First characters of the key, to tell keys apart
+    prefix: String,
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: API_KEY_SCOPES,
+            message: `Scope must be one of: ${API_KEY_SCOPES.join(', ')}`,
+          },
+        },
+      ],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'At least one scope is required',
+      },
+    },
+    expiresAt: Date,
+    revokedAt: Date,
+    lastUsedAt: Date,
+    lastUsedIp: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for performance
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * Virtual for whether the key can still be used
+ */
+apiKeySchema.virtual('isActive').get(function () {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+/**
+ * Static method: Hash a key for storage and lookup
+ * @param {string} key - Plain key
+ * @returns {string} Hex SHA-256 digest
+ */
+apiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Instance method: Generate the key
+ * @returns {string} Plain key (not stored)
+ */
+apiKeySchema.methods.generateKey = function () {
+  const key = `csk_${crypto.randomBytes(32).toString('hex')}`;
+  this.keyHash = this.constructor.hashKey(key);
+  this.prefix = key.slice(0, 12);
+  return key;
+};
+
+/**
+ * Static method: Find a usable key
+ * @param {string} key - Plain key
+ * @returns {Promise<Object|null>} Key that is neither revoked nor expired, or null
+ */
+apiKeySchema.statics.findActiveByKey = function (key) {
+  return this.findOne({
+    keyHash: this.hashKey(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+};
+
+/**
+ * Static method: Record key usage, at most once a minute per key
+ * @param {string} id - Key ID
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object>} Update result
+ */
+apiKeySchema.statics.touch = function (id, ip) {
+  const now = new Date();
+
+  return this.updateOne(
+    { _id: id, $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(now.getTime() - 60 * 1000) } }] },
+    { $set: { lastUsedAt: now, lastUsedIp: ip } }
+  );
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
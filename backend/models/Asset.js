@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const escapeRegExp = require('../utils/escapeRegExp');
+
+/**
+ * Asset Schema
+ * Canonical registry of tradable cryptocurrencies that signals reference
+ */
+const assetSchema = new mongoose.Schema(
+  {
+    ticker: {
+      type: String,
+      required: [true, 'Ticker is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9]{2,10}$/, 'Ticker must be 2-10 letters or digits'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Asset name is required'],
+      trim: true,
+      minlength: [2, 'Asset name must be at least 2 characters'],
+      maxlength: [50, 'Asset name cannot exceed 50 characters'],
+    },
+    aliases: {
+      type: [
+        {
+          type: String,
+          lowercase: true,
+          trim: true,
+        },
+      ],
+      default: [],
+    },
+    quoteCurrency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'USD',
+      match: [/^[A-Z0-9]{2,10}$/, 'Quote currency must be 2-10 letters or digits'],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for performance
+assetSchema.index({ aliases: 1 });
+assetSchema.index({ name: 1 });
+
+/**
+ * Virtual: Display name used on signals, e.g. "Bitcoin (BTC)"
+ */
+assetSchema.virtual('displayName').get(function () {
+  return `${this.name} (${this.ticker})`;
+});
+
+/**
+ * Pre-validate hook: De-duplicate aliases
+ */
+assetSchema.pre('validate', function (next) {
+  if (this.aliases) {
+    this.aliases = [...new Set(this.aliases.map((alias) => alias.trim().toLowerCase()).filter(Boolean))];
+  }
+  next();
+});
+
+/**
+ * Static method: Resolve an asset from an ID, ticker, alias, name or display name
+ * "BTC", "bitcoin", "Bitcoin (BTC)" and the asset's ObjectId all resolve to the same asset
+ * @param {string} value - Identifier to resolve
+ * @returns {Promise<Object|null>} Asset document or null
+ */
+assetSchema.statics.resolve = async function (value) {
+  if (!value) return null;
+  const raw = String(value).trim();
+
+  if (/^[0-9a-fA-F]{24}$/.test(raw)) {
+    const byId = await this.findById(raw);
+    if (byId) return byId;
+  }
+
+  // "Bitcoin (BTC)" -> ticker BTC
+  const displayMatch = /\(([A-Za-z0-9]+)\)\s*$/.exec(raw);
+  const ticker = (displayMatch ? displayMatch[1] : raw).toUpperCase();
+
+  return this.findOne({
+    $or: [
+      { ticker },
+      { aliases: raw.toLowerCase() },
+      { name: new RegExp(`^${escapeRegExp(raw)}$`, 'i') },
+    ],
+  });
+};
+
+const Asset = mongoose.model('Asset', assetSchema);
+
+module.exports = Asset;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } = require('../utils/auditActions');
+
+/**
+ * Audit Log Schema
+ * Append-only record of privileged actions and sign-ins. The actor's email is
+ * copied so entries stay readable after the account is deleted; `changes`
+ * holds only the fields an action changed.
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    actorEmail: String,
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: AUDIT_TARGET_TYPES,
+      required: true,
+    },
+    // ObjectId for documents, the key for settings, the email for
+    // failed sign-ins to unknown accounts
+    targetId: {
+      type: String,
+      required: true,
+    },
+    changes: {
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip: String,
+    userAgent: String,
+    requestId: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const AUTH_TOKEN_TYPES = ['email_verification', 'password_reset'];
+
+/**
+ * Auth Token Schema
+ * Single-use, expiring tokens sent by email (verification and password reset)
+ * Only a hash is stored; the token itself is only in the email link.
+ */
+const authTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: AUTH_TOKEN_TYPES,
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+authTokenSchema.index({ user: 1, type: 1 });
+
+// Let MongoDB remove tokens once they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Static method: Issue a token, invalidating the user's unused tokens of that type
+ * @param {string} userId - User ID
+ * @param {string} type - One of AUTH_TOKEN_TYPES
+ * @param {number} ttlMs - Lifetime in milliseconds
+ * @returns {Promise<string>} Plain token (not stored)
+ */
+authTokenSchema.statics.issue = async function (userId, type, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.deleteMany({ user: userId, type, usedAt: null });
+  await this.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+/**
+ * Static method: Use a token
+ * Atomic, so a token can only be used once even under concurrent requests
+ * @param {string} token - Plain token
+ * @param {string} type - Expected type
+ * @returns {Promise<Object|null>} Token document, or null if unknown, used or expired
+ */
+authTokenSchema.statics.consume = function (token, type) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+
+module.exports = AuthToken;
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+/**
+ * Backtest Schema
+ * A replay of historical signals against OHLCV candles, run as a background job
+ */
+const tradeSchema = new mongoose.Schema(
+  {
+    signal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TradingSignal',
+    },
+    symbol: String,
+    side: {
+      type: String,
+      enum: ['long', 'short'],
+    },
+    confidence: Number,
+    entryAt: Date,
+    entryPrice: Number,
+    exitAt: Date,
+    exitPrice: Number,
+    outcome: {
+      type: String,
+      enum: ['target_hit', 'stopped_out', 'expired', 'data_end'],
+    },
+    returnPct: Number,
+  },
+  { _id: false }
+);
+
+const backtestSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Backtest name cannot exceed 100 characters'],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Organization whose signals are replayed, fixed when the backtest is created
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
+    // Signal list filters, as accepted by GET /api/v1/signals
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    from: Date,
+    to: Date,
+    initialEquity: {
+      type: Number,
+      default: 10000,
+      min: [1, 'Initial equity must be positive'],
+    },
+    // Share of equity committed to each trade
+    positionSizePct: {
+      type: Number,
+      default: 10,
+      min: [0.1, 'Position size must be at least 0.1%'],
+      max: [100, 'Position size cannot exceed 100%'],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['queued', 'running', 'completed', 'failed'],
+        message: 'Status must be queued, running, completed or failed',
+      },
+      default: 'queued',
+    },
+    progress: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    processed: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    error: String,
+    startedAt: Date,
+    completedAt: Date,
+    // Updated while running so stalled jobs can be picked up again
+    heartbeatAt: Date,
+    results: {
+      trades: Number,
+      wins: Number,
+      losses: Number,
+      skipped: Number,
+      winRate: Number,
+      avgWinPct: Number,
+      avgLossPct: Number,
+      expectancyPct: Number,
+      maxDrawdownPct: Number,
+      totalReturnPct: Number,
+      finalEquity: Number,
+    },
+    equityCurve: {
+      type: [
+        {
+          _id: false,
+          date: Date,
+          equity: Number,
+        },
+      ],
+      default: undefined,
+    },
+    trades: {
+      type: [tradeSchema],
+      default: undefined,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for performance
+backtestSchema.index({ user: 1, createdAt: -1 });
+backtestSchema.index({ status: 1, createdAt: 1 });
+
+/**
+ * Static method: Claim the next job to run
+ * Queued jobs come first; running jobs whose heartbeat stopped (crashed
+ * instance) are picked up again. Atomic, so each job runs on one instance.
+ * @param {number} staleMs - Heartbeat age after which a running job is reclaimed
+ * @returns {Promise<Object|null>} Claimed backtest or null
+ */
+backtestSchema.statics.claimNext = function (staleMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued' },
+        { status: 'running', heartbeatAt: { $lt: new Date(now.getTime() - staleMs) } },
+      ],
+    },
+    {
+      $set: { status: 'running', startedAt: now, heartbeatAt: now, progress: 0, processed: 0 },
+    },
+    { new: true, sort: { createdAt: 1 } }
+  );
+};
+
+const Backtest = mongoose.model('Backtest', backtestSchema);
+
+module.exports = Backtest;
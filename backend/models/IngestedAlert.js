@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const AUDIT_RETENTION_DAYS = parseInt(process.env.INGEST_AUDIT_RETENTION_DAYS, 10) || 90;
+
+/**
+ * Ingested Alert Schema
+ * Audit record of every payload received from an alert source, and the
+ * idempotency key store used to drop duplicate alerts
+ */
+const ingestedAlertSchema = new mongoose.Schema(
+  {
+    source: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AlertSource',
+      required: true,
+    },
+    // Raw payload exactly as received
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    idempotencyKey: {
+      type: String,
+      required: true,
+    },
+    // Copy of idempotencyKey while the alert holds the key (processing or
+    // accepted); unset on rejection so the alert can be sent again
+    dedupeKey: String,
+    status: {
+      type: String,
+      enum: {
+        values: ['processing', 'accepted', 'duplicate', 'rejected'],
+        message: 'Status must be processing, accepted, duplicate or rejected',
+      },
+      default: 'processing',
+    },
+    // Validation or creation errors for rejected alerts
+    validationErrors: {
+      type: [
+        {
+          _id: false,
+          field: String,
+          message: String,
+        },
+      ],
+      default: undefined,
+    },
+    signal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TradingSignal',
+    },
+    ip: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One accepted alert per key and source
+ingestedAlertSchema.index(
+  { source: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } }
+);
+ingestedAlertSchema.index({ source: 1, createdAt: -1 });
+ingestedAlertSchema.index({ status: 1, createdAt: -1 });
+
+// Drop old audit records (their idempotency keys expire with them)
+ingestedAlertSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: AUDIT_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const IngestedAlert = mongoose.model('IngestedAlert', ingestedAlertSchema);
+
+module.exports = IngestedAlert;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * Lease Schema
+ * Named, time-limited lock used to ensure a background job runs on only one instance
+ */
+const leaseSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String, // Lease name
+    },
+    owner: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB clean up leases that were never released
+leaseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 3600 });
+
+const Lease = mongoose.model('Lease', leaseSchema);
+
+module.exports = Lease;
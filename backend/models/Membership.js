@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { ORG_ROLES } = require('../utils/permissions');
+
+/**
+ * Membership Schema
+ * A user's place in an organization. Org admins manage its members, and the
+ * organization role caps what the account role may do with the
+ * organization's signals (see ORG_ROLE_PERMISSIONS in utils/permissions).
+ */
+const membershipSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ORG_ROLES,
+        message: `Organization role must be one of: ${ORG_ROLES.join(', ')}`,
+      },
+      default: 'member',
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+membershipSchema.index({ organization: 1, user: 1 }, { unique: true });
+membershipSchema.index({ user: 1, createdAt: 1 });
+
+const Membership = mongoose.model('Membership', membershipSchema);
+
+module.exports = Membership;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * Organization Schema
+ * A desk with its own signals and members. Users work in one organization at
+ * a time (User.organization); Membership records which ones they belong to.
+ */
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Organization name is required'],
+      trim: true,
+      minlength: [2, 'Organization name must be at least 2 characters'],
+      maxlength: [80, 'Organization name cannot exceed 80 characters'],
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Description cannot exceed 300 characters'],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Static method: URL-safe slug for a name that no other organization uses
+ * @param {string} name - Organization name
+ * @returns {Promise<string>} e.g. "macro-desk", or "macro-desk-2" if taken
+ */
+organizationSchema.statics.generateSlug = async function (name) {
+  const base =
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60) || 'org';
+
+  let slug = base;
+  for (let n = 2; await this.exists({ slug }); n += 1) {
+    slug = `${base}-${n}`;
+  }
+
+  return slug;
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+module.exports = Organization;
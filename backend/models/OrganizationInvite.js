@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { ORG_ROLES } = require('../utils/permissions');
+
+const INVITE_TTL_DAYS = parseInt(process.env.ORGANIZATION_INVITE_TTL_DAYS, 10) || 14;
+
+/**
+ * Organization Invite Schema
+ * A pending offer to join an organization, addressed by email. Nothing about
+ * the account changes until its owner accepts; unaccepted invites expire.
+ */
+const organizationInviteSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ORG_ROLES,
+        message: `Organization role must be one of: ${ORG_ROLES.join(', ')}`,
+      },
+      default: 'member',
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      default: () => new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+organizationInviteSchema.index({ organization: 1, email: 1 }, { unique: true });
+organizationInviteSchema.index({ email: 1 });
+
+// Let MongoDB remove invites once they expire
+organizationInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static method: Invite an email address, renewing an existing invite
+ * @param {Object} organization - Organization document
+ * @param {string} email - Invitee email
+ * @param {string} role - Organization role on acceptance
+ * @param {Object} invitedBy - Inviting user
+ * @returns {Promise<Object>} Invite document
+ */
+organizationInviteSchema.statics.invite = function (organization, email, role, invitedBy) {
+  return this.findOneAndUpdate(
+    { organization: organization._id, email: email.toLowerCase() },
+    {
+      $set: {
+        role,
+        invitedBy: invitedBy._id,
+        expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+      },
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Static method: Find a pending invite addressed to a user
+ * @param {string} inviteId - Invite ID
+ * @param {Object} user - Invitee
+ * @returns {Promise<Object|null>}
+ */
+organizationInviteSchema.statics.findPendingFor = function (inviteId, user) {
+  return this.findOne({
+    _id: inviteId,
+    email: user.email.toLowerCase(),
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+const OrganizationInvite = mongoose.model('OrganizationInvite', organizationInviteSchema);
+
+module.exports = OrganizationInvite;
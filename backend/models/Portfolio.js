@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+/**
+ * Portfolio Schema
+ * A user's simulated (paper-trading) account that positions are opened from
+ */
+const portfolioSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Portfolio name is required'],
+      trim: true,
+      minlength: [1, 'Portfolio name is required'],
+      maxlength: [50, 'Portfolio name cannot exceed 50 characters'],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    startingBalance: {
+      type: Number,
+      required: true,
+      min: [1, 'Starting balance must be positive'],
+      default: 10000,
+    },
+    // Cash not tied up in open positions
+    cashBalance: {
+      type: Number,
+      required: true,
+      min: [0, 'Cash balance cannot be negative'],
+    },
+    realizedPnl: {
+      type: Number,
+      default: 0,
+    },
+    baseCurrency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'USD',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for performance
+portfolioSchema.index({ user: 1, name: 1 }, { unique: true });
+
+/**
+ * Pre-validate hook: New portfolios start fully in cash
+ */
+portfolioSchema.pre('validate', function (next) {
+  if (this.isNew && (this.cashBalance === undefined || this.cashBalance === null)) {
+    this.cashBalance = this.startingBalance;
+  }
+  next();
+});
+
+/**
+ * Static method: Find a portfolio owned by a user
+ * @param {string} id - Portfolio ID
+ * @param {string} userId - Owner ID
+ * @returns {Promise<Object|null>} Portfolio document or null
+ */
+portfolioSchema.statics.findOwnedBy = function (id, userId) {
+  return this.findOne({ _id: id, user: userId });
+};
+
+/**
+ * Static method: Reserve cash for a new position
+ * Atomic, so concurrent opens cannot overdraw the portfolio
+ * @param {string} id - Portfolio ID
+ * @param {number} amount - Amount to reserve
+ * @returns {Promise<Object|null>} Updated portfolio or null if cash is insufficient
+ */
+portfolioSchema.statics.reserveCash = function (id, amount) {
+  return this.findOneAndUpdate(
+    { _id: id, cashBalance: { $gte: amount } },
+    { $inc: { cashBalance: -amount } },
+    { new: true }
+  );
+};
+
+/**
+ * Static method: Return a closed position's size plus P&L to cash
+ * @param {string} id - Portfolio ID
+ * @param {number} size - Position size that was reserved
+ * @param {number} pnl - Realized profit or loss
+ * @returns {Promise<Object>} Update result
+ */
+portfolioSchema.statics.settlePosition = function (id, size, pnl) {
+  return this.updateOne(
+    { _id: id },
+    { $inc: { cashBalance: size + pnl, realizedPnl: pnl } }
+  );
+};
+
+const Portfolio = mongoose.model('Portfolio', portfolioSchema);
+
+module.exports = Portfolio;
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+/**
+ * Position Schema
+ * A simulated position opened from a trading signal. The signal's levels are
+ * copied on open so the position can still be closed if the signal is deleted.
+ */
+const positionSchema = new mongoose.Schema(
+  {
+    portfolio: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Portfolio',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    signal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TradingSignal',
+      required: true,
+    },
+    symbol: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    cryptocurrency: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    side: {
+      type: String,
+      required: true,
+      enum: {
+        values: ['long', 'short'],
+        message: 'Side must be long or short',
+      },
+    },
+    // Amount of cash committed, in the portfolio's base currency
+    size: {
+      type: Number,
+      required: [true, 'Position size is required'],
+      min: [1, 'Position size must be positive'],
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0, 'Quantity must be positive'],
+    },
+    entryPrice: {
+      type: Number,
+      required: true,
+      min: [0, 'Entry price must be positive'],
+    },
+    targetPrice: {
+      type: Number,
+      min: [0, 'Target price must be positive'],
+    },
+    stopLoss: {
+      type: Number,
+      min: [0, 'Stop loss must be positive'],
+    },
+    expiresAt: {
+      type: Date,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['open', 'closed'],
+        message: 'Status must be open or closed',
+      },
+      default: 'open',
+    },
+    closeReason: {
+      type: String,
+      enum: {
+        values: ['target', 'stop', 'expiry', 'manual'],
+        message: 'Close reason must be target, stop, expiry or manual',
+      },
+    },
+    exitPrice: {
+      type: Number,
+      min: [0, 'Exit price must be positive'],
+    },
+    closedAt: {
+      type: Date,
+    },
+    realizedPnl: {
+      type: Number,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for performance
+positionSchema.index({ portfolio: 1, status: 1, createdAt: -1 });
+positionSchema.index({ status: 1 });
+positionSchema.index({ portfolio: 1, closedAt: 1 });
+
+/**
+ * Virtual: Realized return in percent of size
+ */
+positionSchema.virtual('realizedPnlPct').get(function () {
+  if (this.realizedPnl === undefined || this.realizedPnl === null) return null;
+  return Math.round((this.realizedPnl / this.size) * 10000) / 100;
+});
+
+/**
+ * Instance method: Profit or loss at a given price
+ * Losses are capped at the position size (no leverage, no margin calls)
+ * @param {number} price - Mark or exit price
+ * @returns {number} P&L in the portfolio's base currency
+ */
+positionSchema.methods.pnlAt = function (price) {
+  const move = (price - this.entryPrice) * this.quantity;
+  const pnl = this.side === 'long' ? move : -move;
+  return Math.round(Math.max(pnl, -this.size) * 100) / 100;
+};
+
+const Position = mongoose.model('Position', positionSchema);
+
+module.exports = Position;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const SECURITY_EVENT_TYPES = [
+  'refresh_token_reuse',
+  'account_locked',
+  'account_unlocked',
+  'unfamiliar_login',
+];
+
+const RETENTION_DAYS = parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS, 10) || 180;
+
+/**
+ * Security Event Schema
+ * Notable account security events (e.g. a stolen refresh token being replayed,
+ * a lockout, or a sign-in from a new IP or device); users can list their own
+ */
+const securityEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: SECURITY_EVENT_TYPES,
+      required: true,
+    },
+    ip: String,
+    userAgent: String,
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+securityEventSchema.index({ user: 1, createdAt: -1 });
+
+// Expire old events
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+module.exports = SecurityEvent;
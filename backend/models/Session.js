@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema
+ * One signed-in device, and the family of refresh tokens issued to it.
+ * Holds a hash of the session's current refresh token, which changes on every
+ * refresh; neither refresh nor access tokens are stored. Tokens carry the
+ * session ID (sid), so an older token of the family can be recognised.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // Token replaced by the last rotation, accepted as a benign race for a few seconds
+    previousRefreshTokenHash: {
+      type: String,
+      select: false,
+    },
+    rotatedAt: Date,
+    // Hashes of unexpired access tokens issued to this session, blacklisted
+    // when it is revoked; the tokens themselves are never stored
+    accessTokens: {
+      type: [
+        {
+          _id: false,
+          tokenHash: String,
+          expiresAt: Date,
+        },
+      ],
+      default: [],
+      select: false,
+    },
+    // Readable device name, e.g. "Chrome on Windows"
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    ip: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastUsedIp: String,
+    // Expiry of the current refresh token
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, lastUsedAt: -1 });
+
+// Let MongoDB remove sessions once their refresh token expires
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static method: Hash a refresh token for storage and lookup
+ * @param {string} token - Refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
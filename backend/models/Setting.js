@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * Setting Schema
+ * Platform-wide settings that admins change at runtime (e.g. security policy)
+ * Read through services/settingsService.js, which caches them.
+ */
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * Signal Revision Schema
+ * One entry per edit of a published signal. `changes` holds only the fields
+ * the edit changed; the editor's name is copied so revisions stay readable
+ * after the account is deleted.
+ */
+const signalRevisionSchema = new mongoose.Schema(
+  {
+    signal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TradingSignal',
+      required: true,
+    },
+    // Matches the signal's revision counter after the edit (1 for the first)
+    version: {
+      type: Number,
+      required: true,
+    },
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    editorName: String,
+    changes: {
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+signalRevisionSchema.index({ signal: 1, version: -1 }, { unique: true });
+
+const SignalRevision = mongoose.model('SignalRevision', signalRevisionSchema);
+
+module.exports = SignalRevision;
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { validateLevels, calculateRiskReward } = require('../utils/signalLevels');
+const { PLANS } = require('../utils/plans');
+const { PUBLICATION_STATES } = require('../utils/signalPublication');
 
 /**
  * Trading Signal Schema
@@ -33,11 +36,47 @@ const tradingSignalSchema = new mongoose.Schema(
       minlength: [2, 'Cryptocurrency name must be at least 2 characters'],
       maxlength: [50, 'Cryptocurrency name cannot exceed 50 characters'],
     },
+    // Canonical asset; cryptocurrency holds its display name
+    asset: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Asset',
+    },
     targetPrice: {
       type: Number,
       required: [true, 'Target price is required'],
       min: [0, 'Target price must be positive'],
     },
+    entryPrice: {
+      type: Number,
+      min: [0, 'Entry price must be positive'],
+    },
+    entryRange: {
+      min: {
+        type: Number,
+        min: [0, 'Entry range min must be positive'],
+      },
+      max: {
+        type: Number,
+        min: [0, 'Entry range max must be positive'],
+      },
+    },
+    stopLoss: {
+      type: Number,
+      min: [0, 'Stop loss must be positive'],
+    },
+    takeProfits: {
+      type: [
+        {
+          type: Number,
+          min: [0, 'Take-profit levels must be positive'],
+        },
+      ],
+      default: undefined,
+      validate: {
+        validator: (levels) => !levels || levels.length <= 5,
+        message: 'A signal can have at most 5 take-profit levels',
+      },
+    },
     confidence: {
       type: Number,
       required: [true, 'Confidence level is required'],
@@ -52,11 +91,77 @@ const tradingSignalSchema = new mongoose.Schema(
       },
       default: 'active',
     },
+    // Lowest plan that sees the price levels; lower plans get them masked
+    minPlan: {
+      type: String,
+      enum: {
+        values: PLANS,
+        message: `Minimum plan must be one of: ${PLANS.join(', ')}`,
+      },
+      default: 'free',
+    },
+    // Who can see the signal yet; see utils/signalPublication
+    publication: {
+      type: String,
+      enum: {
+        values: PUBLICATION_STATES,
+        message: `Publication must be one of: ${PUBLICATION_STATES.join(', ')}`,
+      },
+      default: 'published',
+    },
+    // When a scheduled signal goes out
+    publishAt: {
+      type: Date,
+    },
+    // Free-plan users see the signal this long after paid plans
+    freeDelayMinutes: {
+      type: Number,
+      min: [0, 'Free-plan delay cannot be negative'],
+      max: [1440, 'Free-plan delay cannot exceed 24 hours'],
+      default: 0,
+    },
+    publishedAt: {
+      type: Date,
+    },
+    // End of early access, set on publication when there is a free-plan delay
+    freeReleaseAt: {
+      type: Date,
+    },
+    // Number of edits since publication; see SignalRevision for the diffs
+    revision: {
+      type: Number,
+      default: 0,
+    },
+    revisedAt: {
+      type: Date,
+    },
+    result: {
+      type: String,
+      enum: {
+        values: ['pending', 'target_hit', 'stopped_out', 'expired_neutral'],
+        message: 'Result must be pending, target_hit, stopped_out or expired_neutral',
+      },
+      default: 'pending',
+    },
+    resultAt: {
+      type: Date,
+    },
+    resultPrice: {
+      type: Number,
+      min: [0, 'Result price must be positive'],
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
     },
+    // Organization the signal belongs to; only its members can see it.
+    // Signals from users outside any organization have none.
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
     expiresAt: {
       type: Date,
       default: function () {
@@ -75,12 +180,19 @@ const tradingSignalSchema = new mongoose.Schema(
 // Indexes for performance
 tradingSignalSchema.index({ signalType: 1 });
 tradingSignalSchema.index({ cryptocurrency: 1 });
+tradingSignalSchema.index({ asset: 1 });
 tradingSignalSchema.index({ createdAt: -1 });
 tradingSignalSchema.index({ status: 1 });
+tradingSignalSchema.index({ result: 1 });
+// Outcome evaluator pages pending signals on (expiresAt, _id)
+tradingSignalSchema.index({ result: 1, expiresAt: 1, _id: 1 });
 tradingSignalSchema.index({ confidence: -1 });
 // Compound index for common queries
 tradingSignalSchema.index({ status: 1, createdAt: -1 });
 tradingSignalSchema.index({ signalType: 1, status: 1 });
+tradingSignalSchema.index({ organization: 1, status: 1, createdAt: -1 });
+tradingSignalSchema.index({ publication: 1, publishAt: 1 });
+tradingSignalSchema.index({ publication: 1, freeReleaseAt: 1 });
 
 /**
  * Virtual: Time until expiry
@@ -100,6 +212,33 @@ tradingSignalSchema.virtual('isExpired').get(function () {
   return new Date() > this.expiresAt;
 });
 
+/**
+ * Virtual: Whether anyone besides its author can see the signal
+ */
+tradingSignalSchema.virtual('isPublished').get(function () {
+  return ['early_access', 'published'].includes(this.publication || 'published');
+});
+
+/**
+ * Virtual: Risk/reward ratio derived from entry, stop loss and targets
+ */
+tradingSignalSchema.virtual('riskRewardRatio').get(function () {
+  return calculateRiskReward(this);
+});
+
+/**
+ * Pre-validate hook: Check price levels against the signal direction
+ */
+tradingSignalSchema.pre('validate', function (next) {
+  validateLevels(this).forEach(({ field, message }) => {
+    this.invalidate(field, message);
+  });
+  if (this.publication === 'scheduled' && this.expiresAt && this.publishAt >= this.expiresAt) {
+    this.invalidate('publishAt', 'Publish time must be before the signal expires');
+  }
+  next();
+});
+
 /**
  * Pre-save hook: Auto-update status based on expiry
  */
@@ -145,6 +284,91 @@ tradingSignalSchema.statics.getHighConfidence = function (minConfidence = 80) {
     .sort({ confidence: -1, createdAt: -1 });
 };
 
+/**
+ * Static method: Expire all active signals past their expiry date
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Promise<Array<string>>} IDs of the signals that were expired
+ */
+tradingSignalSchema.statics.expireOverdue = async function (now = new Date()) {
+  const overdue = await this.find({ status: 'active', expiresAt: { $lte: now } }).distinct('_id');
+  if (overdue.length === 0) return [];
+
+  await this.updateMany(
+    { _id: { $in: overdue }, status: 'active' },
+    { $set: { status: 'expired' } }
+  );
+
+  return overdue.map((id) => id.toString());
+};
+
+/**
+ * Static method: Publish scheduled signals that are due and end early access
+ * that has run its course
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Promise<Object>} { published, released } signal IDs
+ */
+tradingSignalSchema.statics.publishDue = async function (now = new Date()) {
+  const due = await this.find({ publication: 'scheduled', publishAt: { $lte: now } }).select(
+    '_id freeDelayMinutes'
+  );
+
+  const published = [];
+  for (const signal of due) {
+    const update = { publication: 'published', publishedAt: now };
+    if (signal.freeDelayMinutes > 0) {
+      update.publication = 'early_access';
+      update.freeReleaseAt = new Date(now.getTime() + signal.freeDelayMinutes * 60 * 1000);
+    }
+
+    // Guarded on the state so a concurrent edit or run does not publish twice
+    const { modifiedCount } = await this.updateOne(
+      { _id: signal._id, publication: 'scheduled' },
+      { $set: update }
+    );
+    if (modifiedCount > 0) published.push(signal._id.toString());
+  }
+
+  const releasable = await this.find({
+    publication: 'early_access',
+    freeReleaseAt: { $lte: now },
+  }).distinct('_id');
+
+  if (releasable.length > 0) {
+    await this.updateMany(
+      { _id: { $in: releasable }, publication: 'early_access' },
+      { $set: { publication: 'published' } }
+    );
+  }
+
+  return { published, released: releasable.map((id) => id.toString()) };
+};
+
+/**
+ * Instance method: Set how and when the signal is published
+ * Publishes now unless it is a draft or publishAt is in the future.
+ * @param {Object} options - { draft, publishAt, freeDelayMinutes }
+ * @param {Date} now - Reference time (default: now)
+ */
+tradingSignalSchema.methods.setPublication = function (
+  { draft = false, publishAt = null, freeDelayMinutes = 0 } = {},
+  now = new Date()
+) {
+  this.freeDelayMinutes = freeDelayMinutes;
+  this.publishAt = publishAt && new Date(publishAt) > now ? new Date(publishAt) : undefined;
+
+  if (draft) {
+    this.publication = 'draft';
+  } else if (this.publishAt) {
+    this.publication = 'scheduled';
+  } else {
+    this.publication = freeDelayMinutes > 0 ? 'early_access' : 'published';
+    this.publishedAt = now;
+    if (freeDelayMinutes > 0) {
+      this.freeReleaseAt = new Date(now.getTime() + freeDelayMinutes * 60 * 1000);
+    }
+  }
+};
+
 /**
  * Instance method: Mark signal as expired
  */
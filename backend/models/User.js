@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, getEffectivePermissions } = require('../utils/permissions');
+const { PLANS } = require('../utils/plans');
+const Membership = require('./Membership');
 
 /**
  * User Schema
@@ -34,23 +37,92 @@ const userSchema = new mongoose.Schema(
     role: {
       type: String,
       enum: {
-        values: ['user', 'admin'],
-        message: 'Role must be either user or admin',
+        values: ROLES,
+        message: `Role must be one of: ${ROLES.join(', ')}`,
       },
       default: 'user',
     },
-    refreshTokens: {
-      type: [String],
-      default: [],
-      select: false, // Don't include refresh tokens in queries by default
-    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    // Subscription plan; premium signals show their levels to pro and elite
+    plan: {
+      type: String,
+      enum: {
+        values: PLANS,
+        message: `Plan must be one of: ${PLANS.join(', ')}`,
+      },
+      default: 'free',
+    },
+    // Paid-through date; the user drops back to free after it (unset = no end)
+    planExpiresAt: {
+      type: Date,
+    },
+    // Organization the user currently works in; signals are scoped to it.
+    // null for users outside any organization, who only see unscoped signals.
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
+    // false until the user follows the verification link; unset for accounts
+    // created before verification existed, which count as verified.
+    // Unverified users are read-only while REQUIRE_EMAIL_VERIFICATION is on.
+    emailVerified: {
+      type: Boolean,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    // Access tokens issued before this are rejected
+    passwordChangedAt: {
+      type: Date,
+    },
+    // TOTP two-factor authentication; secrets and codes are only loaded when needed
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    // Secret waiting for the first code during enrolment
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // SHA-256 hashes of unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      default: undefined,
+      select: false,
+    },
+    // Time step of the last accepted TOTP code, so a code cannot be replayed
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    twoFactorEnabledAt: {
+      type: Date,
+    },
     lastLogin: {
       type: Date,
     },
+    // Recent sign-in IPs and devices, to flag sign-ins from new ones
+    loginHistory: {
+      type: [
+        {
+          _id: false,
+          ip: String,
+          device: String,
+          at: Date,
+        },
+      ],
+      default: [],
+      select: false,
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt automatically
@@ -62,10 +134,13 @@ const userSchema = new mongoose.Schema(
 // Indexes for performance
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ organization: 1 });
 userSchema.index({ createdAt: -1 });
 
 /**
  * Virtual field: User profile (excludes sensitive data)
+ * Signal permissions are capped by the organization role once it has been
+ * loaded with loadOrganizationRole().
  */
 userSchema.virtual('profile').get(function () {
   return {
@@ -73,12 +148,34 @@ userSchema.virtual('profile').get(function () {
     name: this.name,
     email: this.email,
     role: this.role,
+    permissions: getEffectivePermissions(this.role, this.$locals.organizationRole),
+    organization: this.organization,
+    organizationRole: this.$locals.organizationRole ?? null,
+    plan: this.activePlan,
+    planExpiresAt: this.planExpiresAt,
     isActive: this.isActive,
+    emailVerified: this.isEmailVerified,
+    twoFactorEnabled: this.twoFactorEnabled,
     lastLogin: this.lastLogin,
     createdAt: this.createdAt,
   };
 });
 
+/**
+ * Virtual field: Whether the email address counts as verified
+ */
+userSchema.virtual('isEmailVerified').get(function () {
+  return this.emailVerified !== false;
+});
+
+/**
+ * Virtual field: Plan in effect now (free once a paid plan has run out)
+ */
+userSchema.virtual('activePlan').get(function () {
+  if (this.planExpiresAt && this.planExpiresAt <= new Date()) return 'free';
+  return this.plan || 'free';
+});
+
 /**
  * Pre-save hook: Hash password before saving
  * Only runs if password is modified
@@ -112,42 +209,43 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 };
 
 /**
- * Instance method: Add refresh token to user's token array
- * @param {string} token - Refresh token to add
+ * Instance method: Set a new password
+ * Access tokens issued earlier stop working; sessions (refresh tokens) are
+ * ended separately with sessionService.revokeUserSessions.
+ * Hashed by the pre-save hook; call save() afterwards
+ * @param {string} newPassword - Plain text password
  */
-userSchema.methods.addRefreshToken = async function (token) {
-  // Limit to 5 refresh tokens per user (max 5 devices)
-  if (this.refreshTokens.length >= 5) {
-    this.refreshTokens.shift(); // Remove oldest token
-  }
-  this.refreshTokens.push(token);
-  await this.save();
+userSchema.methods.setPassword = function (newPassword) {
+  this.password = newPassword;
+  this.passwordChangedAt = new Date();
 };
 
 /**
- * Instance method: Remove specific refresh token
- * @param {string} token - Refresh token to remove
+ * Instance method: Load the role in the organization the user works in
+ * Kept in $locals for the profile and permission checks; undefined outside
+ * any organization, null if the user is no longer a member of it.
+ * @returns {Promise<string|null|undefined>}
  */
-userSchema.methods.removeRefreshToken = async function (token) {
-  this.refreshTokens = this.refreshTokens.filter((t) => t !== token);
-  await this.save();
-};
+userSchema.methods.loadOrganizationRole = async function () {
+  let role;
+  if (this.organization) {
+    const membership = await Membership.findOne({ organization: this.organization, user: this._id })
+      .select('role')
+      .lean();
+    role = membership ? membership.role : null;
+  }
 
-/**
- * Instance method: Remove all refresh tokens (logout from all devices)
- */
-userSchema.methods.removeAllRefreshTokens = async function () {
-  this.refreshTokens = [];
-  await this.save();
+  this.$locals.organizationRole = role;
+  return role;
 };
 
 /**
  * Static method: Find user by email with password field
  * @param {string} email - User email
- * @returns {Promise<Object>} User document with password
+ * @returns {Promise<Object>} User document with password and login history
  */
 userSchema.statics.findByCredentials = async function (email) {
-  return this.findOne({ email }).select('+password +refreshTokens');
+  return this.findOne({ email }).select('+password +loginHistory');
 };
 
 const User = mongoose.model('User', userSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const escapeRegExp = require('../utils/escapeRegExp');
+
+/**
+ * Watchlist Schema
+ * A user's list of followed cryptocurrencies and signal creators (analysts)
+ */
+const watchlistSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Watchlist name is required'],
+      trim: true,
+      minlength: [1, 'Watchlist name is required'],
+      maxlength: [50, 'Watchlist name cannot exceed 50 characters'],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    cryptocurrencies: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          minlength: [2, 'Cryptocurrency name must be at least 2 characters'],
+          maxlength: [50, 'Cryptocurrency name cannot exceed 50 characters'],
+        },
+      ],
+      default: [],
+      validate: {
+        validator: (list) => list.length <= 50,
+        message: 'A watchlist can follow at most 50 cryptocurrencies',
+      },
+    },
+    // Registry assets the cryptocurrencies resolve to; signals are matched on these
+    assets: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Asset',
+        },
+      ],
+      default: [],
+    },
+    creators: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      ],
+      default: [],
+      validate: {
+        validator: (list) => list.length <= 50,
+        message: 'A watchlist can follow at most 50 signal creators',
+      },
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for performance
+watchlistSchema.index({ user: 1, createdAt: -1 });
+watchlistSchema.index({ user: 1, name: 1 }, { unique: true });
+
+/**
+ * Static method: Find a watchlist owned by a user
+ * @param {string} id - Watchlist ID
+ * @param {string} userId - Owner ID
+ * @returns {Promise<Object|null>} Watchlist document or null
+ */
+watchlistSchema.statics.findOwnedBy = function (id, userId) {
+  return this.findOne({ _id: id, user: userId });
+};
+
+/**
+ * Instance method: Build a TradingSignal query filter for this watchlist
+ * Matches signals for any followed asset or by any followed creator. Signals
+ * without an asset, from before the registry, match on the exact
+ * cryptocurrency name (case-insensitive).
+ * @returns {Object} MongoDB filter
+ */
+watchlistSchema.methods.toSignalFilter = function () {
+  return {
+    $or: [
+      { asset: { $in: this.assets } },
+      { cryptocurrency: { $in: this.cryptocurrencies.map((c) => new RegExp(`^${escapeRegExp(c)}$`, 'i')) } },
+      { createdBy: { $in: this.creators } },
+    ],
+  };
+};
+
+/**
+ * Instance method: Check whether a serialized signal belongs to this watchlist
+ * Same rules as toSignalFilter, for signals that are not in the database query
+ * @param {Object} signal - Signal JSON
+ * @returns {boolean} True if the signal matches
+ */
+watchlistSchema.methods.matchesSignal = function (signal) {
+  const creatorId = (signal.createdBy?._id || signal.createdBy)?.toString();
+  const assetId = (signal.asset?._id || signal.asset)?.toString();
+  const crypto = (signal.cryptocurrency || '').toLowerCase();
+
+  return (
+    this.creators.some((id) => id.toString() === creatorId) ||
+    this.assets.some((id) => id.toString() === assetId) ||
+    this.cryptocurrencies.some((c) => crypto === c.toLowerCase())
+  );
+};
+
+const Watchlist = mongoose.model('Watchlist', watchlistSchema);
+
+module.exports = Watchlist;
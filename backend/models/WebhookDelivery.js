@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30;
+
+/**
+ * Webhook Delivery Schema
+ * One event sent (or to be sent) to one subscription, with its attempt history
+ */
+const attemptSchema = new mongoose.Schema(
+  {
+    at: Date,
+    responseStatus: Number,
+    durationMs: Number,
+    error: String,
+  },
+  { _id: false }
+);
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookSubscription',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // Signal event id, shared by every delivery of the same event
+    eventId: String,
+    // Exact JSON body that is signed and sent
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['pending', 'delivering', 'succeeded', 'failed'],
+        message: 'Status must be pending, delivering, succeeded or failed',
+      },
+      default: 'pending',
+    },
+    attempts: {
+      type: [attemptSchema],
+      default: [],
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Claimed deliveries whose lock lapses (crashed instance) are retried
+    lockedUntil: Date,
+    // Status of the last response; bodies are never stored
+    responseStatus: Number,
+    error: String,
+    deliveredAt: Date,
+    // Set when this delivery was created by replaying another one
+    replayOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookDelivery',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for performance
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+// Drop old delivery logs
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: DELIVERY_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+/**
+ * Virtual for number of attempts made
+ */
+webhookDeliverySchema.virtual('attemptCount').get(function () {
+  return this.attempts ? this.attempts.length : 0;
+});
+
+/**
+ * Static method: Claim the next due delivery
+ * Atomic, so each delivery is sent by one instance at a time
+ * @param {number} lockMs - How long the claim is held before another instance may retry
+ * @returns {Promise<Object|null>} Claimed delivery or null
+ */
+webhookDeliverySchema.statics.claimNext = function (lockMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'delivering', lockedUntil: { $lt: now } },
+      ],
+    },
+    { $set: { status: 'delivering', lockedUntil: new Date(now.getTime() + lockMs) } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
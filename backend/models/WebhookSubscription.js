@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { SIGNAL_EVENTS } = require('../services/signalEventService');
+
+/**
+ * Webhook Subscription Schema
+ * A URL that receives signed POSTs for the selected signal events
+ */
+const webhookSubscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    url: {
+      type: String,
+      required: [true, 'Webhook URL is required'],
+      trim: true,
+      maxlength: [2048, 'Webhook URL cannot exceed 2048 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+    },
+    // Kept in plain text because it is needed to sign each delivery
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    events: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: SIGNAL_EVENTS,
+            message: `Event must be one of: ${SIGNAL_EVENTS.join(', ')}`,
+          },
+        },
+      ],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: 'At least one event is required',
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    lastDeliveryAt: Date,
+    lastDeliveryStatus: {
+      type: String,
+      enum: ['succeeded', 'failed'],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for performance
+webhookSubscriptionSchema.index({ user: 1, createdAt: -1 });
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+/**
+ * Static method: Generate a signing secret
+ * @returns {string} Random secret prefixed with whsec_
+ */
+webhookSubscriptionSchema.statics.generateSecret = function () {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+module.exports = WebhookSubscription;
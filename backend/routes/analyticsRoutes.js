@@ -0,0 +1,66 @@
+const express = require('express');
+const { getLeaderboard } = require('../controllers/analyticsController');
+const { authenticate } = require('../middlewares/authenticate');
+const { requireScope } = require('../middlewares/authorize');
+const { apiLimiter } = require('../middlewares/rateLimiter');
+const { leaderboardValidation } = require('../middlewares/validator');
+
+const router = express.Router();
+
+// Apply rate limiting to all analytics routes
+router.use(apiLimiter);
+
+// All routes require authentication
+router.use(authenticate);
+
+// API keys need the analytics:read or analytics:write scope
+router.use(requireScope('analytics'));
+
+/**
+ * @swagger
+ * /api/v1/analytics/leaderboard:
+ *   get:
+ *     summary: Rank signal creators by performance
+ *     description: |
+ *       Groups signals created in the time window by author. Hit rate is the share of
+ *       resolved signals that reached their target. Average return is measured from the
+ *       entry level to the resolution price (inverted for SELL signals).
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [7d, 30d, 90d, 1y, all]
+ *           default: 30d
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [hitRate, avgReturn, avgConfidence, signalCount]
+ *           default: hitRate
+ *       - in: query
+ *         name: minSignals
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Only rank analysts with at least this many signals
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Leaderboard retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/leaderboard', leaderboardValidation, getLeaderboard);
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const { createApiKey, getApiKeys, revokeApiKey } = require('../controllers/apiKeyController');
+const { authenticate } = require('../middlewares/authenticate');
+const { requireSession, requireVerifiedEmail, requireWriteAccess } = require('../middlewares/authorize');
+const { apiLimiter } = require('../middlewares/rateLimiter');
+const { apiKeyValidation, objectIdValidation } = require('../middlewares/validator');
+
+const router = express.Router();
+
+// Apply rate limiting to all API key routes
+router.use(apiLimiter);
+
+// Keys are managed with a login session, never with another key
+router.use(authenticate);
+router.use(requireSession);
+
+// Unverified users can only read
+router.use(requireVerifiedEmail);
+
+// Read-only roles (viewer) can only read
+router.use(requireWriteAccess);
+
+/**
+ * @swagger
+ * /api/v1/api-keys:
+ *   get:
+ *     summary: Get your API keys
+ *     description: Lists key names, prefixes, scopes and usage. Keys themselves are never returned again.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ */
+router.get('/', getApiKeys);
+
+/**
+ * @swagger
+ * /api/v1/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: |
+ *       Returns the key once; it is stored only as a hash. Send it in the X-API-Key
+ *       header. Each resource has a read scope (GET) and a write scope (other
+ *       methods); role checks still apply, so signals:write only helps admins.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [signals:read, signals:write, assets:read, assets:write, watchlists:read, watchlists:write, portfolios:read, portfolios:write, backtests:read, backtests:write, webhooks:read, webhooks:write, analytics:read, profile:read]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *     responses:
+ *       201:
+ *         description: API key created successfully
+ *       400:
+ *         description: Validation error or too many keys
+ */
+router.post('/', apiKeyValidation, createApiKey);
+
+/**
+ * @swagger
+ * /api/v1/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id', objectIdValidation('id'), revokeApiKey);
+
+module.exports = router;
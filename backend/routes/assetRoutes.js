@@ -0,0 +1,165 @@
+const express = require('express');
+const {
+  createAsset,
+  getAssets,
+  getAssetById,
+  updateAsset,
+  deleteAsset,
+} = require('../controllers/assetController');
+const { authenticate } = require('../middlewares/authenticate');
+const { requireScope, isAdmin } = require('../middlewares/authorize');
+const { apiLimiter } = require('../middlewares/rateLimiter');
+const { assetValidation } = require('../middlewares/validator');
+
+const router = express.Router();
+
+// Apply rate limiting to all asset routes
+router.use(apiLimiter);
+
+// All routes require authentication
+router.use(authenticate);
+
+// API keys need the assets:read or assets:write scope
+router.use(requireScope('assets'));
+
+/**
+ * @swagger
+ * /api/v1/assets:
+ *   get:
+ *     summary: Get the asset registry
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *         description: Include deactivated assets
+ *     responses:
+ *       200:
+ *         description: Assets retrieved successfully
+ */
+router.get('/', getAssets);
+
+/**
+ * @swagger
+ * /api/v1/assets:
+ *   post:
+ *     summary: Create an asset (Admin only)
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ticker
+ *               - name
+ *             properties:
+ *               ticker:
+ *                 type: string
+ *                 example: BTC
+ *               name:
+ *                 type: string
+ *                 example: Bitcoin
+ *               aliases:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                 example: [xbt]
+ *               quoteCurrency:
+ *                 type: string
+ *                 default: USD
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Asset created successfully
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       409:
+ *         description: An asset with this ticker already exists
+ */
+router.post('/', isAdmin, assetValidation, createAsset);
+
+/**
+ * @swagger
+ * /api/v1/assets/{id}:
+ *   get:
+ *     summary: Get asset by ID or ticker
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Asset ID or ticker
+ *     responses:
+ *       200:
+ *         description: Asset retrieved successfully
+ *       404:
+ *         description: Asset not found
+ */
+router.get('/:id', getAssetById);
+
+/**
+ * @swagger
+ * /api/v1/assets/{id}:
+ *   put:
+ *     summary: Update asset (Admin only)
+ *     description: Accepts the same fields as asset creation. Renaming updates the display name on existing signals.
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Asset ID or ticker
+ *     responses:
+ *       200:
+ *         description: Asset updated successfully
+ *       404:
+ *         description: Asset not found
+ *       409:
+ *         description: An asset with this ticker already exists
+ */
+router.put('/:id', isAdmin, assetValidation, updateAsset);
+
+/**
+ * @swagger
+ * /api/v1/assets/{id}:
+ *   delete:
+ *     summary: Delete asset (Admin only)
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Asset ID or ticker
+ *     responses:
+ *       200:
+ *         description: Asset deleted successfully
+ *       404:
+ *         description: Asset not found
+ *       409:
+ *         description: Asset is referenced by signals
+ */
+router.delete('/:id', isAdmin, deleteAsset);
+
+module.exports = router;
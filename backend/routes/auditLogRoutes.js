@@ -0,0 +1,77 @@
+const express = require('express');
+const { getAuditLogs } = require('../controllers/auditLogController');
+const { authenticate } = require('../middlewares/authenticate');
+const { requireSession, isAdmin } = require('../middlewares/authorize');
+const { apiLimiter } = require('../middlewares/rateLimiter');
+const { auditLogFilterValidation, paginationValidation } = require('../middlewares/validator');
+
+const router = express.Router();
+
+// Apply rate limiting to all audit log routes
+router.use(apiLimiter);
+
+// The audit log is admin-only and needs a login session
+router.use(authenticate);
+router.use(requireSession);
+router.use(isAdmin);
+
+/**
+ * @swagger
+ * /api/v1/audit-logs:
+ *   get:
+ *     summary: Query the audit log
+ *     description: |
+ *       Signal creates, updates and deletes, user management actions, setting
+ *       changes and sign-ins, newest first. Each entry has the actor, action,
+ *       target, the changed fields before and after, IP and request ID (the
+ *       X-Request-Id response header of the request that caused it).
+ *     tags: [Audit Log]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: actor
+ *         description: User ID of the actor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: signal.update
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [signal, user, setting]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Audit log retrieved successfully
+ *       403:
+ *         description: Admin only
+ */
+router.get('/', paginationValidation, auditLogFilterValidation, getAuditLogs);
+
+module.exports = router;
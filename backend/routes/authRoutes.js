@@ -2,17 +2,45 @@ const express = require('express');
 const {
   register,
   login,
+  verifyTwoFactorLogin,
   refreshAccessToken,
   logout,
   logoutAll,
   getMe,
   updateProfile,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
 } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+} = require('../controllers/twoFactorController');
+const { getSessions, revokeSession } = require('../controllers/sessionController');
+const { getSecurityEvents } = require('../controllers/securityEventController');
 const { authenticate } = require('../middlewares/authenticate');
-const { authLimiter } = require('../middlewares/rateLimiter');
+const { authorize, requireSession, isAdmin } = require('../middlewares/authorize');
+const { authLimiter, strictLimiter } = require('../middlewares/rateLimiter');
 const {
   registerValidation,
   loginValidation,
+  emailTokenValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  changePasswordValidation,
+  twoFactorLoginValidation,
+  twoFactorCodeValidation,
+  twoFactorDisableValidation,
+  twoFactorPolicyValidation,
+  objectIdValidation,
+  paginationValidation,
 } = require('../middlewares/validator');
 
 const router = express.Router();
@@ -80,14 +108,61 @@ router.post('/register', authLimiter, registerValidation, register);
  *         description: Login successful
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: |
+ *           Account temporarily locked after too many failed sign-ins. Each
+ *           lockout within a day doubles the next one; an admin can unlock it.
  */
 router.post('/login', authLimiter, loginValidation, login);
 
+/**
+ * @swagger
+ * /api/v1/auth/login/2fa:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     description: |
+ *       When two-factor authentication is enabled, login returns
+ *       `twoFactorRequired: true` and a short-lived `challengeToken` instead of
+ *       tokens. Send it here with a code from the authenticator app, or one of
+ *       the recovery codes (each works once), to get the token pair.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Invalid authentication code
+ *       401:
+ *         description: Challenge is invalid or has expired
+ *       429:
+ *         description: Account temporarily locked after too many failed attempts
+ */
+router.post('/login/2fa', authLimiter, twoFactorLoginValidation, verifyTwoFactorLogin);
+
 /**
  * @swagger
  * /api/v1/auth/refresh:
  *   post:
  *     summary: Refresh access token
+ *     description: |
+ *       Returns a new token pair; the refresh token sent can't be used again.
+ *       Sending a refresh token that was already exchanged signs out the whole
+ *       session (every token issued to it) and records a security event, as it
+ *       means the token was copied.
  *     tags: [Authentication]
  *     responses:
  *       200:
@@ -109,13 +184,14 @@ router.post('/refresh', refreshAccessToken);
  *       200:
  *         description: Logout successful
  */
-router.post('/logout', authenticate, logout);
+router.post('/logout', authenticate, requireSession, logout);
 
 /**
  * @swagger
  * /api/v1/auth/logout-all:
  *   post:
  *     summary: Logout from all devices
+ *     description: Ends every session, including this one.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -123,7 +199,75 @@ router.post('/logout', authenticate, logout);
  *       200:
  *         description: Logged out from all devices
  */
-router.post('/logout-all', authenticate, logoutAll);
+router.post('/logout-all', authenticate, requireSession, logoutAll);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     summary: Get signed-in devices
+ *     description: |
+ *       One session per sign-in, named from the user agent, with IP, created and
+ *       last-used times. The session making the request has `current: true`.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved
+ */
+router.get('/sessions', authenticate, requireSession, getSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out a device
+ *     description: The session's refresh token and access tokens stop working immediately.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', authenticate, requireSession, objectIdValidation('id'), revokeSession);
+
+/**
+ * @swagger
+ * /api/v1/auth/security-events:
+ *   get:
+ *     summary: Get your account's security events
+ *     description: |
+ *       Newest first. Types are `account_locked` (too many failed sign-ins),
+ *       `account_unlocked` (by an admin), `unfamiliar_login` (sign-in from a new
+ *       IP or device) and `refresh_token_reuse` (a session was revoked because
+ *       an old refresh token was replayed).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Security events retrieved
+ */
+router.get('/security-events', authenticate, requireSession, paginationValidation, getSecurityEvents);
 
 /**
  * @swagger
@@ -139,7 +283,7 @@ router.post('/logout-all', authenticate, logoutAll);
  *       401:
  *         description: Unauthorized
  */
-router.get('/me', authenticate, getMe);
+router.get('/me', authenticate, authorize([], ['profile:read']), getMe);
 
 /**
  * @swagger
@@ -162,6 +306,329 @@ router.get('/me', authenticate, getMe);
  *       200:
  *         description: Profile updated successfully
  */
-router.put('/update-profile', authenticate, updateProfile);
+router.put('/update-profile', authenticate, requireSession, updateProfile);
+
+/**
+ * @swagger
+ * /api/v1/auth/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     description: Uses the single-use token from the verification email.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.post('/verify-email', authLimiter, emailTokenValidation, verifyEmail);
+
+/**
+ * @swagger
+ * /api/v1/auth/resend-verification:
+ *   post:
+ *     summary: Resend the verification email
+ *     description: Earlier verification links stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ */
+router.post('/resend-verification', strictLimiter, authenticate, requireSession, resendVerification);
+
+/**
+ * @swagger
+ * /api/v1/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always responds the same way, whether or not the account exists.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ */
+router.post('/forgot-password', strictLimiter, forgotPasswordValidation, forgotPassword);
+
+/**
+ * @swagger
+ * /api/v1/auth/reset-password:
+ *   post:
+ *     summary: Reset password with an emailed token
+ *     description: Signs out every session of the account.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired token, or weak password
+ */
+router.post('/reset-password', authLimiter, resetPasswordValidation, resetPassword);
+
+/**
+ * @swagger
+ * /api/v1/auth/change-password:
+ *   post:
+ *     summary: Change password
+ *     description: Signs out other sessions and returns a new token pair for this one.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Current password is incorrect or new password is invalid
+ */
+router.post(
+  '/change-password',
+  authLimiter,
+  authenticate,
+  requireSession,
+  changePasswordValidation,
+  changePassword
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa:
+ *   get:
+ *     summary: Get two-factor status
+ *     description: Whether 2FA is enabled, how many recovery codes are left and whether your role requires it.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status retrieved
+ */
+router.get('/2fa', authenticate, requireSession, getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     description: Returns a new secret as an otpauth URI and a QR code data URL. Confirm it with /2fa/enable.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *       400:
+ *         description: Already enabled
+ */
+router.post('/2fa/setup', authLimiter, authenticate, requireSession, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/enable:
+ *   post:
+ *     summary: Enable two-factor authentication
+ *     description: Confirms enrolment with a code from the app. Returns the recovery codes, which are not shown again.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code or setup not started
+ */
+router.post(
+  '/2fa/enable',
+  authLimiter,
+  authenticate,
+  requireSession,
+  twoFactorCodeValidation,
+  enableTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Needs the password and an authenticator or recovery code. Not allowed when your role requires 2FA.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Incorrect password or code, or 2FA is required
+ */
+router.post(
+  '/2fa/disable',
+  authLimiter,
+  authenticate,
+  requireSession,
+  twoFactorDisableValidation,
+  disableTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replaces every recovery code. Needs a current authenticator or recovery code.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Recovery codes regenerated
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ */
+router.post(
+  '/2fa/recovery-codes',
+  authLimiter,
+  authenticate,
+  requireSession,
+  twoFactorCodeValidation,
+  regenerateRecoveryCodes
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/policy:
+ *   get:
+ *     summary: Get the two-factor policy (Admin only)
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Policy retrieved
+ *   put:
+ *     summary: Require two-factor authentication for admins (Admin only)
+ *     description: |
+ *       While required, admins without 2FA get 403 (code TWO_FACTOR_REQUIRED) on
+ *       admin endpoints until they enable it. You must have 2FA enabled to turn this on.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requireForAdmins
+ *             properties:
+ *               requireForAdmins:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       400:
+ *         description: Enable 2FA on your own account first
+ */
+router.get('/2fa/policy', authenticate, requireSession, isAdmin, getTwoFactorPolicy);
+router.put(
+  '/2fa/policy',
+  authenticate,
+  requireSession,
+  isAdmin,
+  twoFactorPolicyValidation,
+  updateTwoFactorPolicy
+);
 
 module.exports = router;
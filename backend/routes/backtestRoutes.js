@@ -0,0 +1,158 @@
+const express = require('express');
+const {
+  createBacktest,
+  getBacktests,
+  getBacktestById,
+  deleteBacktest,
+} = require('../controllers/backtestController');
+const { authenticate } = require('../middlewares/authenticate');
+const { requireScope, requireVerifiedEmail, requireWriteAccess } = require('../middlewares/authorize');
+const { apiLimiter } = require('../middlewares/rateLimiter');
+const { backtestValidation, objectIdValidation } = require('../middlewares/validator');
+
+const router = express.Router();
+
+// Apply rate limiting to all backtest routes
+router.use(apiLimiter);
+
+// All routes require authentication
+router.use(authenticate);
+
+// API keys need the backtests:read or backtests:write scope
+router.use(requireScope('backtests'));
+
+// Unverified users can only read
+router.use(requireVerifiedEmail);
+
+// Read-only roles (viewer) can only read
+router.use(requireWriteAccess);
+
+/**
+ * @swagger
+ * /api/v1/backtests:
+ *   get:
+ *     summary: Get the current user's backtests
+ *     description: Trades and equity curves are omitted; fetch a single backtest for them.
+ *     tags: [Backtests]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Backtests retrieved successfully
+ */
+router.get('/', getBacktests);
+
+/**
+ * @swagger
+ * /api/v1/backtests:
+ *   post:
+ *     summary: Queue a backtest of historical signals
+ *     description: |
+ *       Replays the signals matching the filters against OHLCV candles loaded from CSV
+ *       files (one per ticker in BACKTEST_DATA_DIR). Runs as a background job; poll
+ *       GET /api/v1/backtests/{id} for progress and results (win rate, expectancy,
+ *       max drawdown and equity curve).
+ *     tags: [Backtests]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               filters:
+ *                 type: object
+ *                 description: Same filters as GET /api/v1/signals (status defaults to any)
+ *                 properties:
+ *                   signalType:
+ *                     type: string
+ *                     enum: [BUY, SELL, HOLD]
+ *                   asset:
+ *                     type: string
+ *                   cryptocurrency:
+ *                     type: string
+ *                   minConfidence:
+ *                     type: integer
+ *                   status:
+ *                     type: string
+ *                     enum: [active, expired]
+ *                   result:
+ *                     type: string
+ *                     enum: [pending, target_hit, stopped_out, expired_neutral]
+ *                   watchlist:
+ *                     type: string
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Only signals created at or after this time
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Only signals created at or before this time
+ *               initialEquity:
+ *                 type: number
+ *                 default: 10000
+ *               positionSizePct:
+ *                 type: number
+ *                 default: 10
+ *                 description: Share of equity committed to each trade
+ *     responses:
+ *       202:
+ *         description: Backtest queued successfully
+ *       400:
+ *         description: Validation error or unknown asset
+ *       404:
+ *         description: Watchlist not found
+ */
+router.post('/', backtestValidation, createBacktest);
+
+/**
+ * @swagger
+ * /api/v1/backtests/{id}:
+ *   get:
+ *     summary: Get backtest progress and results
+ *     tags: [Backtests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Backtest retrieved successfully
+ *       404:
+ *         description: Backtest not found
+ */
+router.get('/:id', objectIdValidation('id'), getBacktestById);
+
+/**
+ * @swagger
+ * /api/v1/backtests/{id}:
+ *   delete:
+ *     summary: Delete backtest
+ *     tags: [Backtests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Backtest deleted successfully
+ *       404:
+ *         description: Backtest not found
+ */
+router.delete('/:id', objectIdValidation('id'), deleteBacktest);
+
+module.exports = router;
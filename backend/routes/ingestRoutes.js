@@ -0,0 +1,264 @@
+const express = require('express');
+const {
+  ingestAlert,
+  createAlertSource,
+  getAlertSources,
+  getAlertSourceById,
+  updateAlertSource,
+  rotateAlertSourceToken,
+  deleteAlertSource,
+  getIngestedAlerts,
+} = require('../controllers/ingestController');
+const { authenticate } = require('../middlewares/authenticate');
+const { authenticateAlertSource } = require('../middlewares/authenticateAlertSource');
+const { isAdmin } = require('../middlewares/authorize');
+const { apiLimiter } = require('../middlewares/rateLimiter');
+const {
+  alertSourceValidation,
+  ingestedAlertFilterValidation,
+  paginationValidation,
+  objectIdValidation,
+} = require('../middlewares/validator');
+
+const router = express.Router();
+
+// Apply rate limiting to all ingest routes
+router.use(apiLimiter);
+
+/**
+ * @swagger
+ * /api/v1/ingest/alerts:
+ *   post:
+ *     summary: Create a signal from an external alert
+ *     description: |
+ *       Authenticated with an alert source token in the X-Alert-Token header, not
+ *       a user session. The JSON body is mapped to signal
+ *       fields with the source's template and checked like POST /api/v1/signals.
+ *       Alerts are deduplicated per source by the Idempotency-Key header, the
+ *       templated idempotencyKey, or a hash of the body. Every payload is recorded
+ *       in the ingest audit log.
+ *     tags: [Ingest]
+ *     parameters:
+ *       - in: header
+ *         name: X-Alert-Token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       201:
+ *         description: Alert ingested successfully
+ *       200:
+ *         description: Duplicate alert ignored
+ *       400:
+ *         description: Validation error or unknown asset
+ *       401:
+ *         description: Missing or invalid source token
+ */
+router.post('/alerts', authenticateAlertSource, ingestAlert);
+
+/**
+ * @swagger
+ * /api/v1/ingest/alerts:
+ *   get:
+ *     summary: Get the ingest audit log (Admin only)
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [processing, accepted, duplicate, rejected]
+ *     responses:
+ *       200:
+ *         description: Ingested alerts retrieved successfully
+ *       403:
+ *         description: Admin access required
+ */
+router.get(
+  '/alerts',
+  authenticate,
+  isAdmin,
+  paginationValidation,
+  ingestedAlertFilterValidation,
+  getIngestedAlerts
+);
+
+/**
+ * @swagger
+ * /api/v1/ingest/sources:
+ *   get:
+ *     summary: Get alert sources (Admin only)
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Alert sources retrieved successfully
+ */
+router.get('/sources', authenticate, isAdmin, getAlertSources);
+
+/**
+ * @swagger
+ * /api/v1/ingest/sources:
+ *   post:
+ *     summary: Register an alert source (Admin only)
+ *     description: |
+ *       Returns the source token once. Signals ingested from the source are created
+ *       by the registering admin. The template maps payload fields to signal fields:
+ *       `{"signalType": "{{action}}", "asset": "{{ticker}}", "targetPrice": "{{tp}}", ...}`.
+ *       Without a template the payload must use signal field names.
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *               template:
+ *                 type: object
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Alert source created successfully
+ *       409:
+ *         description: Source name already exists in your organization
+ */
+router.post('/sources', authenticate, isAdmin, alertSourceValidation, createAlertSource);
+
+/**
+ * @swagger
+ * /api/v1/ingest/sources/{id}:
+ *   get:
+ *     summary: Get alert source by ID (Admin only)
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert source retrieved successfully
+ *       404:
+ *         description: Alert source not found
+ */
+router.get('/sources/:id', authenticate, isAdmin, objectIdValidation('id'), getAlertSourceById);
+
+/**
+ * @swagger
+ * /api/v1/ingest/sources/{id}:
+ *   put:
+ *     summary: Update alert source (Admin only)
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert source updated successfully
+ *       404:
+ *         description: Alert source not found
+ */
+router.put(
+  '/sources/:id',
+  authenticate,
+  isAdmin,
+  objectIdValidation('id'),
+  alertSourceValidation,
+  updateAlertSource
+);
+
+/**
+ * @swagger
+ * /api/v1/ingest/sources/{id}/rotate-token:
+ *   post:
+ *     summary: Issue a new source token (Admin only)
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert source token rotated successfully
+ *       404:
+ *         description: Alert source not found
+ */
+router.post(
+  '/sources/:id/rotate-token',
+  authenticate,
+  isAdmin,
+  objectIdValidation('id'),
+  rotateAlertSourceToken
+);
+
+/**
+ * @swagger
+ * /api/v1/ingest/sources/{id}:
+ *   delete:
+ *     summary: Delete alert source (Admin only)
+ *     tags: [Ingest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert source deleted successfully
+ *       404:
+ *         description: Alert source not found
+ */
+router.delete('/sources/:id', authenticate, isAdmin, objectIdValidation('id'), deleteAlertSource);
+
+module.exports = router;
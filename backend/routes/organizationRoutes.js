@@ -0,0 +1,351 @@
+const express = require('express');
+const {
+  createOrganization,
+  getOrganizations,
+  getMembers,
+  inviteMember,
+  revokeInvite,
+  getMyInvites,
+  acceptInvite,
+  declineInvite,
+  updateMemberRole,
+  removeMember,
+  switchOrganization,
+} = require('../controllers/organizationController');
+const { authenticate } = require('../middlewares/authenticate');
+const { requireSession, isAdmin } = require('../middlewares/authorize');
+const { apiLimiter } = require('../middlewares/rateLimiter');
+const {
+  organizationValidation,
+  organizationInviteValidation,
+  organizationRoleValidation,
+  objectIdValidation,
+} = require('../middlewares/validator');
+
+const router = express.Router();
+
+// Apply rate limiting to all organization routes
+router.use(apiLimiter);
+
+// Organizations are managed from the app, so they need a login session
+router.use(authenticate);
+router.use(requireSession);
+
+/**
+ * @swagger
+ * /api/v1/organizations:
+ *   get:
+ *     summary: Get your organizations
+ *     description: |
+ *       Every organization you belong to with your role in it. `isCurrent`
+ *       marks the one you work in; signals are scoped to it.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organizations retrieved successfully
+ */
+router.get('/', getOrganizations);
+
+/**
+ * @swagger
+ * /api/v1/organizations:
+ *   post:
+ *     summary: Create an organization (Admin only)
+ *     description: The creator becomes the organization's first admin.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Macro Desk
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Organization created
+ *       403:
+ *         description: Admin access required
+ */
+router.post('/', isAdmin, organizationValidation, createOrganization);
+
+/**
+ * @swagger
+ * /api/v1/organizations/invites:
+ *   get:
+ *     summary: Get your pending organization invites
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invites retrieved successfully
+ */
+router.get('/invites', getMyInvites);
+
+/**
+ * @swagger
+ * /api/v1/organizations/invites/{inviteId}/accept:
+ *   post:
+ *     summary: Accept an organization invite
+ *     description: |
+ *       Joins the organization with the role the invite offers. If you are not
+ *       in any organization yet, you start working in this one straight away.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: inviteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Joined; returns the updated user profile
+ *       404:
+ *         description: Invite not found or expired
+ *       409:
+ *         description: Already a member
+ */
+router.post('/invites/:inviteId/accept', objectIdValidation('inviteId'), acceptInvite);
+
+/**
+ * @swagger
+ * /api/v1/organizations/invites/{inviteId}:
+ *   delete:
+ *     summary: Decline an organization invite
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: inviteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invite declined
+ *       404:
+ *         description: Invite not found or expired
+ */
+router.delete('/invites/:inviteId', objectIdValidation('inviteId'), declineInvite);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{id}/members:
+ *   get:
+ *     summary: Get an organization's members
+ *     description: Organization admins also get the pending invites.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Members retrieved successfully
+ *       404:
+ *         description: Organization not found, or you are not a member
+ */
+router.get('/:id/members', objectIdValidation('id'), getMembers);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{id}/invites:
+ *   post:
+ *     summary: Invite a member by email
+ *     description: |
+ *       The invitee joins once they accept. The response is the same whether
+ *       or not the address has an account. Inviting an address again renews
+ *       its invite. Organization admins only.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [member, analyst, admin]
+ *                 default: member
+ *     responses:
+ *       202:
+ *         description: Invitation sent
+ *       403:
+ *         description: Organization admin access required
+ *       404:
+ *         description: Organization not found
+ *       409:
+ *         description: Already a member
+ */
+router.post('/:id/invites', objectIdValidation('id'), organizationInviteValidation, inviteMember);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{id}/invites/{inviteId}:
+ *   delete:
+ *     summary: Revoke a pending invite
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: inviteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invite revoked
+ *       403:
+ *         description: Organization admin access required
+ *       404:
+ *         description: Organization or invite not found
+ */
+router.delete('/:id/invites/:inviteId', objectIdValidation('id'), objectIdValidation('inviteId'), revokeInvite);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{id}/members/{userId}:
+ *   patch:
+ *     summary: Change a member's organization role
+ *     description: |
+ *       Organization admins manage members. The organization role caps what
+ *       the account role may do with the organization's signals: members only
+ *       read them, analysts may also create, edit and expire them, and admins
+ *       may also delete them. The last admin cannot be demoted.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [member, analyst, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Validation error, or the last admin
+ *       404:
+ *         description: Organization or member not found
+ */
+router.patch(
+  '/:id/members/:userId',
+  objectIdValidation('id'),
+  objectIdValidation('userId'),
+  organizationRoleValidation,
+  updateMemberRole
+);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member, or leave with your own user ID
+ *     description: |
+ *       A user removed from the organization they work in moves to their next
+ *       organization, or to none. The last admin cannot be removed.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       400:
+ *         description: The last admin
+ *       403:
+ *         description: Organization admin access required
+ *       404:
+ *         description: Organization or member not found
+ */
+router.delete('/:id/members/:userId', objectIdValidation('id'), objectIdValidation('userId'), removeMember);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{id}/switch:
+ *   post:
+ *     summary: Work in another of your organizations
+ *     description: Signal lists, analytics and streams follow the switch.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Switched; returns the updated user profile
+ *       404:
+ *         description: Organization not found, or you are not a member
+ */
+router.post('/:id/switch', objectIdValidation('id'), switchOrganization);
+
+module.exports = router;
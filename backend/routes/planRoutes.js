@@ -0,0 +1,69 @@
+const express = require('express');
+const { getPlans, checkoutPlan } = require('../controllers/planController');
+const { authenticate } = require('../middlewares/authenticate');
+const { requireSession } = require('../middlewares/authorize');
+const { apiLimiter } = require('../middlewares/rateLimiter');
+const { planCheckoutValidation } = require('../middlewares/validator');
+
+const router = express.Router();
+
+// Apply rate limiting to all plan routes
+router.use(apiLimiter);
+
+// Plans are bought from the app, so they need a login session
+router.use(authenticate);
+router.use(requireSession);
+
+/**
+ * @swagger
+ * /api/v1/plans:
+ *   get:
+ *     summary: Get plans and your current plan
+ *     description: |
+ *       Plans are `free`, `pro` and `elite`. Signals above your plan are still
+ *       listed, with their price levels masked and `locked: true`.
+ *       `checkoutAvailable` is false when no payment provider is configured;
+ *       admins can still assign plans.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Plans retrieved successfully
+ */
+router.get('/', getPlans);
+
+/**
+ * @swagger
+ * /api/v1/plans/checkout:
+ *   post:
+ *     summary: Buy a plan
+ *     description: |
+ *       Starts a checkout with the payment provider. When it is paid at once
+ *       (always with the local stub provider) the plan applies immediately for
+ *       PLAN_PERIOD_DAYS; otherwise `checkout.url` is the payment page.
+ *       Only upgrades can be bought; downgrades are made by admins.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - plan
+ *             properties:
+ *               plan:
+ *                 type: string
+ *                 enum: [pro, elite]
+ *     responses:
+ *       200:
+ *         description: Checkout started or completed
+ *       400:
+ *         description: Checkout unavailable, or already on that plan or a higher one
+ */
+router.post('/checkout', planCheckoutValidation, checkoutPlan);
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const {
+  createPortfolio,
+  getPortfolios,
+  getPortfolioById,
+  deletePortfolio,
+  openPosition,
+  closeOpenPosition,
+} = require('../controllers/portfolioController');
+const { authenticate } = require('../middlewares/authenticate');
+const { requireScope, requireVerifiedEmail, requireWriteAccess } = require('../middlewares/authorize');
+const { apiLimiter } = require('../middlewares/rateLimiter');
+const {
+  portfolioValidation,
+  positionValidation,
+  objectIdValidation,
+} = require('../middlewares/validator');
+
+const router = express.Router();
+
+// Apply rate limiting to all portfolio routes
+router.use(apiLimiter);
+
+// All routes require authentication
+router.use(authenticate);
+
+// API keys need the portfolios:read or portfolios:write scope
+router.use(requireScope('portfolios'));
+
+// Unverified users can only read
+router.use(requireVerifiedEmail);
+
+// Read-only roles (viewer) can only read
+router.use(requireWriteAccess);
+
+/**
+ * @swagger
+ * /api/v1/portfolios:
+ *   get:
+ *     summary: Get the current user's paper-trading portfolios
+ *     tags: [Portfolios]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Portfolios retrieved successfully
+ */
+router.get('/', getPortfolios);
+
+/**
+ * @swagger
+ * /api/v1/portfolios:
+ *   post:
+ *     summary: Create a paper-trading portfolio
+ *     tags: [Portfolios]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *               startingBalance:
+ *                 type: number
+ *                 minimum: 100
+ *                 default: 10000
+ *     responses:
+ *       201:
+ *         description: Portfolio created successfully
+ *       409:
+ *         description: A portfolio with this name already exists
+ */
+router.post('/', portfolioValidation, createPortfolio);
+
+/**
+ * @swagger
+ * /api/v1/portfolios/{id}:
+ *   get:
+ *     summary: Get portfolio with positions, P&L summary and history
+ *     description: Open positions are marked to market with the price feed.
+ *     tags: [Portfolios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Portfolio retrieved successfully
+ *       404:
+ *         description: Portfolio not found
+ */
+router.get('/:id', objectIdValidation('id'), getPortfolioById);
+
+/**
+ * @swagger
+ * /api/v1/portfolios/{id}:
+ *   delete:
+ *     summary: Delete portfolio and its positions
+ *     tags: [Portfolios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Portfolio deleted successfully
+ *       404:
+ *         description: Portfolio not found
+ */
+router.delete('/:id', objectIdValidation('id'), deletePortfolio);
+
+/**
+ * @swagger
+ * /api/v1/portfolios/{id}/positions:
+ *   post:
+ *     summary: Open a position following a signal
+ *     description: |
+ *       Opens a long (BUY) or short (SELL) position at the current market price. The
+ *       position closes automatically at the signal's target, stop or expiry.
+ *     tags: [Portfolios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - signal
+ *               - size
+ *             properties:
+ *               signal:
+ *                 type: string
+ *                 description: Trading signal ID
+ *               size:
+ *                 type: number
+ *                 minimum: 1
+ *                 description: Cash to commit, in the portfolio's base currency
+ *     responses:
+ *       201:
+ *         description: Position opened successfully
+ *       400:
+ *         description: Signal cannot be followed, no market price, or insufficient cash
+ *       404:
+ *         description: Portfolio or signal not found
+ */
+router.post('/:id/positions', objectIdValidation('id'), positionValidation, openPosition);
+
+/**
+ * @swagger
+ * /api/v1/portfolios/{id}/positions/{positionId}/close:
+ *   post:
+ *     summary: Close an open position at the current market price
+ *     tags: [Portfolios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: positionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Position closed successfully
+ *       404:
+ *         description: Position not found
+ *       409:
+ *         description: Position is already closed
+ */
+router.post(
+  '/:id/positions/:positionId/close',
+  objectIdValidation('id'),
+  objectIdValidation('positionId'),
+  closeOpenPosition
+);
+
+module.exports = router;
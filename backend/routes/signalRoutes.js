@@ -3,17 +3,28 @@ const {
   createSignal,
   getSignals,
   getSignalById,
+  getSignalHistory,
   updateSignal,
   deleteSignal,
+  expireSignal,
+  streamSignals,
   getAnalytics,
+  getCalibration,
 } = require('../controllers/signalController');
+const TradingSignal = require('../models/TradingSignal');
 const { authenticate } = require('../middlewares/authenticate');
-const { isAdmin } = require('../middlewares/authorize');
+const {
+  requireScope,
+  requirePermission,
+  isAdmin,
+  isOwnerOrAdmin,
+} = require('../middlewares/authorize');
 const { apiLimiter } = require('../middlewares/rateLimiter');
 const {
   signalValidation,
   paginationValidation,
   signalFilterValidation,
+  calibrationValidation,
   objectIdValidation,
 } = require('../middlewares/validator');
 
@@ -25,6 +36,9 @@ router.use(apiLimiter);
 // All routes require authentication
 router.use(authenticate);
 
+// API keys need the signals:read or signals:write scope
+router.use(requireScope('signals'));
+
 /**
  * @swagger
  * /api/v1/signals:
@@ -66,6 +80,17 @@ router.use(authenticate);
  *           enum: [active, expired]
  *           default: active
  *       - in: query
+ *         name: result
+ *         description: Outcome recorded by the background evaluator
+ *         schema:
+ *           type: string
+ *           enum: [pending, target_hit, stopped_out, expired_neutral]
+ *       - in: query
+ *         name: watchlist
+ *         description: Only signals matching one of the caller's watchlists
+ *         schema:
+ *           type: string
+ *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
@@ -79,10 +104,70 @@ router.use(authenticate);
  *           default: desc
  *     responses:
  *       200:
- *         description: Signals retrieved successfully
+ *         description: |
+ *           Signals retrieved successfully. Price levels of signals above your
+ *           plan are null and the signal has `locked: true`.
  */
 router.get('/', paginationValidation, signalFilterValidation, getSignals);
 
+/**
+ * @swagger
+ * /api/v1/signals/stream:
+ *   get:
+ *     summary: Stream signal events (Server-Sent Events)
+ *     description: |
+ *       Sends signal.created, signal.updated, signal.expired and signal.deleted events.
+ *       Each event's data is { id, signal, timestamp }; signal is null when the signal was
+ *       deleted or no longer matches the filters. Reconnect with the Last-Event-ID header
+ *       to receive missed events; a reset event means the client should refetch.
+ *     tags: [Signals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: signalType
+ *         schema:
+ *           type: string
+ *           enum: [BUY, SELL, HOLD]
+ *       - in: query
+ *         name: cryptocurrency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minConfidence
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, expired]
+ *           default: active
+ *       - in: query
+ *         name: result
+ *         schema:
+ *           type: string
+ *           enum: [pending, target_hit, stopped_out, expired_neutral]
+ *       - in: query
+ *         name: watchlist
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ */
+router.get('/stream', signalFilterValidation, streamSignals);
+
 /**
  * @swagger
  * /api/v1/signals/analytics/summary:
@@ -99,6 +184,37 @@ router.get('/', paginationValidation, signalFilterValidation, getSignals);
  */
 router.get('/analytics/summary', isAdmin, getAnalytics);
 
+/**
+ * @swagger
+ * /api/v1/signals/analytics/calibration:
+ *   get:
+ *     summary: Get confidence calibration report (Admin only)
+ *     description: |
+ *       Buckets resolved signals by stated confidence (1-10, 11-20, ...) and compares each
+ *       bucket's average confidence with its real success rate (share of target hits),
+ *       overall, per analyst and per asset. Also reported in the analytics summary.
+ *     tags: [Signals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: analyst
+ *         schema:
+ *           type: string
+ *         description: Only include signals created by this user ID
+ *       - in: query
+ *         name: asset
+ *         schema:
+ *           type: string
+ *         description: Only include signals for this asset (ticker or ID)
+ *     responses:
+ *       200:
+ *         description: Calibration retrieved successfully
+ *       403:
+ *         description: Access denied
+ */
+router.get('/analytics/calibration', isAdmin, calibrationValidation, getCalibration);
+
 /**
  * @swagger
  * /api/v1/signals/{id}:
@@ -121,11 +237,34 @@ router.get('/analytics/summary', isAdmin, getAnalytics);
  */
 router.get('/:id', objectIdValidation('id'), getSignalById);
 
+/**
+ * @swagger
+ * /api/v1/signals/{id}/history:
+ *   get:
+ *     summary: Get the edit history of a signal
+ *     description: One revision per edit made after the signal was published, newest first, each with the changed fields before and after, the editor and a timestamp. Price levels are masked when the signal is above the caller's plan.
+ *     tags: [Signals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Signal history retrieved successfully
+ *       404:
+ *         description: Signal not found
+ */
+router.get('/:id/history', objectIdValidation('id'), getSignalHistory);
+
 /**
  * @swagger
  * /api/v1/signals:
  *   post:
- *     summary: Create new signal (Admin only)
+ *     summary: Create new signal (admins and analysts)
  *     tags: [Signals]
  *     security:
  *       - bearerAuth: []
@@ -153,23 +292,63 @@ router.get('/:id', objectIdValidation('id'), getSignalById);
  *                 type: string
  *               targetPrice:
  *                 type: number
+ *               entryPrice:
+ *                 type: number
+ *                 description: Single entry price (use entryRange instead for an entry zone)
+ *               entryRange:
+ *                 type: object
+ *                 properties:
+ *                   min:
+ *                     type: number
+ *                   max:
+ *                     type: number
+ *               stopLoss:
+ *                 type: number
+ *                 description: Must be below the entry for BUY and above it for SELL
+ *               takeProfits:
+ *                 type: array
+ *                 maxItems: 5
+ *                 description: Ordered take-profit levels (ascending for BUY, descending for SELL)
+ *                 items:
+ *                   type: number
  *               confidence:
  *                 type: integer
  *                 minimum: 1
  *                 maximum: 100
+ *               minPlan:
+ *                 type: string
+ *                 enum: [free, pro, elite]
+ *                 default: free
+ *                 description: Lowest plan that sees the price levels; lower plans get them masked
+ *               draft:
+ *                 type: boolean
+ *                 description: Save without publishing; only the author and admins see drafts
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Publish at this time instead of now; the default lifetime starts then
+ *               freeDelayMinutes:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 1440
+ *                 default: 0
+ *                 description: Pro and elite plans see the signal this many minutes before the free plan
  *     responses:
  *       201:
- *         description: Signal created successfully
+ *         description: Signal created successfully (includes the derived riskRewardRatio)
+ *       400:
+ *         description: Validation error (including price levels on the wrong side of the entry)
  *       403:
  *         description: Access denied
  */
-router.post('/', isAdmin, signalValidation, createSignal);
+router.post('/', requirePermission('signals:create'), signalValidation, createSignal);
 
 /**
  * @swagger
  * /api/v1/signals/{id}:
  *   put:
- *     summary: Update signal (Admin only)
+ *     summary: Update signal (admins, or analysts for their own signals)
+ *     description: Accepts the same fields as signal creation. Send null for entryPrice, entryRange, stopLoss or takeProfits to clear them. draft, publishAt and freeDelayMinutes can only change until the signal is published.
  *     tags: [Signals]
  *     security:
  *       - bearerAuth: []
@@ -182,12 +361,48 @@ router.post('/', isAdmin, signalValidation, createSignal);
  *     responses:
  *       200:
  *         description: Signal updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Signal not found
+ */
+router.put(
+  '/:id',
+  requirePermission('signals:update'),
+  objectIdValidation('id'),
+  isOwnerOrAdmin('id', { model: TradingSignal, ownerField: 'createdBy', permission: 'signals:update' }),
+  signalValidation,
+  updateSignal
+);
+
+/**
+ * @swagger
+ * /api/v1/signals/{id}/expire:
+ *   post:
+ *     summary: Expire a signal (admins and moderators)
+ *     description: Ends an active signal early; it drops out of active listings and stream clients get signal.expired.
+ *     tags: [Signals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Signal expired successfully
+ *       400:
+ *         description: Signal is not active
  *       403:
  *         description: Access denied
  *       404:
  *         description: Signal not found
  */
-router.put('/:id', isAdmin, objectIdValidation('id'), signalValidation, updateSignal);
+router.post('/:id/expire', requirePermission('signals:expire'), objectIdValidation('id'), expireSignal);
 
 /**
  * @swagger
@@ -211,6 +426,6 @@ router.put('/:id', isAdmin, objectIdValidation('id'), signalValidation, updateSi
  *       404:
  *         description: Signal not found
  */
-router.delete('/:id', isAdmin, objectIdValidation('id'), deleteSignal);
+router.delete('/:id', requirePermission('signals:delete'), objectIdValidation('id'), deleteSignal);
 
 module.exports = router;
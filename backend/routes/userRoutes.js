@@ -0,0 +1,283 @@
+const express = require('express');
+const {
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserPlan,
+  deactivateUser,
+  reactivateUser,
+  deleteUser,
+  unlockUser,
+} = require('../controllers/userController');
+const { authenticate } = require('../middlewares/authenticate');
+const { requireSession, isAdmin } = require('../middlewares/authorize');
+const { apiLimiter } = require('../middlewares/rateLimiter');
+const {
+  userFilterValidation,
+  userRoleValidation,
+  userPlanValidation,
+  paginationValidation,
+  objectIdValidation,
+} = require('../middlewares/validator');
+
+const router = express.Router();
+
+// Apply rate limiting to all user management routes
+router.use(apiLimiter);
+
+// User management is admin-only and needs a login session
+router.use(authenticate);
+router.use(requireSession);
+router.use(isAdmin);
+
+/**
+ * @swagger
+ * /api/v1/users:
+ *   get:
+ *     summary: Get users
+ *     description: Newest first. `search` matches name or email (case-insensitive).
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [viewer, user, analyst, moderator, admin]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: organization
+ *         description: Users currently working in this organization
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ */
+router.get('/', paginationValidation, userFilterValidation, getUsers);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}:
+ *   get:
+ *     summary: Get a user
+ *     description: Profile plus lockout state and session, signal and API key counts.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id', objectIdValidation('id'), getUser);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/role:
+ *   patch:
+ *     summary: Change a user's role
+ *     description: |
+ *       `viewer` is read-only, `user` can also manage their own watchlists,
+ *       portfolios and webhooks, `analyst` can create signals and edit their
+ *       own, `moderator` can expire any signal, and `admin` can do everything.
+ *       Admins cannot change their own role.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, user, analyst, moderator, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Validation error, or the admin's own account
+ *       404:
+ *         description: User not found
+ */
+router.patch('/:id/role', objectIdValidation('id'), userRoleValidation, updateUserRole);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/plan:
+ *   patch:
+ *     summary: Change a user's plan
+ *     description: |
+ *       Assigns a plan by hand, e.g. after an offline payment. With `expiresAt`
+ *       the user drops back to free after that date; without it the plan has
+ *       no end.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - plan
+ *             properties:
+ *               plan:
+ *                 type: string
+ *                 enum: [free, pro, elite]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Plan updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: User not found
+ */
+router.patch('/:id/plan', objectIdValidation('id'), userPlanValidation, updateUserPlan);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/deactivate:
+ *   post:
+ *     summary: Deactivate a user
+ *     description: |
+ *       The user can no longer sign in, every session is revoked and their API
+ *       keys stop working. Admins cannot deactivate themselves.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User deactivated
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/deactivate', objectIdValidation('id'), deactivateUser);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User reactivated
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/reactivate', objectIdValidation('id'), reactivateUser);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}:
+ *   delete:
+ *     summary: Delete a user
+ *     description: |
+ *       Deletes the user with their sessions, API keys, watchlists, portfolios,
+ *       backtests, webhooks and alert sources. Users who authored signals can
+ *       only be deactivated.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User deleted
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User has authored signals
+ */
+router.delete('/:id', objectIdValidation('id'), deleteUser);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user's account
+ *     description: |
+ *       Lifts a lockout caused by repeated failed sign-ins and resets the
+ *       progressive lockout history. The user sees an "account unlocked" event.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/unlock', objectIdValidation('id'), unlockUser);
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const {
+  createWatchlist,
+  getWatchlists,
+  getWatchlistById,
+  updateWatchlist,
+  deleteWatchlist,
+} = require('../controllers/watchlistController');
+const { authenticate } = require('../middlewares/authenticate');
+const { requireScope, requireVerifiedEmail, requireWriteAccess } = require('../middlewares/authorize');
+const { apiLimiter } = require('../middlewares/rateLimiter');
+const {
+  watchlistValidation,
+  objectIdValidation,
+} = require('../middlewares/validator');
+
+const router = express.Router();
+
+// Apply rate limiting to all watchlist routes
+router.use(apiLimiter);
+
+// All routes require authentication
+router.use(authenticate);
+
+// API keys need the watchlists:read or watchlists:write scope
+router.use(requireScope('watchlists'));
+
+// Unverified users can only read
+router.use(requireVerifiedEmail);
+
+// Read-only roles (viewer) can only read
+router.use(requireWriteAccess);
+
+/**
+ * @swagger
+ * /api/v1/watchlists:
+ *   get:
+ *     summary: Get the current user's watchlists
+ *     tags: [Watchlists]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Watchlists retrieved successfully
+ */
+router.get('/', getWatchlists);
+
+/**
+ * @swagger
+ * /api/v1/watchlists:
+ *   post:
+ *     summary: Create a watchlist
+ *     tags: [Watchlists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *               cryptocurrencies:
+ *                 type: array
+ *                 maxItems: 50
+ *                 description: Tickers, aliases or names of registry assets; signals are matched on the resolved assets
+ *                 items:
+ *                   type: string
+ *               creators:
+ *                 type: array
+ *                 maxItems: 50
+ *                 description: IDs of authors of signals you can see in your organization
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Watchlist created successfully
+ *       400:
+ *         description: Validation error, an unknown asset or creator
+ *       409:
+ *         description: A watchlist with this name already exists
+ */
+router.post('/', watchlistValidation, createWatchlist);
+
+/**
+ * @swagger
+ * /api/v1/watchlists/{id}:
+ *   get:
+ *     summary: Get watchlist by ID
+ *     tags: [Watchlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Watchlist retrieved successfully
+ *       404:
+ *         description: Watchlist not found
+ */
+router.get('/:id', objectIdValidation('id'), getWatchlistById);
+
+/**
+ * @swagger
+ * /api/v1/watchlists/{id}:
+ *   put:
+ *     summary: Update watchlist
+ *     description: Accepts the same fields as watchlist creation. Lists replace the existing ones.
+ *     tags: [Watchlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Watchlist updated successfully
+ *       400:
+ *         description: Validation error, an unknown asset or creator
+ *       404:
+ *         description: Watchlist not found
+ */
+router.put('/:id', objectIdValidation('id'), watchlistValidation, updateWatchlist);
+
+/**
+ * @swagger
+ * /api/v1/watchlists/{id}:
+ *   delete:
+ *     summary: Delete watchlist
+ *     tags: [Watchlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Watchlist deleted successfully
+ *       404:
+ *         description: Watchlist not found
+ */
+router.delete('/:id', objectIdValidation('id'), deleteWatchlist);
+
+module.exports = router;
@@ -0,0 +1,308 @@
+const express = require('express');
+const {
+  createWebhook,
+  getWebhooks,
+  getWebhookById,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery,
+} = require('../controllers/webhookController');
+const { authenticate } = require('../middlewares/authenticate');
+const { requireScope, requireVerifiedEmail, requireWriteAccess } = require('../middlewares/authorize');
+const { apiLimiter } = require('../middlewares/rateLimiter');
+const {
+  webhookValidation,
+  webhookDeliveryFilterValidation,
+  paginationValidation,
+  objectIdValidation,
+} = require('../middlewares/validator');
+
+const router = express.Router();
+
+// Apply rate limiting to all webhook routes
+router.use(apiLimiter);
+
+// All routes require authentication
+router.use(authenticate);
+
+// API keys need the webhooks:read or webhooks:write scope
+router.use(requireScope('webhooks'));
+
+// Unverified users can only read
+router.use(requireVerifiedEmail);
+
+// Read-only roles (viewer) can only read
+router.use(requireWriteAccess);
+
+/**
+ * @swagger
+ * /api/v1/webhooks:
+ *   get:
+ *     summary: Get webhooks
+ *     description: Users see their own webhooks; admins see every user's.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks retrieved successfully
+ */
+router.get('/', getWebhooks);
+
+/**
+ * @swagger
+ * /api/v1/webhooks:
+ *   post:
+ *     summary: Register a webhook
+ *     description: |
+ *       Signal events are POSTed as JSON to the URL. Each request is signed:
+ *       X-Webhook-Signature is `sha256=` followed by the hex HMAC-SHA256 of
+ *       `<X-Webhook-Timestamp>.<raw body>` keyed with the secret. X-Webhook-Id
+ *       stays the same across retries. Non-2xx responses and timeouts are retried
+ *       with exponential backoff. The secret is only returned in this response
+ *       (one is generated if omitted).
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - events
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 description: Must resolve to a public address; loopback, private and link-local hosts are rejected
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [signal.created, signal.updated, signal.expired, signal.deleted]
+ *               description:
+ *                 type: string
+ *                 maxLength: 200
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Webhook created successfully
+ *       400:
+ *         description: Validation error
+ */
+router.post('/', webhookValidation, createWebhook);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{id}:
+ *   get:
+ *     summary: Get webhook by ID
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook retrieved successfully
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id', objectIdValidation('id'), getWebhookById);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{id}:
+ *   put:
+ *     summary: Update webhook
+ *     description: Takes the same body as POST /api/v1/webhooks. The secret is kept unless one is given.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully
+ *       404:
+ *         description: Webhook not found
+ */
+router.put('/:id', objectIdValidation('id'), webhookValidation, updateWebhook);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Generate a new signing secret
+ *     description: Returns the new secret. Queued retries are signed with it from now on.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook secret rotated successfully
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:id/rotate-secret', objectIdValidation('id'), rotateWebhookSecret);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{id}:
+ *   delete:
+ *     summary: Delete webhook and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully
+ *       404:
+ *         description: Webhook not found
+ */
+router.delete('/:id', objectIdValidation('id'), deleteWebhook);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get the webhook's delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivering, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           enum: [signal.created, signal.updated, signal.expired, signal.deleted]
+ *     responses:
+ *       200:
+ *         description: Deliveries retrieved successfully
+ *       404:
+ *         description: Webhook not found
+ */
+router.get(
+  '/:id/deliveries',
+  objectIdValidation('id'),
+  paginationValidation,
+  webhookDeliveryFilterValidation,
+  getWebhookDeliveries
+);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{id}/deliveries/{deliveryId}:
+ *   get:
+ *     summary: Get a delivery with its payload and attempts
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delivery retrieved successfully
+ *       404:
+ *         description: Webhook or delivery not found
+ */
+router.get(
+  '/:id/deliveries/:deliveryId',
+  objectIdValidation('id'),
+  objectIdValidation('deliveryId'),
+  getWebhookDelivery
+);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{id}/deliveries/{deliveryId}/replay:
+ *   post:
+ *     summary: Replay a delivery
+ *     description: Queues a new delivery with the same payload, signed with the current secret.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Delivery queued for replay
+ *       404:
+ *         description: Webhook or delivery not found
+ */
+router.post(
+  '/:id/deliveries/:deliveryId/replay',
+  objectIdValidation('id'),
+  objectIdValidation('deliveryId'),
+  replayWebhookDelivery
+);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const TradingSignal = require('../models/TradingSignal');
+const Asset = require('../models/Asset');
+const defaultAssets = require('../data/defaultAssets');
+const logger = require('../utils/logger');
+
+/**
+ * Migrate free-text cryptocurrency names onto the asset registry
+ * Ensures the default assets exist, then links every signal without an asset
+ * to the asset its cryptocurrency resolves to and rewrites the name to the
+ * canonical display name. Unmatched names are reported and left untouched.
+ *
+ * Usage: node scripts/migrateAssets.js [--dry-run]
+ */
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrateAssets = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.info(`MongoDB connected for asset migration${dryRun ? ' (dry run)' : ''}`);
+
+    // Upsert the default registry without overwriting admin edits
+    if (!dryRun) {
+      for (const asset of defaultAssets) {
+        await Asset.updateOne({ ticker: asset.ticker }, { $setOnInsert: asset }, { upsert: true });
+      }
+      logger.info(`${defaultAssets.length} default assets ensured`);
+    }
+
+    const names = await TradingSignal.distinct('cryptocurrency', { asset: { $exists: false } });
+    const unmapped = [];
+    let migrated = 0;
+
+    for (const name of names) {
+      const asset = await Asset.resolve(name);
+
+      if (!asset) {
+        unmapped.push(name);
+        continue;
+      }
+
+      const filter = { cryptocurrency: name, asset: { $exists: false } };
+
+      if (dryRun) {
+        const count = await TradingSignal.countDocuments(filter);
+        console.log(`"${name}" -> ${asset.ticker} (${count} signals)`);
+        migrated += count;
+        continue;
+      }
+
+      const { modifiedCount } = await TradingSignal.updateMany(filter, {
+        asset: asset._id,
+        cryptocurrency: asset.displayName,
+      });
+      migrated += modifiedCount;
+    }
+
+    console.log('\n========================================');
+    console.log(dryRun ? 'ASSET MIGRATION DRY RUN' : 'ASSET MIGRATION COMPLETE');
+    console.log('========================================\n');
+    console.log(`Signals ${dryRun ? 'to migrate' : 'migrated'}: ${migrated}`);
+    if (unmapped.length > 0) {
+      console.log('Unmapped names (create assets or aliases, then re-run):');
+      unmapped.forEach((name) => console.log(`  - ${name}`));
+    }
+    console.log('\n========================================\n');
+
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Asset migration failed: ${error.message}`);
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+// Run migration
+migrateAssets();
@@ -3,11 +3,13 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const TradingSignal = require('../models/TradingSignal');
+const Asset = require('../models/Asset');
+const defaultAssets = require('../data/defaultAssets');
 const logger = require('../utils/logger');
 
 /**
  * Seed database with mock data
- * Creates admin user, regular users, and trading signals
+ * Creates admin user, regular users, the asset registry and trading signals
  */
 
 const mockUsers = [
@@ -16,18 +18,21 @@ const mockUsers = [
     email: 'admin@cryptosignals.com',
     password: 'Admin@123',
     role: 'admin',
+    emailVerified: true,
   },
   {
     name: 'John Trader',
     email: 'john@example.com',
     password: 'User@123',
     role: 'user',
+    emailVerified: true,
   },
   {
     name: 'Sarah Crypto',
     email: 'sarah@example.com',
     password: 'User@123',
     role: 'user',
+    emailVerified: true,
   },
 ];
 
@@ -152,6 +157,7 @@ const seedDatabase = async () => {
     // Clear existing data
     await User.deleteMany({});
     await TradingSignal.deleteMany({});
+    await Asset.deleteMany({});
     logger.info('Existing data cleared');
 
     // Create users
@@ -161,11 +167,18 @@ const seedDatabase = async () => {
     // Get admin user for signal creation
     const adminUser = createdUsers.find((user) => user.role === 'admin');
 
-    // Create signals (all created by admin)
-    const signalsWithCreator = mockSignals.map((signal) => ({
-      ...signal,
-      createdBy: adminUser._id,
-    }));
+    // Create asset registry
+    const createdAssets = await Asset.create(defaultAssets);
+    logger.info(`${createdAssets.length} assets created`);
+
+    // Create signals (all created by admin), linked to their registry asset
+    const signalsWithCreator = await Promise.all(
+      mockSignals.map(async (signal) => ({
+        ...signal,
+        asset: (await Asset.resolve(signal.cryptocurrency))?._id,
+        createdBy: adminUser._id,
+      }))
+    );
 
     const createdSignals = await TradingSignal.create(signalsWithCreator);
     logger.info(`${createdSignals.length} trading signals created`);
@@ -14,6 +14,13 @@ const connectDB = require('./config/db');
 const { connectRedis } = require('./config/redis');
 const logger = require('./utils/logger');
 const { errorHandler, notFoundHandler } = require('./middlewares/errorHandler');
+const requestId = require('./middlewares/requestId');
+const { startOutcomeEvaluator, stopOutcomeEvaluator } = require('./workers/outcomeEvaluator');
+const { startExpirySweeper, stopExpirySweeper } = require('./workers/expirySweeper');
+const { startPublicationScheduler, stopPublicationScheduler } = require('./workers/publicationScheduler');
+const { startPositionMonitor, stopPositionMonitor } = require('./workers/positionMonitor');
+const { startBacktestRunner, stopBacktestRunner } = require('./workers/backtestRunner');
+const { startWebhookDispatcher, stopWebhookDispatcher } = require('./workers/webhookDispatcher');
 
 // Initialize Express app
 const app = express();
@@ -82,11 +89,13 @@ const corsOptions = {
   allowedHeaders: [
     'Content-Type',
     'Authorization',
+    'X-API-Key',
+    'X-Request-Id',
     'X-Requested-With',
     'Accept',
     'Origin',
   ],
-  exposedHeaders: ['Set-Cookie'],
+  exposedHeaders: ['Set-Cookie', 'X-Request-Id'],
   optionsSuccessStatus: 200,
   maxAge: 86400,
 };
@@ -119,9 +128,12 @@ if (process.env.NODE_ENV === 'development') {
   app.use(morgan('combined', { stream: logger.stream }));
 }
 
+// Request ID for tracing log lines and audit records
+app.use(requestId);
+
 // Request logging
 app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.path} - Origin: ${req.get('origin') || 'none'}`);
+  logger.info(`${req.method} ${req.path} - Origin: ${req.get('origin') || 'none'}, Request: ${req.id}`);
   next();
 });
 
@@ -155,6 +167,12 @@ const swaggerOptions = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
         },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Personal API key; limited to the scopes it was created with',
+        },
       },
     },
   },
@@ -206,9 +224,33 @@ app.post('/api/v1/test', (req, res) => {
 try {
   const authRoutes = require('./routes/authRoutes');
   const signalRoutes = require('./routes/signalRoutes');
+  const watchlistRoutes = require('./routes/watchlistRoutes');
+  const assetRoutes = require('./routes/assetRoutes');
+  const analyticsRoutes = require('./routes/analyticsRoutes');
+  const portfolioRoutes = require('./routes/portfolioRoutes');
+  const backtestRoutes = require('./routes/backtestRoutes');
+  const webhookRoutes = require('./routes/webhookRoutes');
+  const ingestRoutes = require('./routes/ingestRoutes');
+  const apiKeyRoutes = require('./routes/apiKeyRoutes');
+  const userRoutes = require('./routes/userRoutes');
+  const auditLogRoutes = require('./routes/auditLogRoutes');
+  const organizationRoutes = require('./routes/organizationRoutes');
+  const planRoutes = require('./routes/planRoutes');
   
   app.use('/api/v1/auth', authRoutes);
   app.use('/api/v1/signals', signalRoutes);
+  app.use('/api/v1/watchlists', watchlistRoutes);
+  app.use('/api/v1/assets', assetRoutes);
+  app.use('/api/v1/analytics', analyticsRoutes);
+  app.use('/api/v1/portfolios', portfolioRoutes);
+  app.use('/api/v1/backtests', backtestRoutes);
+  app.use('/api/v1/webhooks', webhookRoutes);
+  app.use('/api/v1/ingest', ingestRoutes);
+  app.use('/api/v1/api-keys', apiKeyRoutes);
+  app.use('/api/v1/users', userRoutes);
+  app.use('/api/v1/audit-logs', auditLogRoutes);
+  app.use('/api/v1/organizations', organizationRoutes);
+  app.use('/api/v1/plans', planRoutes);
   
   logger.info('✅ All routes loaded successfully');
 } catch (error) {
@@ -233,6 +275,16 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   logger.info(`🌍 Allowed origins: ${allowedOrigins.join(', ')}`);
 });
 
+// ============================================
+// BACKGROUND WORKERS
+// ============================================
+startOutcomeEvaluator();
+startExpirySweeper();
+startPublicationScheduler();
+startPositionMonitor();
+startBacktestRunner();
+startWebhookDispatcher();
+
 // Graceful error handling
 process.on('unhandledRejection', (err) => {
   logger.error(`Unhandled Rejection: ${err.message}`);
@@ -246,6 +298,12 @@ process.on('uncaughtException', (err) => {
 
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
+  stopOutcomeEvaluator();
+  stopExpirySweeper();
+  stopPublicationScheduler();
+  stopPositionMonitor();
+  stopBacktestRunner();
+  stopWebhookDispatcher();
   server.close(() => logger.info('HTTP server closed'));
 });
 
@@ -0,0 +1,102 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+/**
+ * Audit Log Service
+ * Records privileged actions and sign-ins with who, what, from where and
+ * which fields changed. Like security events, recording never fails the
+ * request that triggered it; errors are logged instead.
+ */
+
+// Bookkeeping fields that change on every save
+const IGNORED_FIELDS = ['_id', 'id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Plain, JSON-safe copy of a document (ObjectIds and dates become strings)
+ * @param {Object|null} doc - Mongoose document or plain object
+ * @returns {Object|null}
+ */
+const snapshot = (doc) => {
+  if (!doc) return null;
+
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true, virtuals: false }) : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * Fields that differ between two snapshots
+ * A missing side (create or delete) counts every field of the other side as changed.
+ * @param {Object|null} before - Snapshot before the action
+ * @param {Object|null} after - Snapshot after the action
+ * @returns {Object|null} { before, after } holding only changed fields, or null if nothing changed
+ */
+const diffSnapshots = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = { before: {}, after: {} };
+  let changed = false;
+
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+
+    const oldValue = before ? before[key] : undefined;
+    const newValue = after ? after[key] : undefined;
+
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+    changed = true;
+    if (before) changes.before[key] = oldValue ?? null;
+    if (after) changes.after[key] = newValue ?? null;
+  }
+
+  if (!changed) return null;
+
+  return {
+    before: before ? changes.before : null,
+    after: after ? changes.after : null,
+  };
+};
+
+/**
+ * Record an audit log entry
+ * @param {Object} entry
+ * @param {Object} entry.req - Express request (actor, IP, user agent, request ID)
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} entry.targetType - One of AUDIT_TARGET_TYPES
+ * @param {string|Object} entry.targetId - Target document ID or setting key
+ * @param {Object} [entry.before] - Target before the action (document or plain object)
+ * @param {Object} [entry.after] - Target after the action
+ * @param {Object} [entry.metadata] - Extra context, e.g. { via: 'ingest' }
+ * @param {Object} [entry.actor] - Acting user when it is not req.user (e.g. sign-in)
+ * @returns {Promise<Object|null>} Created entry, or null if it could not be saved
+ */
+const recordAudit = async ({ req, action, targetType, targetId, before, after, metadata, actor }) => {
+  const actingUser = actor !== undefined ? actor : req?.user;
+
+  logger.info(
+    `Audit ${action} - Actor: ${actingUser?.email || 'anonymous'}, Target: ${targetType} ${targetId}, Request: ${req?.id || 'none'}`
+  );
+
+  try {
+    return await AuditLog.create({
+      actor: actingUser?._id,
+      actorEmail: actingUser?.email,
+      action,
+      targetType,
+      targetId: String(targetId),
+      changes: before || after ? diffSnapshots(snapshot(before), snapshot(after)) : undefined,
+      metadata,
+      ip: req?.ip,
+      userAgent: req?.get('User-Agent')?.slice(0, 500),
+      requestId: req?.id,
+    });
+  } catch (error) {
+    logger.error(`Failed to record audit log ${action}: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  recordAudit,
+  snapshot,
+  diffSnapshots,
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { cache } = require('../config/redis');
 const logger = require('../utils/logger');
@@ -10,14 +11,16 @@ const logger = require('../utils/logger');
 /**
  * Generate access token (short-lived)
  * @param {Object} user - User object
+ * @param {string} [sessionId] - Session the token belongs to
  * @returns {string} JWT access token
  */
-const generateAccessToken = (user) => {
+const generateAccessToken = (user, sessionId) => {
   const payload = {
     userId: user._id,
     email: user.email,
     role: user.role,
     type: 'access',
+    sid: sessionId,
   };
 
   return jwt.sign(payload, process.env.JWT_SECRET, {
@@ -30,17 +33,21 @@ const generateAccessToken = (user) => {
 /**
  * Generate refresh token (long-lived)
  * @param {Object} user - User object
+ * @param {string} [sessionId] - Session the token belongs to
  * @returns {string} JWT refresh token
  */
-const generateRefreshToken = (user) => {
+const generateRefreshToken = (user, sessionId) => {
   const payload = {
     userId: user._id,
     email: user.email,
     type: 'refresh',
+    sid: sessionId,
   };
 
   return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
     expiresIn: process.env.JWT_REFRESH_EXPIRY || '7d',
+    // Unique per token, so two refreshes in the same second never collide
+    jwtid: crypto.randomUUID(),
     issuer: 'crypto-signals-api',
     audience: 'crypto-signals-client',
   });
@@ -49,19 +56,39 @@ const generateRefreshToken = (user) => {
 /**
  * Generate both access and refresh tokens
  * @param {Object} user - User object
+ * @param {string} [sessionId] - Session the tokens belong to
  * @returns {Object} Object containing both tokens
  */
-const generateTokenPair = (user) => {
+const generateTokenPair = (user, sessionId) => {
   return {
-    accessToken: generateAccessToken(user),
-    refreshToken: generateRefreshToken(user),
+    accessToken: generateAccessToken(user, sessionId),
+    refreshToken: generateRefreshToken(user, sessionId),
   };
 };
 
+/**
+ * Generate a two-factor login challenge (short-lived)
+ * Proves the password step passed; exchanged for a token pair with a valid code
+ * @param {Object} user - User object
+ * @returns {string} JWT challenge token
+ */
+const generateTwoFactorChallenge = (user) => {
+  const payload = {
+    userId: user._id,
+    type: '2fa_challenge',
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || '5m',
+    issuer: 'crypto-signals-api',
+    audience: 'crypto-signals-client',
+  });
+};
+
 /**
  * Verify JWT token
  * @param {string} token - JWT token to verify
- * @param {string} type - Token type ('access' or 'refresh')
+ * @param {string} type - Token type ('access', 'refresh' or '2fa_challenge')
  * @returns {Promise<Object>} Decoded token payload
  * @throws {Error} If token is invalid or blacklisted
  */
@@ -74,7 +101,7 @@ const verifyToken = async (token, type = 'access') => {
     }
 
     // Verify token signature and expiry
-    const secret = type === 'access' ? process.env.JWT_SECRET : process.env.JWT_REFRESH_SECRET;
+    const secret = type === 'refresh' ? process.env.JWT_REFRESH_SECRET : process.env.JWT_SECRET;
     const decoded = jwt.verify(token, secret, {
       issuer: 'crypto-signals-api',
       audience: 'crypto-signals-client',
@@ -98,14 +125,21 @@ const verifyToken = async (token, type = 'access') => {
 };
 
 /**
- * Blacklist a token (add to Redis with TTL)
- * @param {string} token - Token to blacklist
+ * Hash a token for the blacklist, so neither Redis nor sessions hold usable tokens
+ * @param {string} token - JWT
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Blacklist a token by its hash (add to Redis with TTL)
+ * @param {string} tokenHash - Hash from hashToken()
  * @param {number} expiresIn - Token expiry time in seconds
  * @returns {Promise<boolean>} Success status
  */
-const blacklistToken = async (token, expiresIn = 900) => {
+const blacklistTokenHash = async (tokenHash, expiresIn = 900) => {
   try {
-    const key = `blacklist:${token}`;
+    const key = `blacklist:${tokenHash}`;
     await cache.set(key, true, expiresIn);
     logger.info('Token blacklisted successfully');
     return true;
@@ -115,6 +149,14 @@ const blacklistToken = async (token, expiresIn = 900) => {
   }
 };
 
+/**
+ * Blacklist a token (add its hash to Redis with TTL)
+ * @param {string} token - Token to blacklist
+ * @param {number} expiresIn - Token expiry time in seconds
+ * @returns {Promise<boolean>} Success status
+ */
+const blacklistToken = (token, expiresIn = 900) => blacklistTokenHash(hashToken(token), expiresIn);
+
 /**
  * Check if token is blacklisted
  * @param {string} token - Token to check
@@ -122,7 +164,7 @@ const blacklistToken = async (token, expiresIn = 900) => {
  */
 const isTokenBlacklisted = async (token) => {
   try {
-    const key = `blacklist:${token}`;
+    const key = `blacklist:${hashToken(token)}`;
     const result = await cache.get(key);
     return result !== null;
   } catch (error) {
@@ -191,8 +233,11 @@ module.exports = {
   generateAccessToken,
   generateRefreshToken,
   generateTokenPair,
+  generateTwoFactorChallenge,
   verifyToken,
+  hashToken,
   blacklistToken,
+  blacklistTokenHash,
   isTokenBlacklisted,
   extractToken,
   extractRefreshToken,
@@ -0,0 +1,221 @@
+const TradingSignal = require('../models/TradingSignal');
+const User = require('../models/User');
+const { loadCandles, findCandleIndex } = require('./candleService');
+const { resolveSymbol } = require('./priceFeedService');
+const { organizationFilter, buildSignalFilters } = require('../utils/signalFilters');
+const { getTargetLevel } = require('../utils/signalLevels');
+const { publicationFilter } = require('../utils/signalPublication');
+const { planFilter } = require('../utils/plans');
+
+/**
+ * Backtest Service
+ * Replays historical signals against OHLCV candles
+ *
+ * Each BUY/SELL signal enters at the open of the first candle at or after its
+ * creation and exits when a candle touches its stop (checked first, so a candle
+ * through both levels is scored as a loss), its target, or when it expires.
+ * Trades are compounded in exit order with a fixed share of equity per trade.
+ */
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Simulate one signal over candles
+ * @param {Object} signal - Trading signal
+ * @param {Array<Object>|null} candles - Candles for the signal's symbol
+ * @returns {Object|null} Trade, or null if the signal cannot be replayed
+ */
+const simulateSignal = (signal, candles) => {
+  if (signal.signalType !== 'BUY' && signal.signalType !== 'SELL') return null;
+  if (!candles || candles.length === 0) return null;
+
+  const start = findCandleIndex(candles, new Date(signal.createdAt).getTime());
+  if (start >= candles.length) return null;
+
+  const isBuy = signal.signalType === 'BUY';
+  const target = getTargetLevel(signal);
+  const stop = signal.stopLoss ?? null;
+  const expiresAt = signal.expiresAt ? new Date(signal.expiresAt).getTime() : Infinity;
+  const entryPrice = candles[start].open;
+
+  let exit = null;
+  let last = null;
+  let i = start;
+
+  for (; i < candles.length && candles[i].time < expiresAt; i += 1) {
+    const candle = candles[i];
+
+    if (stop !== null && (isBuy ? candle.low <= stop : candle.high >= stop)) {
+      // A gap through the stop fills at the open
+      const price = isBuy ? Math.min(stop, candle.open) : Math.max(stop, candle.open);
+      exit = { time: candle.time, price, outcome: 'stopped_out' };
+      break;
+    }
+
+    if (target !== null && (isBuy ? candle.high >= target : candle.low <= target)) {
+      exit = { time: candle.time, price: target, outcome: 'target_hit' };
+      break;
+    }
+
+    last = candle;
+  }
+
+  if (!exit) {
+    if (!last) return null;
+    // Expired before the data ran out, or still open when it did
+    exit = { time: last.time, price: last.close, outcome: i < candles.length ? 'expired' : 'data_end' };
+  }
+
+  const returnPct = ((exit.price - entryPrice) / entryPrice) * 100 * (isBuy ? 1 : -1);
+
+  return {
+    signal: signal._id,
+    side: isBuy ? 'long' : 'short',
+    confidence: signal.confidence,
+    entryAt: new Date(candles[start].time),
+    entryPrice,
+    exitAt: new Date(exit.time),
+    exitPrice: exit.price,
+    outcome: exit.outcome,
+    returnPct: round(returnPct, 4),
+  };
+};
+
+/**
+ * Compute performance metrics and the equity curve
+ * @param {Array<Object>} trades - Simulated trades
+ * @param {Object} options - { initialEquity, positionSizePct, skipped }
+ * @returns {Object} { results, equityCurve }
+ */
+const computeMetrics = (trades, { initialEquity, positionSizePct, skipped = 0 }) => {
+  const ordered = [...trades].sort((a, b) => a.exitAt - b.exitAt);
+  const wins = ordered.filter((t) => t.returnPct > 0);
+  const losses = ordered.filter((t) => t.returnPct <= 0);
+  const mean = (list) => (list.length ? list.reduce((sum, t) => sum + t.returnPct, 0) / list.length : 0);
+
+  let equity = initialEquity;
+  let peak = initialEquity;
+  let maxDrawdown = 0;
+  const equityCurve = [{ date: ordered[0]?.entryAt ?? null, equity: initialEquity }];
+
+  ordered.forEach((trade) => {
+    equity += equity * (positionSizePct / 100) * (trade.returnPct / 100);
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, ((peak - equity) / peak) * 100);
+    equityCurve.push({ date: trade.exitAt, equity: round(equity) });
+  });
+
+  const winRate = ordered.length ? wins.length / ordered.length : 0;
+
+  return {
+    results: {
+      trades: ordered.length,
+      wins: wins.length,
+      losses: losses.length,
+      skipped,
+      winRate: round(winRate * 100),
+      avgWinPct: round(mean(wins)),
+      avgLossPct: round(Math.abs(mean(losses))),
+      // Average return per trade: winRate * avgWin - lossRate * avgLoss
+      expectancyPct: round(mean(ordered)),
+      maxDrawdownPct: round(maxDrawdown),
+      totalReturnPct: round(((equity - initialEquity) / initialEquity) * 100),
+      finalEquity: round(equity),
+    },
+    equityCurve,
+  };
+};
+
+/**
+ * Build the signal query for a backtest
+ * Unlike the signal list, no status is assumed, so expired signals are included.
+ * Like the signal list, only signals published for the backtest's owner count,
+ * and signals above the owner's plan are left out since trades expose their levels.
+ * @param {Object} backtest - Backtest (filters, from, to, user, organization)
+ * @returns {Promise<Object>} MongoDB filter
+ * @throws {Error} If the owner no longer exists
+ */
+const buildBacktestQuery = async ({ filters = {}, from, to, user, organization }) => {
+  const owner = await User.findById(user._id || user).select('role plan planExpiresAt');
+  if (!owner) {
+    throw new Error('Backtest owner no longer exists');
+  }
+
+  const { filters: query } = await buildSignalFilters(filters, { _id: owner._id }, {
+    defaultStatus: null,
+  });
+  Object.assign(query, organizationFilter({ organization }));
+
+  // $and, since a watchlist filter may already use $or
+  const restrictions = [publicationFilter(owner), planFilter(owner)].filter((filter) => filter.$or);
+  if (restrictions.length > 0) {
+    query.$and = [...(query.$and || []), ...restrictions];
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+
+  return query;
+};
+
+/**
+ * Run a backtest
+ * @param {Object} backtest - Backtest document
+ * @param {Function} onProgress - async (processed, total) callback
+ * @returns {Promise<Object>} { results, equityCurve, trades }
+ */
+const runBacktest = async (backtest, onProgress = async () => {}) => {
+  const maxSignals = parseInt(process.env.BACKTEST_MAX_SIGNALS, 10) || 5000;
+  const query = await buildBacktestQuery(backtest);
+  const total = Math.min(await TradingSignal.countDocuments(query), maxSignals);
+
+  const cursor = TradingSignal.find(query)
+    .select('signalType cryptocurrency asset targetPrice stopLoss takeProfits confidence createdAt expiresAt')
+    .populate('asset', 'ticker')
+    .sort({ createdAt: 1 })
+    .limit(maxSignals)
+    .cursor();
+
+  const trades = [];
+  let processed = 0;
+  let skipped = 0;
+  // Report roughly every 2%
+  const reportEvery = Math.max(1, Math.floor(total / 50));
+
+  for await (const signal of cursor) {
+    const symbol = signal.asset?.ticker || resolveSymbol(signal.cryptocurrency);
+    const trade = simulateSignal(signal, loadCandles(symbol));
+
+    if (trade) trades.push({ ...trade, symbol });
+    else skipped += 1;
+
+    processed += 1;
+    if (processed % reportEvery === 0) {
+      await onProgress(processed, total);
+    }
+  }
+
+  await onProgress(processed, total);
+
+  return {
+    ...computeMetrics(trades, {
+      initialEquity: backtest.initialEquity,
+      positionSizePct: backtest.positionSizePct,
+      skipped,
+    }),
+    trades,
+  };
+};
+
+module.exports = {
+  simulateSignal,
+  computeMetrics,
+  buildBacktestQuery,
+  runBacktest,
+};
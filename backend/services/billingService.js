@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { ValidationError } = require('../utils/AppError');
+const { includesPlan } = require('../utils/plans');
+const logger = require('../utils/logger');
+
+/**
+ * Billing Service
+ * Plan changes, either assigned by an admin or bought through a pluggable
+ * payment provider
+ *
+ * Providers implement checkout(user, plan) and resolve to
+ * { status: 'paid' | 'pending', reference, url }. A paid checkout applies the
+ * plan at once; a pending one hands the user a payment page, and the provider
+ * integration calls applyPlan() when the payment clears.
+ * Select one with PAYMENT_PROVIDER (stub | none) or swap it at runtime with
+ * setPaymentProvider() (e.g. in tests).
+ */
+
+/**
+ * Base payment provider
+ */
+class PaymentProvider {
+  /**
+   * Start paying for a plan
+   * @param {Object} user - Buyer
+   * @param {string} plan - Plan being bought
+   * @returns {Promise<Object>} { status, reference, url }
+   */
+  async checkout(user, plan) {
+    throw new Error('checkout() must be implemented by the payment provider');
+  }
+}
+
+/**
+ * Stub provider for local development: every checkout is paid immediately
+ */
+class StubPaymentProvider extends PaymentProvider {
+  async checkout(user, plan) {
+    logger.info(`Payments (stub): ${user.email} bought ${plan}`);
+    return { status: 'paid', reference: `stub_${crypto.randomUUID()}` };
+  }
+}
+
+let paymentProvider;
+
+/**
+ * Create the provider configured by environment variables
+ * @returns {PaymentProvider|null} Provider, or null when self-service is off
+ */
+const createPaymentProvider = () => {
+  const provider = process.env.PAYMENT_PROVIDER || 'none';
+
+  if (provider === 'stub') {
+    return new StubPaymentProvider();
+  }
+
+  if (provider !== 'none') {
+    logger.warn(`Payments: unknown provider "${provider}", self-service plan changes are off`);
+  }
+
+  return null;
+};
+
+/**
+ * Get the active payment provider (created on first use)
+ * @returns {PaymentProvider|null}
+ */
+const getPaymentProvider = () => {
+  if (paymentProvider === undefined) {
+    paymentProvider = createPaymentProvider();
+  }
+  return paymentProvider;
+};
+
+/**
+ * Replace the active payment provider
+ * @param {PaymentProvider|null|undefined} provider - Provider instance, null to
+ *   turn self-service off, or undefined to reset to the configured default
+ */
+const setPaymentProvider = (provider) => {
+  paymentProvider = provider;
+};
+
+/**
+ * Put a user on a plan
+ * @param {Object} user - User document
+ * @param {string} plan - One of PLANS
+ * @param {Object} options - { expiresAt: paid-through date, null for no end }
+ * @returns {Promise<Object>} Saved user
+ */
+const applyPlan = async (user, plan, { expiresAt = null } = {}) => {
+  user.plan = plan;
+  user.planExpiresAt = plan === 'free' ? undefined : expiresAt || undefined;
+  await user.save();
+
+  return user;
+};
+
+/**
+ * Buy a plan through the payment provider
+ * @param {Object} user - User document
+ * @param {string} plan - Paid plan
+ * @returns {Promise<Object>} Checkout result { status, reference, url }
+ * @throws {ValidationError} If self-service is off or the user already has the plan or a higher one
+ */
+const purchasePlan = async (user, plan) => {
+  const provider = getPaymentProvider();
+
+  if (!provider) {
+    throw new ValidationError('Plan upgrades are not available yet. Contact support to change your plan.');
+  }
+
+  if (plan === 'free') {
+    throw new ValidationError('The free plan does not need a checkout');
+  }
+
+  if (user.activePlan === plan) {
+    throw new ValidationError(`You are already on the ${plan} plan`);
+  }
+
+  // A lower plan would replace the paid time left on the current one
+  if (includesPlan(user.activePlan, plan)) {
+    throw new ValidationError(
+      `You are on the ${user.activePlan} plan, which already includes ${plan}. Contact support to downgrade.`
+    );
+  }
+
+  const result = await provider.checkout(user, plan);
+
+  if (result.status === 'paid') {
+    const days = parseInt(process.env.PLAN_PERIOD_DAYS, 10) || 30;
+    await applyPlan(user, plan, { expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000) });
+  }
+
+  return result;
+};
+
+module.exports = {
+  PaymentProvider,
+  StubPaymentProvider,
+  getPaymentProvider,
+  setPaymentProvider,
+  applyPlan,
+  purchasePlan,
+};
@@ -0,0 +1,159 @@
+const TradingSignal = require('../models/TradingSignal');
+
+/**
+ * Confidence calibration
+ * Buckets resolved signals by stated confidence and compares each bucket's
+ * average confidence with the share of signals that actually hit their target.
+ * A well-calibrated analyst's 70% signals succeed about 70% of the time.
+ */
+
+const BUCKET_SIZE = 10;
+const RESOLVED_RESULTS = ['target_hit', 'stopped_out', 'expired_neutral'];
+
+/**
+ * Per-bucket accumulators, grouped by bucket plus an optional key
+ * @param {Object|null} key - Group key expression (null for all signals)
+ * @returns {Array<Object>} Aggregation stages
+ */
+const bucketStages = (key) => [
+  {
+    $group: {
+      _id: { key, bucket: '$bucket' },
+      count: { $sum: 1 },
+      hits: { $sum: '$hit' },
+      confidenceSum: { $sum: '$confidence' },
+      // Squared error of the stated probability against the outcome
+      brierSum: {
+        $sum: { $pow: [{ $subtract: [{ $divide: ['$confidence', 100] }, '$hit'] }, 2] },
+      },
+    },
+  },
+  { $sort: { '_id.key': 1, '_id.bucket': 1 } },
+];
+
+/**
+ * Turn bucket accumulators into a calibration summary
+ * @param {Array<Object>} rows - Bucket rows for one group
+ * @returns {Object} { count, brierScore, calibrationError, buckets }
+ */
+const summarize = (rows) => {
+  const count = rows.reduce((sum, row) => sum + row.count, 0);
+
+  const buckets = rows.map((row) => {
+    const min = row._id.bucket * BUCKET_SIZE + 1;
+    const avgConfidence = row.confidenceSum / row.count;
+    const successRate = (row.hits / row.count) * 100;
+
+    return {
+      range: `${min}-${min + BUCKET_SIZE - 1}`,
+      min,
+      max: min + BUCKET_SIZE - 1,
+      count: row.count,
+      hits: row.hits,
+      avgConfidence: Math.round(avgConfidence * 10) / 10,
+      successRate: Math.round(successRate * 10) / 10,
+      // Positive means the bucket did better than it claimed
+      gap: Math.round((successRate - avgConfidence) * 10) / 10,
+    };
+  });
+
+  // Expected calibration error: bucket gaps weighted by bucket size
+  const calibrationError = count
+    ? buckets.reduce((sum, b) => sum + Math.abs(b.gap) * b.count, 0) / count
+    : null;
+  const brierSum = rows.reduce((sum, row) => sum + row.brierSum, 0);
+
+  return {
+    count,
+    brierScore: count ? Math.round((brierSum / count) * 1000) / 1000 : null,
+    calibrationError: calibrationError === null ? null : Math.round(calibrationError * 10) / 10,
+    buckets,
+  };
+};
+
+/**
+ * Group bucket rows by key and attach a display name
+ * @param {Array<Object>} rows - Bucket rows with _id.key
+ * @param {Map<string, Object>} labels - Key -> { name, ... } lookups
+ * @returns {Array<Object>} Groups sorted by resolved signal count
+ */
+const groupRows = (rows, labels) => {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = String(row._id.key);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  return [...groups.entries()]
+    .map(([key, groupRowsForKey]) => ({
+      ...(labels.get(key) || { id: key, name: key }),
+      ...summarize(groupRowsForKey),
+    }))
+    .sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Build the calibration report over resolved signals
+ * @param {Object} match - Extra TradingSignal filter (e.g. createdBy or asset)
+ * @returns {Promise<Object>} { bucketSize, overall, byAnalyst, byAsset }
+ */
+const buildCalibrationReport = async (match = {}) => {
+  const [report] = await TradingSignal.aggregate([
+    { $match: { ...match, result: { $in: RESOLVED_RESULTS } } },
+    {
+      $project: {
+        createdBy: 1,
+        confidence: 1,
+        assetKey: { $ifNull: ['$asset', '$cryptocurrency'] },
+        hit: { $cond: [{ $eq: ['$result', 'target_hit'] }, 1, 0] },
+        bucket: {
+          $min: [
+            { $floor: { $divide: [{ $subtract: ['$confidence', 1] }, BUCKET_SIZE] } },
+            100 / BUCKET_SIZE - 1,
+          ],
+        },
+      },
+    },
+    {
+      $facet: {
+        overall: bucketStages(null),
+        byAnalyst: bucketStages('$createdBy'),
+        byAsset: bucketStages('$assetKey'),
+        analysts: [
+          { $group: { _id: '$createdBy' } },
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+          { $unwind: '$user' },
+          { $project: { name: '$user.name' } },
+        ],
+        assets: [
+          { $group: { _id: '$assetKey' } },
+          { $lookup: { from: 'assets', localField: '_id', foreignField: '_id', as: 'asset' } },
+          { $unwind: '$asset' },
+          { $project: { ticker: '$asset.ticker', name: '$asset.name' } },
+        ],
+      },
+    },
+  ]);
+
+  const analystLabels = new Map(
+    report.analysts.map((a) => [String(a._id), { id: String(a._id), name: a.name }])
+  );
+  const assetLabels = new Map(
+    report.assets.map((a) => [
+      String(a._id),
+      { id: String(a._id), ticker: a.ticker, name: `${a.name} (${a.ticker})` },
+    ])
+  );
+
+  return {
+    bucketSize: BUCKET_SIZE,
+    overall: summarize(report.overall),
+    byAnalyst: groupRows(report.byAnalyst, analystLabels),
+    byAsset: groupRows(report.byAsset, assetLabels),
+  };
+};
+
+module.exports = {
+  buildCalibrationReport,
+};
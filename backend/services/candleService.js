@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Candle Service
+ * Loads historical OHLCV candles from local CSV files for backtesting
+ *
+ * One file per symbol in BACKTEST_DATA_DIR (default data/candles), e.g. BTC.csv:
+ *   timestamp,open,high,low,close,volume
+ *   2025-01-01T00:00:00Z,93400,95000,92800,94500,21000
+ * Timestamps may be ISO dates or epoch milliseconds. Lines starting with # are ignored.
+ */
+
+const COLUMNS = ['timestamp', 'open', 'high', 'low', 'close', 'volume'];
+
+// symbol -> { mtimeMs, candles }
+const loaded = new Map();
+
+/**
+ * Get the directory candle files are read from
+ * @returns {string} Absolute path
+ */
+const getDataDir = () =>
+  path.resolve(process.env.BACKTEST_DATA_DIR || path.join(__dirname, '../data/candles'));
+
+/**
+ * Parse OHLCV CSV content
+ * @param {string} content - CSV text with a header row
+ * @returns {Array<Object>} Candles { time, open, high, low, close, volume } sorted by time
+ * @throws {Error} If the header is missing a column
+ */
+const parseCandles = (content) => {
+  const lines = content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+
+  if (lines.length === 0) return [];
+
+  const header = lines[0].split(',').map((column) => column.trim().toLowerCase());
+  const indexes = COLUMNS.map((column) => header.indexOf(column));
+  const missing = COLUMNS.filter((column, i) => column !== 'volume' && indexes[i] === -1);
+  if (missing.length > 0) {
+    throw new Error(`Candle file is missing column(s): ${missing.join(', ')}`);
+  }
+
+  const [timeIndex, openIndex, highIndex, lowIndex, closeIndex, volumeIndex] = indexes;
+
+  return lines
+    .slice(1)
+    .map((line) => {
+      const cells = line.split(',');
+      const rawTime = cells[timeIndex].trim();
+      const time = /^\d+$/.test(rawTime) ? Number(rawTime) : Date.parse(rawTime);
+
+      return {
+        time,
+        open: Number(cells[openIndex]),
+        high: Number(cells[highIndex]),
+        low: Number(cells[lowIndex]),
+        close: Number(cells[closeIndex]),
+        volume: volumeIndex === -1 ? null : Number(cells[volumeIndex]),
+      };
+    })
+    .filter((c) => [c.time, c.open, c.high, c.low, c.close].every(Number.isFinite))
+    .sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Load candles for a symbol, reloading when the file changes
+ * @param {string} symbol - Ticker symbol (e.g. BTC)
+ * @returns {Array<Object>|null} Candles or null if there is no file for the symbol
+ */
+const loadCandles = (symbol) => {
+  const key = symbol.toUpperCase();
+  const filePath = path.join(getDataDir(), `${key}.csv`);
+
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch {
+    return null;
+  }
+
+  const cached = loaded.get(key);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.candles;
+
+  try {
+    const candles = parseCandles(fs.readFileSync(filePath, 'utf8'));
+    loaded.set(key, { mtimeMs: stat.mtimeMs, candles });
+    logger.debug(`Candles: loaded ${candles.length} ${key} candles from ${filePath}`);
+    return candles;
+  } catch (error) {
+    logger.error(`Candles: failed to read ${filePath}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Index of the first candle at or after a time
+ * @param {Array<Object>} candles - Candles sorted by time
+ * @param {number} time - Epoch milliseconds
+ * @returns {number} Index, or candles.length if every candle is earlier
+ */
+const findCandleIndex = (candles, time) => {
+  let low = 0;
+  let high = candles.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (candles[mid].time < time) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+module.exports = {
+  parseCandles,
+  loadCandles,
+  findCandleIndex,
+};
@@ -0,0 +1,104 @@
+const os = require('os');
+const crypto = require('crypto');
+const Lease = require('../models/Lease');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+
+/**
+ * Lease Service
+ * Distributed locks for background jobs that must run on one instance at a time
+ * Uses Redis when it is connected and falls back to a MongoDB lease collection
+ */
+
+// Identifies this process as a lease owner
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Delete the key only if this instance still owns it
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+const getLeaseKey = (name) => `lease:${name}`;
+
+/**
+ * Acquire a Redis lease (or extend it if this instance already owns it)
+ */
+const acquireRedisLease = async (client, name, ttlMs) => {
+  const key = getLeaseKey(name);
+  const acquired = await client.set(key, INSTANCE_ID, { NX: true, PX: ttlMs });
+  if (acquired) return true;
+
+  const owner = await client.get(key);
+  if (owner === INSTANCE_ID) {
+    await client.pExpire(key, ttlMs);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Acquire a MongoDB lease (or extend it if this instance already owns it)
+ */
+const acquireMongoLease = async (name, ttlMs) => {
+  const now = new Date();
+  try {
+    await Lease.findOneAndUpdate(
+      { _id: name, $or: [{ expiresAt: { $lte: now } }, { owner: INSTANCE_ID }] },
+      { $set: { owner: INSTANCE_ID, expiresAt: new Date(now.getTime() + ttlMs) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // Duplicate key: the lease exists and is held by another instance
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Try to acquire a named lease
+ * @param {string} name - Lease name (one per job)
+ * @param {number} ttlMs - How long the lease is held before it lapses
+ * @returns {Promise<boolean>} True if this instance holds the lease
+ */
+const acquireLease = async (name, ttlMs) => {
+  const client = getRedisClient();
+
+  if (client && client.isOpen) {
+    try {
+      return await acquireRedisLease(client, name, ttlMs);
+    } catch (error) {
+      logger.warn(`Redis lease failed for ${name}: ${error.message}. Falling back to MongoDB.`);
+    }
+  }
+
+  return acquireMongoLease(name, ttlMs);
+};
+
+/**
+ * Release a named lease held by this instance
+ * @param {string} name - Lease name
+ * @returns {Promise<void>}
+ */
+const releaseLease = async (name) => {
+  const client = getRedisClient();
+
+  if (client && client.isOpen) {
+    try {
+      await client.eval(RELEASE_SCRIPT, { keys: [getLeaseKey(name)], arguments: [INSTANCE_ID] });
+    } catch (error) {
+      logger.warn(`Redis lease release failed for ${name}: ${error.message}`);
+    }
+  }
+
+  await Lease.deleteOne({ _id: name, owner: INSTANCE_ID });
+};
+
+module.exports = {
+  INSTANCE_ID,
+  acquireLease,
+  releaseLease,
+};
@@ -0,0 +1,48 @@
+const { recordSecurityEvent } = require('./securityEventService');
+const { describeUserAgent } = require('../utils/userAgent');
+
+/**
+ * Login Anomaly Service
+ * Flags sign-ins from an IP or device the account has not used recently
+ */
+
+const HISTORY_SIZE = 20;
+
+/**
+ * Compare a sign-in with the user's recent ones and remember it
+ * Records an unfamiliar_login security event for a new IP or device. The first
+ * sign-in of an account is never flagged. Updates user.loginHistory; the
+ * caller saves the user.
+ * @param {Object} user - User selected with +loginHistory
+ * @param {Object} req - Express request
+ * @returns {Promise<boolean>} True if the sign-in was flagged
+ */
+const trackLogin = async (user, req) => {
+  const ip = req.ip;
+  const device = describeUserAgent(req.get('User-Agent'));
+  const history = user.loginHistory || [];
+
+  const newIp = !history.some((entry) => entry.ip === ip);
+  const newDevice = !history.some((entry) => entry.device === device);
+  const flagged = history.length > 0 && (newIp || newDevice);
+
+  if (flagged) {
+    await recordSecurityEvent({
+      user: user._id,
+      type: 'unfamiliar_login',
+      req,
+      details: { ip, device, newIp, newDevice },
+    });
+  }
+
+  user.loginHistory = [
+    { ip, device, at: new Date() },
+    ...history.filter((entry) => entry.ip !== ip || entry.device !== device),
+  ].slice(0, HISTORY_SIZE);
+
+  return flagged;
+};
+
+module.exports = {
+  trackLogin,
+};
@@ -0,0 +1,184 @@
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+
+/**
+ * Login Attempt Service
+ * Failed sign-in counters per account (not per IP, so attempts spread over
+ * many addresses still add up) with a progressive lockout: every lockout in
+ * a day doubles the next one, up to LOGIN_LOCKOUT_MAX_MINUTES.
+ * Counters live in Redis when it is connected, otherwise in process memory.
+ */
+
+const MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const FAILURE_WINDOW_SECONDS = (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15) * 60;
+const LOCKOUT_BASE_SECONDS = (parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES, 10) || 5) * 60;
+const LOCKOUT_MAX_SECONDS = (parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 24 * 60) * 60;
+const LOCKOUT_HISTORY_SECONDS = 24 * 60 * 60;
+
+/**
+ * In-memory fallback: key -> { value, expiresAt }
+ */
+const memoryStore = new Map();
+
+const getRedis = () => {
+  const client = getRedisClient();
+  return client && client.isOpen ? client : null;
+};
+
+const readMemory = (key) => {
+  const entry = memoryStore.get(key);
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+
+  return entry.value;
+};
+
+const pruneMemory = () => {
+  const now = Date.now();
+  for (const [key, entry] of memoryStore) {
+    if (entry.expiresAt <= now) memoryStore.delete(key);
+  }
+};
+
+/**
+ * Increment a counter, starting its expiry on the first increment
+ */
+const increment = async (key, ttlSeconds) => {
+  const redis = getRedis();
+  if (redis) {
+    try {
+      const value = await redis.incr(key);
+      if (value === 1) {
+        await redis.expire(key, ttlSeconds);
+      }
+      return value;
+    } catch (error) {
+      logger.warn(`Login attempts: Redis INCR failed, using memory: ${error.message}`);
+    }
+  }
+
+  if (memoryStore.size > 10000) pruneMemory();
+
+  const current = readMemory(key);
+  if (current === null) {
+    memoryStore.set(key, { value: 1, expiresAt: Date.now() + ttlSeconds * 1000 });
+    return 1;
+  }
+
+  memoryStore.get(key).value = current + 1;
+  return current + 1;
+};
+
+const setValue = async (key, value, ttlSeconds) => {
+  const redis = getRedis();
+  if (redis) {
+    try {
+      await redis.set(key, String(value), { EX: ttlSeconds });
+      return;
+    } catch (error) {
+      logger.warn(`Login attempts: Redis SET failed, using memory: ${error.message}`);
+    }
+  }
+
+  memoryStore.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+};
+
+const getValue = async (key) => {
+  const redis = getRedis();
+  if (redis) {
+    try {
+      const value = await redis.get(key);
+      return value === null ? null : Number(value);
+    } catch (error) {
+      logger.warn(`Login attempts: Redis GET failed, using memory: ${error.message}`);
+    }
+  }
+
+  return readMemory(key);
+};
+
+const deleteKeys = async (keys) => {
+  keys.forEach((key) => memoryStore.delete(key));
+
+  const redis = getRedis();
+  if (redis) {
+    try {
+      await redis.del(keys);
+    } catch (error) {
+      logger.warn(`Login attempts: Redis DEL failed: ${error.message}`);
+    }
+  }
+};
+
+const keysFor = (email) => {
+  const account = String(email).trim().toLowerCase();
+  return {
+    failures: `login:failures:${account}`,
+    lock: `login:lock:${account}`,
+    lockCount: `login:lockcount:${account}`,
+  };
+};
+
+/**
+ * Get the lockout of an account
+ * @param {string} email - Account email
+ * @returns {Promise<Date|null>} When the lockout ends, or null if not locked
+ */
+const getLockout = async (email) => {
+  const until = await getValue(keysFor(email).lock);
+  return until && until > Date.now() ? new Date(until) : null;
+};
+
+/**
+ * Record a failed sign-in (wrong password or second-factor code)
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} { failures, lockedUntil } - lockedUntil is set when this failure locked the account
+ */
+const recordLoginFailure = async (email) => {
+  const keys = keysFor(email);
+  const failures = await increment(keys.failures, FAILURE_WINDOW_SECONDS);
+
+  if (failures < MAX_FAILURES) {
+    return { failures, lockedUntil: null };
+  }
+
+  const lockCount = await increment(keys.lockCount, LOCKOUT_HISTORY_SECONDS);
+  const seconds = Math.min(LOCKOUT_BASE_SECONDS * 2 ** (lockCount - 1), LOCKOUT_MAX_SECONDS);
+  const lockedUntil = new Date(Date.now() + seconds * 1000);
+
+  await setValue(keys.lock, lockedUntil.getTime(), seconds);
+  await deleteKeys([keys.failures]);
+
+  logger.warn(`Account locked for ${seconds / 60} minutes after ${failures} failed sign-ins: ${email}`);
+
+  return { failures, lockedUntil };
+};
+
+/**
+ * Reset the failure count after a successful sign-in
+ * @param {string} email - Account email
+ */
+const clearLoginFailures = async (email) => {
+  const keys = keysFor(email);
+  await deleteKeys([keys.failures, keys.lockCount]);
+};
+
+/**
+ * Lift a lockout and reset its history (admin unlock)
+ * @param {string} email - Account email
+ */
+const unlockAccount = async (email) => {
+  const keys = keysFor(email);
+  await deleteKeys([keys.failures, keys.lock, keys.lockCount]);
+};
+
+module.exports = {
+  getLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockAccount,
+};
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Mail Service
+ * Sends transactional email through a pluggable transport, chosen with MAIL_TRANSPORT:
+ *   smtp     SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS); needs nodemailer
+ *   file     writes each message as JSON to MAIL_FILE_DIR (default logs/mail) for local development
+ *   console  logs each message (default)
+ */
+
+/**
+ * SMTP transport (nodemailer is an optional dependency, loaded on first use)
+ */
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+/**
+ * File transport: one JSON file per message
+ */
+const createFileTransport = () => {
+  const dir = path.resolve(process.env.MAIL_FILE_DIR || path.join(__dirname, '../logs/mail'));
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+      logger.info(`Mail written to ${file}`);
+    },
+  };
+};
+
+/**
+ * Console transport: logs the message text
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    logger.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport = null;
+
+/**
+ * Get the configured transport (created once)
+ * @returns {Object} { name, send(message) }
+ */
+const getMailTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = TRANSPORTS[name];
+
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    }
+
+    transport = factory();
+    logger.info(`Mail: using ${transport.name} transport`);
+  }
+
+  return transport;
+};
+
+/**
+ * Replace the active transport (e.g. in tests)
+ * @param {Object|null} customTransport - { name, send(message) } (null resets to the configured default)
+ */
+const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const from = process.env.MAIL_FROM || 'Crypto Signals <no-reply@cryptosignals.local>';
+  await getMailTransport().send({ from, to, subject, text, html });
+};
+
+module.exports = {
+  sendMail,
+  getMailTransport,
+  setMailTransport,
+};
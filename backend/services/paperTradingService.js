@@ -0,0 +1,91 @@
+const Portfolio = require('../models/Portfolio');
+const Position = require('../models/Position');
+const logger = require('../utils/logger');
+
+/**
+ * Paper Trading Service
+ * Closing and marking simulated positions, shared by the portfolio routes
+ * (manual close) and the position monitor (automatic close)
+ */
+
+/**
+ * Close an open position and settle its P&L into the portfolio
+ * Only positions that are still open are closed, so a manual close racing the
+ * monitor settles exactly once
+ * @param {Object} position - Position document
+ * @param {number} exitPrice - Price the position is closed at
+ * @param {string} reason - target | stop | expiry | manual
+ * @param {Date} now - Close time
+ * @returns {Promise<Object|null>} Closed position or null if it was already closed
+ */
+const closePosition = async (position, exitPrice, reason, now = new Date()) => {
+  const realizedPnl = position.pnlAt(exitPrice);
+
+  const closed = await Position.findOneAndUpdate(
+    { _id: position._id, status: 'open' },
+    {
+      $set: {
+        status: 'closed',
+        closeReason: reason,
+        exitPrice,
+        closedAt: now,
+        realizedPnl,
+      },
+    },
+    { new: true }
+  );
+
+  if (!closed) return null;
+
+  await Portfolio.settlePosition(closed.portfolio, closed.size, realizedPnl);
+
+  logger.debug(`Position ${closed._id} closed (${reason}) at ${exitPrice}: ${realizedPnl}`);
+
+  return closed;
+};
+
+/**
+ * Mark open positions to market
+ * @param {Array<Object>} positions - Open position documents
+ * @param {Object} prices - Map of symbol to price
+ * @returns {Array<Object>} Position JSON with markPrice and unrealizedPnl
+ */
+const markPositions = (positions, prices) =>
+  positions.map((position) => {
+    const markPrice = prices[position.symbol] ?? null;
+    return {
+      ...position.toJSON(),
+      markPrice,
+      unrealizedPnl: markPrice === null ? null : position.pnlAt(markPrice),
+    };
+  });
+
+/**
+ * Build the realized P&L history (equity curve) of a portfolio
+ * @param {Object} portfolio - Portfolio document
+ * @param {Array<Object>} closedPositions - Closed positions sorted by closedAt
+ * @returns {Array<Object>} [{ date, pnl, cumulativePnl, equity }]
+ */
+const buildPnlHistory = (portfolio, closedPositions) => {
+  let cumulativePnl = 0;
+
+  return [
+    { date: portfolio.createdAt, pnl: 0, cumulativePnl: 0, equity: portfolio.startingBalance },
+    ...closedPositions.map((position) => {
+      cumulativePnl = Math.round((cumulativePnl + position.realizedPnl) * 100) / 100;
+      return {
+        date: position.closedAt,
+        position: position._id,
+        pnl: position.realizedPnl,
+        cumulativePnl,
+        equity: Math.round((portfolio.startingBalance + cumulativePnl) * 100) / 100,
+      };
+    }),
+  ];
+};
+
+module.exports = {
+  closePosition,
+  markPositions,
+  buildPnlHistory,
+};
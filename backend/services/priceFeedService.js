@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Price Feed Service
+ * Pluggable source of current market prices used to evaluate signal outcomes
+ *
+ * Providers implement getPrice(symbol) and resolve to a number or null.
+ * Select one with PRICE_FEED_PROVIDER (mock | file) or swap it at runtime
+ * with setPriceFeed() (e.g. in tests).
+ */
+
+/**
+ * Resolve a ticker symbol from a cryptocurrency name
+ * "Bitcoin (BTC)" -> "BTC", "eth" -> "ETH"
+ * @param {string} cryptocurrency - Cryptocurrency name or ticker
+ * @returns {string|null} Upper-case ticker symbol
+ */
+const resolveSymbol = (cryptocurrency) => {
+  if (!cryptocurrency) return null;
+  const match = /\(([A-Za-z0-9]+)\)/.exec(cryptocurrency);
+  return (match ? match[1] : cryptocurrency).trim().toUpperCase();
+};
+
+/**
+ * Base price provider
+ */
+class PriceProvider {
+  /**
+   * Get the latest price for a symbol
+   * @param {string} symbol - Ticker symbol (e.g. BTC)
+   * @returns {Promise<number|null>} Price or null if unknown
+   */
+  async getPrice(symbol) {
+    throw new Error('getPrice() must be implemented by the price provider');
+  }
+
+  /**
+   * Get prices for several symbols
+   * @param {Array<string>} symbols - Ticker symbols
+   * @returns {Promise<Object>} Map of symbol to price (unknown symbols are omitted)
+   */
+  async getPrices(symbols) {
+    const prices = {};
+    await Promise.all(
+      [...new Set(symbols)].map(async (symbol) => {
+        const price = await this.getPrice(symbol);
+        if (price !== null && price !== undefined) {
+          prices[symbol] = price;
+        }
+      })
+    );
+    return prices;
+  }
+}
+
+/**
+ * Mock provider for local development and tests
+ * Starts from fixed prices and applies a small random walk on every read
+ */
+class MockPriceProvider extends PriceProvider {
+  /**
+   * @param {Object} prices - Initial prices keyed by symbol
+   * @param {Object} options - { volatility: max relative move per read (0 disables the walk) }
+   */
+  constructor(prices = {}, { volatility = 0.01 } = {}) {
+    super();
+    this.prices = new Map(Object.entries(prices).map(([symbol, price]) => [symbol.toUpperCase(), price]));
+    this.volatility = volatility;
+  }
+
+  /**
+   * Set a fixed price for a symbol
+   * @param {string} symbol - Ticker symbol
+   * @param {number} price - Price
+   */
+  setPrice(symbol, price) {
+    this.prices.set(symbol.toUpperCase(), price);
+  }
+
+  async getPrice(symbol) {
+    const key = symbol.toUpperCase();
+    if (!this.prices.has(key)) return null;
+
+    const current = this.prices.get(key);
+    if (this.volatility > 0) {
+      const next = current * (1 + (Math.random() * 2 - 1) * this.volatility);
+      this.prices.set(key, next);
+    }
+    return this.prices.get(key);
+  }
+}
+
+/**
+ * File-backed provider
+ * Reads a JSON object of { "BTC": 98000, ... } and reloads it when the file changes
+ */
+class FilePriceProvider extends PriceProvider {
+  /**
+   * @param {string} filePath - Path to the JSON price file
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.prices = {};
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Reload prices if the file was modified since the last read
+   */
+  load() {
+    try {
+      const { mtimeMs } = fs.statSync(this.filePath);
+      if (mtimeMs <= this.loadedAt) return;
+
+      const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.prices = Object.fromEntries(
+        Object.entries(raw).map(([symbol, price]) => [symbol.toUpperCase(), Number(price)])
+      );
+      this.loadedAt = mtimeMs;
+      logger.debug(`Price feed: loaded ${Object.keys(this.prices).length} prices from ${this.filePath}`);
+    } catch (error) {
+      logger.error(`Price feed: failed to read ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  async getPrice(symbol) {
+    this.load();
+    const price = this.prices[symbol.toUpperCase()];
+    return Number.isFinite(price) ? price : null;
+  }
+}
+
+let priceFeed = null;
+
+/**
+ * Create the provider configured by environment variables
+ * @returns {PriceProvider} Price provider
+ */
+const createPriceFeed = () => {
+  const provider = process.env.PRICE_FEED_PROVIDER || 'file';
+  const filePath = process.env.PRICE_FEED_FILE || path.join(__dirname, '../data/prices.sample.json');
+
+  if (provider === 'mock') {
+    // Seed the random walk from the sample file so mock prices stay realistic
+    const seed = new FilePriceProvider(filePath);
+    seed.load();
+    return new MockPriceProvider(seed.prices);
+  }
+
+  if (provider !== 'file') {
+    logger.warn(`Price feed: unknown provider "${provider}", falling back to file`);
+  }
+
+  return new FilePriceProvider(filePath);
+};
+
+/**
+ * Get the active price feed (created on first use)
+ * @returns {PriceProvider} Price provider
+ */
+const getPriceFeed = () => {
+  if (!priceFeed) {
+    priceFeed = createPriceFeed();
+  }
+  return priceFeed;
+};
+
+/**
+ * Replace the active price feed
+ * @param {PriceProvider|null} provider - Provider instance (null resets to the configured default)
+ */
+const setPriceFeed = (provider) => {
+  priceFeed = provider;
+};
+
+module.exports = {
+  PriceProvider,
+  MockPriceProvider,
+  FilePriceProvider,
+  resolveSymbol,
+  getPriceFeed,
+  setPriceFeed,
+};
@@ -0,0 +1,34 @@
+const SecurityEvent = require('../models/SecurityEvent');
+const logger = require('../utils/logger');
+
+/**
+ * Security Event Service
+ * Records account security events. Recording never fails the request that
+ * triggered it; errors are logged instead.
+ */
+
+/**
+ * Record a security event
+ * @param {Object} event - { user, type, req, details }
+ * @returns {Promise<Object|null>} Created event, or null if it could not be saved
+ */
+const recordSecurityEvent = async ({ user, type, req, details }) => {
+  logger.warn(`Security event ${type} for user ${user}: ${JSON.stringify(details || {})}`);
+
+  try {
+    return await SecurityEvent.create({
+      user,
+      type,
+      ip: req?.ip,
+      userAgent: req?.get('User-Agent')?.slice(0, 500),
+      details,
+    });
+  } catch (error) {
+    logger.error(`Failed to record security event ${type}: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  recordSecurityEvent,
+};
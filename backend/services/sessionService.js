@@ -0,0 +1,235 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { generateTokenPair, hashToken, blacklistTokenHash } = require('./authService');
+const { recordSecurityEvent } = require('./securityEventService');
+const { describeUserAgent } = require('../utils/userAgent');
+const logger = require('../utils/logger');
+
+/**
+ * Session Service
+ * Device sessions backed by rotating refresh tokens. Each session is a token
+ * family: presenting a refresh token the session has already rotated away
+ * means it was copied, so the whole family is revoked.
+ */
+
+const MAX_SESSIONS = parseInt(process.env.SESSIONS_MAX_PER_USER, 10) || 10;
+
+// Two tabs refreshing at once present the same token; don't treat that as theft
+const REUSE_GRACE_MS = (parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS, 10) || 10) * 1000;
+
+const SECRET_FIELDS = '+refreshTokenHash +previousRefreshTokenHash +accessTokens';
+
+/**
+ * Expiry date of a signed token
+ */
+const getExpiryDate = (token) => new Date(jwt.decode(token).exp * 1000);
+
+/**
+ * Access token entry kept on the session until it expires; only the hash is
+ * stored, which is all the blacklist needs
+ */
+const accessTokenEntry = (token) => ({ tokenHash: hashToken(token), expiresAt: getExpiryDate(token) });
+
+/**
+ * Client details recorded on a session
+ */
+const getClientInfo = (req) => {
+  const userAgent = (req.get('User-Agent') || '').slice(0, 500);
+
+  return {
+    userAgent,
+    name: describeUserAgent(userAgent),
+    ip: req.ip,
+  };
+};
+
+/**
+ * Delete sessions and blacklist their outstanding access tokens
+ * @param {Array<Object>} sessions - Sessions selected with +accessTokens
+ */
+const endSessions = async (sessions) => {
+  if (sessions.length === 0) return;
+
+  const now = Date.now();
+  const tokens = sessions.flatMap((session) =>
+    (session.accessTokens || []).filter((entry) => entry.tokenHash && entry.expiresAt > now)
+  );
+
+  await Promise.all(
+    tokens.map(({ tokenHash, expiresAt }) =>
+      blacklistTokenHash(tokenHash, Math.ceil((expiresAt.getTime() - now) / 1000))
+    )
+  );
+  await Session.deleteMany({ _id: { $in: sessions.map((session) => session._id) } });
+};
+
+/**
+ * Start a session for a user who just signed in
+ * Ends the least recently used sessions beyond SESSIONS_MAX_PER_USER.
+ * @param {Object} user - User
+ * @param {Object} req - Express request (user agent and IP)
+ * @returns {Promise<Object>} { session, accessToken, refreshToken }
+ */
+const createSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const { accessToken, refreshToken } = generateTokenPair(user, sessionId);
+  const client = getClientInfo(req);
+
+  const session = await Session.create({
+    _id: sessionId,
+    user: user._id,
+    refreshTokenHash: Session.hashToken(refreshToken),
+    accessTokens: [accessTokenEntry(accessToken)],
+    name: client.name,
+    userAgent: client.userAgent,
+    ip: client.ip,
+    lastUsedAt: new Date(),
+    lastUsedIp: client.ip,
+    expiresAt: getExpiryDate(refreshToken),
+  });
+
+  const stale = await Session.find({ user: user._id })
+    .sort({ lastUsedAt: -1 })
+    .skip(MAX_SESSIONS)
+    .select('+accessTokens');
+
+  if (stale.length > 0) {
+    await endSessions(stale);
+    logger.info(
+      `Session limit reached for ${user.email}; ended ${stale.map((s) => s.name).join(', ')}`
+    );
+  }
+
+  return { session, accessToken, refreshToken };
+};
+
+/**
+ * Find the session a verified refresh token may be used with
+ * A token that is not the session's current one is either a benign race
+ * (the token rotated away within the last few seconds) or reuse; on reuse the
+ * session is revoked and a security event is recorded.
+ * @param {string} refreshToken - Presented refresh token (signature already verified)
+ * @param {Object} decoded - Its payload
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Session, or null if the token must be rejected
+ */
+const findSessionForRefresh = async (refreshToken, decoded, req) => {
+  if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) {
+    return null;
+  }
+
+  const session = await Session.findById(decoded.sid).select(SECRET_FIELDS);
+
+  // Family already ended (logout, revoked, expired)
+  if (!session || session.user.toString() !== decoded.userId) {
+    return null;
+  }
+
+  const tokenHash = Session.hashToken(refreshToken);
+
+  if (tokenHash === session.refreshTokenHash) {
+    return session;
+  }
+
+  if (
+    tokenHash === session.previousRefreshTokenHash &&
+    session.rotatedAt &&
+    Date.now() - session.rotatedAt.getTime() < REUSE_GRACE_MS
+  ) {
+    logger.info(`Refresh token raced a rotation for session ${session._id}; rejected without revoking`);
+    return null;
+  }
+
+  // An older member of the family: someone else has a copy of it
+  await endSessions([session]);
+  await recordSecurityEvent({
+    user: session.user,
+    type: 'refresh_token_reuse',
+    req,
+    details: {
+      sessionId: session._id,
+      sessionName: session.name,
+      sessionIp: session.lastUsedIp || session.ip,
+      tokenIssuedAt: new Date(decoded.iat * 1000),
+    },
+  });
+
+  return null;
+};
+
+/**
+ * Issue a new token pair for a session (refresh token rotation)
+ * The rotation only applies while the presented token is still the current
+ * one, so of two concurrent refreshes with the same token exactly one wins;
+ * the other is the race the grace window covers and is rejected without
+ * revoking anything.
+ * @param {Object} session - Session from findSessionForRefresh
+ * @param {Object} user - Session owner
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} { accessToken, refreshToken }, or null if another refresh rotated first
+ */
+const rotateSession = async (session, user, req) => {
+  const { accessToken, refreshToken } = generateTokenPair(user, session._id);
+  const now = Date.now();
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash },
+    {
+      $set: {
+        previousRefreshTokenHash: session.refreshTokenHash,
+        refreshTokenHash: Session.hashToken(refreshToken),
+        rotatedAt: new Date(now),
+        accessTokens: [
+          ...session.accessTokens.filter((entry) => entry.expiresAt > now),
+          accessTokenEntry(accessToken),
+        ],
+        expiresAt: getExpiryDate(refreshToken),
+        lastUsedAt: new Date(now),
+        lastUsedIp: req.ip,
+      },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    logger.info(`Refresh raced a concurrent rotation for session ${session._id}; rejected without revoking`);
+    return null;
+  }
+
+  return { accessToken, refreshToken };
+};
+
+/**
+ * End one session of a user
+ * @param {Object} query - Session filter, always including user
+ * @returns {Promise<Object|null>} Ended session, or null if none matched
+ */
+const revokeSession = async (query) => {
+  const session = await Session.findOne(query).select('+accessTokens');
+
+  if (session) {
+    await endSessions([session]);
+  }
+
+  return session;
+};
+
+/**
+ * End every session of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of sessions ended
+ */
+const revokeUserSessions = async (userId) => {
+  const sessions = await Session.find({ user: userId }).select('+accessTokens');
+  await endSessions(sessions);
+  return sessions.length;
+};
+
+module.exports = {
+  createSession,
+  findSessionForRefresh,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+};
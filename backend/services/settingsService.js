@@ -0,0 +1,65 @@
+const Setting = require('../models/Setting');
+const { cache } = require('../config/redis');
+const logger = require('../utils/logger');
+
+/**
+ * Settings Service
+ * Runtime platform settings stored in MongoDB and cached in Redis
+ */
+
+const SETTINGS_CACHE_TTL = 60; // seconds
+
+/**
+ * Known settings and their defaults (used until an admin changes them)
+ */
+const SETTING_DEFAULTS = {
+  // Admins must have two-factor authentication enabled to use admin endpoints
+  'security.requireAdminTwoFactor': process.env.REQUIRE_ADMIN_2FA === 'true',
+};
+
+const getCacheKey = (key) => `settings:${key}`;
+
+/**
+ * Get a setting value
+ * @param {string} key - One of SETTING_DEFAULTS
+ * @returns {Promise<any>} Stored value, or the default
+ */
+const getSetting = async (key) => {
+  const cached = await cache.get(getCacheKey(key));
+  if (cached !== null) {
+    return cached.value;
+  }
+
+  const setting = await Setting.findOne({ key }).lean();
+  const value = setting ? setting.value : SETTING_DEFAULTS[key];
+
+  await cache.set(getCacheKey(key), { value }, SETTINGS_CACHE_TTL);
+
+  return value;
+};
+
+/**
+ * Change a setting
+ * @param {string} key - One of SETTING_DEFAULTS
+ * @param {any} value - New value
+ * @param {Object} user - Admin making the change
+ * @returns {Promise<any>} Stored value
+ */
+const setSetting = async (key, value, user) => {
+  await Setting.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy: user._id } },
+    { upsert: true }
+  );
+  await cache.del(getCacheKey(key));
+
+  logger.info(`Setting changed by ${user.email}: ${key} = ${JSON.stringify(value)}`);
+
+  return value;
+};
+
+module.exports = {
+  SETTING_DEFAULTS,
+  getSetting,
+  setSetting,
+};
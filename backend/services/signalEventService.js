@@ -0,0 +1,81 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+/**
+ * Signal Event Service
+ * In-process bus for signal lifecycle events (created, updated, expired, deleted)
+ *
+ * Recent events are kept in a ring buffer so stream clients can resume after a
+ * reconnect with Last-Event-ID. Events are local to this instance.
+ */
+
+const SIGNAL_EVENTS = ['signal.created', 'signal.updated', 'signal.expired', 'signal.deleted'];
+
+const BUFFER_SIZE = parseInt(process.env.SIGNAL_STREAM_BUFFER, 10) || 500;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per connected stream client
+
+// Event ids are prefixed with the boot time so ids from a previous process never match
+const BOOT_ID = Date.now().toString(36);
+
+const buffer = [];
+let sequence = 0;
+
+/**
+ * Publish a signal event to all subscribers
+ * @param {string} type - One of SIGNAL_EVENTS
+ * @param {Object} signal - Signal document or plain object
+ * @returns {Object} The published event { id, type, signal, timestamp }
+ */
+const publishSignalEvent = (type, signal) => {
+  if (!SIGNAL_EVENTS.includes(type)) {
+    throw new Error(`Unknown signal event type: ${type}`);
+  }
+
+  sequence += 1;
+  const event = {
+    id: `${BOOT_ID}-${sequence}`,
+    type,
+    signal: typeof signal.toJSON === 'function' ? signal.toJSON() : signal,
+    timestamp: new Date().toISOString(),
+  };
+
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) {
+    buffer.shift();
+  }
+
+  emitter.emit('event', event);
+  logger.debug(`Signal event published: ${type} ${event.signal._id || event.signal.id}`);
+
+  return event;
+};
+
+/**
+ * Subscribe to signal events
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe function
+ */
+const subscribe = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+/**
+ * Get buffered events published after the given event id
+ * @param {string} lastEventId - Last event id the client received
+ * @returns {Array<Object>|null} Missed events, or null if the id is no longer buffered
+ */
+const getEventsSince = (lastEventId) => {
+  const index = buffer.findIndex((event) => event.id === lastEventId);
+  if (index === -1) return null;
+  return buffer.slice(index + 1);
+};
+
+module.exports = {
+  SIGNAL_EVENTS,
+  publishSignalEvent,
+  subscribe,
+  getEventsSince,
+};
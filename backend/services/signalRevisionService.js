@@ -0,0 +1,99 @@
+const SignalRevision = require('../models/SignalRevision');
+const TradingSignal = require('../models/TradingSignal');
+const { diffSnapshots } = require('./auditLogService');
+const { canViewSignal, PREMIUM_SIGNAL_FIELDS } = require('../utils/plans');
+
+/**
+ * Signal Revision Service
+ * Keeps the edit history of published signals so readers can see what was
+ * changed after the fact, by whom and when. Edits made before publication
+ * are not recorded; nobody but the author saw those versions.
+ */
+
+// Fields readers see on a signal; bookkeeping fields are left out of diffs
+const REVISED_FIELDS = [
+  'title',
+  'description',
+  'signalType',
+  'asset',
+  'cryptocurrency',
+  'targetPrice',
+  'entryPrice',
+  'entryRange',
+  'stopLoss',
+  'takeProfits',
+  'confidence',
+  'minPlan',
+  'expiresAt',
+];
+
+/**
+ * Reader-visible fields that differ between two signal snapshots
+ * @param {Object} before - Snapshot before the edit
+ * @param {Object} after - Snapshot after the edit
+ * @returns {Object|null} { before, after } holding only changed fields, or null if nothing changed
+ */
+const diffRevision = (before, after) => {
+  const pick = (snap) => Object.fromEntries(REVISED_FIELDS.map((field) => [field, snap[field]]));
+
+  return diffSnapshots(pick(before), pick(after));
+};
+
+/**
+ * Store a revision of a saved signal
+ * The version comes from an atomic $inc on the signal, so concurrent edits
+ * each get their own version instead of colliding on the unique index.
+ * The signal's revision and revisedAt are updated to match.
+ * @param {Object} signal - Edited signal, already saved
+ * @param {Object} changes - Diff from diffRevision()
+ * @param {Object} editor - User who made the edit
+ * @returns {Promise<Object>} Created revision
+ */
+const recordRevision = async (signal, changes, editor) => {
+  const { revision, revisedAt } = await TradingSignal.findByIdAndUpdate(
+    signal._id,
+    { $inc: { revision: 1 }, $set: { revisedAt: new Date() } },
+    { new: true, projection: 'revision revisedAt' }
+  ).lean();
+
+  signal.revision = revision;
+  signal.revisedAt = revisedAt;
+
+  return SignalRevision.create({
+    signal: signal._id,
+    version: revision,
+    editor: editor._id,
+    editorName: editor.name,
+    changes,
+  });
+};
+
+/**
+ * Revision as a user may see it: premium price levels are masked, like on the
+ * signal itself, when their plan is too low
+ * @param {Object} revision - Revision document
+ * @param {Object} signal - The revised signal
+ * @param {Object} user - Current user
+ * @returns {Object}
+ */
+const redactRevision = (revision, signal, user) => {
+  const plain = revision.toJSON();
+  if (canViewSignal(signal, user)) return plain;
+
+  ['before', 'after'].forEach((side) => {
+    PREMIUM_SIGNAL_FIELDS.forEach((field) => {
+      if (plain.changes?.[side] && field in plain.changes[side]) {
+        plain.changes[side][field] = null;
+      }
+    });
+  });
+  plain.locked = true;
+
+  return plain;
+};
+
+module.exports = {
+  diffRevision,
+  recordRevision,
+  redactRevision,
+};
@@ -0,0 +1,107 @@
+const TradingSignal = require('../models/TradingSignal');
+const Asset = require('../models/Asset');
+const { cache } = require('../config/redis');
+const { getCacheKey } = require('../utils/signalCache');
+const { publishSignalEvent } = require('./signalEventService');
+const { ValidationError } = require('../utils/AppError');
+
+/**
+ * Signal Service
+ * Signal writes shared by the admin API and alert ingestion
+ */
+
+/**
+ * Resolve an asset ID, ticker, alias or name to an active registry asset
+ * @param {string} value - Asset identifier or free-text cryptocurrency name
+ * @returns {Promise<Object>} Asset document
+ * @throws {ValidationError} If the value does not match an active asset
+ */
+const resolveAsset = async (value) => {
+  const asset = await Asset.resolve(value);
+
+  if (!asset || !asset.isActive) {
+    throw new ValidationError(`Unknown asset: ${value}`);
+  }
+
+  return asset;
+};
+
+/**
+ * Create a signal, clear the signal caches and notify subscribers
+ * Drafts and scheduled signals notify nobody until they are published.
+ * @param {Object} fields - Validated signal fields (asset or cryptocurrency identifies the asset)
+ * @param {Object} user - Creator
+ * @param {Object} options - { organization: organization the signal belongs to,
+ *   default the creator's current one }
+ * @returns {Promise<Object>} Signal with creator and asset populated
+ */
+const createTradingSignal = async (fields, user, { organization = user.organization } = {}) => {
+  const {
+    title,
+    description,
+    signalType,
+    asset: assetRef,
+    cryptocurrency,
+    targetPrice,
+    entryPrice,
+    entryRange,
+    stopLoss,
+    takeProfits,
+    confidence,
+    minPlan,
+    expiresAt,
+    draft,
+    publishAt,
+    freeDelayMinutes,
+  } = fields;
+
+  const asset = await resolveAsset(assetRef || cryptocurrency);
+  const now = new Date();
+
+  const signal = new TradingSignal({
+    title,
+    description,
+    signalType,
+    asset: asset._id,
+    cryptocurrency: asset.displayName,
+    targetPrice,
+    entryPrice,
+    entryRange,
+    stopLoss,
+    takeProfits,
+    confidence,
+    minPlan,
+    expiresAt,
+    createdBy: user._id,
+    organization: organization || null,
+  });
+
+  signal.setPublication({ draft, publishAt, freeDelayMinutes }, now);
+
+  // The default lifetime starts when a scheduled signal goes out
+  if (!expiresAt && signal.publishAt) {
+    signal.expiresAt = new Date(signal.publishAt.getTime() + (signal.expiresAt.getTime() - now.getTime()));
+  }
+
+  await signal.save();
+
+  // Populate creator and asset info
+  await signal.populate([
+    { path: 'createdBy', select: 'name email' },
+    { path: 'asset', select: 'ticker name quoteCurrency' },
+  ]);
+
+  // Invalidate cache
+  await cache.delPattern(getCacheKey.allSignals());
+
+  if (signal.isPublished) {
+    publishSignalEvent('signal.created', signal);
+  }
+
+  return signal;
+};
+
+module.exports = {
+  resolveAsset,
+  createTradingSignal,
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const { getSetting } = require('./settingsService');
+
+/**
+ * Two-Factor Authentication Service
+ * TOTP (RFC 6238, as used by authenticator apps) plus single-use recovery codes
+ */
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Crypto Signals';
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_STEP_SECONDS = 30;
+
+// Accept the previous and next code too, to allow for clock drift
+authenticator.options = { window: 1, step: TOTP_STEP_SECONDS };
+
+/**
+ * Generate a new base32 TOTP secret
+ * @returns {string} Secret
+ */
+const generateSecret = () => authenticator.generateSecret(20);
+
+/**
+ * Build the otpauth:// URI that authenticator apps import
+ * @param {Object} user - User enrolling
+ * @param {string} secret - TOTP secret
+ * @returns {string} otpauth URI
+ */
+const getOtpAuthUrl = (user, secret) => authenticator.keyuri(user.email, ISSUER, secret);
+
+/**
+ * Render an otpauth URI as a QR code image
+ * @param {string} otpAuthUrl - otpauth URI
+ * @returns {Promise<string>} PNG data URL
+ */
+const generateQrCode = (otpAuthUrl) => QRCode.toDataURL(otpAuthUrl);
+
+/**
+ * Check a TOTP code
+ * Returns the code's time step so callers can reject a code that was already used.
+ * @param {string} secret - TOTP secret
+ * @param {string} code - 6-digit code
+ * @param {number} [lastUsedStep] - Step of the last accepted code
+ * @returns {number|null} Time step of the code, or null if invalid or reused
+ */
+const verifyTotp = (secret, code, lastUsedStep) => {
+  if (!secret || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const delta = authenticator.checkDelta(code, secret);
+  if (delta === null) {
+    return null;
+  }
+
+  const step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+  if (lastUsedStep && step <= lastUsedStep) {
+    return null;
+  }
+
+  return step;
+};
+
+/**
+ * Normalize a recovery code as typed by the user and hash it
+ * @param {string} code - Recovery code, e.g. 'a1b2c-3d4e5'
+ * @returns {string} SHA-256 hash
+ */
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(code.toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .digest('hex');
+
+/**
+ * Generate a set of recovery codes
+ * @returns {Object} { codes, hashes } - codes are shown once, hashes are stored
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Verify a second factor for a user: a TOTP code or an unused recovery code
+ * Marks the TOTP step or recovery code as used on the document; call save() afterwards.
+ * @param {Object} user - User with +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep
+ * @param {string} code - Code entered by the user
+ * @returns {string|null} 'totp' or 'recovery' when accepted, null otherwise
+ */
+const verifySecondFactor = (user, code) => {
+  const value = String(code || '').trim();
+
+  const step = verifyTotp(user.twoFactorSecret, value.replace(/\s/g, ''), user.twoFactorLastUsedStep);
+  if (step !== null) {
+    user.twoFactorLastUsedStep = step;
+    return 'totp';
+  }
+
+  const hash = hashRecoveryCode(value);
+  const remaining = user.twoFactorRecoveryCodes || [];
+  if (value && remaining.includes(hash)) {
+    user.twoFactorRecoveryCodes = remaining.filter((h) => h !== hash);
+    return 'recovery';
+  }
+
+  return null;
+};
+
+/**
+ * Whether a user's role requires two-factor authentication
+ * Admins need it when an admin turned on security.requireAdminTwoFactor.
+ * @param {Object} user - User
+ * @returns {Promise<boolean>} True if the user must enable 2FA
+ */
+const isTwoFactorRequired = async (user) =>
+  user.role === 'admin' && Boolean(await getSetting('security.requireAdminTwoFactor'));
+
+module.exports = {
+  generateSecret,
+  getOtpAuthUrl,
+  generateQrCode,
+  verifyTotp,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  isTwoFactorRequired,
+};
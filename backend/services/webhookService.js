@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const User = require('../models/User');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { redactSignal } = require('../utils/plans');
+const { isPublishedFor } = require('../utils/signalPublication');
+const { isPrivateAddress, getHostname, publicLookup } = require('../utils/networkGuard');
+const logger = require('../utils/logger');
+
+/**
+ * Webhook Service
+ * Fans signal events out to webhook subscriptions and sends signed deliveries
+ *
+ * Each request carries:
+ *   X-Webhook-Id         delivery id (stable across retries; use it to deduplicate)
+ *   X-Webhook-Event      event type, e.g. signal.created
+ *   X-Webhook-Timestamp  unix seconds when the attempt was signed
+ *   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the secret>
+ *
+ * Failed attempts (network error, timeout or non-2xx response) are retried with
+ * exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached.
+ *
+ * Deliveries never go to loopback, private or link-local addresses, checked
+ * against the address each connection resolves to, and only the response
+ * status is kept.
+ */
+
+const getMaxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+
+/**
+ * Sign a payload for a delivery attempt
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value
+ */
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+/**
+ * Delay before the next attempt
+ * Doubles with each failed attempt: base, 2x base, 4x base... up to the maximum
+ * @param {number} attempt - Number of attempts made so far (1 after the first failure)
+ * @returns {number} Delay in milliseconds
+ */
+const getBackoffDelay = (attempt) => {
+  const base = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000;
+  const max = parseInt(process.env.WEBHOOK_RETRY_MAX_MS, 10) || 6 * 60 * 60 * 1000;
+  return Math.min(base * 2 ** (attempt - 1), max);
+};
+
+/**
+ * Queue deliveries of a signal event for every matching subscription in the
+ * signal's organization it is published for, masked to each subscriber's plan
+ * @param {Object} event - Signal event { id, type, signal, timestamp }
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+const enqueueEvent = async (event) => {
+  const candidates = await WebhookSubscription.find({ isActive: true, events: event.type })
+    .select('_id user')
+    .lean();
+
+  if (candidates.length === 0) return 0;
+
+  // Only members of the signal's organization hear about it, once it is published for them
+  const owners = await User.find({
+    _id: { $in: [...new Set(candidates.map((subscription) => subscription.user.toString()))] },
+    organization: event.signal.organization || null,
+  }).select('_id role plan planExpiresAt');
+  const membersById = new Map(
+    owners
+      .filter((member) => isPublishedFor(event.signal, member))
+      .map((member) => [member._id.toString(), member])
+  );
+
+  const subscriptions = candidates.filter((subscription) => membersById.has(subscription.user.toString()));
+
+  if (subscriptions.length === 0) return 0;
+
+  await WebhookDelivery.insertMany(
+    subscriptions.map((subscription) => ({
+      subscription: subscription._id,
+      user: subscription.user,
+      event: event.type,
+      eventId: event.id,
+      payload: {
+        id: event.id,
+        type: event.type,
+        createdAt: event.timestamp,
+        data: { signal: redactSignal(event.signal, membersById.get(subscription.user.toString())) },
+      },
+    }))
+  );
+
+  logger.debug(`Webhooks: queued ${event.type} for ${subscriptions.length} subscription(s)`);
+
+  return subscriptions.length;
+};
+
+/**
+ * POST a body to a webhook URL without following redirects
+ * @param {string} url - Subscription URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - Raw JSON body
+ * @param {number} timeoutMs - Time allowed for the whole request
+ * @returns {Promise<number>} Response status
+ */
+const postWebhook = (url, headers, body, timeoutMs) =>
+  new Promise((resolve, reject) => {
+    // IP literals skip the lookup, so they are checked here
+    const hostname = getHostname(url);
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+      reject(new Error(`Refusing to connect to private address ${hostname}`));
+      return;
+    }
+
+    const client = url.startsWith('https:') ? https : http;
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+    });
+
+    const timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${timeoutMs}ms`);
+      error.name = 'TimeoutError';
+      request.destroy(error);
+    }, timeoutMs);
+
+    request.on('response', (response) => {
+      response.resume();
+      response.on('end', () => {
+        clearTimeout(timer);
+        resolve(response.statusCode);
+      });
+      response.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    request.end(body);
+  });
+
+/**
+ * Send one attempt of a delivery and record the result
+ * @param {Object} delivery - Claimed delivery document
+ * @returns {Promise<Object>} Updated delivery
+ */
+const attemptDelivery = async (delivery) => {
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+
+  // The subscription was deleted or paused after the event was queued
+  if (!subscription || !subscription.isActive) {
+    delivery.set({
+      status: 'failed',
+      error: subscription ? 'Subscription is inactive' : 'Subscription was deleted',
+      lockedUntil: undefined,
+    });
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+  const startedAt = Date.now();
+  const attempt = { at: new Date(startedAt) };
+
+  try {
+    const status = await postWebhook(
+      subscription.url,
+      {
+        'Content-Type': 'application/json',
+        'User-Agent': 'crypto-signals-webhooks/1.0',
+        'X-Webhook-Id': delivery._id.toString(),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body),
+      },
+      body,
+      timeoutMs
+    );
+
+    attempt.responseStatus = status;
+    delivery.responseStatus = status;
+
+    if (status < 200 || status >= 300) {
+      attempt.error = `HTTP ${status}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+    delivery.responseStatus = undefined;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+  delivery.lockedUntil = undefined;
+  delivery.error = attempt.error;
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+  } else if (delivery.attempts.length >= getMaxAttempts()) {
+    delivery.status = 'failed';
+    logger.warn(`Webhook delivery ${delivery._id} failed after ${delivery.attempts.length} attempt(s): ${attempt.error}`);
+  } else {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + getBackoffDelay(delivery.attempts.length));
+  }
+
+  await delivery.save();
+
+  if (delivery.status !== 'pending') {
+    await WebhookSubscription.updateOne(
+      { _id: subscription._id },
+      { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: delivery.status } }
+    );
+  }
+
+  return delivery;
+};
+
+/**
+ * Queue a new delivery with the same payload as an earlier one
+ * The replay is signed with the subscription's current secret
+ * @param {Object} delivery - Delivery to replay
+ * @returns {Promise<Object>} New delivery
+ */
+const replayDelivery = (delivery) =>
+  WebhookDelivery.create({
+    subscription: delivery.subscription,
+    user: delivery.user,
+    event: delivery.event,
+    eventId: delivery.eventId,
+    payload: delivery.payload,
+    replayOf: delivery._id,
+  });
+
+module.exports = {
+  signPayload,
+  getBackoffDelay,
+  enqueueEvent,
+  attemptDelivery,
+  replayDelivery,
+};
@@ -0,0 +1,119 @@
+/**
+ * Alert Template Utilities
+ * Map an external alert payload onto trading signal fields
+ *
+ * A template is an object keyed by signal field. String values may contain
+ * {{path}} placeholders resolved against the payload (dot paths, array indexes
+ * as a.0.b). A value that is exactly one placeholder keeps the payload's type
+ * (number, array...); otherwise placeholders are interpolated as text. Other
+ * values are used as literals. Example for a charting alert:
+ *
+ *   {
+ *     "title": "{{strategy}} {{ticker}} {{action}}",
+ *     "signalType": "{{action}}",
+ *     "asset": "{{ticker}}",
+ *     "entryPrice": "{{price}}",
+ *     "targetPrice": "{{tp}}",
+ *     "stopLoss": "{{sl}}",
+ *     "confidence": 70,
+ *     "idempotencyKey": "{{alert_id}}"
+ *   }
+ */
+
+const ALERT_TEMPLATE_FIELDS = [
+  'title',
+  'description',
+  'signalType',
+  'asset',
+  'cryptocurrency',
+  'targetPrice',
+  'entryPrice',
+  'entryRange',
+  'stopLoss',
+  'takeProfits',
+  'confidence',
+  'expiresAt',
+  'idempotencyKey',
+];
+
+// Used when a source has no template: the payload already uses signal field names
+const DEFAULT_ALERT_TEMPLATE = Object.fromEntries(
+  ALERT_TEMPLATE_FIELDS.map((field) => [field, `{{${field}}}`])
+);
+
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+
+// Common spellings of the signal direction in charting alerts
+const SIGNAL_TYPE_ALIASES = {
+  LONG: 'BUY',
+  SHORT: 'SELL',
+  NEUTRAL: 'HOLD',
+};
+
+/**
+ * Read a dot path from an object
+ * @param {Object} source - Payload
+ * @param {string} path - e.g. "order.price" or "levels.0"
+ * @returns {*} Value or undefined
+ */
+const getPath = (source, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+
+/**
+ * Render one template value
+ */
+const renderValue = (value, payload) => {
+  if (typeof value === 'string') {
+    const single = value.match(SINGLE_PLACEHOLDER);
+    if (single) return getPath(payload, single[1]);
+
+    return value.replace(PLACEHOLDER, (match, path) => {
+      const resolved = getPath(payload, path);
+      return resolved == null ? '' : String(resolved);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => renderValue(item, payload));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, renderValue(item, payload)])
+    );
+  }
+
+  return value;
+};
+
+/**
+ * Render a template against an alert payload
+ * Fields that resolve to undefined or an empty string are left out
+ * @param {Object} template - Template keyed by signal field
+ * @param {Object} payload - Alert payload
+ * @returns {Object} Signal fields (plus idempotencyKey when templated)
+ */
+const renderAlertTemplate = (template, payload) => {
+  const fields = {};
+
+  Object.entries(template || DEFAULT_ALERT_TEMPLATE).forEach(([field, value]) => {
+    const rendered = renderValue(value, payload);
+    if (rendered !== undefined && rendered !== '') {
+      fields[field] = rendered;
+    }
+  });
+
+  if (typeof fields.signalType === 'string') {
+    const signalType = fields.signalType.trim().toUpperCase();
+    fields.signalType = SIGNAL_TYPE_ALIASES[signalType] || signalType;
+  }
+
+  return fields;
+};
+
+module.exports = {
+  ALERT_TEMPLATE_FIELDS,
+  DEFAULT_ALERT_TEMPLATE,
+  renderAlertTemplate,
+};
@@ -0,0 +1,45 @@
+/**
+ * API Key Scopes
+ * Each resource has a read scope (GET/HEAD) and a write scope (other methods)
+ */
+
+const API_KEY_SCOPES = [
+  'signals:read',
+  'signals:write',
+  'assets:read',
+  'assets:write',
+  'watchlists:read',
+  'watchlists:write',
+  'portfolios:read',
+  'portfolios:write',
+  'backtests:read',
+  'backtests:write',
+  'webhooks:read',
+  'webhooks:write',
+  'analytics:read',
+  'profile:read',
+];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Whether an HTTP method only reads
+ * @param {string} method - HTTP method
+ * @returns {boolean}
+ */
+const isReadMethod = (method) => READ_METHODS.includes(method);
+
+/**
+ * Scope needed to call a resource with an HTTP method
+ * @param {string} resource - e.g. signals
+ * @param {string} method - HTTP method
+ * @returns {string} e.g. signals:read
+ */
+const getScopeForMethod = (resource, method) =>
+  `${resource}:${isReadMethod(method) ? 'read' : 'write'}`;
+
+module.exports = {
+  API_KEY_SCOPES,
+  getScopeForMethod,
+  isReadMethod,
+};
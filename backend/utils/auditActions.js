@@ -0,0 +1,33 @@
+/**
+ * Audit Log Actions
+ * Actions recorded in the audit log, named <target type>.<verb>
+ */
+
+const AUDIT_ACTIONS = [
+  'signal.create',
+  'signal.update',
+  'signal.delete',
+  'signal.expire',
+  'user.role_change',
+  'user.deactivate',
+  'user.reactivate',
+  'user.delete',
+  'user.unlock',
+  'user.plan_change',
+  'organization.create',
+  'organization.member_invite',
+  'organization.invite_revoke',
+  'organization.member_add',
+  'organization.member_update',
+  'organization.member_remove',
+  'setting.update',
+  'auth.login',
+  'auth.login_failed',
+];
+
+const AUDIT_TARGET_TYPES = ['signal', 'user', 'organization', 'setting'];
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_TARGET_TYPES,
+};
@@ -0,0 +1,88 @@
+/**
+ * Email Templates
+ * Plain-text and HTML bodies for account emails
+ */
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Wrap a paragraph and an optional button link in a minimal HTML layout
+ */
+const layout = (name, paragraphs, action) => `
+<div style="font-family: Arial, sans-serif; max-width: 520px; margin: 0 auto; color: #111827;">
+  <p>Hi ${escapeHtml(name)},</p>
+  ${paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join('\n  ')}
+  ${
+    action
+      ? `<p><a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 10px 18px; background: #10b981; color: #fff; border-radius: 6px; text-decoration: none;">${escapeHtml(action.label)}</a></p>
+  <p style="font-size: 12px; color: #6b7280;">Or paste this link into your browser: ${escapeHtml(action.url)}</p>`
+      : ''
+  }
+  <p style="font-size: 12px; color: #6b7280;">Crypto Signals</p>
+</div>`;
+
+/**
+ * Email verification message
+ * @param {Object} user - Recipient
+ * @param {string} token - Verification token
+ * @param {number} ttlHours - Link lifetime
+ */
+const verificationEmail = (user, token, ttlHours) => {
+  const url = `${getFrontendUrl()}/verify-email?token=${token}`;
+  const paragraphs = [
+    'Please confirm your email address to unlock all features of your account.',
+    `This link expires in ${ttlHours} hours and can only be used once.`,
+  ];
+
+  return {
+    subject: 'Confirm your email address',
+    text: `Hi ${user.name},\n\n${paragraphs.join('\n')}\n\n${url}\n`,
+    html: layout(user.name, paragraphs, { label: 'Confirm email', url }),
+  };
+};
+
+/**
+ * Password reset message
+ * @param {Object} user - Recipient
+ * @param {string} token - Reset token
+ * @param {number} ttlMinutes - Link lifetime
+ */
+const passwordResetEmail = (user, token, ttlMinutes) => {
+  const url = `${getFrontendUrl()}/reset-password?token=${token}`;
+  const paragraphs = [
+    'We received a request to reset your password.',
+    `This link expires in ${ttlMinutes} minutes and can only be used once. If you did not ask for it, you can ignore this email.`,
+  ];
+
+  return {
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\n${paragraphs.join('\n')}\n\n${url}\n`,
+    html: layout(user.name, paragraphs, { label: 'Reset password', url }),
+  };
+};
+
+/**
+ * Password changed notice
+ * @param {Object} user - Recipient
+ */
+const passwordChangedEmail = (user) => {
+  const paragraphs = [
+    'The password for your account was just changed and all other sessions were signed out.',
+    'If this was not you, reset your password right away and contact support.',
+  ];
+
+  return {
+    subject: 'Your password was changed',
+    text: `Hi ${user.name},\n\n${paragraphs.join('\n')}\n`,
+    html: layout(user.name, paragraphs),
+  };
+};
+
+module.exports = {
+  verificationEmail,
+  passwordResetEmail,
+  passwordChangedEmail,
+};
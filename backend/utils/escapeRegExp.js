@@ -0,0 +1,10 @@
+/**
+ * Escape a string for literal use inside a RegExp
+ * Prevents user input such as "BTC (" from breaking or widening a query
+ *
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegExp;
@@ -0,0 +1,131 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Network Guard
+ * Keeps server-side requests to user-supplied URLs (webhooks) away from the
+ * server's own network: loopback, private, link-local (including cloud
+ * metadata at 169.254.169.254), carrier-grade NAT, multicast and reserved
+ * addresses are refused.
+ */
+
+// [network, prefix length] of IPv4 ranges that are not publicly routable
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+];
+
+const ipv4ToInt = (address) =>
+  address.split('.').reduce((value, octet) => (value << 8) + parseInt(octet, 10), 0) >>> 0;
+
+const isBlockedIpv4 = (address) => {
+  const value = ipv4ToInt(address);
+
+  return BLOCKED_IPV4_RANGES.some(([network, bits]) => {
+    const mask = (~0 << (32 - bits)) >>> 0;
+    return (value & mask) === (ipv4ToInt(network) & mask);
+  });
+};
+
+const isBlockedIpv6 = (address) => {
+  const normalized = address.toLowerCase();
+
+  // IPv4-mapped and IPv4-compatible forms (::ffff:127.0.0.1)
+  const mapped = normalized.match(/^::(?:ffff:)?(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isBlockedIpv4(mapped[1]);
+
+  // The same written in hex, as URL parsing normalizes it (::ffff:7f00:1)
+  const mappedHex = normalized.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const [high, low] = mappedHex.slice(1).map((group) => parseInt(group, 16));
+    return isBlockedIpv4(`${high >> 8}.${high & 0xff}.${low >> 8}.${low & 0xff}`);
+  }
+
+  if (normalized === '::' || normalized === '::1') return true;
+
+  const firstGroup = parseInt(normalized.split(':')[0] || '0', 16);
+  return (
+    (firstGroup & 0xfe00) === 0xfc00 || // fc00::/7 unique local (incl. fd00:ec2::254)
+    (firstGroup & 0xffc0) === 0xfe80 || // fe80::/10 link-local
+    (firstGroup & 0xff00) === 0xff00 // ff00::/8 multicast
+  );
+};
+
+/**
+ * Check whether an IP address is outside the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local and reserved addresses
+ */
+const isPrivateAddress = (address) => {
+  const version = net.isIP(address);
+  if (version === 4) return isBlockedIpv4(address);
+  if (version === 6) return isBlockedIpv6(address);
+  return true;
+};
+
+/**
+ * Hostname of a URL without IPv6 brackets
+ * @param {string} url
+ * @returns {string}
+ */
+const getHostname = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+/**
+ * Check that every address a URL's host resolves to is public
+ * @param {string} url - http(s) URL
+ * @returns {Promise<boolean>} False if the host is private or does not resolve
+ */
+const isPublicUrl = async (url) => {
+  let hostname;
+  try {
+    hostname = getHostname(url);
+  } catch {
+    return false;
+  }
+
+  if (net.isIP(hostname)) return !isPrivateAddress(hostname);
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    return addresses.length > 0 && addresses.every(({ address }) => !isPrivateAddress(address));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * dns.lookup replacement for http(s).request that refuses private addresses
+ * Checking the address the socket actually connects to defeats DNS rebinding
+ * between validation and the request.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked) {
+      const refused = new Error(`Refusing to connect to private address ${blocked.address}`);
+      refused.code = 'EPRIVATEADDRESS';
+      return callback(refused);
+    }
+
+    return callback(null, address, family);
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  getHostname,
+  isPublicUrl,
+  publicLookup,
+};
@@ -0,0 +1,91 @@
+/**
+ * Role Permissions
+ * What each role may do. A permission ending in :own grants the action only
+ * on resources the user created (checked by isOwnerOrAdmin); the same
+ * permission without the suffix grants it on any resource.
+ */
+
+const ROLES = ['viewer', 'user', 'analyst', 'moderator', 'admin'];
+
+// Create and change your own watchlists, portfolios, backtests, webhooks and API keys
+const WORKSPACE_PERMISSIONS = ['workspace:write'];
+
+const ROLE_PERMISSIONS = {
+  // Read-only: browse signals and assets, nothing of their own
+  viewer: [],
+  user: [...WORKSPACE_PERMISSIONS],
+  analyst: [...WORKSPACE_PERMISSIONS, 'signals:create', 'signals:update:own'],
+  moderator: [...WORKSPACE_PERMISSIONS, 'signals:expire'],
+  admin: [
+    ...WORKSPACE_PERMISSIONS,
+    'signals:create',
+    'signals:update',
+    'signals:expire',
+    'signals:delete',
+  ],
+};
+
+// Roles within an organization; org admins add, remove and promote its members
+const ORG_ROLES = ['member', 'analyst', 'admin'];
+
+// Signal permissions each organization role allows at most. Inside an
+// organization the account role is capped by these, so an analyst account
+// invited as a plain member only reads the organization's signals.
+const ORG_ROLE_PERMISSIONS = {
+  member: [],
+  analyst: ['signals:create', 'signals:update', 'signals:expire'],
+  admin: ['signals:create', 'signals:update', 'signals:expire', 'signals:delete'],
+};
+
+const isOrganizationScoped = (permission) => permission.startsWith('signals:');
+
+/**
+ * Whether the organization role allows a permission
+ * Platform admins and users outside any organization (orgRole undefined)
+ * are not capped; null means the user is not a member of the organization
+ * they work in and gets no signal permissions.
+ * @param {string} role - User role
+ * @param {string} permission - Permission, with or without the :own suffix
+ * @param {string|null} [orgRole] - Role in the user's current organization
+ * @returns {boolean}
+ */
+const allowedInOrganization = (role, permission, orgRole) => {
+  if (orgRole === undefined || role === 'admin') return true;
+
+  const base = permission.replace(/:own$/, '');
+  return !isOrganizationScoped(base) || (ORG_ROLE_PERMISSIONS[orgRole] || []).includes(base);
+};
+
+/**
+ * How far a role holds a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission without the :own suffix, e.g. signals:update
+ * @param {string|null} [orgRole] - Role in the user's current organization, to cap signal permissions
+ * @returns {string|null} 'any', 'own', or null if the role lacks it
+ */
+const getPermissionAccess = (role, permission, orgRole) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+
+  if (!allowedInOrganization(role, permission, orgRole)) return null;
+  if (granted.includes(permission)) return 'any';
+  if (granted.includes(`${permission}:own`)) return 'own';
+  return null;
+};
+
+/**
+ * Permissions a role holds, capped by an organization role
+ * @param {string} role - User role
+ * @param {string|null} [orgRole] - Role in the user's current organization
+ * @returns {Array<string>}
+ */
+const getEffectivePermissions = (role, orgRole) =>
+  (ROLE_PERMISSIONS[role] || []).filter((permission) => allowedInOrganization(role, permission, orgRole));
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  ORG_ROLES,
+  ORG_ROLE_PERMISSIONS,
+  getPermissionAccess,
+  getEffectivePermissions,
+};
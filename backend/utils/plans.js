@@ -0,0 +1,84 @@
+/**
+ * Subscription Plans
+ * Plans in ascending order; a signal's minPlan is the lowest plan that sees
+ * its price levels. Lower plans still see the signal, with those levels masked.
+ */
+
+const PLANS = ['free', 'pro', 'elite'];
+
+// Levels a lower plan would trade on; masked as null
+const PREMIUM_SIGNAL_FIELDS = [
+  'targetPrice',
+  'entryPrice',
+  'entryRange',
+  'stopLoss',
+  'takeProfits',
+  'riskRewardRatio',
+  'resultPrice',
+];
+
+/**
+ * Check whether a plan includes another
+ * @param {string} plan - The user's plan
+ * @param {string} minPlan - Required plan (missing means free)
+ * @returns {boolean}
+ */
+const includesPlan = (plan, minPlan = 'free') => PLANS.indexOf(plan) >= PLANS.indexOf(minPlan || 'free');
+
+/**
+ * Check whether a user sees a signal's price levels
+ * Admins and the signal's author always do.
+ * @param {Object} signal - Signal document or JSON
+ * @param {Object} user - Current user
+ * @returns {boolean}
+ */
+const canViewSignal = (signal, user) => {
+  if (user.role === 'admin') return true;
+
+  const authorId = signal.createdBy?._id || signal.createdBy;
+  if (authorId && String(authorId) === String(user._id)) return true;
+
+  return includesPlan(user.activePlan || user.plan, signal.minPlan);
+};
+
+/**
+ * Filter leaving out signals whose price levels the user may not see, for
+ * results derived from the levels themselves where masking is not enough
+ * (e.g. backtest exit prices). Admins and authors see everything, as in canViewSignal.
+ * @param {Object} user - User with role and plan
+ * @returns {Object} TradingSignal filter
+ */
+const planFilter = (user) => {
+  if (user.role === 'admin') return {};
+
+  const allowed = PLANS.filter((minPlan) => includesPlan(user.activePlan || user.plan, minPlan));
+  return { $or: [{ minPlan: { $in: [...allowed, null] } }, { createdBy: user._id }] };
+};
+
+/**
+ * Signal as a user may see it: unchanged, or with premium fields masked and
+ * `locked` set when their plan is too low
+ * @param {Object} signal - Signal document or JSON
+ * @param {Object} user - Current user
+ * @returns {Object}
+ */
+const redactSignal = (signal, user) => {
+  if (canViewSignal(signal, user)) return signal;
+
+  const plain = typeof signal.toJSON === 'function' ? signal.toJSON() : { ...signal };
+  PREMIUM_SIGNAL_FIELDS.forEach((field) => {
+    plain[field] = null;
+  });
+  plain.locked = true;
+
+  return plain;
+};
+
+module.exports = {
+  PLANS,
+  PREMIUM_SIGNAL_FIELDS,
+  includesPlan,
+  canViewSignal,
+  planFilter,
+  redactSignal,
+};
@@ -0,0 +1,34 @@
+const { cache } = require('../config/redis');
+
+/**
+ * Cache key generators
+ * Lists are keyed by organization so one tenant never gets another's cached
+ * results; signal IDs are unique, so detail entries are checked after lookup.
+ */
+const getCacheKey = {
+  signal: (id) => `signal:${id}`,
+  signalsList: (organization, page, limit, filters) => {
+    // RegExp filters serialize to {} by default, which would collide across searches
+    const filterHash = JSON.stringify(filters, (key, value) => (value instanceof RegExp ? value.toString() : value));
+    return `signals:org:${organization || 'none'}:page:${page}:limit:${limit}:filters:${filterHash}`;
+  },
+  // Under the signals: prefix so any signal change invalidates it
+  leaderboard: (organization, params) =>
+    `signals:leaderboard:org:${organization || 'none'}:${JSON.stringify(params)}`,
+  allSignals: () => 'signals:*',
+};
+
+/**
+ * Invalidate cached signal lists and, optionally, individual signals
+ * @param {Array<string>} ids - Signal IDs whose detail cache should be dropped
+ * @returns {Promise<void>}
+ */
+const invalidateSignalCache = async (ids = []) => {
+  await Promise.all(ids.map((id) => cache.del(getCacheKey.signal(id))));
+  await cache.delPattern(getCacheKey.allSignals());
+};
+
+module.exports = {
+  getCacheKey,
+  invalidateSignalCache,
+};
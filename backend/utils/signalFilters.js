@@ -0,0 +1,95 @@
+const Watchlist = require('../models/Watchlist');
+const Asset = require('../models/Asset');
+const escapeRegExp = require('./escapeRegExp');
+const { NotFoundError, ValidationError } = require('./AppError');
+
+/**
+ * Signal query filters
+ * Shared by the signal list and backtests so both accept the same filters
+ */
+
+/**
+ * Find a watchlist owned by the current user
+ * @param {string} id - Watchlist ID
+ * @param {Object} user - Current user
+ * @returns {Promise<Object>} Watchlist document
+ * @throws {NotFoundError} If the watchlist does not exist or belongs to someone else
+ */
+const findOwnWatchlist = async (id, user) => {
+  const watchlist = await Watchlist.findOwnedBy(id, user._id);
+
+  if (!watchlist) {
+    throw new NotFoundError('Watchlist not found');
+  }
+
+  return watchlist;
+};
+
+/**
+ * Filter limiting signals to the user's organization
+ * Users outside any organization only see signals that have none.
+ * @param {Object} user - Current user (or anything with an organization field)
+ * @returns {Object} TradingSignal filter
+ */
+const organizationFilter = (user) => ({ organization: user.organization || null });
+
+/**
+ * Check whether a signal belongs to the user's organization
+ * For signals that did not come from a scoped query (cache, event stream)
+ * @param {Object} signal - Signal document or JSON
+ * @param {Object} user - Current user
+ * @returns {boolean}
+ */
+const isInOrganization = (signal, user) =>
+  String(signal.organization || '') === String(user.organization || '');
+
+/**
+ * Build a TradingSignal query from list filters
+ * @param {Object} params - { signalType, asset, cryptocurrency, minConfidence, status, result, watchlist }
+ * @param {Object} user - Current user (watchlists must be theirs)
+ * @param {Object} options - { defaultStatus: status used when none is given (null for any) }
+ * @returns {Promise<Object>} { filters, watchlist }
+ * @throws {ValidationError} If the asset is unknown
+ */
+const buildSignalFilters = async (params, user, { defaultStatus = 'active' } = {}) => {
+  const {
+    signalType,
+    asset: assetRef,
+    cryptocurrency,
+    minConfidence,
+    status = defaultStatus,
+    result,
+    watchlist: watchlistId,
+  } = params;
+
+  const filters = {};
+
+  if (status) filters.status = status;
+  if (signalType) filters.signalType = signalType;
+  if (cryptocurrency) filters.cryptocurrency = new RegExp(escapeRegExp(cryptocurrency), 'i');
+  if (assetRef) {
+    const asset = await Asset.resolve(assetRef);
+    if (!asset) {
+      throw new ValidationError(`Unknown asset: ${assetRef}`);
+    }
+    filters.asset = asset._id;
+  }
+  if (minConfidence) filters.confidence = { $gte: parseInt(minConfidence, 10) };
+  if (result) filters.result = result;
+
+  // Restrict to a watchlist owned by the caller
+  let watchlist = null;
+  if (watchlistId) {
+    watchlist = await findOwnWatchlist(watchlistId, user);
+    Object.assign(filters, watchlist.toSignalFilter());
+  }
+
+  return { filters, watchlist };
+};
+
+module.exports = {
+  findOwnWatchlist,
+  organizationFilter,
+  isInOrganization,
+  buildSignalFilters,
+};
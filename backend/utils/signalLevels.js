@@ -0,0 +1,177 @@
+/**
+ * Trading signal price level helpers
+ * Shared by the TradingSignal model and request validation so both
+ * enforce the same BUY/SELL direction rules
+ */
+
+/**
+ * Normalize an optional numeric input
+ * @param {any} value - Raw value
+ * @returns {number|null} Number or null when not provided
+ */
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+/**
+ * Normalize take-profit levels into a list of numbers
+ * @param {any} takeProfits - Raw take-profit levels
+ * @returns {Array<number>} Numeric levels in their original order
+ */
+const toLevels = (takeProfits) => {
+  if (!Array.isArray(takeProfits)) return [];
+  return takeProfits.map(toNumber).filter((tp) => tp !== null);
+};
+
+/**
+ * Get the lower and upper bound of the entry zone
+ * A single entry price collapses both bounds to the same value
+ * @param {Object} levels - Signal price levels
+ * @returns {Object|null} { low, high } or null if no entry is set
+ */
+const getEntryBounds = ({ entryPrice, entryRange } = {}) => {
+  const entry = toNumber(entryPrice);
+  if (entry !== null) return { low: entry, high: entry };
+
+  const low = toNumber(entryRange?.min);
+  const high = toNumber(entryRange?.max);
+  if (low !== null && high !== null) return { low, high };
+
+  return null;
+};
+
+/**
+ * Get the reference entry price (entry price or midpoint of the entry range)
+ * @param {Object} levels - Signal price levels
+ * @returns {number|null} Reference entry price
+ */
+const getEntryReference = (levels = {}) => {
+  const bounds = getEntryBounds(levels);
+  if (!bounds) return null;
+  return (bounds.low + bounds.high) / 2;
+};
+
+/**
+ * Validate entry, stop-loss and take-profit levels against the signal direction
+ * BUY: stop below entry, targets above entry in ascending order
+ * SELL: stop above entry, targets below entry in descending order
+ * @param {Object} levels - signalType, entryPrice, entryRange, stopLoss, takeProfits
+ * @returns {Array<Object>} List of { field, message } errors (empty if valid)
+ */
+const validateLevels = (levels = {}) => {
+  const errors = [];
+  const { signalType, entryPrice, entryRange } = levels;
+  const stopLoss = toNumber(levels.stopLoss);
+  const takeProfits = toLevels(levels.takeProfits);
+
+  const rangeMin = toNumber(entryRange?.min);
+  const rangeMax = toNumber(entryRange?.max);
+
+  if (toNumber(entryPrice) !== null && (rangeMin !== null || rangeMax !== null)) {
+    errors.push({ field: 'entryRange', message: 'Provide either an entry price or an entry range, not both' });
+  }
+
+  if ((rangeMin === null) !== (rangeMax === null)) {
+    errors.push({ field: 'entryRange', message: 'Entry range requires both min and max' });
+  } else if (rangeMin !== null && rangeMin > rangeMax) {
+    errors.push({ field: 'entryRange', message: 'Entry range min cannot exceed max' });
+  }
+
+  // HOLD signals have no direction to check against
+  if (signalType !== 'BUY' && signalType !== 'SELL') {
+    return errors;
+  }
+
+  const isBuy = signalType === 'BUY';
+  const bounds = getEntryBounds(levels);
+
+  if (stopLoss !== null && bounds) {
+    if (isBuy && stopLoss >= bounds.low) {
+      errors.push({ field: 'stopLoss', message: 'Stop loss must be below the entry for BUY signals' });
+    }
+    if (!isBuy && stopLoss <= bounds.high) {
+      errors.push({ field: 'stopLoss', message: 'Stop loss must be above the entry for SELL signals' });
+    }
+  }
+
+  if (bounds) {
+    const misplaced = takeProfits.some((tp) => (isBuy ? tp <= bounds.high : tp >= bounds.low));
+    if (misplaced) {
+      errors.push({
+        field: 'takeProfits',
+        message: isBuy
+          ? 'Take-profit levels must be above the entry for BUY signals'
+          : 'Take-profit levels must be below the entry for SELL signals',
+      });
+    }
+  }
+
+  // Without an entry, the stop can still be checked against the nearest target
+  if (!bounds && stopLoss !== null && takeProfits.length > 0) {
+    const stopBeyondTarget = isBuy ? stopLoss >= takeProfits[0] : stopLoss <= takeProfits[0];
+    if (stopBeyondTarget) {
+      errors.push({ field: 'stopLoss', message: 'Stop loss must be on the opposite side of the take-profit levels' });
+    }
+  }
+
+  const outOfOrder = takeProfits.some((tp, i) => {
+    if (i === 0) return false;
+    return isBuy ? tp <= takeProfits[i - 1] : tp >= takeProfits[i - 1];
+  });
+  if (outOfOrder) {
+    errors.push({
+      field: 'takeProfits',
+      message: isBuy
+        ? 'Take-profit levels must be in ascending order for BUY signals'
+        : 'Take-profit levels must be in descending order for SELL signals',
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Get the price level a signal is aiming for
+ * The final take-profit level, or targetPrice when none are set
+ * @param {Object} levels - Signal price levels
+ * @returns {number|null} Target price
+ */
+const getTargetLevel = (levels = {}) => {
+  const takeProfits = toLevels(levels.takeProfits);
+  return takeProfits.length > 0 ? takeProfits[takeProfits.length - 1] : toNumber(levels.targetPrice);
+};
+
+/**
+ * Calculate the risk/reward ratio of a signal
+ * Reward is measured to the target level (see getTargetLevel)
+ * @param {Object} levels - Signal price levels
+ * @returns {number|null} Ratio rounded to 2 decimals, or null if it cannot be derived
+ */
+const calculateRiskReward = (levels = {}) => {
+  const { signalType } = levels;
+  if (signalType !== 'BUY' && signalType !== 'SELL') return null;
+
+  const entry = getEntryReference(levels);
+  const stopLoss = toNumber(levels.stopLoss);
+  const target = getTargetLevel(levels);
+
+  if (entry === null || stopLoss === null || target === null) return null;
+
+  const direction = signalType === 'BUY' ? 1 : -1;
+  const risk = (entry - stopLoss) * direction;
+  const reward = (target - entry) * direction;
+
+  if (risk <= 0 || reward <= 0) return null;
+
+  return Math.round((reward / risk) * 100) / 100;
+};
+
+module.exports = {
+  getEntryBounds,
+  getEntryReference,
+  getTargetLevel,
+  validateLevels,
+  calculateRiskReward,
+};
@@ -0,0 +1,61 @@
+const { getPermissionAccess } = require('./permissions');
+const { includesPlan } = require('./plans');
+
+/**
+ * Signal Publication
+ * A signal is written as a draft, scheduled for a publish time, or published
+ * straight away. With a free-plan delay it goes out to paid plans first
+ * (early_access) and to everyone once the delay has passed (published).
+ * Signals created before publication states existed count as published.
+ */
+
+const PUBLICATION_STATES = ['draft', 'scheduled', 'early_access', 'published'];
+
+// Lowest plan that sees early-access signals
+const EARLY_ACCESS_PLAN = 'pro';
+
+/**
+ * Publication states a user cannot see on other people's signals
+ * @param {Object} user - Current user
+ * @returns {Array<string>} Hidden states (empty for users who can edit any signal)
+ */
+const getHiddenStates = (user) => {
+  if (getPermissionAccess(user.role, 'signals:update') === 'any') return [];
+
+  return includesPlan(user.activePlan || user.plan, EARLY_ACCESS_PLAN)
+    ? ['draft', 'scheduled']
+    : ['draft', 'scheduled', 'early_access'];
+};
+
+/**
+ * Filter hiding signals that are not yet published for the user; authors
+ * always see their own
+ * @param {Object} user - Current user
+ * @returns {Object} TradingSignal filter
+ */
+const publicationFilter = (user) => {
+  const hidden = getHiddenStates(user);
+  if (hidden.length === 0) return {};
+
+  return { $or: [{ publication: { $nin: hidden } }, { createdBy: user._id }] };
+};
+
+/**
+ * Check whether a signal is published for the user
+ * For signals that did not come from a filtered query (cache, events)
+ * @param {Object} signal - Signal document or JSON
+ * @param {Object} user - Current user
+ * @returns {boolean}
+ */
+const isPublishedFor = (signal, user) => {
+  const authorId = signal.createdBy?._id || signal.createdBy;
+  if (authorId && String(authorId) === String(user._id)) return true;
+
+  return !getHiddenStates(user).includes(signal.publication || 'published');
+};
+
+module.exports = {
+  PUBLICATION_STATES,
+  publicationFilter,
+  isPublishedFor,
+};
@@ -0,0 +1,49 @@
+/**
+ * User agent helpers
+ * Just enough parsing to name a session ("Firefox on macOS"); not a full UA parser.
+ */
+
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//],
+  ['curl', /^curl\//],
+  ['Postman', /PostmanRuntime\//],
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+const match = (list, ua) => (list.find(([, pattern]) => pattern.test(ua)) || [])[0];
+
+/**
+ * Describe a user agent as "<browser> on <platform>"
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} Device name
+ */
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = match(BROWSERS, userAgent);
+  const platform = match(PLATFORMS, userAgent);
+
+  if (browser && platform) {
+    return `${browser} on ${platform}`;
+  }
+
+  return browser || platform || 'Unknown device';
+};
+
+module.exports = {
+  describeUserAgent,
+};
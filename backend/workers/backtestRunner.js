@@ -0,0 +1,106 @@
+const Backtest = require('../models/Backtest');
+const { runBacktest } = require('../services/backtestService');
+const logger = require('../utils/logger');
+
+/**
+ * Backtest Runner
+ * Background worker that claims queued backtests and runs them one at a time,
+ * recording progress on the backtest document as it goes
+ */
+
+let timer = null;
+let running = false;
+
+/**
+ * Claim and run the next queued backtest
+ * @returns {Promise<Object|null>} Finished backtest or null if none was queued
+ */
+const runNextBacktest = async () => {
+  const staleMs = parseInt(process.env.BACKTEST_STALE_MS, 10) || 10 * 60 * 1000;
+  const backtest = await Backtest.claimNext(staleMs);
+  if (!backtest) return null;
+
+  logger.info(`Backtest ${backtest._id}: started`);
+
+  try {
+    const { results, equityCurve, trades } = await runBacktest(backtest, (processed, total) =>
+      Backtest.updateOne(
+        { _id: backtest._id },
+        {
+          $set: {
+            processed,
+            total,
+            progress: total ? Math.floor((processed / total) * 100) : 100,
+            heartbeatAt: new Date(),
+          },
+        }
+      )
+    );
+
+    backtest.set({
+      status: 'completed',
+      progress: 100,
+      results,
+      equityCurve,
+      trades,
+      completedAt: new Date(),
+    });
+    await backtest.save();
+
+    logger.info(`Backtest ${backtest._id}: completed with ${results.trades} trade(s)`);
+  } catch (error) {
+    await Backtest.updateOne(
+      { _id: backtest._id },
+      { $set: { status: 'failed', error: error.message, completedAt: new Date() } }
+    );
+    logger.error(`Backtest ${backtest._id} failed: ${error.message}`);
+  }
+
+  return backtest;
+};
+
+/**
+ * Run queued backtests until none are left, skipping if already running
+ */
+const tick = async () => {
+  if (running) return;
+  running = true;
+  try {
+    while (await runNextBacktest());
+  } catch (error) {
+    logger.error(`Backtest runner failed: ${error.message}`);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the runner on an interval
+ * Disabled with BACKTEST_RUNNER_ENABLED=false
+ */
+const startBacktestRunner = () => {
+  if (timer || process.env.BACKTEST_RUNNER_ENABLED === 'false') return;
+
+  const interval = parseInt(process.env.BACKTEST_POLL_INTERVAL_MS, 10) || 5000;
+  timer = setInterval(tick, interval);
+  timer.unref();
+
+  logger.info(`Backtest runner: polling every ${interval / 1000}s`);
+};
+
+/**
+ * Stop the runner
+ */
+const stopBacktestRunner = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runNextBacktest,
+  runQueuedBacktests: tick,
+  startBacktestRunner,
+  stopBacktestRunner,
+};
@@ -0,0 +1,88 @@
+const TradingSignal = require('../models/TradingSignal');
+const { acquireLease } = require('../services/leaseService');
+const { publishSignalEvent } = require('../services/signalEventService');
+const { invalidateSignalCache } = require('../utils/signalCache');
+const logger = require('../utils/logger');
+
+/**
+ * Expiry Sweeper
+ * Background worker that expires overdue signals in bulk so they drop out of
+ * active listings even when nobody edits them. A lease keeps concurrent
+ * instances from sweeping at the same time.
+ */
+
+const LEASE_NAME = 'expiry-sweeper';
+
+let timer = null;
+let running = false;
+
+/**
+ * Expire overdue signals, clear the signal caches and notify stream clients
+ * @returns {Promise<number>} Number of signals expired
+ */
+const sweepExpiredSignals = async () => {
+  const expiredIds = await TradingSignal.expireOverdue();
+
+  if (expiredIds.length > 0) {
+    await invalidateSignalCache(expiredIds);
+
+    const expiredSignals = await TradingSignal.find({ _id: { $in: expiredIds } })
+      .populate('createdBy', 'name email');
+    expiredSignals.forEach((signal) => publishSignalEvent('signal.expired', signal));
+
+    logger.info(`Expiry sweeper: expired ${expiredIds.length} signal(s)`);
+  }
+
+  return expiredIds.length;
+};
+
+/**
+ * Run one sweep if this instance holds the lease
+ * @param {number} leaseMs - Lease duration
+ */
+const tick = async (leaseMs) => {
+  if (running) return;
+  running = true;
+  try {
+    const isLeader = await acquireLease(LEASE_NAME, leaseMs);
+    if (!isLeader) {
+      logger.debug('Expiry sweeper: lease held by another instance, skipping');
+      return;
+    }
+    await sweepExpiredSignals();
+  } catch (error) {
+    logger.error(`Expiry sweeper failed: ${error.message}`);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the sweeper on an interval
+ * Disabled with EXPIRY_SWEEPER_ENABLED=false
+ */
+const startExpirySweeper = () => {
+  if (timer || process.env.EXPIRY_SWEEPER_ENABLED === 'false') return;
+
+  const interval = parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MS, 10) || 60000;
+  timer = setInterval(() => tick(interval), interval);
+  timer.unref();
+
+  logger.info(`Expiry sweeper: running every ${interval / 1000}s`);
+};
+
+/**
+ * Stop the sweeper
+ */
+const stopExpirySweeper = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  sweepExpiredSignals,
+  startExpirySweeper,
+  stopExpirySweeper,
+};
@@ -0,0 +1,167 @@
+const TradingSignal = require('../models/TradingSignal');
+const { getPriceFeed, resolveSymbol } = require('../services/priceFeedService');
+const { getTargetLevel } = require('../utils/signalLevels');
+const { invalidateSignalCache } = require('../utils/signalCache');
+const logger = require('../utils/logger');
+
+/**
+ * Outcome Evaluator
+ * Background worker that resolves pending signals to target_hit, stopped_out
+ * or expired_neutral by comparing their levels with the price feed
+ */
+
+const BATCH_SIZE = 500;
+
+let timer = null;
+let running = false;
+
+/**
+ * Decide the outcome of a signal at a given price
+ * Expiry wins over price (a move after expiry does not count), and the stop
+ * is checked before the target so a gap through both is scored conservatively
+ * @param {Object} signal - Trading signal
+ * @param {number|null} price - Current price (null if unknown)
+ * @param {Date} now - Evaluation time
+ * @returns {string|null} Outcome or null if the signal is still open
+ */
+const determineOutcome = (signal, price, now = new Date()) => {
+  const expired = signal.status === 'expired' || (signal.expiresAt && signal.expiresAt <= now);
+  if (expired) return 'expired_neutral';
+
+  if (price === null || price === undefined) return null;
+  if (signal.signalType !== 'BUY' && signal.signalType !== 'SELL') return null;
+
+  const isBuy = signal.signalType === 'BUY';
+  const { stopLoss } = signal;
+  const target = getTargetLevel(signal);
+
+  if (stopLoss !== null && stopLoss !== undefined) {
+    if (isBuy ? price <= stopLoss : price >= stopLoss) return 'stopped_out';
+  }
+
+  if (target !== null) {
+    if (isBuy ? price >= target : price <= target) return 'target_hit';
+  }
+
+  return null;
+};
+
+/**
+ * Resolve the signals of one batch that have an outcome
+ * @param {Array<Object>} signals - Pending signals
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<Array<string>>} IDs of the signals resolved
+ */
+const evaluateBatch = async (signals, now) => {
+  const priceFeed = getPriceFeed();
+  const prices = await priceFeed.getPrices(signals.map((s) => resolveSymbol(s.cryptocurrency)));
+  const resolvedIds = [];
+
+  for (const signal of signals) {
+    const price = prices[resolveSymbol(signal.cryptocurrency)] ?? null;
+    const result = determineOutcome(signal, price, now);
+
+    if (result) {
+      // Only resolve signals that are still pending in case another instance got there first
+      const { modifiedCount } = await TradingSignal.updateOne(
+        { _id: signal._id, result: 'pending' },
+        { $set: { result, resultAt: now, resultPrice: price ?? undefined } }
+      );
+
+      if (modifiedCount > 0) {
+        resolvedIds.push(signal._id.toString());
+        logger.debug(`Signal ${signal._id} resolved as ${result} at ${price}`);
+      }
+    }
+  }
+
+  return resolvedIds;
+};
+
+/**
+ * Evaluate every pending signal against the price feed, a batch at a time
+ * Batches are paged on (expiresAt, _id) so signals that stay open (HOLD, no
+ * price) cannot keep later ones from being graded.
+ * @returns {Promise<number>} Number of signals resolved
+ */
+const evaluateOutcomes = async () => {
+  const now = new Date();
+  const resolvedIds = [];
+  let last = null;
+
+  for (;;) {
+    // Unpublished signals are not graded until they go out
+    const query = { result: 'pending', publication: { $nin: ['draft', 'scheduled'] } };
+    if (last) {
+      query.$or = [
+        { expiresAt: { $gt: last.expiresAt } },
+        { expiresAt: last.expiresAt, _id: { $gt: last._id } },
+      ];
+    }
+
+    const signals = await TradingSignal.find(query)
+      .select('signalType cryptocurrency targetPrice stopLoss takeProfits status expiresAt')
+      .sort({ expiresAt: 1, _id: 1 })
+      .limit(BATCH_SIZE);
+
+    if (signals.length === 0) break;
+
+    resolvedIds.push(...(await evaluateBatch(signals, now)));
+
+    if (signals.length < BATCH_SIZE) break;
+    last = signals[signals.length - 1];
+  }
+
+  if (resolvedIds.length > 0) {
+    await invalidateSignalCache(resolvedIds);
+    logger.info(`Outcome evaluator: resolved ${resolvedIds.length} signal(s)`);
+  }
+
+  return resolvedIds.length;
+};
+
+/**
+ * Run one evaluation pass, skipping if the previous one is still running
+ */
+const tick = async () => {
+  if (running) return;
+  running = true;
+  try {
+    await evaluateOutcomes();
+  } catch (error) {
+    logger.error(`Outcome evaluator failed: ${error.message}`);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the evaluator on an interval
+ * Disabled with OUTCOME_EVALUATOR_ENABLED=false
+ */
+const startOutcomeEvaluator = () => {
+  if (timer || process.env.OUTCOME_EVALUATOR_ENABLED === 'false') return;
+
+  const interval = parseInt(process.env.OUTCOME_EVAL_INTERVAL_MS, 10) || 60000;
+  timer = setInterval(tick, interval);
+  timer.unref();
+
+  logger.info(`Outcome evaluator: running every ${interval / 1000}s`);
+};
+
+/**
+ * Stop the evaluator
+ */
+const stopOutcomeEvaluator = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  determineOutcome,
+  evaluateOutcomes,
+  startOutcomeEvaluator,
+  stopOutcomeEvaluator,
+};
@@ -0,0 +1,147 @@
+const Position = require('../models/Position');
+const { getPriceFeed } = require('../services/priceFeedService');
+const { closePosition } = require('../services/paperTradingService');
+const { determineOutcome } = require('./outcomeEvaluator');
+const logger = require('../utils/logger');
+
+/**
+ * Position Monitor
+ * Background worker that closes paper-trading positions when their signal's
+ * target, stop or expiry is reached
+ */
+
+const BATCH_SIZE = 500;
+
+const CLOSE_REASONS = {
+  target_hit: 'target',
+  stopped_out: 'stop',
+  expired_neutral: 'expiry',
+};
+
+let timer = null;
+let running = false;
+
+/**
+ * Decide whether a position should close at a given price
+ * Follows the live signal (so edits to its levels apply) and falls back to the
+ * levels copied on open if the signal was deleted
+ * @param {Object} position - Open position, with signal populated
+ * @param {number|null} price - Current price (null if unknown)
+ * @param {Date} now - Evaluation time
+ * @returns {string|null} Close reason or null if the position stays open
+ */
+const determineExit = (position, price, now = new Date()) => {
+  const levels = position.signal || {
+    signalType: position.side === 'long' ? 'BUY' : 'SELL',
+    targetPrice: position.targetPrice,
+    stopLoss: position.stopLoss,
+    expiresAt: position.expiresAt,
+  };
+
+  return CLOSE_REASONS[determineOutcome(levels, price, now)] || null;
+};
+
+/**
+ * Close the positions of one batch whose exit has been reached
+ * @param {Array<Object>} positions - Open positions, with signal populated
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<number>} Number of positions closed
+ */
+const monitorBatch = async (positions, now) => {
+  const prices = await getPriceFeed().getPrices(positions.map((p) => p.symbol));
+  let closedCount = 0;
+
+  for (const position of positions) {
+    const price = prices[position.symbol] ?? null;
+    const reason = determineExit(position, price, now);
+
+    if (reason) {
+      // Without a price at expiry, close flat at the entry price
+      const closed = await closePosition(position, price ?? position.entryPrice, reason, now);
+      if (closed) closedCount += 1;
+    }
+  }
+
+  return closedCount;
+};
+
+/**
+ * Check every open position against the price feed, a batch at a time
+ * Batches are paged on _id (oldest first) so every position gets checked
+ * however many are open.
+ * @returns {Promise<number>} Number of positions closed
+ */
+const monitorPositions = async () => {
+  const now = new Date();
+  let closedCount = 0;
+  let lastId = null;
+
+  for (;;) {
+    const query = { status: 'open' };
+    if (lastId) query._id = { $gt: lastId };
+
+    const positions = await Position.find(query)
+      .populate('signal', 'signalType targetPrice stopLoss takeProfits status expiresAt')
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE);
+
+    if (positions.length === 0) break;
+
+    closedCount += await monitorBatch(positions, now);
+
+    if (positions.length < BATCH_SIZE) break;
+    lastId = positions[positions.length - 1]._id;
+  }
+
+  if (closedCount > 0) {
+    logger.info(`Position monitor: closed ${closedCount} position(s)`);
+  }
+
+  return closedCount;
+};
+
+/**
+ * Run one monitoring pass, skipping if the previous one is still running
+ */
+const tick = async () => {
+  if (running) return;
+  running = true;
+  try {
+    await monitorPositions();
+  } catch (error) {
+    logger.error(`Position monitor failed: ${error.message}`);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the monitor on an interval
+ * Disabled with POSITION_MONITOR_ENABLED=false
+ */
+const startPositionMonitor = () => {
+  if (timer || process.env.POSITION_MONITOR_ENABLED === 'false') return;
+
+  const interval = parseInt(process.env.POSITION_MONITOR_INTERVAL_MS, 10) || 60000;
+  timer = setInterval(tick, interval);
+  timer.unref();
+
+  logger.info(`Position monitor: running every ${interval / 1000}s`);
+};
+
+/**
+ * Stop the monitor
+ */
+const stopPositionMonitor = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  determineExit,
+  monitorPositions,
+  startPositionMonitor,
+  stopPositionMonitor,
+};
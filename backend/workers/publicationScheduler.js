@@ -0,0 +1,97 @@
+const TradingSignal = require('../models/TradingSignal');
+const { acquireLease } = require('../services/leaseService');
+const { publishSignalEvent } = require('../services/signalEventService');
+const { invalidateSignalCache } = require('../utils/signalCache');
+const logger = require('../utils/logger');
+
+/**
+ * Publication Scheduler
+ * Background worker that publishes scheduled signals once their publish time
+ * has come and opens early-access signals to the free plan once their delay
+ * has passed. A lease keeps concurrent instances from publishing at the same
+ * time.
+ */
+
+const LEASE_NAME = 'publication-scheduler';
+
+let timer = null;
+let running = false;
+
+/**
+ * Publish due signals, clear the signal caches and notify subscribers
+ * Newly published signals go out as signal.created; signals released to the
+ * free plan go out as signal.updated, which free-plan clients see for the first time.
+ * @returns {Promise<Object>} { published, released } signal counts
+ */
+const publishDueSignals = async () => {
+  const { published, released } = await TradingSignal.publishDue();
+  const changedIds = [...published, ...released];
+
+  if (changedIds.length > 0) {
+    await invalidateSignalCache(changedIds);
+
+    const signals = await TradingSignal.find({ _id: { $in: changedIds } })
+      .populate('createdBy', 'name email')
+      .populate('asset', 'ticker name quoteCurrency');
+    signals.forEach((signal) => {
+      publishSignalEvent(published.includes(signal._id.toString()) ? 'signal.created' : 'signal.updated', signal);
+    });
+
+    logger.info(
+      `Publication scheduler: published ${published.length}, released ${released.length} signal(s) to the free plan`
+    );
+  }
+
+  return { published: published.length, released: released.length };
+};
+
+/**
+ * Run one pass if this instance holds the lease
+ * @param {number} leaseMs - Lease duration
+ */
+const tick = async (leaseMs) => {
+  if (running) return;
+  running = true;
+  try {
+    const isLeader = await acquireLease(LEASE_NAME, leaseMs);
+    if (!isLeader) {
+      logger.debug('Publication scheduler: lease held by another instance, skipping');
+      return;
+    }
+    await publishDueSignals();
+  } catch (error) {
+    logger.error(`Publication scheduler failed: ${error.message}`);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the scheduler on an interval
+ * Disabled with PUBLICATION_SCHEDULER_ENABLED=false
+ */
+const startPublicationScheduler = () => {
+  if (timer || process.env.PUBLICATION_SCHEDULER_ENABLED === 'false') return;
+
+  const interval = parseInt(process.env.PUBLICATION_SCHEDULER_INTERVAL_MS, 10) || 30000;
+  timer = setInterval(() => tick(interval), interval);
+  timer.unref();
+
+  logger.info(`Publication scheduler: running every ${interval / 1000}s`);
+};
+
+/**
+ * Stop the scheduler
+ */
+const stopPublicationScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  publishDueSignals,
+  startPublicationScheduler,
+  stopPublicationScheduler,
+};
@@ -0,0 +1,88 @@
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { subscribe } = require('../services/signalEventService');
+const { enqueueEvent, attemptDelivery } = require('../services/webhookService');
+const logger = require('../utils/logger');
+
+/**
+ * Webhook Dispatcher
+ * Queues a delivery per matching subscription whenever a signal event is
+ * published on this instance, and sends due deliveries (new ones and retries)
+ * on an interval. Deliveries are claimed atomically so any instance can send them.
+ */
+
+let timer = null;
+let running = false;
+let unsubscribe = null;
+
+/**
+ * Send due deliveries until none are left, skipping if already running
+ */
+const tick = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const lockMs = (parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000) * 3;
+    let delivery = await WebhookDelivery.claimNext(lockMs);
+
+    while (delivery) {
+      await attemptDelivery(delivery);
+      delivery = await WebhookDelivery.claimNext(lockMs);
+    }
+  } catch (error) {
+    logger.error(`Webhook dispatcher failed: ${error.message}`);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Queue deliveries for a published event and send them right away
+ * @param {Object} event - Signal event
+ */
+const handleSignalEvent = async (event) => {
+  try {
+    const queued = await enqueueEvent(event);
+    if (queued > 0 && timer) tick();
+  } catch (error) {
+    logger.error(`Webhook dispatcher: failed to queue ${event.type}: ${error.message}`);
+  }
+};
+
+/**
+ * Start queuing events and sending deliveries on an interval
+ * WEBHOOK_DISPATCHER_ENABLED=false stops this instance from sending;
+ * events it publishes are still queued for other instances
+ */
+const startWebhookDispatcher = () => {
+  if (!unsubscribe) {
+    unsubscribe = subscribe(handleSignalEvent);
+  }
+
+  if (timer || process.env.WEBHOOK_DISPATCHER_ENABLED === 'false') return;
+
+  const interval = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000;
+  timer = setInterval(tick, interval);
+  timer.unref();
+
+  logger.info(`Webhook dispatcher: polling every ${interval / 1000}s`);
+};
+
+/**
+ * Stop the dispatcher
+ */
+const stopWebhookDispatcher = () => {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  dispatchWebhooks: tick,
+  startWebhookDispatcher,
+  stopWebhookDispatcher,
+};
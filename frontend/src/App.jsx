@@ -3,10 +3,17 @@ import { Toaster } from 'react-hot-toast';
 import { AuthProvider } from './context/AuthContext';
 import Navbar from './components/Navbar';
 import PrivateRoute from './components/PrivateRoute';
+import EmailVerificationBanner from './components/EmailVerificationBanner';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import UserDashboard from './pages/UserDashboard';
 import AdminDashboard from './pages/AdminDashboard';
+import Leaderboard from './pages/Leaderboard';
+import Portfolio from './pages/Portfolio';
+import Account from './pages/Account';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 
 function App() {
   return (
@@ -17,10 +24,15 @@ function App() {
           
           {/* Main Content with responsive padding to account for navbar */}
           <main className="pt-16 sm:pt-20">
+            <EmailVerificationBanner />
+
             <Routes>
               {/* Public Routes */}
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
 
               {/* Protected Routes */}
               <Route
@@ -32,10 +44,37 @@ function App() {
                 }
               />
 
+              <Route
+                path="/leaderboard"
+                element={
+                  <PrivateRoute>
+                    <Leaderboard />
+                  </PrivateRoute>
+                }
+              />
+
+              <Route
+                path="/portfolio"
+                element={
+                  <PrivateRoute>
+                    <Portfolio />
+                  </PrivateRoute>
+                }
+              />
+
+              <Route
+                path="/account"
+                element={
+                  <PrivateRoute>
+                    <Account />
+                  </PrivateRoute>
+                }
+              />
+
               <Route
                 path="/admin"
                 element={
-                  <PrivateRoute adminOnly>
+                  <PrivateRoute permissions={['signals:create', 'signals:expire']}>
                     <AdminDashboard />
                   </PrivateRoute>
                 }
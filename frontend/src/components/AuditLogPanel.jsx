@@ -0,0 +1,298 @@
+import { Fragment, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+
+const ACTIONS = [
+  'signal.create',
+  'signal.update',
+  'signal.delete',
+  'signal.expire',
+  'user.role_change',
+  'user.deactivate',
+  'user.reactivate',
+  'user.delete',
+  'user.unlock',
+  'user.plan_change',
+  'organization.create',
+  'organization.member_invite',
+  'organization.invite_revoke',
+  'organization.member_add',
+  'organization.member_update',
+  'organization.member_remove',
+  'setting.update',
+  'auth.login',
+  'auth.login_failed',
+];
+
+const TARGET_TYPES = ['signal', 'user', 'organization', 'setting'];
+
+const emptyFilters = { action: '', targetType: '', targetId: '', actor: '', from: '', to: '' };
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Changed fields of an entry, before and after side by side
+ */
+const ChangesTable = ({ changes }) => {
+  const fields = [...new Set([...Object.keys(changes.before || {}), ...Object.keys(changes.after || {})])];
+
+  return (
+    <table className="w-full text-xs">
+      <thead>
+        <tr className="text-gray-500">
+          <th className="text-left py-1 pr-4 font-medium">Field</th>
+          <th className="text-left py-1 pr-4 font-medium">Before</th>
+          <th className="text-left py-1 font-medium">After</th>
+        </tr>
+      </thead>
+      <tbody>
+        {fields.map((field) => (
+          <tr key={field} className="align-top">
+            <td className="py-1 pr-4 text-gray-400 font-mono">{field}</td>
+            <td className="py-1 pr-4 text-crypto-danger font-mono break-all">
+              {changes.before ? formatValue(changes.before[field]) : '—'}
+            </td>
+            <td className="py-1 text-crypto-accent font-mono break-all">
+              {changes.after ? formatValue(changes.after[field]) : '—'}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+/**
+ * Admin viewer for the audit log, filterable by action, target, actor and date
+ */
+const AuditLogPanel = () => {
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(1);
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      setLoading(true);
+      try {
+        const params = { page, limit: 25 };
+        Object.entries(filters).forEach(([key, value]) => {
+          if (value === '') return;
+          // Date inputs give local days; send the whole day
+          if (key === 'from') params.from = new Date(`${value}T00:00:00`).toISOString();
+          else if (key === 'to') params.to = new Date(`${value}T23:59:59.999`).toISOString();
+          else params[key] = value;
+        });
+
+        const { data } = await api.get('/audit-logs', { params });
+        setEntries(data.data);
+        setPagination(data.pagination);
+      } catch (error) {
+        const data = error.response?.data;
+        toast.error(data?.errors?.[0]?.message || data?.message || 'Failed to fetch audit log');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEntries();
+  }, [filters, page]);
+
+  const updateFilters = (changes) => {
+    setFilters((current) => ({ ...current, ...changes }));
+    setPage(1);
+    setExpanded(null);
+  };
+
+  const hasFilters = Object.values(filters).some((value) => value !== '');
+
+  return (
+    <div className="space-y-4">
+      {/* Filters */}
+      <div className="card grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+        <select
+          value={filters.action}
+          onChange={(e) => updateFilters({ action: e.target.value })}
+          className="input-field"
+        >
+          <option value="">All actions</option>
+          {ACTIONS.map((action) => (
+            <option key={action} value={action}>
+              {action}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.targetType}
+          onChange={(e) => updateFilters({ targetType: e.target.value })}
+          className="input-field"
+        >
+          <option value="">All targets</option>
+          {TARGET_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {type}
+            </option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={filters.from}
+          onChange={(e) => updateFilters({ from: e.target.value })}
+          className="input-field"
+          title="From"
+        />
+        <input
+          type="date"
+          value={filters.to}
+          onChange={(e) => updateFilters({ to: e.target.value })}
+          className="input-field"
+          title="To"
+        />
+        {(filters.actor || filters.targetId) && (
+          <p className="text-xs text-gray-400 sm:col-span-2 lg:col-span-4">
+            {filters.actor && <>Actor <span className="font-mono">{filters.actor}</span> </>}
+            {filters.targetId && <>Target <span className="font-mono">{filters.targetId}</span></>}
+          </p>
+        )}
+        {hasFilters && (
+          <button
+            type="button"
+            onClick={() => updateFilters(emptyFilters)}
+            className="text-sm text-crypto-accent hover:underline text-left"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-crypto-accent"></div>
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="card text-center text-gray-400 py-8">No audit entries found</div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-gray-700">
+                <th className="text-left py-3 px-4 text-gray-400 font-medium">Time</th>
+                <th className="text-left py-3 px-4 text-gray-400 font-medium">Actor</th>
+                <th className="text-left py-3 px-4 text-gray-400 font-medium">Action</th>
+                <th className="text-left py-3 px-4 text-gray-400 font-medium">Target</th>
+                <th className="text-left py-3 px-4 text-gray-400 font-medium">IP</th>
+                <th className="text-left py-3 px-4 text-gray-400 font-medium"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <Fragment key={entry._id}>
+                  <tr className="border-b border-gray-800 hover:bg-white/5 text-sm">
+                    <td className="py-3 px-4 text-gray-300 whitespace-nowrap">
+                      {new Date(entry.createdAt).toLocaleString()}
+                    </td>
+                    <td className="py-3 px-4">
+                      {entry.actor ? (
+                        <button
+                          onClick={() => updateFilters({ actor: entry.actor })}
+                          className="text-white hover:text-crypto-accent"
+                          title="Show this actor's actions"
+                        >
+                          {entry.actorEmail}
+                        </button>
+                      ) : (
+                        <span className="text-gray-500">{entry.metadata?.email || 'anonymous'}</span>
+                      )}
+                    </td>
+                    <td className="py-3 px-4">
+                      <span
+                        className={`badge text-xs ${
+                          entry.action.endsWith('delete') ||
+                          entry.action.endsWith('remove') ||
+                          entry.action === 'auth.login_failed'
+                            ? 'bg-crypto-danger/20 text-crypto-danger'
+                            : 'bg-crypto-accent/20 text-crypto-accent'
+                        }`}
+                      >
+                        {entry.action}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4">
+                      <button
+                        onClick={() => updateFilters({ targetType: entry.targetType, targetId: entry.targetId })}
+                        className="text-gray-300 hover:text-crypto-accent font-mono text-xs"
+                        title="Show this target's history"
+                      >
+                        {entry.targetType} {entry.targetId}
+                      </button>
+                    </td>
+                    <td className="py-3 px-4 text-gray-400 text-xs">{entry.ip || '—'}</td>
+                    <td className="py-3 px-4">
+                      <button
+                        onClick={() => setExpanded(expanded === entry._id ? null : entry._id)}
+                        className="text-crypto-accent hover:underline text-xs"
+                      >
+                        {expanded === entry._id ? 'Hide' : 'Details'}
+                      </button>
+                    </td>
+                  </tr>
+                  {expanded === entry._id && (
+                    <tr className="border-b border-gray-800 bg-black/20">
+                      <td colSpan={6} className="px-4 py-3 space-y-3">
+                        {entry.changes ? (
+                          <ChangesTable changes={entry.changes} />
+                        ) : (
+                          <p className="text-xs text-gray-500">No field changes recorded</p>
+                        )}
+                        {entry.metadata && (
+                          <p className="text-xs text-gray-400 font-mono break-all">
+                            {JSON.stringify(entry.metadata)}
+                          </p>
+                        )}
+                        <p className="text-xs text-gray-500">
+                          Request {entry.requestId || '—'} · {entry.userAgent || 'Unknown client'}
+                        </p>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between">
+          <button
+            type="button"
+            onClick={() => setPage((p) => p - 1)}
+            disabled={!pagination.hasPrevPage}
+            className="btn-secondary text-sm disabled:opacity-50"
+          >
+            Newer
+          </button>
+          <span className="text-sm text-gray-400">
+            Page {pagination.page} of {pagination.totalPages} · {pagination.total} entries
+          </span>
+          <button
+            type="button"
+            onClick={() => setPage((p) => p + 1)}
+            disabled={!pagination.hasNextPage}
+            className="btn-secondary text-sm disabled:opacity-50"
+          >
+            Older
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogPanel;
@@ -0,0 +1,99 @@
+import { useState } from 'react';
+import ReliabilityChart from './ReliabilityChart';
+
+/**
+ * Confidence calibration report with a scope picker (overall, per analyst, per asset)
+ */
+const CalibrationPanel = ({ calibration }) => {
+  const [scope, setScope] = useState('overall');
+
+  const scopes = [
+    { value: 'overall', label: 'All signals', report: calibration.overall },
+    ...calibration.byAnalyst.map((group) => ({
+      value: `analyst:${group.id}`,
+      label: `Analyst: ${group.name}`,
+      report: group,
+    })),
+    ...calibration.byAsset.map((group) => ({
+      value: `asset:${group.id}`,
+      label: `Asset: ${group.name}`,
+      report: group,
+    })),
+  ];
+  const selected = scopes.find((s) => s.value === scope) || scopes[0];
+  const { report } = selected;
+
+  return (
+    <div className="card mb-6 sm:mb-8">
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3 mb-4">
+        <div>
+          <h2 className="text-lg sm:text-xl font-semibold text-white">Confidence Calibration</h2>
+          <p className="text-xs sm:text-sm text-gray-400">
+            Stated confidence vs. real success rate of resolved signals
+          </p>
+        </div>
+        <select
+          value={selected.value}
+          onChange={(e) => setScope(e.target.value)}
+          className="input-field text-sm sm:w-64"
+        >
+          {scopes.map((s) => (
+            <option key={s.value} value={s.value}>
+              {s.label} ({s.report.count})
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {report.count === 0 ? (
+        <p className="text-center text-gray-400 text-sm py-8">No resolved signals yet</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 items-center">
+          <ReliabilityChart buckets={report.buckets} />
+
+          <div>
+            <div className="grid grid-cols-3 gap-3 mb-4">
+              <div>
+                <p className="text-xs text-gray-400 mb-1">Resolved</p>
+                <p className="text-white font-semibold">{report.count}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-400 mb-1">Calibration Error</p>
+                <p className="text-white font-semibold">{report.calibrationError} pts</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-400 mb-1">Brier Score</p>
+                <p className="text-white font-semibold">{report.brierScore}</p>
+              </div>
+            </div>
+
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-700">
+                  <th className="text-left py-2 px-2 text-gray-400 font-medium">Bucket</th>
+                  <th className="text-left py-2 px-2 text-gray-400 font-medium">Signals</th>
+                  <th className="text-left py-2 px-2 text-gray-400 font-medium">Stated</th>
+                  <th className="text-left py-2 px-2 text-gray-400 font-medium">Actual</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.buckets.map((b) => (
+                  <tr key={b.range} className="border-b border-gray-800">
+                    <td className="py-2 px-2 text-gray-300">{b.range}%</td>
+                    <td className="py-2 px-2 text-gray-300">{b.count}</td>
+                    <td className="py-2 px-2 text-gray-300">{b.avgConfidence}%</td>
+                    <td className={`py-2 px-2 ${b.gap < 0 ? 'text-crypto-danger' : 'text-crypto-accent'}`}>
+                      {b.successRate}%
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalibrationPanel;
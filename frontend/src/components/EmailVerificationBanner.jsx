@@ -0,0 +1,47 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * Reminds signed-in users with an unverified email to confirm it
+ * Accounts created before verification existed have no flag and are treated as verified
+ */
+const EmailVerificationBanner = () => {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      await api.post('/auth/resend-verification');
+      toast.success(`Verification email sent to ${user.email}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-crypto-gold/10 border-b border-crypto-gold/30">
+      <div className="max-w-7xl mx-auto px-3 sm:px-4 lg:px-8 py-2 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <p className="text-xs sm:text-sm text-crypto-gold">
+          Please verify your email address. Until then you can view signals but not make changes.
+        </p>
+        <button
+          type="button"
+          onClick={handleResend}
+          disabled={sending}
+          className="text-xs sm:text-sm font-medium text-crypto-gold hover:underline disabled:opacity-50 self-start sm:self-auto"
+        >
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
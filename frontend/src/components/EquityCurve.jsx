@@ -0,0 +1,53 @@
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = 30;
+
+/**
+ * Line chart of account equity over time
+ * Points are spaced evenly (one per trade), with the starting balance as baseline
+ */
+const EquityCurve = ({ points, baseline }) => {
+  if (points.length < 2) {
+    return <p className="text-center text-gray-400 text-sm py-8">Not enough closed trades yet</p>;
+  }
+
+  const values = points.map((p) => p.equity);
+  const min = Math.min(baseline, ...values);
+  const max = Math.max(baseline, ...values);
+  const range = max - min || 1;
+
+  const toX = (index) => PADDING + (index / (points.length - 1)) * (WIDTH - PADDING * 2);
+  const toY = (value) => HEIGHT - PADDING - ((value - min) / range) * (HEIGHT - PADDING * 2);
+
+  const path = points.map((p, i) => `${toX(i)},${toY(p.equity)}`).join(' ');
+  const last = values[values.length - 1];
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full" role="img" aria-label="Equity curve">
+      {/* Starting balance */}
+      <line
+        x1={PADDING}
+        x2={WIDTH - PADDING}
+        y1={toY(baseline)}
+        y2={toY(baseline)}
+        stroke="#6b7280"
+        strokeDasharray="4 4"
+      />
+      <text x={PADDING} y={toY(baseline) - 6} fontSize="10" fill="#9ca3af">
+        ${baseline.toLocaleString()}
+      </text>
+
+      <polyline
+        points={path}
+        fill="none"
+        stroke={last >= baseline ? '#10b981' : '#ef4444'}
+        strokeWidth="2"
+      />
+      <text x={WIDTH - PADDING} y={toY(last) - 6} textAnchor="end" fontSize="10" fill="#d1d5db">
+        ${last.toLocaleString()}
+      </text>
+    </svg>
+  );
+};
+
+export default EquityCurve;
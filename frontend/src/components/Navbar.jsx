@@ -3,7 +3,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
 const Navbar = () => {
-  const { user, logout, isAdmin } = useAuth();
+  const { user, logout, isAdmin, canManageSignals } = useAuth();
   const navigate = useNavigate();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
 
@@ -44,10 +44,31 @@ const Navbar = () => {
             {user ? (
               <>
                 <Link
-                  to={isAdmin ? '/admin' : '/dashboard'}
+                  to={canManageSignals ? '/admin' : '/dashboard'}
                   className="text-gray-300 hover:text-crypto-accent transition-colors text-sm lg:text-base"
                 >
-                  {isAdmin ? 'Admin Dashboard' : 'Dashboard'}
+                  {isAdmin ? 'Admin Dashboard' : canManageSignals ? 'Manage Signals' : 'Dashboard'}
+                </Link>
+
+                <Link
+                  to="/leaderboard"
+                  className="text-gray-300 hover:text-crypto-accent transition-colors text-sm lg:text-base"
+                >
+                  Leaderboard
+                </Link>
+
+                <Link
+                  to="/portfolio"
+                  className="text-gray-300 hover:text-crypto-accent transition-colors text-sm lg:text-base"
+                >
+                  Portfolio
+                </Link>
+
+                <Link
+                  to="/account"
+                  className="text-gray-300 hover:text-crypto-accent transition-colors text-sm lg:text-base"
+                >
+                  Account
                 </Link>
                 
                 <div className="flex items-center space-x-4">
@@ -56,9 +77,9 @@ const Navbar = () => {
                     <p className="text-crypto-accent font-semibold">{user.name}</p>
                   </div>
                   
-                  {isAdmin && (
+                  {user.role !== 'user' && (
                     <span className="badge bg-crypto-gold/20 text-crypto-gold text-xs">
-                      ADMIN
+                      {user.role.toUpperCase()}
                     </span>
                   )}
                   
@@ -124,9 +145,9 @@ const Navbar = () => {
                     <p className="text-sm font-semibold text-crypto-accent">{user.name}</p>
                     <p className="text-xs text-gray-500 mt-0.5">{user.email}</p>
                   </div>
-                  {isAdmin && (
+                  {user.role !== 'user' && (
                     <span className="badge bg-crypto-gold/20 text-crypto-gold text-xs">
-                      ADMIN
+                      {user.role.toUpperCase()}
                     </span>
                   )}
                 </div>
@@ -134,7 +155,7 @@ const Navbar = () => {
 
               {/* Dashboard Link */}
               <Link
-                to={isAdmin ? '/admin' : '/dashboard'}
+                to={canManageSignals ? '/admin' : '/dashboard'}
                 onClick={closeMobileMenu}
                 className="block w-full text-left px-4 py-3 rounded-lg text-gray-300 hover:text-crypto-accent hover:bg-white/5 transition-all text-sm font-medium"
               >
@@ -142,7 +163,49 @@ const Navbar = () => {
                   <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z" />
                   </svg>
-                  <span>{isAdmin ? 'Admin Dashboard' : 'Dashboard'}</span>
+                  <span>{isAdmin ? 'Admin Dashboard' : canManageSignals ? 'Manage Signals' : 'Dashboard'}</span>
+                </div>
+              </Link>
+
+              {/* Leaderboard Link */}
+              <Link
+                to="/leaderboard"
+                onClick={closeMobileMenu}
+                className="block w-full text-left px-4 py-3 rounded-lg text-gray-300 hover:text-crypto-accent hover:bg-white/5 transition-all text-sm font-medium"
+              >
+                <div className="flex items-center space-x-2">
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+                  </svg>
+                  <span>Leaderboard</span>
+                </div>
+              </Link>
+
+              {/* Portfolio Link */}
+              <Link
+                to="/portfolio"
+                onClick={closeMobileMenu}
+                className="block w-full text-left px-4 py-3 rounded-lg text-gray-300 hover:text-crypto-accent hover:bg-white/5 transition-all text-sm font-medium"
+              >
+                <div className="flex items-center space-x-2">
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" />
+                  </svg>
+                  <span>Portfolio</span>
+                </div>
+              </Link>
+
+              {/* Account Link */}
+              <Link
+                to="/account"
+                onClick={closeMobileMenu}
+                className="block w-full text-left px-4 py-3 rounded-lg text-gray-300 hover:text-crypto-accent hover:bg-white/5 transition-all text-sm font-medium"
+              >
+                <div className="flex items-center space-x-2">
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
+                  </svg>
+                  <span>Account</span>
                 </div>
               </Link>
               
@@ -0,0 +1,438 @@
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+
+const ORG_ROLES = ['member', 'analyst', 'admin'];
+
+const getErrorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  return data?.errors?.[0]?.message || data?.message || fallback;
+};
+
+/**
+ * Members of one organization; org admins can invite, promote and remove
+ * them and revoke pending invites
+ */
+const MembersList = ({ organization, canManage, onChange }) => {
+  const { user } = useAuth();
+  const [members, setMembers] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState({ email: '', role: 'member' });
+  const [busy, setBusy] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const fetchMembers = async () => {
+      try {
+        const { data } = await api.get(`/organizations/${organization._id}/members`);
+        setMembers(data.data.members);
+        setInvites(data.data.invites || []);
+      } catch (error) {
+        toast.error(getErrorMessage(error, 'Failed to load members'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchMembers();
+  }, [organization._id, refreshKey]);
+
+  const runAction = async (request, successMessage) => {
+    setBusy(true);
+    try {
+      const { data } = await request();
+      toast.success(successMessage || data.message);
+      setRefreshKey((key) => key + 1);
+      return true;
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Action failed'));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const invited = await runAction(() => api.post(`/organizations/${organization._id}/invites`, form));
+    if (invited) setForm({ email: '', role: 'member' });
+  };
+
+  const handleRevoke = (invite) =>
+    runAction(
+      () => api.delete(`/organizations/${organization._id}/invites/${invite.id}`),
+      `Invite for ${invite.email} revoked`
+    );
+
+  const handleRoleChange = (member, role) =>
+    runAction(
+      () => api.patch(`/organizations/${organization._id}/members/${member.user.id}`, { role }),
+      `${member.user.name} is now ${role}`
+    );
+
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${member.user.email} from ${organization.name}?`)) return;
+
+    const removed = await runAction(
+      () => api.delete(`/organizations/${organization._id}/members/${member.user.id}`),
+      `${member.user.name} removed`
+    );
+    if (removed && member.user.id === user?.id) onChange();
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-4">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-crypto-accent"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3 pt-3">
+      <ul className="divide-y divide-white/5">
+        {members.map((member) => (
+          <li key={member.user.id} className="py-2 flex items-center justify-between gap-4 text-sm">
+            <div className="min-w-0">
+              <p className="text-white truncate">
+                {member.user.name}
+                {member.user.id === user?.id && <span className="text-xs text-gray-500"> (you)</span>}
+              </p>
+              <p className="text-xs text-gray-500 truncate">{member.user.email}</p>
+            </div>
+            <div className="flex items-center gap-3">
+              {canManage ? (
+                <select
+                  value={member.role}
+                  onChange={(e) => handleRoleChange(member, e.target.value)}
+                  disabled={busy}
+                  className="input-field py-1 text-sm w-28 disabled:opacity-50"
+                >
+                  {ORG_ROLES.map((role) => (
+                    <option key={role} value={role}>
+                      {role}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <span className="badge bg-gray-500/20 text-gray-300 text-xs">{member.role}</span>
+              )}
+              {canManage && member.user.id !== user?.id && (
+                <button
+                  type="button"
+                  onClick={() => handleRemove(member)}
+                  disabled={busy}
+                  className="text-crypto-danger hover:text-red-600 text-xs disabled:opacity-50"
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {invites.length > 0 && (
+        <div>
+          <p className="text-xs text-gray-500 mb-1">Pending invites</p>
+          <ul className="divide-y divide-white/5">
+            {invites.map((invite) => (
+              <li key={invite.id} className="py-2 flex items-center justify-between gap-4 text-sm">
+                <div className="min-w-0">
+                  <p className="text-gray-300 truncate">{invite.email}</p>
+                  <p className="text-xs text-gray-500">
+                    {invite.role} · expires {new Date(invite.expiresAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleRevoke(invite)}
+                  disabled={busy}
+                  className="text-crypto-danger hover:text-red-600 text-xs disabled:opacity-50"
+                >
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {canManage && (
+        <form onSubmit={handleInvite} className="flex flex-col sm:flex-row gap-2">
+          <input
+            type="email"
+            value={form.email}
+            onChange={(e) => setForm((current) => ({ ...current, email: e.target.value }))}
+            className="input-field"
+            placeholder="user@example.com"
+            required
+          />
+          <select
+            value={form.role}
+            onChange={(e) => setForm((current) => ({ ...current, role: e.target.value }))}
+            className="input-field sm:w-32"
+          >
+            {ORG_ROLES.map((role) => (
+              <option key={role} value={role}>
+                {role}
+              </option>
+            ))}
+          </select>
+          <button type="submit" disabled={busy} className="btn-secondary whitespace-nowrap disabled:opacity-50">
+            Invite
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+/**
+ * The user's organizations: accept invites, switch the one they work in, see
+ * members and, as an org admin, manage them. Admins can create organizations.
+ */
+const OrganizationsPanel = () => {
+  const { user, isAdmin, updateUser } = useAuth();
+  const [organizations, setOrganizations] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const fetchOrganizations = async () => {
+      try {
+        const [{ data }, { data: inviteData }] = await Promise.all([
+          api.get('/organizations'),
+          api.get('/organizations/invites'),
+        ]);
+        setOrganizations(data.data.organizations);
+        setInvites(inviteData.data.invites);
+      } catch (error) {
+        toast.error(getErrorMessage(error, 'Failed to load organizations'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOrganizations();
+  }, [refreshKey]);
+
+  const handleSwitch = async (organization) => {
+    setBusy(true);
+    try {
+      const { data } = await api.post(`/organizations/${organization._id}/switch`);
+      updateUser({ ...user, ...data.data.user });
+      toast.success(data.message);
+      setRefreshKey((key) => key + 1);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to switch organization'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAccept = async (invite) => {
+    setBusy(true);
+    try {
+      const { data } = await api.post(`/organizations/invites/${invite.id}/accept`);
+      updateUser({ ...user, ...data.data.user });
+      toast.success(data.message);
+      setRefreshKey((key) => key + 1);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to accept invite'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDecline = async (invite) => {
+    setBusy(true);
+    try {
+      await api.delete(`/organizations/invites/${invite.id}`);
+      setInvites((current) => current.filter((item) => item.id !== invite.id));
+      toast.success(`Invite to ${invite.organization.name} declined`);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to decline invite'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleLeave = async (organization) => {
+    if (!window.confirm(`Leave ${organization.name}? You will lose access to its signals.`)) return;
+
+    setBusy(true);
+    try {
+      await api.delete(`/organizations/${organization._id}/members/${user.id}`);
+      // The profile follows the organization the user moved to, with its role's permissions
+      const [{ data }, { data: profileData }] = await Promise.all([
+        api.get('/organizations'),
+        api.get('/auth/me'),
+      ]);
+      updateUser({ ...user, ...profileData.data.user });
+      setOrganizations(data.data.organizations);
+      setExpanded(null);
+      toast.success(`You left ${organization.name}`);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to leave organization'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    setBusy(true);
+    try {
+      await api.post('/organizations', { name: newName.trim() });
+      toast.success(`${newName.trim()} created`);
+      setNewName('');
+      setRefreshKey((key) => key + 1);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to create organization'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="card space-y-4">
+      <div>
+        <h2 className="text-lg font-semibold text-white">Organizations</h2>
+        <p className="text-xs text-gray-500 mt-1">
+          Signals belong to an organization. You see the signals of the one you're working in; writing
+          them there also takes the analyst or admin role in it.
+        </p>
+      </div>
+
+      {invites.length > 0 && (
+        <ul className="divide-y divide-white/5 rounded-lg border border-crypto-accent/30 px-3">
+          {invites.map((invite) => (
+            <li key={invite.id} className="py-3 flex items-center justify-between gap-4 text-sm">
+              <p className="text-white min-w-0 truncate">
+                You are invited to <span className="font-medium">{invite.organization.name}</span> as {invite.role}
+              </p>
+              <div className="flex items-center gap-3 text-xs whitespace-nowrap">
+                <button
+                  type="button"
+                  onClick={() => handleDecline(invite)}
+                  disabled={busy}
+                  className="text-crypto-danger hover:underline disabled:opacity-50"
+                >
+                  Decline
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleAccept(invite)}
+                  disabled={busy}
+                  className="btn-secondary text-xs py-1 px-3 disabled:opacity-50"
+                >
+                  Accept
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-crypto-accent"></div>
+        </div>
+      ) : organizations.length === 0 ? (
+        <p className="text-sm text-gray-400">
+          You are not in any organization yet. Ask an organization admin to invite you.
+        </p>
+      ) : (
+        <ul className="divide-y divide-white/5">
+          {organizations.map((organization) => (
+            <li key={organization._id} className="py-3">
+              <div className="flex items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="text-sm text-white flex items-center gap-2">
+                    {organization.name}
+                    {organization.isCurrent && (
+                      <span className="badge bg-crypto-accent/20 text-crypto-accent text-xs">CURRENT</span>
+                    )}
+                    {organization.role === 'admin' && (
+                      <span className="badge bg-crypto-gold/20 text-crypto-gold text-xs">ADMIN</span>
+                    )}
+                    {organization.role === 'analyst' && (
+                      <span className="badge bg-blue-500/20 text-blue-400 text-xs">ANALYST</span>
+                    )}
+                  </p>
+                  {organization.description && (
+                    <p className="text-xs text-gray-500 truncate">{organization.description}</p>
+                  )}
+                </div>
+                <div className="flex items-center gap-3 text-xs whitespace-nowrap">
+                  <button
+                    type="button"
+                    onClick={() => setExpanded(expanded === organization._id ? null : organization._id)}
+                    className="text-crypto-accent hover:underline"
+                  >
+                    {expanded === organization._id ? 'Hide members' : 'Members'}
+                  </button>
+                  {organization.role !== 'admin' && (
+                    <button
+                      type="button"
+                      onClick={() => handleLeave(organization)}
+                      disabled={busy}
+                      className="text-crypto-danger hover:underline disabled:opacity-50"
+                    >
+                      Leave
+                    </button>
+                  )}
+                  {!organization.isCurrent && (
+                    <button
+                      type="button"
+                      onClick={() => handleSwitch(organization)}
+                      disabled={busy}
+                      className="btn-secondary text-xs py-1 px-3 disabled:opacity-50"
+                    >
+                      Switch
+                    </button>
+                  )}
+                </div>
+              </div>
+              {expanded === organization._id && (
+                <MembersList
+                  organization={organization}
+                  canManage={organization.role === 'admin' || isAdmin}
+                  onChange={() => setRefreshKey((key) => key + 1)}
+                />
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {isAdmin && (
+        <form onSubmit={handleCreate} className="flex gap-2 pt-2 border-t border-white/5">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            className="input-field"
+            placeholder="New organization name"
+            minLength={2}
+            maxLength={80}
+            required
+          />
+          <button type="submit" disabled={busy} className="btn-primary whitespace-nowrap disabled:opacity-50">
+            Create
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default OrganizationsPanel;
@@ -0,0 +1,92 @@
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+
+const PLAN_DESCRIPTIONS = {
+  free: 'Free signals with full price levels; premium signals with levels hidden',
+  pro: 'Adds entry, target and stop levels on pro signals',
+  elite: 'Every signal, including elite-only calls',
+};
+
+/**
+ * Current plan with upgrade buttons when a payment provider is configured
+ */
+const PlanPanel = () => {
+  const { user, updateUser } = useAuth();
+  const [plans, setPlans] = useState(null);
+  const [buying, setBuying] = useState(null);
+
+  useEffect(() => {
+    api
+      .get('/plans')
+      .then(({ data }) => setPlans(data.data))
+      .catch(() => toast.error('Failed to load plans'));
+  }, []);
+
+  const handleCheckout = async (plan) => {
+    setBuying(plan);
+    try {
+      const { data } = await api.post('/plans/checkout', { plan });
+      const { checkout, user: profile } = data.data;
+
+      if (checkout.status === 'paid') {
+        updateUser({ ...user, ...profile });
+        setPlans((current) => ({ ...current, current: profile.plan, expiresAt: profile.planExpiresAt }));
+        toast.success(data.message);
+      } else if (checkout.url) {
+        window.location.href = checkout.url;
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Checkout failed');
+    } finally {
+      setBuying(null);
+    }
+  };
+
+  if (!plans) return null;
+
+  return (
+    <div className="card space-y-4">
+      <div>
+        <h2 className="text-lg font-semibold text-white">Plan</h2>
+        <p className="text-xs text-gray-500 mt-1">
+          You're on <span className="text-white font-medium">{plans.current}</span>
+          {plans.expiresAt && <> until {new Date(plans.expiresAt).toLocaleDateString()}</>}.
+        </p>
+      </div>
+
+      <ul className="divide-y divide-white/5">
+        {plans.plans.map((plan) => (
+          <li key={plan} className="py-3 flex items-center justify-between gap-4">
+            <div className="min-w-0">
+              <p className="text-sm text-white capitalize flex items-center gap-2">
+                {plan}
+                {plan === plans.current && (
+                  <span className="badge bg-crypto-accent/20 text-crypto-accent text-xs">CURRENT</span>
+                )}
+              </p>
+              <p className="text-xs text-gray-500">{PLAN_DESCRIPTIONS[plan]}</p>
+            </div>
+            {plans.plans.indexOf(plan) > plans.plans.indexOf(plans.current) && plans.checkoutAvailable && (
+              <button
+                type="button"
+                onClick={() => handleCheckout(plan)}
+                disabled={buying !== null}
+                className="btn-secondary text-xs py-1 px-3 whitespace-nowrap disabled:opacity-50"
+              >
+                {buying === plan ? 'Processing...' : `Get ${plan}`}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {!plans.checkoutAvailable && (
+        <p className="text-xs text-gray-500">Contact support to change your plan.</p>
+      )}
+    </div>
+  );
+};
+
+export default PlanPanel;
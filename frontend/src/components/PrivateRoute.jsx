@@ -1,8 +1,9 @@
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
-const PrivateRoute = ({ children, adminOnly = false }) => {
-  const { isAuthenticated, isAdmin, loading } = useAuth();
+// permissions: the user needs at least one of them (e.g. ['signals:create', 'signals:expire'])
+const PrivateRoute = ({ children, adminOnly = false, permissions = [] }) => {
+  const { isAuthenticated, isAdmin, hasPermission, loading } = useAuth();
 
   if (loading) {
     return (
@@ -20,6 +21,10 @@ const PrivateRoute = ({ children, adminOnly = false }) => {
     return <Navigate to="/dashboard" replace />;
   }
 
+  if (permissions.length > 0 && !permissions.some((permission) => hasPermission(permission))) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
   return children;
 };
 
@@ -0,0 +1,85 @@
+const SIZE = 320;
+const PADDING = 40;
+const PLOT = SIZE - PADDING * 2;
+const TICKS = [0, 25, 50, 75, 100];
+
+// Map a 0-100 value to plot coordinates (y grows downwards in SVG)
+const toX = (value) => PADDING + (value / 100) * PLOT;
+const toY = (value) => PADDING + PLOT - (value / 100) * PLOT;
+
+/**
+ * Reliability diagram: stated confidence vs. real success rate per bucket.
+ * Points on the dashed diagonal are perfectly calibrated; points below it
+ * are overconfident, points above it underconfident.
+ */
+const ReliabilityChart = ({ buckets }) => {
+  const maxCount = Math.max(1, ...buckets.map((b) => b.count));
+  const points = buckets.map((b) => `${toX(b.avgConfidence)},${toY(b.successRate)}`).join(' ');
+
+  return (
+    <svg
+      viewBox={`0 0 ${SIZE} ${SIZE}`}
+      className="w-full max-w-sm mx-auto"
+      role="img"
+      aria-label="Reliability chart of stated confidence against success rate"
+    >
+      {/* Grid and axis labels */}
+      {TICKS.map((tick) => (
+        <g key={tick}>
+          <line x1={toX(0)} x2={toX(100)} y1={toY(tick)} y2={toY(tick)} stroke="#1f2937" />
+          <line x1={toX(tick)} x2={toX(tick)} y1={toY(0)} y2={toY(100)} stroke="#1f2937" />
+          <text x={PADDING - 8} y={toY(tick) + 4} textAnchor="end" fontSize="10" fill="#9ca3af">
+            {tick}
+          </text>
+          <text x={toX(tick)} y={SIZE - PADDING + 16} textAnchor="middle" fontSize="10" fill="#9ca3af">
+            {tick}
+          </text>
+        </g>
+      ))}
+      <text x={SIZE / 2} y={SIZE - 6} textAnchor="middle" fontSize="11" fill="#d1d5db">
+        Stated confidence (%)
+      </text>
+      <text
+        x={12}
+        y={SIZE / 2}
+        textAnchor="middle"
+        fontSize="11"
+        fill="#d1d5db"
+        transform={`rotate(-90 12 ${SIZE / 2})`}
+      >
+        Success rate (%)
+      </text>
+
+      {/* Perfect calibration */}
+      <line
+        x1={toX(0)}
+        y1={toY(0)}
+        x2={toX(100)}
+        y2={toY(100)}
+        stroke="#6b7280"
+        strokeDasharray="4 4"
+      />
+
+      {/* Buckets - area scales with the number of signals */}
+      {buckets.length > 1 && (
+        <polyline points={points} fill="none" stroke="#10b981" strokeWidth="2" />
+      )}
+      {buckets.map((b) => (
+        <circle
+          key={b.range}
+          cx={toX(b.avgConfidence)}
+          cy={toY(b.successRate)}
+          r={3 + 7 * Math.sqrt(b.count / maxCount)}
+          fill={b.gap < 0 ? '#ef4444' : '#10b981'}
+          fillOpacity="0.8"
+        >
+          <title>
+            {`${b.range}%: ${b.hits}/${b.count} hit (${b.successRate}% vs ${b.avgConfidence}% stated)`}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+export default ReliabilityChart;
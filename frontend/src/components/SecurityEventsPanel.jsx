@@ -0,0 +1,126 @@
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+const EVENT_LABELS = {
+  unfamiliar_login: { label: 'New sign-in', className: 'bg-crypto-gold/20 text-crypto-gold' },
+  account_locked: { label: 'Account locked', className: 'bg-crypto-danger/20 text-crypto-danger' },
+  account_unlocked: { label: 'Account unlocked', className: 'bg-crypto-accent/20 text-crypto-accent' },
+  refresh_token_reuse: { label: 'Session revoked', className: 'bg-crypto-danger/20 text-crypto-danger' },
+};
+
+const describeEvent = (event) => {
+  const details = event.details || {};
+
+  switch (event.type) {
+    case 'unfamiliar_login': {
+      const what = [details.newDevice && 'device', details.newIp && 'IP address'].filter(Boolean).join(' and ');
+      return `Signed in from a new ${what || 'location'}: ${details.device || 'Unknown device'}`;
+    }
+    case 'account_locked':
+      return `Locked after ${details.failures} failed sign-ins until ${formatDateTime(details.lockedUntil)}`;
+    case 'account_unlocked':
+      return 'Unlocked by an administrator';
+    case 'refresh_token_reuse':
+      return `An old sign-in token for ${details.sessionName || 'a device'} was reused, so that device was signed out`;
+    default:
+      return event.type;
+  }
+};
+
+/**
+ * Recent security activity on the account
+ */
+const SecurityEventsPanel = () => {
+  const [events, setEvents] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchEvents = async () => {
+      setLoading(true);
+      try {
+        const { data } = await api.get('/auth/security-events', { params: { page, limit: 10 } });
+        setEvents(data.data);
+        setPagination(data.pagination);
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to load security activity');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEvents();
+  }, [page]);
+
+  return (
+    <div className="card space-y-4">
+      <div>
+        <h2 className="text-lg font-semibold text-white">Security Activity</h2>
+        <p className="text-xs text-gray-500 mt-1">
+          Sign-ins from new devices, lockouts and revoked sessions. If something here wasn't you,
+          change your password.
+        </p>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-crypto-accent"></div>
+        </div>
+      ) : events.length === 0 ? (
+        <p className="text-sm text-gray-500">No security events yet.</p>
+      ) : (
+        <ul className="divide-y divide-white/5">
+          {events.map((event) => {
+            const meta = EVENT_LABELS[event.type] || { label: event.type, className: 'bg-gray-500/20 text-gray-400' };
+
+            return (
+              <li key={event._id} className="py-3 space-y-1">
+                <div className="flex items-center justify-between gap-4">
+                  <span className={`badge text-xs ${meta.className}`}>{meta.label}</span>
+                  <span className="text-xs text-gray-500 whitespace-nowrap">{formatDateTime(event.createdAt)}</span>
+                </div>
+                <p className="text-sm text-gray-300">{describeEvent(event)}</p>
+                {event.ip && (
+                  <p className="text-xs text-gray-500 truncate" title={event.userAgent}>
+                    {event.ip}
+                  </p>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between text-sm">
+          <button
+            type="button"
+            onClick={() => setPage((p) => p - 1)}
+            disabled={!pagination.hasPrevPage}
+            className="btn-secondary text-xs py-1 px-3 disabled:opacity-50"
+          >
+            Newer
+          </button>
+          <span className="text-gray-500 text-xs">
+            Page {pagination.page} of {pagination.totalPages}
+          </span>
+          <button
+            type="button"
+            onClick={() => setPage((p) => p + 1)}
+            disabled={!pagination.hasNextPage}
+            className="btn-secondary text-xs py-1 px-3 disabled:opacity-50"
+          >
+            Older
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SecurityEventsPanel;
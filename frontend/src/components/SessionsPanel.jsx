@@ -0,0 +1,127 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Signed-in devices with a sign-out button for each
+ */
+const SessionsPanel = () => {
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const { data } = await api.get('/auth/sessions');
+        setSessions(data.data.sessions);
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to load sessions');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSessions();
+  }, [refreshKey]);
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      await logout();
+      navigate('/login');
+      return;
+    }
+
+    setRevoking(session._id);
+    try {
+      await api.delete(`/auth/sessions/${session._id}`);
+      toast.success(`Signed out ${session.name}`);
+      setRefreshKey((key) => key + 1);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out device');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out every device, including this one?')) return;
+
+    try {
+      await api.post('/auth/logout-all');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out all devices');
+      return;
+    }
+
+    localStorage.removeItem('user');
+    localStorage.removeItem('accessToken');
+    localStorage.removeItem('refreshToken');
+    window.location.href = '/login';
+  };
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold text-white">Devices</h2>
+          <p className="text-xs text-gray-500 mt-1">
+            Where you're signed in. Sign out anything you don't recognise.
+          </p>
+        </div>
+        {sessions.length > 1 && (
+          <button
+            type="button"
+            onClick={handleLogoutAll}
+            className="text-sm text-crypto-danger hover:underline whitespace-nowrap"
+          >
+            Sign out everywhere
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-crypto-accent"></div>
+        </div>
+      ) : (
+        <ul className="divide-y divide-white/5">
+          {sessions.map((session) => (
+            <li key={session._id} className="py-3 flex items-center justify-between gap-4">
+              <div className="min-w-0">
+                <p className="text-sm text-white flex items-center gap-2">
+                  {session.name || 'Unknown device'}
+                  {session.current && (
+                    <span className="badge bg-crypto-accent/20 text-crypto-accent text-xs">THIS DEVICE</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500 truncate" title={session.userAgent}>
+                  {session.lastUsedIp || session.ip} · Last active {formatDateTime(session.lastUsedAt)} ·
+                  Signed in {formatDateTime(session.createdAt)}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRevoke(session)}
+                disabled={revoking === session._id}
+                className="btn-secondary text-xs py-1 px-3 whitespace-nowrap disabled:opacity-50"
+              >
+                {session.current ? 'Log out' : 'Sign out'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionsPanel;
@@ -0,0 +1,86 @@
+import { useEffect, useState } from 'react';
+import api from '../utils/api';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  signalType: 'Type',
+  asset: 'Asset',
+  cryptocurrency: 'Cryptocurrency',
+  targetPrice: 'Target',
+  entryPrice: 'Entry',
+  entryRange: 'Entry range',
+  stopLoss: 'Stop loss',
+  takeProfits: 'Take profits',
+  confidence: 'Confidence',
+  minPlan: 'Plan',
+  expiresAt: 'Expires',
+};
+
+const PRICE_FIELDS = ['targetPrice', 'entryPrice', 'stopLoss'];
+
+const formatValue = (field, value, locked) => {
+  if (value === null || value === undefined) return locked ? '🔒' : '—';
+  if (field === 'expiresAt') return new Date(value).toLocaleString();
+  if (field === 'confidence') return `${value}%`;
+  if (field === 'entryRange') return `$${value.min?.toLocaleString()} – $${value.max?.toLocaleString()}`;
+  if (field === 'takeProfits') return value.map((tp) => `$${tp.toLocaleString()}`).join(', ') || '—';
+  if (PRICE_FIELDS.includes(field)) return `$${value.toLocaleString()}`;
+  return String(value);
+};
+
+/**
+ * Edits made to a signal since it was published, as a field-by-field diff
+ */
+const SignalHistory = ({ signalId, revision }) => {
+  const [revisions, setRevisions] = useState(null);
+  const [error, setError] = useState(false);
+
+  useEffect(() => {
+    api
+      .get(`/signals/${signalId}/history`)
+      .then(({ data }) => setRevisions(data.data.revisions))
+      .catch(() => setError(true));
+  }, [signalId, revision]);
+
+  if (error) {
+    return <p className="text-xs text-crypto-danger pt-2">Failed to load the edit history</p>;
+  }
+
+  if (!revisions) {
+    return (
+      <div className="flex justify-center py-3">
+        <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-crypto-accent"></div>
+      </div>
+    );
+  }
+
+  return (
+    <ol className="space-y-3 pt-3 mt-2 border-t border-gray-800">
+      {revisions.map((entry) => (
+        <li key={entry._id} className="text-xs">
+          <p className="text-gray-500 mb-1">
+            Revision {entry.version} · {entry.editorName || 'Unknown'} ·{' '}
+            {new Date(entry.createdAt).toLocaleString()}
+          </p>
+          <ul className="space-y-0.5">
+            {Object.keys(entry.changes?.after || {}).map((field) => (
+              <li key={field} className="flex flex-wrap gap-x-2">
+                <span className="text-gray-400">{FIELD_LABELS[field] || field}:</span>
+                <span className="text-red-400 line-through">
+                  {formatValue(field, entry.changes.before?.[field], entry.locked)}
+                </span>
+                <span className="text-gray-500">→</span>
+                <span className="text-green-400">
+                  {formatValue(field, entry.changes.after[field], entry.locked)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default SignalHistory;
@@ -0,0 +1,329 @@
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+
+const getErrorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  return data?.errors?.[0]?.message || data?.message || fallback;
+};
+
+/**
+ * Recovery codes, shown once after enabling or regenerating
+ */
+const RecoveryCodes = ({ codes, onDone }) => {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch {
+      toast.error('Could not copy to clipboard');
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-crypto-gold">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+        authenticator. They will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 bg-black/30 rounded-lg p-3 font-mono text-sm text-gray-200">
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button type="button" onClick={handleCopy} className="btn-secondary text-sm">
+          Copy
+        </button>
+        <button type="button" onClick={onDone} className="btn-primary text-sm">
+          I've saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Admin-only switch that requires 2FA for every admin
+ */
+const AdminPolicy = ({ enabled }) => {
+  const [requireForAdmins, setRequireForAdmins] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchPolicy = async () => {
+      try {
+        const { data } = await api.get('/auth/2fa/policy');
+        setRequireForAdmins(data.data.requireForAdmins);
+      } catch {
+        // Admins without 2FA cannot read the policy while it is on
+        setRequireForAdmins(true);
+      }
+    };
+
+    fetchPolicy();
+  }, []);
+
+  const handleToggle = async () => {
+    setSaving(true);
+    try {
+      const { data } = await api.put('/auth/2fa/policy', { requireForAdmins: !requireForAdmins });
+      setRequireForAdmins(data.data.requireForAdmins);
+      toast.success(
+        data.data.requireForAdmins ? 'Two-factor is now required for admins' : 'Two-factor is now optional for admins'
+      );
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to update policy'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (requireForAdmins === null) return null;
+
+  return (
+    <div className="border-t border-white/10 pt-4 flex items-center justify-between gap-4">
+      <div>
+        <p className="text-sm font-medium text-white">Require two-factor for admins</p>
+        <p className="text-xs text-gray-500">
+          Admins without 2FA are blocked from admin features until they enable it.
+        </p>
+      </div>
+      <button
+        type="button"
+        onClick={handleToggle}
+        disabled={saving || (!enabled && !requireForAdmins)}
+        className={`${requireForAdmins ? 'btn-primary' : 'btn-secondary'} text-sm whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed`}
+        title={!enabled && !requireForAdmins ? 'Enable two-factor on your account first' : undefined}
+      >
+        {requireForAdmins ? 'Required' : 'Optional'}
+      </button>
+    </div>
+  );
+};
+
+const TwoFactorPanel = () => {
+  const { user, updateUser, isAdmin } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [action, setAction] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const { data } = await api.get('/auth/2fa');
+        setStatus(data.data);
+      } catch (error) {
+        toast.error(getErrorMessage(error, 'Failed to load two-factor status'));
+      }
+    };
+
+    fetchStatus();
+  }, [refreshKey]);
+
+  const reset = () => {
+    setCode('');
+    setPassword('');
+    setAction(null);
+    setRefreshKey((key) => key + 1);
+  };
+
+  const handleStartSetup = async () => {
+    setBusy(true);
+    try {
+      const { data } = await api.post('/auth/2fa/setup');
+      setSetup(data.data);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to start setup'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const { data } = await api.post('/auth/2fa/enable', { code });
+      updateUser({ ...user, twoFactorEnabled: true });
+      setSetup(null);
+      setRecoveryCodes(data.data.recoveryCodes);
+      toast.success('Two-factor authentication enabled');
+      reset();
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to enable two-factor'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const { data } = await api.post('/auth/2fa/recovery-codes', { code });
+      setRecoveryCodes(data.data.recoveryCodes);
+      toast.success('New recovery codes generated');
+      reset();
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to regenerate recovery codes'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await api.post('/auth/2fa/disable', { password, code });
+      updateUser({ ...user, twoFactorEnabled: false });
+      toast.success('Two-factor authentication disabled');
+      reset();
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to disable two-factor'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold text-white">Two-Factor Authentication</h2>
+          <p className="text-xs text-gray-500 mt-1">
+            Sign in with a code from an authenticator app as well as your password.
+          </p>
+        </div>
+        {status && (
+          <span
+            className={`badge text-xs ${
+              status.enabled ? 'bg-crypto-accent/20 text-crypto-accent' : 'bg-gray-500/20 text-gray-400'
+            }`}
+          >
+            {status.enabled ? 'ON' : 'OFF'}
+          </span>
+        )}
+      </div>
+
+      {status?.required && !status.enabled && (
+        <p className="text-sm text-crypto-gold">
+          Two-factor authentication is required for your role. Admin features stay locked until you
+          enable it.
+        </p>
+      )}
+
+      {recoveryCodes ? (
+        <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      ) : setup ? (
+        /* Enrolment */
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-sm text-gray-300">
+            Scan this QR code with your authenticator app, then enter the code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="w-44 h-44 bg-white rounded-lg p-2" />
+          <p className="text-xs text-gray-500 break-all">
+            Can't scan it? Enter this key instead:{' '}
+            <span className="font-mono text-gray-300">{setup.secret}</span>
+          </p>
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className="input-field max-w-xs tracking-widest"
+            placeholder="123456"
+            required
+            autoComplete="one-time-code"
+            inputMode="numeric"
+            maxLength={6}
+          />
+          <div className="flex gap-2">
+            <button type="submit" disabled={busy} className="btn-primary text-sm disabled:opacity-50">
+              {busy ? 'Verifying...' : 'Enable'}
+            </button>
+            <button type="button" onClick={() => setSetup(null)} className="btn-secondary text-sm">
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : status?.enabled ? (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-400">
+            Enabled {status.enabledAt ? `on ${new Date(status.enabledAt).toLocaleDateString()}` : ''} ·{' '}
+            {status.recoveryCodesRemaining} recovery codes left
+          </p>
+
+          {action ? (
+            <form onSubmit={action === 'disable' ? handleDisable : handleRegenerate} className="space-y-3">
+              {action === 'disable' && (
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="input-field max-w-xs"
+                  placeholder="Password"
+                  required
+                  autoComplete="current-password"
+                />
+              )}
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="input-field max-w-xs"
+                placeholder="Authenticator or recovery code"
+                required
+                autoComplete="one-time-code"
+                maxLength={20}
+              />
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  disabled={busy}
+                  className={`${action === 'disable' ? 'bg-crypto-danger hover:bg-crypto-danger/80 text-white px-4 py-2 rounded-lg' : 'btn-primary'} text-sm disabled:opacity-50`}
+                >
+                  {action === 'disable' ? 'Disable' : 'Generate New Codes'}
+                </button>
+                <button type="button" onClick={reset} className="btn-secondary text-sm">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="flex flex-wrap gap-2">
+              <button type="button" onClick={() => setAction('regenerate')} className="btn-secondary text-sm">
+                New Recovery Codes
+              </button>
+              {!status.required && (
+                <button
+                  type="button"
+                  onClick={() => setAction('disable')}
+                  className="text-sm text-crypto-danger hover:underline px-2"
+                >
+                  Disable
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      ) : (
+        status && (
+          <button type="button" onClick={handleStartSetup} disabled={busy} className="btn-primary text-sm disabled:opacity-50">
+            {busy ? 'Preparing...' : 'Set Up Two-Factor'}
+          </button>
+        )
+      )}
+
+      {isAdmin && status && <AdminPolicy enabled={status.enabled} />}
+    </div>
+  );
+};
+
+export default TwoFactorPanel;
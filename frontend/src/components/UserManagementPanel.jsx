@@ -0,0 +1,289 @@
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+
+const ROLES = ['viewer', 'user', 'analyst', 'moderator', 'admin'];
+const PLANS = ['free', 'pro', 'elite'];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const getErrorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  return data?.errors?.[0]?.message || data?.message || fallback;
+};
+
+/**
+ * Admin user list with search, role changes, deactivation and deletion
+ */
+const UserManagementPanel = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [searchInput, setSearchInput] = useState('');
+  const [filters, setFilters] = useState({ search: '', role: '', isActive: '' });
+  const [page, setPage] = useState(1);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const fetchUsers = async () => {
+      setLoading(true);
+      try {
+        const params = { page, limit: 20 };
+        Object.entries(filters).forEach(([key, value]) => {
+          if (value !== '') params[key] = value;
+        });
+
+        const { data } = await api.get('/users', { params });
+        setUsers(data.data);
+        setPagination(data.pagination);
+      } catch (error) {
+        toast.error(getErrorMessage(error, 'Failed to fetch users'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchUsers();
+  }, [filters, page, refreshKey]);
+
+  const updateFilter = (key, value) => {
+    setFilters((current) => ({ ...current, [key]: value }));
+    setPage(1);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilter('search', searchInput.trim());
+  };
+
+  const runAction = async (user, request, successMessage) => {
+    setBusyId(user.id);
+    try {
+      await request();
+      toast.success(successMessage);
+      setRefreshKey((key) => key + 1);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Action failed'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRoleChange = (user, role) =>
+    runAction(user, () => api.patch(`/users/${user.id}/role`, { role }), `${user.name} is now ${role}`);
+
+  const handlePlanChange = (user, plan) =>
+    runAction(user, () => api.patch(`/users/${user.id}/plan`, { plan }), `${user.name} is now on ${plan}`);
+
+  const handleToggleActive = (user) => {
+    if (user.isActive) {
+      if (!window.confirm(`Deactivate ${user.email}? They will be signed out everywhere.`)) return;
+      runAction(user, () => api.post(`/users/${user.id}/deactivate`), `${user.name} deactivated`);
+    } else {
+      runAction(user, () => api.post(`/users/${user.id}/reactivate`), `${user.name} reactivated`);
+    }
+  };
+
+  const handleUnlock = (user) =>
+    runAction(user, () => api.post(`/users/${user.id}/unlock`), `${user.name} unlocked`);
+
+  const handleDelete = (user) => {
+    if (!window.confirm(`Permanently delete ${user.email} and everything they own?`)) return;
+    runAction(user, () => api.delete(`/users/${user.id}`), `${user.name} deleted`);
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Filters */}
+      <div className="card flex flex-col sm:flex-row gap-3">
+        <form onSubmit={handleSearch} className="flex gap-2 flex-1">
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            className="input-field"
+            placeholder="Search name or email"
+            maxLength={100}
+          />
+          <button type="submit" className="btn-secondary whitespace-nowrap">
+            Search
+          </button>
+        </form>
+        <select
+          value={filters.role}
+          onChange={(e) => updateFilter('role', e.target.value)}
+          className="input-field sm:w-36"
+        >
+          <option value="">All roles</option>
+          {ROLES.map((role) => (
+            <option key={role} value={role}>
+              {role}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.isActive}
+          onChange={(e) => updateFilter('isActive', e.target.value)}
+          className="input-field sm:w-36"
+        >
+          <option value="">Any status</option>
+          <option value="true">Active</option>
+          <option value="false">Deactivated</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-crypto-accent"></div>
+        </div>
+      ) : users.length === 0 ? (
+        <div className="card text-center text-gray-400 py-8">No users found</div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-gray-700">
+                <th className="text-left py-3 px-4 text-gray-400 font-medium">User</th>
+                <th className="text-left py-3 px-4 text-gray-400 font-medium">Role</th>
+                <th className="text-left py-3 px-4 text-gray-400 font-medium">Plan</th>
+                <th className="text-left py-3 px-4 text-gray-400 font-medium">Status</th>
+                <th className="text-left py-3 px-4 text-gray-400 font-medium">Last Login</th>
+                <th className="text-left py-3 px-4 text-gray-400 font-medium">Joined</th>
+                <th className="text-left py-3 px-4 text-gray-400 font-medium">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((user) => {
+                const isSelf = user.id === currentUser?.id;
+                const busy = busyId === user.id;
+
+                return (
+                  <tr key={user.id} className="border-b border-gray-800 hover:bg-white/5">
+                    <td className="py-3 px-4">
+                      <p className="text-white">
+                        {user.name}
+                        {isSelf && <span className="text-xs text-gray-500"> (you)</span>}
+                      </p>
+                      <p className="text-xs text-gray-500">{user.email}</p>
+                    </td>
+                    <td className="py-3 px-4">
+                      <select
+                        value={user.role}
+                        onChange={(e) => handleRoleChange(user, e.target.value)}
+                        disabled={isSelf || busy}
+                        className="input-field py-1 text-sm w-32 disabled:opacity-50"
+                      >
+                        {ROLES.map((role) => (
+                          <option key={role} value={role}>
+                            {role}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="py-3 px-4">
+                      <select
+                        value={user.plan || 'free'}
+                        onChange={(e) => handlePlanChange(user, e.target.value)}
+                        disabled={busy}
+                        className="input-field py-1 text-sm w-24 disabled:opacity-50"
+                        title={user.planExpiresAt ? `Paid through ${formatDate(user.planExpiresAt)}` : undefined}
+                      >
+                        {PLANS.map((plan) => (
+                          <option key={plan} value={plan}>
+                            {plan}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="py-3 px-4">
+                      <div className="flex flex-wrap gap-1">
+                        <span
+                          className={`badge text-xs ${user.isActive ? 'bg-green-500/20 text-green-400' : 'bg-gray-500/20 text-gray-400'}`}
+                        >
+                          {user.isActive ? 'active' : 'deactivated'}
+                        </span>
+                        {user.lockedUntil && (
+                          <span
+                            className="badge text-xs bg-crypto-danger/20 text-crypto-danger"
+                            title={`Locked until ${new Date(user.lockedUntil).toLocaleString()}`}
+                          >
+                            locked
+                          </span>
+                        )}
+                        {user.twoFactorEnabled && (
+                          <span className="badge text-xs bg-crypto-accent/20 text-crypto-accent">2FA</span>
+                        )}
+                      </div>
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-300">{formatDate(user.lastLogin)}</td>
+                    <td className="py-3 px-4 text-sm text-gray-300">{formatDate(user.createdAt)}</td>
+                    <td className="py-3 px-4">
+                      <div className="flex space-x-3 text-sm">
+                        {user.lockedUntil && (
+                          <button
+                            onClick={() => handleUnlock(user)}
+                            disabled={busy}
+                            className="text-crypto-gold hover:underline disabled:opacity-50"
+                          >
+                            Unlock
+                          </button>
+                        )}
+                        {!isSelf && (
+                          <>
+                            <button
+                              onClick={() => handleToggleActive(user)}
+                              disabled={busy}
+                              className="text-crypto-accent hover:text-crypto-accent-dark disabled:opacity-50"
+                            >
+                              {user.isActive ? 'Deactivate' : 'Reactivate'}
+                            </button>
+                            <button
+                              onClick={() => handleDelete(user)}
+                              disabled={busy}
+                              className="text-crypto-danger hover:text-red-600 disabled:opacity-50"
+                            >
+                              Delete
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between">
+          <button
+            type="button"
+            onClick={() => setPage((p) => p - 1)}
+            disabled={!pagination.hasPrevPage}
+            className="btn-secondary text-sm disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-400">
+            Page {pagination.page} of {pagination.totalPages} · {pagination.total} users
+          </span>
+          <button
+            type="button"
+            onClick={() => setPage((p) => p + 1)}
+            disabled={!pagination.hasNextPage}
+            className="btn-secondary text-sm disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UserManagementPanel;
@@ -0,0 +1,97 @@
+import { useState } from 'react';
+
+/**
+ * Followed coins and analysts of a watchlist, with add/remove controls
+ */
+const WatchlistPanel = ({ watchlist, onUpdate }) => {
+  const [newCoin, setNewCoin] = useState('');
+
+  const handleAddCoin = (e) => {
+    e.preventDefault();
+    const coin = newCoin.trim();
+    if (coin.length < 2) return;
+
+    onUpdate({ cryptocurrencies: [...watchlist.cryptocurrencies, coin] });
+    setNewCoin('');
+  };
+
+  const removeCoin = (coin) => {
+    onUpdate({ cryptocurrencies: watchlist.cryptocurrencies.filter((c) => c !== coin) });
+  };
+
+  const removeCreator = (creatorId) => {
+    onUpdate({
+      creators: watchlist.creators.map((c) => c._id).filter((id) => id !== creatorId),
+    });
+  };
+
+  return (
+    <div className="card mb-4 sm:mb-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {/* Followed Coins */}
+        <div>
+          <p className="text-xs sm:text-sm font-medium text-gray-300 mb-2">Coins</p>
+          <div className="flex flex-wrap gap-2 mb-3">
+            {watchlist.cryptocurrencies.length === 0 && (
+              <span className="text-xs text-gray-500">No coins yet</span>
+            )}
+            {watchlist.cryptocurrencies.map((coin) => (
+              <span key={coin} className="badge bg-crypto-accent/10 text-crypto-accent text-xs">
+                {coin}
+                <button
+                  type="button"
+                  onClick={() => removeCoin(coin)}
+                  className="ml-2 hover:text-white"
+                  aria-label={`Remove ${coin}`}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+          <form onSubmit={handleAddCoin} className="flex gap-2">
+            <input
+              type="text"
+              value={newCoin}
+              onChange={(e) => setNewCoin(e.target.value)}
+              className="input-field text-sm"
+              placeholder="e.g. BTC"
+              minLength={2}
+              maxLength={50}
+            />
+            <button type="submit" className="btn-secondary text-sm whitespace-nowrap">
+              + Add
+            </button>
+          </form>
+        </div>
+
+        {/* Followed Analysts */}
+        <div>
+          <p className="text-xs sm:text-sm font-medium text-gray-300 mb-2">Analysts</p>
+          <div className="flex flex-wrap gap-2">
+            {watchlist.creators.length === 0 && (
+              <span className="text-xs text-gray-500">
+                Use &quot;Follow analyst&quot; on a signal to add one
+              </span>
+            )}
+            {watchlist.creators.map((creator) => (
+              <span key={creator._id} className="badge bg-crypto-gold/10 text-crypto-gold text-xs">
+                {creator.name}
+                <button
+                  type="button"
+                  onClick={() => removeCreator(creator._id)}
+                  className="ml-2 hover:text-white"
+                  aria-label={`Unfollow ${creator.name}`}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WatchlistPanel;
@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import api from '../utils/api';
+import { getPermissionAccess, canManageSignals } from '../utils/permissions';
 import toast from 'react-hot-toast';
 
 const AuthContext = createContext(null);
@@ -32,6 +33,11 @@ export const AuthProvider = ({ children }) => {
   const login = async (email, password) => {
     try {
       const { data } = await api.post('/auth/login', { email, password });
+
+      // Two-factor accounts get a challenge instead of tokens
+      if (data.data.twoFactorRequired) {
+        return { twoFactorRequired: true, challengeToken: data.data.challengeToken };
+      }
       
       const userData = data.data.user;
       const { accessToken, refreshToken } = data.data.tokens;
@@ -53,6 +59,29 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step: exchange the challenge and a code for tokens
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const { data } = await api.post('/auth/login/2fa', { challengeToken, code });
+
+      const userData = data.data.user;
+      const { accessToken, refreshToken } = data.data.tokens;
+
+      localStorage.setItem('user', JSON.stringify(userData));
+      localStorage.setItem('accessToken', accessToken);
+      localStorage.setItem('refreshToken', refreshToken);
+
+      setUser(userData);
+      toast.success('Login successful!');
+
+      return userData;
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      toast.error(message);
+      throw error;
+    }
+  };
+
   const register = async (name, email, password) => {
     try {
       const { data } = await api.post('/auth/register', { name, email, password });
@@ -97,14 +126,34 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Keep the stored user in sync after profile changes (e.g. email verified)
+  const updateUser = (userData) => {
+    localStorage.setItem('user', JSON.stringify(userData));
+    setUser(userData);
+  };
+
+  const changePassword = async (currentPassword, newPassword) => {
+    const { data } = await api.post('/auth/change-password', { currentPassword, newPassword });
+
+    // Other sessions are signed out; this one continues with the new pair
+    const { accessToken, refreshToken } = data.data.tokens;
+    localStorage.setItem('accessToken', accessToken);
+    localStorage.setItem('refreshToken', refreshToken);
+  };
+
   const value = {
     user,
     loading,
     login,
+    verifyTwoFactor,
     register,
     logout,
+    updateUser,
+    changePassword,
     isAuthenticated: !!user,
     isAdmin: user?.role === 'admin',
+    canManageSignals: canManageSignals(user),
+    hasPermission: (permission) => getPermissionAccess(user, permission),
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
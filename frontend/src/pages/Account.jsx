@@ -0,0 +1,149 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import TwoFactorPanel from '../components/TwoFactorPanel';
+import SessionsPanel from '../components/SessionsPanel';
+import SecurityEventsPanel from '../components/SecurityEventsPanel';
+import OrganizationsPanel from '../components/OrganizationsPanel';
+import PlanPanel from '../components/PlanPanel';
+
+const emptyPasswordForm = {
+  currentPassword: '',
+  newPassword: '',
+  confirmPassword: '',
+};
+
+const Account = () => {
+  const { user, changePassword } = useAuth();
+  const [passwordForm, setPasswordForm] = useState(emptyPasswordForm);
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    setPasswordForm({ ...passwordForm, [e.target.name]: e.target.value });
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await changePassword(passwordForm.currentPassword, passwordForm.newPassword);
+      setPasswordForm(emptyPasswordForm);
+      toast.success('Password changed. Other devices were signed out.');
+    } catch (error) {
+      const data = error.response?.data;
+      toast.error(data?.errors?.[0]?.message || data?.message || 'Failed to change password');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8 space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl sm:text-3xl font-bold text-white mb-1">Account</h1>
+        <p className="text-sm text-gray-400">Manage your plan, organizations, sign-in and security settings</p>
+      </div>
+
+      {/* Profile */}
+      <div className="card">
+        <h2 className="text-lg font-semibold text-white mb-3">Profile</h2>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+          <div>
+            <p className="text-gray-500 text-xs">Name</p>
+            <p className="text-gray-200">{user?.name}</p>
+          </div>
+          <div>
+            <p className="text-gray-500 text-xs">Email</p>
+            <p className="text-gray-200 flex items-center gap-2">
+              {user?.email}
+              {user?.emailVerified === false ? (
+                <span className="badge bg-crypto-gold/20 text-crypto-gold text-xs">UNVERIFIED</span>
+              ) : (
+                <span className="badge bg-crypto-accent/20 text-crypto-accent text-xs">VERIFIED</span>
+              )}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      <PlanPanel />
+
+      <OrganizationsPanel />
+
+      {/* Change Password */}
+      <form onSubmit={handleChangePassword} className="card space-y-4">
+        <div>
+          <h2 className="text-lg font-semibold text-white">Change Password</h2>
+          <p className="text-xs text-gray-500 mt-1">
+            Changing your password signs out all your other devices.
+          </p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Current Password</label>
+          <input
+            type="password"
+            name="currentPassword"
+            value={passwordForm.currentPassword}
+            onChange={handleChange}
+            className="input-field"
+            required
+            autoComplete="current-password"
+          />
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">New Password</label>
+            <input
+              type="password"
+              name="newPassword"
+              value={passwordForm.newPassword}
+              onChange={handleChange}
+              className="input-field"
+              required
+              minLength={8}
+              autoComplete="new-password"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Confirm New Password</label>
+            <input
+              type="password"
+              name="confirmPassword"
+              value={passwordForm.confirmPassword}
+              onChange={handleChange}
+              className="input-field"
+              required
+              autoComplete="new-password"
+            />
+          </div>
+        </div>
+        <p className="text-xs text-gray-500">Min 8 characters, uppercase, number, special char</p>
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : 'Change Password'}
+        </button>
+      </form>
+
+      <TwoFactorPanel />
+
+      <SessionsPanel />
+
+      <SecurityEventsPanel />
+    </div>
+  );
+};
+
+export default Account;
@@ -1,25 +1,90 @@
 import { useState, useEffect } from 'react';
 import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+import CalibrationPanel from '../components/CalibrationPanel';
+import UserManagementPanel from '../components/UserManagementPanel';
+import AuditLogPanel from '../components/AuditLogPanel';
 import toast from 'react-hot-toast';
 
+const PLANS = ['free', 'pro', 'elite'];
+
+// Badges for signals that not everyone sees yet
+const PUBLICATION_BADGES = {
+  draft: { label: 'draft', className: 'bg-gray-500/20 text-gray-300' },
+  scheduled: { label: 'scheduled', className: 'bg-blue-500/20 text-blue-400' },
+  early_access: { label: 'early access', className: 'bg-crypto-gold/20 text-crypto-gold' },
+};
+
+const isPublished = (signal) => ['early_access', 'published'].includes(signal.publication || 'published');
+
+// Date as a datetime-local input value in the browser's time zone
+const toLocalInput = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const TABS = [
+  { id: 'signals', label: 'Signals' },
+  { id: 'users', label: 'Users', adminOnly: true },
+  { id: 'audit', label: 'Audit Log', adminOnly: true },
+];
+
+const TAB_DESCRIPTIONS = {
+  signals: 'Manage trading signals',
+  users: 'Manage user accounts',
+  audit: 'Review privileged actions and sign-ins',
+};
+
 const AdminDashboard = () => {
+  const { user, isAdmin, hasPermission } = useAuth();
+  const [activeTab, setActiveTab] = useState('signals');
   const [signals, setSignals] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [editingSignal, setEditingSignal] = useState(null);
+  const [assets, setAssets] = useState([]);
+  const [analytics, setAnalytics] = useState(null);
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     signalType: 'BUY',
-    cryptocurrency: '',
+    asset: '',
     targetPrice: '',
+    entryPrice: '',
+    entryMin: '',
+    entryMax: '',
+    stopLoss: '',
+    takeProfits: '',
     confidence: '',
+    minPlan: 'free',
+    draft: false,
+    publishAt: '',
+    freeDelayMinutes: '0',
   });
 
   useEffect(() => {
     fetchSignals();
   }, []);
 
+  // Asset registry for the cryptocurrency picker
+  useEffect(() => {
+    api
+      .get('/assets')
+      .then(({ data }) => setAssets(data.data.assets))
+      .catch(() => toast.error('Failed to fetch assets'));
+  }, []);
+
+  // Analytics summary, including the confidence calibration report
+  useEffect(() => {
+    if (!isAdmin) return;
+
+    api
+      .get('/signals/analytics/summary')
+      .then(({ data }) => setAnalytics(data.data.analytics))
+      .catch(() => toast.error('Failed to fetch analytics'));
+  }, [isAdmin]);
+
   const fetchSignals = async () => {
     try {
       const { data } = await api.get('/signals?limit=50');
@@ -31,16 +96,39 @@ const AdminDashboard = () => {
     }
   };
 
+  const canSchedule = !editingSignal || !isPublished(editingSignal);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
     try {
+      const { entryMin, entryMax, draft, publishAt, freeDelayMinutes, ...fields } = formData;
+      const toPrice = (value) => (value === '' ? null : Number(value));
+
+      // Optional price levels are sent as null when left empty so edits can clear them
       const payload = {
-        ...formData,
+        ...fields,
         targetPrice: Number(formData.targetPrice),
         confidence: Number(formData.confidence),
+        entryPrice: toPrice(formData.entryPrice),
+        entryRange: entryMin !== '' || entryMax !== ''
+          ? { min: toPrice(entryMin), max: toPrice(entryMax) }
+          : null,
+        stopLoss: toPrice(formData.stopLoss),
+        takeProfits: formData.takeProfits.trim()
+          ? formData.takeProfits.split(',').map((tp) => Number(tp.trim()))
+          : null,
       };
 
+      // Publication settings can only change until the signal goes out
+      if (canSchedule) {
+        Object.assign(payload, {
+          draft,
+          publishAt: publishAt ? new Date(publishAt).toISOString() : null,
+          freeDelayMinutes: Number(freeDelayMinutes) || 0,
+        });
+      }
+
       if (editingSignal) {
         await api.put(`/signals/${editingSignal._id}`, payload);
         toast.success('Signal updated successfully');
@@ -65,6 +153,28 @@ const AdminDashboard = () => {
     }
   };
 
+  const handleExpire = async (signal) => {
+    if (!confirm(`Expire "${signal.title}" now?`)) return;
+
+    try {
+      await api.post(`/signals/${signal._id}/expire`);
+      toast.success('Signal expired');
+      fetchSignals();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to expire signal');
+    }
+  };
+
+  // Analysts may only edit their own signals
+  const canEdit = (signal) => {
+    const access = hasPermission('signals:update');
+    return access === 'any' || (access === 'own' && signal.createdBy?._id === user?.id);
+  };
+
+  const canExpire = (signal) => signal.status === 'active' && Boolean(hasPermission('signals:expire'));
+  const canDelete = Boolean(hasPermission('signals:delete'));
+  const visibleTabs = TABS.filter((tab) => isAdmin || !tab.adminOnly);
+
   const handleDelete = async (id) => {
     if (!confirm('Are you sure you want to delete this signal?')) return;
 
@@ -83,9 +193,18 @@ const AdminDashboard = () => {
       title: signal.title,
       description: signal.description || '',
       signalType: signal.signalType,
-      cryptocurrency: signal.cryptocurrency,
+      asset: signal.asset?.ticker || '',
       targetPrice: signal.targetPrice,
+      entryPrice: signal.entryPrice ?? '',
+      entryMin: signal.entryRange?.min ?? '',
+      entryMax: signal.entryRange?.max ?? '',
+      stopLoss: signal.stopLoss ?? '',
+      takeProfits: signal.takeProfits?.join(', ') || '',
       confidence: signal.confidence,
+      minPlan: signal.minPlan || 'free',
+      draft: signal.publication === 'draft',
+      publishAt: toLocalInput(signal.publishAt),
+      freeDelayMinutes: String(signal.freeDelayMinutes ?? 0),
     });
     setShowModal(true);
   };
@@ -96,9 +215,18 @@ const AdminDashboard = () => {
       title: '',
       description: '',
       signalType: 'BUY',
-      cryptocurrency: '',
+      asset: '',
       targetPrice: '',
+      entryPrice: '',
+      entryMin: '',
+      entryMax: '',
+      stopLoss: '',
+      takeProfits: '',
       confidence: '',
+      minPlan: 'free',
+      draft: false,
+      publishAt: '',
+      freeDelayMinutes: '0',
     });
   };
 
@@ -111,23 +239,55 @@ const AdminDashboard = () => {
         <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4 mb-6 sm:mb-8">
           <div>
             <h1 className="text-2xl sm:text-3xl font-bold text-white mb-1 sm:mb-2">
-              Admin Dashboard
+              {isAdmin ? 'Admin Dashboard' : 'Manage Signals'}
             </h1>
-            <p className="text-sm sm:text-base text-gray-400">Manage trading signals</p>
+            <p className="text-sm sm:text-base text-gray-400">
+              {TAB_DESCRIPTIONS[activeTab]}
+            </p>
           </div>
-          <button
-            onClick={() => {
-              resetForm();
-              setShowModal(true);
-            }}
-            className="btn-primary w-full sm:w-auto whitespace-nowrap"
-          >
-            + Create Signal
-          </button>
+          {activeTab === 'signals' && hasPermission('signals:create') && (
+            <button
+              onClick={() => {
+                resetForm();
+                setShowModal(true);
+              }}
+              className="btn-primary w-full sm:w-auto whitespace-nowrap"
+            >
+              + Create Signal
+            </button>
+          )}
+        </div>
+
+        {/* Tabs */}
+        {visibleTabs.length > 1 && (
+        <div className="flex gap-2 mb-6 border-b border-gray-800">
+          {visibleTabs.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+                activeTab === tab.id
+                  ? 'border-crypto-accent text-crypto-accent'
+                  : 'border-transparent text-gray-400 hover:text-white'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
         </div>
+        )}
+
+        {activeTab === 'users' && <UserManagementPanel />}
+
+        {activeTab === 'audit' && <AuditLogPanel />}
+
+        {/* Confidence Calibration */}
+        {activeTab === 'signals' && analytics?.calibration && (
+          <CalibrationPanel calibration={analytics.calibration} />
+        )}
 
         {/* Loading State */}
-        {loading ? (
+        {activeTab === 'signals' && (loading ? (
           <div className="flex justify-center py-12">
             <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-crypto-accent"></div>
           </div>
@@ -142,6 +302,7 @@ const AdminDashboard = () => {
                     <th className="text-left py-3 px-4 text-gray-400 font-medium">Type</th>
                     <th className="text-left py-3 px-4 text-gray-400 font-medium">Crypto</th>
                     <th className="text-left py-3 px-4 text-gray-400 font-medium">Price</th>
+                    <th className="text-left py-3 px-4 text-gray-400 font-medium">R:R</th>
                     <th className="text-left py-3 px-4 text-gray-400 font-medium">Confidence</th>
                     <th className="text-left py-3 px-4 text-gray-400 font-medium">Status</th>
                     <th className="text-left py-3 px-4 text-gray-400 font-medium">Actions</th>
@@ -157,27 +318,52 @@ const AdminDashboard = () => {
                         </span>
                       </td>
                       <td className="py-3 px-4 text-gray-300">{signal.cryptocurrency}</td>
-                      <td className="py-3 px-4 text-crypto-accent">${signal.targetPrice.toLocaleString()}</td>
+                      <td className="py-3 px-4 text-crypto-accent">
+                        {signal.locked ? `🔒 ${signal.minPlan}` : `$${signal.targetPrice.toLocaleString()}`}
+                      </td>
+                      <td className="py-3 px-4 text-gray-300">
+                        {signal.riskRewardRatio ? `1:${signal.riskRewardRatio}` : '—'}
+                      </td>
                       <td className="py-3 px-4 text-white">{signal.confidence}%</td>
                       <td className="py-3 px-4">
                         <span className={`badge ${signal.status === 'active' ? 'bg-green-500/20 text-green-400' : 'bg-gray-500/20 text-gray-400'}`}>
                           {signal.status}
                         </span>
+                        {PUBLICATION_BADGES[signal.publication] && (
+                          <span
+                            className={`badge ml-2 ${PUBLICATION_BADGES[signal.publication].className}`}
+                            title={signal.publishAt ? `Publishes ${new Date(signal.publishAt).toLocaleString()}` : undefined}
+                          >
+                            {PUBLICATION_BADGES[signal.publication].label}
+                          </span>
+                        )}
                       </td>
                       <td className="py-3 px-4">
                         <div className="flex space-x-2">
-                          <button
-                            onClick={() => openEditModal(signal)}
-                            className="text-crypto-accent hover:text-crypto-accent-dark text-sm"
-                          >
-                            Edit
-                          </button>
-                          <button
-                            onClick={() => handleDelete(signal._id)}
-                            className="text-crypto-danger hover:text-red-600 text-sm"
-                          >
-                            Delete
-                          </button>
+                          {canEdit(signal) && (
+                            <button
+                              onClick={() => openEditModal(signal)}
+                              className="text-crypto-accent hover:text-crypto-accent-dark text-sm"
+                            >
+                              Edit
+                            </button>
+                          )}
+                          {canExpire(signal) && (
+                            <button
+                              onClick={() => handleExpire(signal)}
+                              className="text-crypto-gold hover:underline text-sm"
+                            >
+                              Expire
+                            </button>
+                          )}
+                          {canDelete && (
+                            <button
+                              onClick={() => handleDelete(signal._id)}
+                              className="text-crypto-danger hover:text-red-600 text-sm"
+                            >
+                              Delete
+                            </button>
+                          )}
                         </div>
                       </td>
                     </tr>
@@ -211,7 +397,13 @@ const AdminDashboard = () => {
                     <div>
                       <p className="text-xs sm:text-sm text-gray-400 mb-1">Target Price</p>
                       <p className="text-sm sm:text-base text-crypto-accent font-semibold">
-                        ${signal.targetPrice.toLocaleString()}
+                        {signal.locked ? `🔒 ${signal.minPlan}` : `$${signal.targetPrice.toLocaleString()}`}
+                      </p>
+                    </div>
+                    <div>
+                      <p className="text-xs sm:text-sm text-gray-400 mb-1">Risk/Reward</p>
+                      <p className="text-sm sm:text-base text-gray-300 font-medium">
+                        {signal.riskRewardRatio ? `1:${signal.riskRewardRatio}` : '—'}
                       </p>
                     </div>
                     <div>
@@ -225,29 +417,48 @@ const AdminDashboard = () => {
                       <span className={`badge text-xs ${signal.status === 'active' ? 'bg-green-500/20 text-green-400' : 'bg-gray-500/20 text-gray-400'}`}>
                         {signal.status}
                       </span>
+                      {PUBLICATION_BADGES[signal.publication] && (
+                        <span className={`badge text-xs ml-1 ${PUBLICATION_BADGES[signal.publication].className}`}>
+                          {PUBLICATION_BADGES[signal.publication].label}
+                        </span>
+                      )}
                     </div>
                   </div>
 
                   {/* Card Actions */}
+                  {(canEdit(signal) || canExpire(signal) || canDelete) && (
                   <div className="flex gap-2 pt-3 border-t border-gray-800">
-                    <button
-                      onClick={() => openEditModal(signal)}
-                      className="flex-1 py-2 px-4 bg-crypto-accent/10 text-crypto-accent hover:bg-crypto-accent/20 rounded-lg text-sm font-medium transition-colors"
-                    >
-                      Edit
-                    </button>
-                    <button
-                      onClick={() => handleDelete(signal._id)}
-                      className="flex-1 py-2 px-4 bg-crypto-danger/10 text-crypto-danger hover:bg-crypto-danger/20 rounded-lg text-sm font-medium transition-colors"
-                    >
-                      Delete
-                    </button>
+                    {canEdit(signal) && (
+                      <button
+                        onClick={() => openEditModal(signal)}
+                        className="flex-1 py-2 px-4 bg-crypto-accent/10 text-crypto-accent hover:bg-crypto-accent/20 rounded-lg text-sm font-medium transition-colors"
+                      >
+                        Edit
+                      </button>
+                    )}
+                    {canExpire(signal) && (
+                      <button
+                        onClick={() => handleExpire(signal)}
+                        className="flex-1 py-2 px-4 bg-crypto-gold/10 text-crypto-gold hover:bg-crypto-gold/20 rounded-lg text-sm font-medium transition-colors"
+                      >
+                        Expire
+                      </button>
+                    )}
+                    {canDelete && (
+                      <button
+                        onClick={() => handleDelete(signal._id)}
+                        className="flex-1 py-2 px-4 bg-crypto-danger/10 text-crypto-danger hover:bg-crypto-danger/20 rounded-lg text-sm font-medium transition-colors"
+                      >
+                        Delete
+                      </button>
+                    )}
                   </div>
+                  )}
                 </div>
               ))}
             </div>
           </>
-        )}
+        ))}
 
         {/* Create/Edit Modal - Responsive */}
         {showModal && (
@@ -307,18 +518,25 @@ const AdminDashboard = () => {
                     <label className="block text-sm font-medium text-gray-300 mb-2">
                       Cryptocurrency
                     </label>
-                    <input
-                      type="text"
-                      value={formData.cryptocurrency}
-                      onChange={(e) => setFormData({ ...formData, cryptocurrency: e.target.value })}
+                    <select
+                      value={formData.asset}
+                      onChange={(e) => setFormData({ ...formData, asset: e.target.value })}
                       className="input-field"
-                      placeholder="Bitcoin (BTC)"
                       required
-                    />
+                    >
+                      <option value="" disabled>
+                        Select an asset
+                      </option>
+                      {assets.map((asset) => (
+                        <option key={asset._id} value={asset.ticker}>
+                          {asset.displayName}
+                        </option>
+                      ))}
+                    </select>
                   </div>
                 </div>
 
-                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
                   <div>
                     <label className="block text-sm font-medium text-gray-300 mb-2">
                       Target Price ($)
@@ -348,8 +566,149 @@ const AdminDashboard = () => {
                       max="100"
                     />
                   </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Minimum Plan
+                    </label>
+                    <select
+                      value={formData.minPlan}
+                      onChange={(e) => setFormData({ ...formData, minPlan: e.target.value })}
+                      className="input-field"
+                      title="Lower plans see the signal with its price levels hidden"
+                    >
+                      {PLANS.map((plan) => (
+                        <option key={plan} value={plan}>
+                          {plan}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
                 </div>
 
+                {/* Price Levels - Optional entry, stop loss and take-profit targets */}
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Entry Price ($)
+                    </label>
+                    <input
+                      type="number"
+                      value={formData.entryPrice}
+                      onChange={(e) => setFormData({ ...formData, entryPrice: e.target.value })}
+                      className="input-field"
+                      placeholder="Optional"
+                      min="0"
+                      step="any"
+                      disabled={formData.entryMin !== '' || formData.entryMax !== ''}
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Entry Range Low ($)
+                    </label>
+                    <input
+                      type="number"
+                      value={formData.entryMin}
+                      onChange={(e) => setFormData({ ...formData, entryMin: e.target.value })}
+                      className="input-field"
+                      placeholder="Or a range"
+                      min="0"
+                      step="any"
+                      disabled={formData.entryPrice !== ''}
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Entry Range High ($)
+                    </label>
+                    <input
+                      type="number"
+                      value={formData.entryMax}
+                      onChange={(e) => setFormData({ ...formData, entryMax: e.target.value })}
+                      className="input-field"
+                      min="0"
+                      step="any"
+                      disabled={formData.entryPrice !== ''}
+                    />
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Stop Loss ($)
+                    </label>
+                    <input
+                      type="number"
+                      value={formData.stopLoss}
+                      onChange={(e) => setFormData({ ...formData, stopLoss: e.target.value })}
+                      className="input-field"
+                      placeholder={formData.signalType === 'SELL' ? 'Above entry' : 'Below entry'}
+                      min="0"
+                      step="any"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Take Profits ($)
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.takeProfits}
+                      onChange={(e) => setFormData({ ...formData, takeProfits: e.target.value })}
+                      className="input-field"
+                      placeholder={formData.signalType === 'SELL' ? 'e.g. 95, 90, 85' : 'e.g. 105, 110, 120'}
+                    />
+                  </div>
+                </div>
+
+                {/* Publication - Draft, scheduled time and free-plan delay (until the signal goes out) */}
+                {canSchedule && (
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">
+                        Publish at
+                      </label>
+                      <input
+                        type="datetime-local"
+                        value={formData.publishAt}
+                        onChange={(e) => setFormData({ ...formData, publishAt: e.target.value })}
+                        className="input-field"
+                        disabled={formData.draft}
+                        title="Leave empty to publish right away"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">
+                        Free-plan delay (min)
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="1440"
+                        value={formData.freeDelayMinutes}
+                        onChange={(e) => setFormData({ ...formData, freeDelayMinutes: e.target.value })}
+                        className="input-field"
+                        title="Pro and elite plans see the signal this much earlier"
+                      />
+                    </div>
+
+                    <label className="flex items-center gap-2 text-sm text-gray-300 sm:pt-8">
+                      <input
+                        type="checkbox"
+                        checked={formData.draft}
+                        onChange={(e) => setFormData({ ...formData, draft: e.target.checked })}
+                      />
+                      Save as draft
+                    </label>
+                  </div>
+                )}
+
                 {/* Responsive Button Layout */}
                 <div className="flex flex-col sm:flex-row gap-3 sm:gap-4 pt-4">
                   <button type="submit" className="btn-primary flex-1 w-full sm:w-auto">
@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      await api.post('/auth/forgot-password', { email });
+      setSent(true);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send reset email');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-crypto-darker px-4">
+      <div className="max-w-md w-full animate-fadeIn">
+        {/* Header */}
+        <div className="text-center mb-6 sm:mb-8">
+          <h2 className="text-2xl sm:text-3xl font-bold text-white mb-2">Forgot Password</h2>
+          <p className="text-sm sm:text-base text-gray-400">
+            We'll email you a link to choose a new password
+          </p>
+        </div>
+
+        {sent ? (
+          <div className="card space-y-4 text-center">
+            <p className="text-sm text-gray-300">
+              If an account exists for <span className="text-crypto-accent">{email}</span>, a reset
+              link is on its way. Check your inbox.
+            </p>
+            <Link to="/login" className="inline-block text-crypto-accent hover:text-crypto-accent-dark text-sm font-medium">
+              Back to sign in
+            </Link>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="card space-y-5 sm:space-y-6">
+            <div>
+              <label className="block text-xs sm:text-sm font-medium text-gray-300 mb-2">
+                Email Address
+              </label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="input-field text-sm sm:text-base"
+                placeholder="you@example.com"
+                required
+                autoComplete="email"
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed text-sm sm:text-base"
+            >
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+
+            <p className="text-center text-xs sm:text-sm text-gray-400">
+              Remembered it?{' '}
+              <Link to="/login" className="text-crypto-accent hover:text-crypto-accent-dark font-medium">
+                Sign in
+              </Link>
+            </p>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,211 @@
+import { useState, useEffect } from 'react';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+
+const PERIODS = [
+  { value: '7d', label: 'Last 7 days' },
+  { value: '30d', label: 'Last 30 days' },
+  { value: '90d', label: 'Last 90 days' },
+  { value: '1y', label: 'Last year' },
+  { value: 'all', label: 'All time' },
+];
+
+const SORT_OPTIONS = [
+  { value: 'hitRate', label: 'Hit Rate' },
+  { value: 'avgReturn', label: 'Average Return' },
+  { value: 'avgConfidence', label: 'Average Confidence' },
+  { value: 'signalCount', label: 'Signals' },
+];
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${value}%`);
+
+const formatReturn = (value) => {
+  if (value === null || value === undefined) return '—';
+  return `${value > 0 ? '+' : ''}${value}%`;
+};
+
+const returnColor = (value) => {
+  if (value === null || value === undefined) return 'text-gray-400';
+  return value >= 0 ? 'text-crypto-accent' : 'text-crypto-danger';
+};
+
+const Leaderboard = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    period: '30d',
+    sortBy: 'hitRate',
+    minSignals: 1,
+  });
+
+  useEffect(() => {
+    const fetchLeaderboard = async () => {
+      try {
+        setLoading(true);
+        const params = new URLSearchParams(filters);
+        const { data } = await api.get(`/analytics/leaderboard?${params}`);
+        setEntries(data.data.leaderboard);
+      } catch {
+        toast.error('Failed to fetch leaderboard');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLeaderboard();
+  }, [filters]);
+
+  return (
+    <div className="min-h-screen bg-crypto-darker">
+      <div className="w-full px-3 sm:px-4 md:px-6 lg:px-8 py-4 sm:py-6 lg:py-8 max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-6 sm:mb-8">
+          <h1 className="text-2xl sm:text-3xl font-bold text-white mb-1 sm:mb-2">
+            Analyst Leaderboard
+          </h1>
+          <p className="text-sm sm:text-base text-gray-400">
+            Which signal creators are actually right
+          </p>
+        </div>
+
+        {/* Filters */}
+        <div className="card mb-4 sm:mb-6">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 sm:gap-4">
+            <div>
+              <label className="block text-xs sm:text-sm font-medium text-gray-300 mb-2">
+                Period
+              </label>
+              <select
+                value={filters.period}
+                onChange={(e) => setFilters({ ...filters, period: e.target.value })}
+                className="input-field text-sm sm:text-base"
+              >
+                {PERIODS.map((period) => (
+                  <option key={period.value} value={period.value}>
+                    {period.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-xs sm:text-sm font-medium text-gray-300 mb-2">
+                Rank By
+              </label>
+              <select
+                value={filters.sortBy}
+                onChange={(e) => setFilters({ ...filters, sortBy: e.target.value })}
+                className="input-field text-sm sm:text-base"
+              >
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-xs sm:text-sm font-medium text-gray-300 mb-2">
+                Min Signals
+              </label>
+              <select
+                value={filters.minSignals}
+                onChange={(e) => setFilters({ ...filters, minSignals: e.target.value })}
+                className="input-field text-sm sm:text-base"
+              >
+                <option value="1">Any</option>
+                <option value="5">5+</option>
+                <option value="10">10+</option>
+                <option value="25">25+</option>
+              </select>
+            </div>
+          </div>
+        </div>
+
+        {/* Loading State */}
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 sm:h-12 sm:w-12 border-t-2 border-b-2 border-crypto-accent"></div>
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="card text-center py-8 sm:py-12">
+            <p className="text-gray-400 text-sm sm:text-base">No signals in this period</p>
+          </div>
+        ) : (
+          <>
+            {/* Desktop Table View */}
+            <div className="hidden md:block card overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b border-gray-700">
+                    <th className="text-left py-3 px-4 text-gray-400 font-medium">#</th>
+                    <th className="text-left py-3 px-4 text-gray-400 font-medium">Analyst</th>
+                    <th className="text-left py-3 px-4 text-gray-400 font-medium">Hit Rate</th>
+                    <th className="text-left py-3 px-4 text-gray-400 font-medium">Avg Return</th>
+                    <th className="text-left py-3 px-4 text-gray-400 font-medium">Avg Confidence</th>
+                    <th className="text-left py-3 px-4 text-gray-400 font-medium">Signals</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map((entry) => (
+                    <tr key={entry.analyst._id} className="border-b border-gray-800 hover:bg-white/5">
+                      <td className="py-3 px-4 text-crypto-gold font-semibold">{entry.rank}</td>
+                      <td className="py-3 px-4 text-white">{entry.analyst.name}</td>
+                      <td className="py-3 px-4 text-white">
+                        {formatPercent(entry.hitRate)}
+                        <span className="text-xs text-gray-500 ml-2">
+                          {entry.hits}/{entry.resolvedCount}
+                        </span>
+                      </td>
+                      <td className={`py-3 px-4 ${returnColor(entry.avgReturn)}`}>
+                        {formatReturn(entry.avgReturn)}
+                      </td>
+                      <td className="py-3 px-4 text-gray-300">{formatPercent(entry.avgConfidence)}</td>
+                      <td className="py-3 px-4 text-gray-300">{entry.signalCount}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Mobile Card View */}
+            <div className="md:hidden space-y-3">
+              {entries.map((entry) => (
+                <div key={entry.analyst._id} className="card p-4">
+                  <div className="flex items-center justify-between mb-3">
+                    <h3 className="text-white font-semibold text-base">
+                      <span className="text-crypto-gold mr-2">#{entry.rank}</span>
+                      {entry.analyst.name}
+                    </h3>
+                    <span className="text-xs text-gray-400">{entry.signalCount} signals</span>
+                  </div>
+                  <div className="grid grid-cols-3 gap-3">
+                    <div>
+                      <p className="text-xs text-gray-400 mb-1">Hit Rate</p>
+                      <p className="text-sm text-white font-medium">{formatPercent(entry.hitRate)}</p>
+                    </div>
+                    <div>
+                      <p className="text-xs text-gray-400 mb-1">Avg Return</p>
+                      <p className={`text-sm font-medium ${returnColor(entry.avgReturn)}`}>
+                        {formatReturn(entry.avgReturn)}
+                      </p>
+                    </div>
+                    <div>
+                      <p className="text-xs text-gray-400 mb-1">Confidence</p>
+                      <p className="text-sm text-gray-300 font-medium">
+                        {formatPercent(entry.avgConfidence)}
+                      </p>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Leaderboard;
@@ -1,29 +1,41 @@
 import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { canManageSignals } from '../utils/permissions';
 import toast from 'react-hot-toast';
 
 const Login = () => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
 
+  // Navigate based on role
+  const goToDashboard = (userData) => {
+    if (canManageSignals(userData)) {
+      navigate('/admin');
+    } else {
+      navigate('/dashboard');
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
 
     try {
-      // Call login and get user data back
-      const userData = await login(email, password);
-      
-      // Navigate based on role
-      if (userData.role === 'admin') {
-        navigate('/admin');
-      } else {
-        navigate('/dashboard');
+      // Call login and get user data back (or a two-factor challenge)
+      const result = await login(email, password);
+
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        return;
       }
+
+      goToDashboard(result);
     } catch (error) {
       console.error('Login error:', error);
       // Error toast is already shown in AuthContext
@@ -32,6 +44,30 @@ const Login = () => {
     }
   };
 
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const userData = await verifyTwoFactor(challengeToken, code);
+      goToDashboard(userData);
+    } catch (error) {
+      // Expired challenge: start over from the password step
+      if (error.response?.status === 401) {
+        setChallengeToken(null);
+      }
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setCode('');
+    setPassword('');
+  };
+
   const fillDemo = (role) => {
     if (role === 'admin') {
       setEmail('admin@cryptosignals.com');
@@ -75,64 +111,109 @@ const Login = () => {
           </div>
         </div>
 
-        {/* Login Form */}
-        <form onSubmit={handleSubmit} className="card space-y-5 sm:space-y-6">
-          <div>
-            <label className="block text-xs sm:text-sm font-medium text-gray-300 mb-2">
-              Email Address
-            </label>
-            <input
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              className="input-field text-sm sm:text-base"
-              placeholder="admin@cryptosignals.com"
-              required
-              autoComplete="email"
-            />
-          </div>
+        {challengeToken ? (
+          /* Two-Factor Step */
+          <form onSubmit={handleVerifyCode} className="card space-y-5 sm:space-y-6">
+            <div>
+              <h3 className="text-lg font-semibold text-white mb-1">Two-Factor Authentication</h3>
+              <p className="text-xs sm:text-sm text-gray-400">
+                Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+              </p>
+            </div>
 
-          <div>
-            <label className="block text-xs sm:text-sm font-medium text-gray-300 mb-2">
-              Password
-            </label>
             <input
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              className="input-field text-sm sm:text-base"
-              placeholder="••••••••"
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="input-field text-center tracking-widest text-lg"
+              placeholder="123456"
               required
-              autoComplete="current-password"
-              minLength={8}
+              autoFocus
+              autoComplete="one-time-code"
+              maxLength={20}
             />
-          </div>
 
-          <button
-            type="submit"
-            disabled={loading}
-            className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed text-sm sm:text-base"
-          >
-            {loading ? (
-              <span className="flex items-center justify-center">
-                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                </svg>
-                Signing in...
-              </span>
-            ) : (
-              'Sign In'
-            )}
-          </button>
-
-          <p className="text-center text-xs sm:text-sm text-gray-400">
-            Don't have an account?{' '}
-            <Link to="/register" className="text-crypto-accent hover:text-crypto-accent-dark font-medium">
-              Sign up
-            </Link>
-          </p>
-        </form>
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed text-sm sm:text-base"
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+
+            <button
+              type="button"
+              onClick={cancelTwoFactor}
+              className="w-full text-center text-xs sm:text-sm text-gray-400 hover:text-crypto-accent"
+            >
+              Back to sign in
+            </button>
+          </form>
+        ) : (
+          /* Login Form */
+          <form onSubmit={handleSubmit} className="card space-y-5 sm:space-y-6">
+            <div>
+              <label className="block text-xs sm:text-sm font-medium text-gray-300 mb-2">
+                Email Address
+              </label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="input-field text-sm sm:text-base"
+                placeholder="admin@cryptosignals.com"
+                required
+                autoComplete="email"
+              />
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <label className="block text-xs sm:text-sm font-medium text-gray-300">
+                  Password
+                </label>
+                <Link to="/forgot-password" className="text-xs text-crypto-accent hover:text-crypto-accent-dark">
+                  Forgot password?
+                </Link>
+              </div>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="input-field text-sm sm:text-base"
+                placeholder="••••••••"
+                required
+                autoComplete="current-password"
+                minLength={8}
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed text-sm sm:text-base"
+            >
+              {loading ? (
+                <span className="flex items-center justify-center">
+                  <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                  </svg>
+                  Signing in...
+                </span>
+              ) : (
+                'Sign In'
+              )}
+            </button>
+
+            <p className="text-center text-xs sm:text-sm text-gray-400">
+              Don't have an account?{' '}
+              <Link to="/register" className="text-crypto-accent hover:text-crypto-accent-dark font-medium">
+                Sign up
+              </Link>
+            </p>
+          </form>
+        )}
 
         {/* Info Note */}
         <div className="mt-6 text-center">
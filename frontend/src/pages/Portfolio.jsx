@@ -0,0 +1,304 @@
+import { useState, useEffect } from 'react';
+import api from '../utils/api';
+import EquityCurve from '../components/EquityCurve';
+import toast from 'react-hot-toast';
+
+const formatMoney = (value) =>
+  value === null || value === undefined
+    ? '—'
+    : `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatPnl = (value) => {
+  if (value === null || value === undefined) return '—';
+  return `${value >= 0 ? '+' : '-'}${formatMoney(Math.abs(value))}`;
+};
+
+const pnlColor = (value) => {
+  if (value === null || value === undefined) return 'text-gray-400';
+  return value >= 0 ? 'text-crypto-accent' : 'text-crypto-danger';
+};
+
+const CLOSE_REASONS = {
+  target: 'Target hit',
+  stop: 'Stopped out',
+  expiry: 'Expired',
+  manual: 'Closed manually',
+};
+
+const Portfolio = () => {
+  const [portfolios, setPortfolios] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [newPortfolio, setNewPortfolio] = useState({ name: '', startingBalance: '10000' });
+
+  // Load the user's portfolios and select the first one
+  useEffect(() => {
+    api
+      .get('/portfolios')
+      .then(({ data }) => {
+        setPortfolios(data.data.portfolios);
+        setSelectedId((current) => current || data.data.portfolios[0]?._id || '');
+        if (data.data.portfolios.length === 0) setLoading(false);
+      })
+      .catch(() => {
+        toast.error('Failed to fetch portfolios');
+        setLoading(false);
+      });
+  }, []);
+
+  // Load positions and P&L of the selected portfolio
+  useEffect(() => {
+    if (!selectedId) return;
+
+    const fetchPortfolio = async () => {
+      try {
+        setLoading(true);
+        const { data } = await api.get(`/portfolios/${selectedId}`);
+        setDetails(data.data);
+      } catch {
+        toast.error('Failed to fetch portfolio');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPortfolio();
+  }, [selectedId, refreshKey]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      const { data } = await api.post('/portfolios', {
+        name: newPortfolio.name,
+        startingBalance: Number(newPortfolio.startingBalance),
+      });
+      setPortfolios([...portfolios, data.data.portfolio]);
+      setSelectedId(data.data.portfolio._id);
+      setNewPortfolio({ name: '', startingBalance: '10000' });
+      toast.success('Portfolio created');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create portfolio');
+    }
+  };
+
+  const handleClose = async (positionId) => {
+    if (!confirm('Close this position at the current market price?')) return;
+
+    try {
+      await api.post(`/portfolios/${selectedId}/positions/${positionId}/close`);
+      toast.success('Position closed');
+      setRefreshKey((key) => key + 1);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to close position');
+    }
+  };
+
+  const summary = details?.summary;
+
+  return (
+    <div className="min-h-screen bg-crypto-darker">
+      <div className="w-full px-3 sm:px-4 md:px-6 lg:px-8 py-4 sm:py-6 lg:py-8 max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4 mb-6 sm:mb-8">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-white mb-1 sm:mb-2">
+              Paper Trading
+            </h1>
+            <p className="text-sm sm:text-base text-gray-400">
+              Simulated positions that follow trading signals
+            </p>
+          </div>
+          {portfolios.length > 0 && (
+            <select
+              value={selectedId}
+              onChange={(e) => setSelectedId(e.target.value)}
+              className="input-field text-sm sm:w-64"
+            >
+              {portfolios.map((portfolio) => (
+                <option key={portfolio._id} value={portfolio._id}>
+                  {portfolio.name}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        {/* Create Portfolio */}
+        <form onSubmit={handleCreate} className="card mb-4 sm:mb-6">
+          <p className="text-xs sm:text-sm font-medium text-gray-300 mb-2">New Portfolio</p>
+          <div className="flex flex-col sm:flex-row gap-3">
+            <input
+              type="text"
+              value={newPortfolio.name}
+              onChange={(e) => setNewPortfolio({ ...newPortfolio, name: e.target.value })}
+              className="input-field text-sm"
+              placeholder="Name"
+              maxLength={50}
+              required
+            />
+            <input
+              type="number"
+              value={newPortfolio.startingBalance}
+              onChange={(e) => setNewPortfolio({ ...newPortfolio, startingBalance: e.target.value })}
+              className="input-field text-sm sm:w-48"
+              placeholder="Starting balance"
+              min="100"
+              step="100"
+              required
+            />
+            <button type="submit" className="btn-primary text-sm whitespace-nowrap">
+              + Create
+            </button>
+          </div>
+        </form>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 sm:h-12 sm:w-12 border-t-2 border-b-2 border-crypto-accent"></div>
+          </div>
+        ) : !details ? (
+          <div className="card text-center py-8 sm:py-12">
+            <p className="text-gray-400 text-sm sm:text-base">
+              Create a portfolio, then use &quot;Paper trade&quot; on a signal to open a position
+            </p>
+          </div>
+        ) : (
+          <>
+            {/* Summary */}
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3 sm:gap-4 mb-4 sm:mb-6">
+              {[
+                { label: 'Equity', value: formatMoney(summary.equity), color: 'text-white' },
+                { label: 'Cash', value: formatMoney(summary.cashBalance), color: 'text-white' },
+                { label: 'Realized P&L', value: formatPnl(summary.realizedPnl), color: pnlColor(summary.realizedPnl) },
+                { label: 'Unrealized P&L', value: formatPnl(summary.unrealizedPnl), color: pnlColor(summary.unrealizedPnl) },
+                { label: 'Return', value: `${summary.totalReturnPct}%`, color: pnlColor(summary.totalReturnPct) },
+                { label: 'Win Rate', value: summary.winRate === null ? '—' : `${summary.winRate}%`, color: 'text-white' },
+              ].map((stat) => (
+                <div key={stat.label} className="card p-3 sm:p-4">
+                  <p className="text-xs text-gray-400 mb-1">{stat.label}</p>
+                  <p className={`text-base sm:text-lg font-semibold ${stat.color}`}>{stat.value}</p>
+                </div>
+              ))}
+            </div>
+
+            {/* Equity Curve */}
+            <div className="card mb-4 sm:mb-6">
+              <h2 className="text-lg font-semibold text-white mb-3">P&amp;L History</h2>
+              <EquityCurve points={details.history} baseline={details.portfolio.startingBalance} />
+            </div>
+
+            {/* Open Positions */}
+            <div className="card mb-4 sm:mb-6 overflow-x-auto">
+              <h2 className="text-lg font-semibold text-white mb-3">
+                Open Positions ({details.openPositions.length})
+              </h2>
+              {details.openPositions.length === 0 ? (
+                <p className="text-gray-400 text-sm">No open positions</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-gray-700">
+                      <th className="text-left py-2 px-3 text-gray-400 font-medium">Signal</th>
+                      <th className="text-left py-2 px-3 text-gray-400 font-medium">Side</th>
+                      <th className="text-left py-2 px-3 text-gray-400 font-medium">Size</th>
+                      <th className="text-left py-2 px-3 text-gray-400 font-medium">Entry</th>
+                      <th className="text-left py-2 px-3 text-gray-400 font-medium">Mark</th>
+                      <th className="text-left py-2 px-3 text-gray-400 font-medium">Target / Stop</th>
+                      <th className="text-left py-2 px-3 text-gray-400 font-medium">P&amp;L</th>
+                      <th className="text-left py-2 px-3 text-gray-400 font-medium"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {details.openPositions.map((position) => (
+                      <tr key={position._id} className="border-b border-gray-800">
+                        <td className="py-2 px-3 text-white">
+                          {position.signal?.title || position.cryptocurrency}
+                          <span className="block text-xs text-gray-500">{position.symbol}</span>
+                        </td>
+                        <td className="py-2 px-3">
+                          <span className={`badge ${position.side === 'long' ? 'badge-buy' : 'badge-sell'}`}>
+                            {position.side.toUpperCase()}
+                          </span>
+                        </td>
+                        <td className="py-2 px-3 text-gray-300">{formatMoney(position.size)}</td>
+                        <td className="py-2 px-3 text-gray-300">${position.entryPrice.toLocaleString()}</td>
+                        <td className="py-2 px-3 text-gray-300">
+                          {position.markPrice === null ? '—' : `$${position.markPrice.toLocaleString()}`}
+                        </td>
+                        <td className="py-2 px-3 text-gray-300">
+                          {position.targetPrice ? `$${position.targetPrice.toLocaleString()}` : '—'}
+                          {' / '}
+                          {position.stopLoss ? `$${position.stopLoss.toLocaleString()}` : '—'}
+                        </td>
+                        <td className={`py-2 px-3 ${pnlColor(position.unrealizedPnl)}`}>
+                          {formatPnl(position.unrealizedPnl)}
+                        </td>
+                        <td className="py-2 px-3">
+                          <button
+                            onClick={() => handleClose(position._id)}
+                            className="text-crypto-danger hover:text-red-400 text-xs"
+                          >
+                            Close
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            {/* Closed Positions */}
+            <div className="card overflow-x-auto">
+              <h2 className="text-lg font-semibold text-white mb-3">
+                Closed Positions ({details.closedPositions.length})
+              </h2>
+              {details.closedPositions.length === 0 ? (
+                <p className="text-gray-400 text-sm">No closed positions yet</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-gray-700">
+                      <th className="text-left py-2 px-3 text-gray-400 font-medium">Closed</th>
+                      <th className="text-left py-2 px-3 text-gray-400 font-medium">Signal</th>
+                      <th className="text-left py-2 px-3 text-gray-400 font-medium">Side</th>
+                      <th className="text-left py-2 px-3 text-gray-400 font-medium">Entry → Exit</th>
+                      <th className="text-left py-2 px-3 text-gray-400 font-medium">Reason</th>
+                      <th className="text-left py-2 px-3 text-gray-400 font-medium">P&amp;L</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {details.closedPositions.map((position) => (
+                      <tr key={position._id} className="border-b border-gray-800">
+                        <td className="py-2 px-3 text-gray-400">
+                          {new Date(position.closedAt).toLocaleString()}
+                        </td>
+                        <td className="py-2 px-3 text-white">
+                          {position.signal?.title || position.cryptocurrency}
+                        </td>
+                        <td className="py-2 px-3 text-gray-300">{position.side.toUpperCase()}</td>
+                        <td className="py-2 px-3 text-gray-300">
+                          ${position.entryPrice.toLocaleString()} → ${position.exitPrice.toLocaleString()}
+                        </td>
+                        <td className="py-2 px-3 text-gray-300">{CLOSE_REASONS[position.closeReason]}</td>
+                        <td className={`py-2 px-3 ${pnlColor(position.realizedPnl)}`}>
+                          {formatPnl(position.realizedPnl)}
+                          <span className="text-xs ml-1">({position.realizedPnlPct}%)</span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Portfolio;
@@ -0,0 +1,111 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password !== confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await api.post('/auth/reset-password', { token, password });
+      toast.success('Password reset! Please sign in.');
+      navigate('/login');
+    } catch (error) {
+      const data = error.response?.data;
+      toast.error(data?.errors?.[0]?.message || data?.message || 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-crypto-darker px-4">
+      <div className="max-w-md w-full animate-fadeIn">
+        {/* Header */}
+        <div className="text-center mb-6 sm:mb-8">
+          <h2 className="text-2xl sm:text-3xl font-bold text-white mb-2">Choose a New Password</h2>
+          <p className="text-sm sm:text-base text-gray-400">
+            All your devices will be signed out
+          </p>
+        </div>
+
+        {!token ? (
+          <div className="card space-y-4 text-center">
+            <p className="text-sm text-gray-300">This reset link is incomplete.</p>
+            <Link to="/forgot-password" className="inline-block text-crypto-accent hover:text-crypto-accent-dark text-sm font-medium">
+              Request a new link
+            </Link>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="card space-y-5 sm:space-y-6">
+            <div>
+              <label className="block text-xs sm:text-sm font-medium text-gray-300 mb-2">
+                New Password
+              </label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="input-field text-sm sm:text-base"
+                placeholder="••••••••"
+                required
+                autoComplete="new-password"
+                minLength={8}
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Min 8 characters, uppercase, number, special char
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-xs sm:text-sm font-medium text-gray-300 mb-2">
+                Confirm Password
+              </label>
+              <input
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                className="input-field text-sm sm:text-base"
+                placeholder="••••••••"
+                required
+                autoComplete="new-password"
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed text-sm sm:text-base"
+            >
+              {loading ? 'Saving...' : 'Reset Password'}
+            </button>
+
+            <p className="text-center text-xs sm:text-sm text-gray-400">
+              Link expired?{' '}
+              <Link to="/forgot-password" className="text-crypto-accent hover:text-crypto-accent-dark font-medium">
+                Request a new one
+              </Link>
+            </p>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
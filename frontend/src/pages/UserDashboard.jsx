@@ -1,17 +1,24 @@
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import api from '../utils/api';
+import { subscribeToSignals } from '../utils/signalStream';
+import WatchlistPanel from '../components/WatchlistPanel';
+import SignalHistory from '../components/SignalHistory';
 import toast from 'react-hot-toast';
 
 const UserDashboard = () => {
   const [signals, setSignals] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [historyOpen, setHistoryOpen] = useState(null);
   const [filters, setFilters] = useState({
     signalType: '',
     minConfidence: '',
+    watchlist: '',
     page: 1,
     limit: 10,
   });
   const [pagination, setPagination] = useState(null);
+  const [watchlist, setWatchlist] = useState(null);
 
   useEffect(() => {
     fetchSignals();
@@ -23,6 +30,7 @@ const UserDashboard = () => {
       const params = new URLSearchParams();
       if (filters.signalType) params.append('signalType', filters.signalType);
       if (filters.minConfidence) params.append('minConfidence', filters.minConfidence);
+      if (filters.watchlist) params.append('watchlist', filters.watchlist);
       params.append('page', filters.page);
       params.append('limit', filters.limit);
 
@@ -36,6 +44,118 @@ const UserDashboard = () => {
     }
   };
 
+  // Merge live signal events into the current page
+  useEffect(() => {
+    const params = new URLSearchParams();
+    if (filters.signalType) params.append('signalType', filters.signalType);
+    if (filters.minConfidence) params.append('minConfidence', filters.minConfidence);
+    if (filters.watchlist) params.append('watchlist', filters.watchlist);
+
+    return subscribeToSignals(params, (type, event) => {
+      if (type === 'reset') {
+        // Missed too many events to replay - refetch the current page
+        setFilters((current) => ({ ...current }));
+        return;
+      }
+
+      if (!event.signal) {
+        setSignals((current) => current.filter((s) => s._id !== event.id));
+        return;
+      }
+
+      if (type === 'signal.created') {
+        if (filters.page !== 1) return;
+        toast.success(`New signal: ${event.signal.title}`);
+        setSignals((current) => [
+          event.signal,
+          ...current.filter((s) => s._id !== event.id),
+        ].slice(0, Number(filters.limit)));
+        return;
+      }
+
+      setSignals((current) => {
+        if (current.some((s) => s._id === event.id)) {
+          return current.map((s) => (s._id === event.id ? event.signal : s));
+        }
+        // A signal released from early access, which free-plan users see for the first time
+        if (!event.signal.freeReleaseAt || filters.page !== 1) return current;
+        return [event.signal, ...current].slice(0, Number(filters.limit));
+      });
+    });
+  }, [filters]);
+
+  // Load the user's watchlist (the first one is used as "My Watchlist")
+  useEffect(() => {
+    api.get('/watchlists')
+      .then(({ data }) => setWatchlist(data.data.watchlists[0] || null))
+      .catch(() => toast.error('Failed to load watchlist'));
+  }, []);
+
+  const ensureWatchlist = async () => {
+    if (watchlist) return watchlist;
+    const { data } = await api.post('/watchlists', { name: 'My Watchlist' });
+    setWatchlist(data.data.watchlist);
+    return data.data.watchlist;
+  };
+
+  const showWatchlist = async () => {
+    try {
+      const list = await ensureWatchlist();
+      setFilters({ ...filters, watchlist: list._id, page: 1 });
+    } catch {
+      toast.error('Failed to open watchlist');
+    }
+  };
+
+  const updateWatchlist = async (changes) => {
+    try {
+      const list = await ensureWatchlist();
+      const { data } = await api.put(`/watchlists/${list._id}`, {
+        name: list.name,
+        cryptocurrencies: list.cryptocurrencies,
+        creators: list.creators.map((c) => c._id),
+        ...changes,
+      });
+      setWatchlist(data.data.watchlist);
+      toast.success('Watchlist updated');
+
+      // Refetch so the watchlist tab reflects the change
+      if (filters.watchlist) setFilters((current) => ({ ...current, page: 1 }));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update watchlist');
+    }
+  };
+
+  // Open a paper-trading position that follows a signal (creates a portfolio on first use)
+  const paperTrade = async (signal) => {
+    const input = prompt(`Position size in USD for "${signal.title}"`, '1000');
+    if (!input) return;
+
+    try {
+      const { data } = await api.get('/portfolios');
+      let portfolio = data.data.portfolios[0];
+      if (!portfolio) {
+        const created = await api.post('/portfolios', { name: 'Paper Portfolio' });
+        portfolio = created.data.data.portfolio;
+      }
+
+      await api.post(`/portfolios/${portfolio._id}/positions`, {
+        signal: signal._id,
+        size: Number(input),
+      });
+      toast.success(`Position opened in ${portfolio.name}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to open position');
+    }
+  };
+
+  const isWatchingCoin = (signal) =>
+    watchlist?.assets?.includes(signal.asset?._id) ||
+    watchlist?.cryptocurrencies.some((c) => c.toLowerCase() === signal.cryptocurrency.toLowerCase());
+
+  const isFollowing = (creatorId) =>
+    watchlist?.creators.some((c) => c._id === creatorId);
+
   const getSignalBadge = (type) => {
     const badges = {
       BUY: 'badge-buy',
@@ -62,6 +182,32 @@ const UserDashboard = () => {
 
         {/* Filters - Responsive grid */}
         <div className="card mb-4 sm:mb-6">
+          {/* Tabs - All signals or only the user's watchlist */}
+          <div className="flex gap-2 mb-4">
+            <button
+              type="button"
+              onClick={() => setFilters({ ...filters, watchlist: '', page: 1 })}
+              className={`py-1.5 px-4 rounded-lg text-sm font-medium transition-colors ${
+                !filters.watchlist
+                  ? 'bg-crypto-accent/20 text-crypto-accent'
+                  : 'text-gray-400 hover:text-crypto-accent'
+              }`}
+            >
+              All Signals
+            </button>
+            <button
+              type="button"
+              onClick={showWatchlist}
+              className={`py-1.5 px-4 rounded-lg text-sm font-medium transition-colors ${
+                filters.watchlist
+                  ? 'bg-crypto-accent/20 text-crypto-accent'
+                  : 'text-gray-400 hover:text-crypto-accent'
+              }`}
+            >
+              ★ My Watchlist
+            </button>
+          </div>
+
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-4">
             <div>
               <label className="block text-xs sm:text-sm font-medium text-gray-300 mb-2">
@@ -112,6 +258,11 @@ const UserDashboard = () => {
           </div>
         </div>
 
+        {/* Watchlist contents */}
+        {filters.watchlist && watchlist && (
+          <WatchlistPanel watchlist={watchlist} onUpdate={updateWatchlist} />
+        )}
+
         {/* Loading State */}
         {loading ? (
           <div className="flex justify-center py-12">
@@ -132,9 +283,26 @@ const UserDashboard = () => {
                 >
                   {/* Card Header */}
                   <div className="flex justify-between items-start mb-3 sm:mb-4">
-                    <span className={`badge text-xs sm:text-sm ${getSignalBadge(signal.signalType)}`}>
-                      {signal.signalType}
-                    </span>
+                    <div className="flex items-center gap-2">
+                      <span className={`badge text-xs sm:text-sm ${getSignalBadge(signal.signalType)}`}>
+                        {signal.signalType}
+                      </span>
+                      {signal.minPlan && signal.minPlan !== 'free' && (
+                        <span className="badge text-xs bg-crypto-gold/20 text-crypto-gold uppercase">
+                          {signal.minPlan}
+                        </span>
+                      )}
+                      {signal.revision > 0 && (
+                        <button
+                          type="button"
+                          onClick={() => setHistoryOpen(historyOpen === signal._id ? null : signal._id)}
+                          className="badge text-xs bg-purple-500/20 text-purple-300 hover:bg-purple-500/30"
+                          title={`Edited ${signal.revision} time(s) after publication, last ${new Date(signal.revisedAt).toLocaleString()}`}
+                        >
+                          revised
+                        </button>
+                      )}
+                    </div>
                     <span className="text-xs sm:text-sm text-gray-400">
                       {new Date(signal.createdAt).toLocaleDateString('en-US', { 
                         month: 'short', 
@@ -163,9 +331,15 @@ const UserDashboard = () => {
                     
                     <div className="flex justify-between text-xs sm:text-sm">
                       <span className="text-gray-400">Target Price:</span>
-                      <span className="text-crypto-accent font-semibold">
-                        ${signal.targetPrice.toLocaleString()}
-                      </span>
+                      {signal.locked ? (
+                        <Link to="/account" className="text-crypto-gold hover:underline">
+                          🔒 Upgrade to {signal.minPlan}
+                        </Link>
+                      ) : (
+                        <span className="text-crypto-accent font-semibold">
+                          ${signal.targetPrice.toLocaleString()}
+                        </span>
+                      )}
                     </div>
                     
                     <div className="flex justify-between items-center text-xs sm:text-sm">
@@ -200,8 +374,62 @@ const UserDashboard = () => {
                         }`}>
                           {signal.status}
                         </span>
+                        {signal.result && signal.result !== 'pending' && (
+                          <span className={`inline-flex items-center px-2 py-1 ml-2 rounded text-xs font-medium ${
+                            signal.result === 'target_hit'
+                              ? 'bg-green-500/20 text-green-400'
+                              : signal.result === 'stopped_out'
+                              ? 'bg-red-500/20 text-red-400'
+                              : 'bg-gray-500/20 text-gray-400'
+                          }`}>
+                            {signal.result.replace('_', ' ')}
+                          </span>
+                        )}
                       </div>
                     )}
+
+                    {/* Watchlist Actions */}
+                    <div className="flex gap-3 pt-2 text-xs">
+                      {!isWatchingCoin(signal) && (
+                        <button
+                          type="button"
+                          onClick={() => updateWatchlist({
+                            cryptocurrencies: [...(watchlist?.cryptocurrencies || []), signal.cryptocurrency],
+                          })}
+                          className="text-crypto-accent hover:text-crypto-accent-dark"
+                        >
+                          ☆ Watch coin
+                        </button>
+                      )}
+                      {signal.createdBy?._id && !isFollowing(signal.createdBy._id) && (
+                        <button
+                          type="button"
+                          onClick={() => updateWatchlist({
+                            creators: [
+                              ...(watchlist?.creators.map((c) => c._id) || []),
+                              signal.createdBy._id,
+                            ],
+                          })}
+                          className="text-crypto-gold hover:text-yellow-300"
+                        >
+                          + Follow {signal.createdBy.name}
+                        </button>
+                      )}
+                      {signal.status === 'active' && signal.signalType !== 'HOLD' && !signal.locked && (
+                        <button
+                          type="button"
+                          onClick={() => paperTrade(signal)}
+                          className="text-gray-300 hover:text-white"
+                        >
+                          📈 Paper trade
+                        </button>
+                      )}
+                    </div>
+
+                    {/* Edit History */}
+                    {historyOpen === signal._id && (
+                      <SignalHistory signalId={signal._id} revision={signal.revision} />
+                    )}
                   </div>
                 </div>
               ))}
@@ -0,0 +1,79 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  const { user, updateUser, isAuthenticated } = useAuth();
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so only send it once (effects run twice in StrictMode)
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const { data } = await api.post('/auth/verify-email', { token });
+        const verifiedUser = data.data.user;
+
+        if (user && user.id === verifiedUser.id) {
+          updateUser(verifiedUser);
+        }
+
+        setStatus('verified');
+      } catch (error) {
+        setMessage(error.response?.data?.message || 'Verification failed');
+        setStatus('failed');
+      }
+    };
+
+    verify();
+  }, [token, user, updateUser]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-crypto-darker px-4">
+      <div className="max-w-md w-full animate-fadeIn">
+        <div className="card text-center space-y-4">
+          {status === 'verifying' && (
+            <>
+              <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-crypto-accent mx-auto"></div>
+              <p className="text-gray-300">Verifying your email...</p>
+            </>
+          )}
+
+          {status === 'verified' && (
+            <>
+              <h2 className="text-2xl font-bold text-white">Email Verified</h2>
+              <p className="text-sm text-gray-400">Your account is fully unlocked.</p>
+              <Link to={isAuthenticated ? '/dashboard' : '/login'} className="btn-primary inline-block">
+                {isAuthenticated ? 'Go to Dashboard' : 'Sign In'}
+              </Link>
+            </>
+          )}
+
+          {status === 'failed' && (
+            <>
+              <h2 className="text-2xl font-bold text-white">Verification Failed</h2>
+              <p className="text-sm text-crypto-danger">{message}</p>
+              <p className="text-xs text-gray-500">
+                {isAuthenticated
+                  ? 'Use the banner at the top of the page to send a new link.'
+                  : 'Sign in to request a new verification link.'}
+              </p>
+              <Link to={isAuthenticated ? '/dashboard' : '/login'} className="btn-secondary inline-block">
+                {isAuthenticated ? 'Go to Dashboard' : 'Sign In'}
+              </Link>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
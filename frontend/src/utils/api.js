@@ -22,6 +22,31 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
+// One refresh at a time: a refresh token works once, so concurrent 401s share it
+let refreshPromise = null;
+
+const refreshTokens = async (refreshToken) => {
+  // Call refresh endpoint (create new axios instance to avoid interceptor loop)
+  const { data } = await axios.post(
+    `${import.meta.env.VITE_API_URL || 'https://crypto-trading-signals-platform.onrender.com/api/v1'}/auth/refresh`,
+    { refreshToken },
+    {
+      headers: { 'Content-Type': 'application/json' },
+      withCredentials: false, // CRITICAL
+    }
+  );
+
+  const { accessToken, refreshToken: newRefreshToken } = data.data.tokens;
+
+  // Update tokens in localStorage
+  localStorage.setItem('accessToken', accessToken);
+  if (newRefreshToken) {
+    localStorage.setItem('refreshToken', newRefreshToken);
+  }
+
+  return accessToken;
+};
+
 // Response interceptor - Handle 401 and auto-refresh token
 api.interceptors.response.use(
   (response) => response,
@@ -41,24 +66,20 @@ api.interceptors.response.use(
 
         console.log('🔄 Refreshing access token...');
 
-        // Call refresh endpoint (create new axios instance to avoid interceptor loop)
-        const { data } = await axios.post(
-          `${import.meta.env.VITE_API_URL || 'https://crypto-trading-signals-platform.onrender.com/api/v1'}/auth/refresh`,
-          { refreshToken },
-          {
-            headers: { 'Content-Type': 'application/json' },
-            withCredentials: false, // CRITICAL
-          }
-        );
-
-        const { accessToken, refreshToken: newRefreshToken } = data.data.tokens;
-
-        // Update tokens in localStorage
-        localStorage.setItem('accessToken', accessToken);
-        if (newRefreshToken) {
-          localStorage.setItem('refreshToken', newRefreshToken);
+        if (!refreshPromise) {
+          refreshPromise = refreshTokens(refreshToken).catch((refreshError) => {
+            // Another tab may have rotated the token first; use what it stored
+            if (localStorage.getItem('refreshToken') !== refreshToken) {
+              return localStorage.getItem('accessToken');
+            }
+            throw refreshError;
+          }).finally(() => {
+            refreshPromise = null;
+          });
         }
 
+        const accessToken = await refreshPromise;
+
         // Update Authorization header and retry original request
         originalRequest.headers.Authorization = `Bearer ${accessToken}`;
         
@@ -0,0 +1,26 @@
+/**
+ * Role permission checks, mirroring backend/utils/permissions.js
+ * The user profile carries its role's permissions; a permission held as
+ * <permission>:own only applies to the user's own resources.
+ */
+
+/**
+ * How far a user holds a permission
+ * @returns {'any'|'own'|null}
+ */
+export const getPermissionAccess = (user, permission) => {
+  if (!user) return null;
+  // Admins hold every permission (also covers profiles stored before permissions existed)
+  if (user.role === 'admin') return 'any';
+
+  const permissions = user.permissions || [];
+  if (permissions.includes(permission)) return 'any';
+  if (permissions.includes(`${permission}:own`)) return 'own';
+  return null;
+};
+
+/**
+ * Whether a user works on signals (admins, analysts, moderators)
+ */
+export const canManageSignals = (user) =>
+  Boolean(getPermissionAccess(user, 'signals:create') || getPermissionAccess(user, 'signals:expire'));
@@ -0,0 +1,99 @@
+import api from './api';
+
+const API_URL = import.meta.env.VITE_API_URL || 'https://crypto-trading-signals-platform.onrender.com/api/v1';
+
+/**
+ * Subscribe to the live signal stream (Server-Sent Events)
+ *
+ * Uses fetch instead of EventSource so the access token travels in the
+ * Authorization header rather than the URL. Reconnects automatically and
+ * sends Last-Event-ID so missed events are replayed.
+ *
+ * @param {URLSearchParams} params - Stream filters (same as GET /signals)
+ * @param {Function} onEvent - Called with (type, data) for every event
+ * @returns {Function} Call to close the stream
+ */
+export const subscribeToSignals = (params, onEvent) => {
+  let controller = null;
+  let reconnectTimer = null;
+  let lastEventId = null;
+  let retryMs = 5000;
+  let closed = false;
+
+  const handleBlock = (block) => {
+    let type = 'message';
+    let data = '';
+
+    block.split('\n').forEach((line) => {
+      if (!line || line.startsWith(':')) return; // Heartbeat comment
+
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+      if (field === 'id') lastEventId = value;
+      if (field === 'event') type = value;
+      if (field === 'data') data += value;
+      if (field === 'retry') retryMs = Number(value) || retryMs;
+    });
+
+    if (data) {
+      onEvent(type, JSON.parse(data));
+    }
+  };
+
+  const connect = async () => {
+    controller = new AbortController();
+
+    try {
+      const headers = { Accept: 'text/event-stream' };
+      const accessToken = localStorage.getItem('accessToken');
+      if (accessToken) headers.Authorization = `Bearer ${accessToken}`;
+      if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+
+      const response = await fetch(`${API_URL}/signals/stream?${params}`, {
+        headers,
+        signal: controller.signal,
+      });
+
+      if (response.status === 401) {
+        // Let the axios interceptor refresh the access token, then reconnect
+        await api.get('/auth/me');
+        if (!closed) connect();
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(`Signal stream responded with ${response.status}`);
+      }
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += value;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        blocks.forEach(handleBlock);
+      }
+    } catch (error) {
+      if (closed || error.name === 'AbortError') return;
+      console.error('Signal stream error:', error);
+    }
+
+    if (!closed) {
+      reconnectTimer = setTimeout(connect, retryMs);
+    }
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    controller?.abort();
+  };
+};